@@ -9,101 +9,47 @@ import { DynamixelController } from '../index.js';
 
 const COMMON_BAUD_RATES = [
   57600,   // Default for most DYNAMIXEL-X
-  1000000, // High-speed option  
+  1000000, // High-speed option
   115200,  // Common alternative
   2000000, // Very high-speed
   3000000, // Maximum for some models
   9600,    // Low-speed fallback
 ];
 
-const ID_RANGES = [
-  { name: 'Factory Default', ids: [1] },
-  { name: 'Common Range', ids: [1, 2, 3, 4, 5] },
-  { name: 'Extended Range', ids: Array.from({length: 20}, (_, i) => i + 1) },
-  { name: 'Full Range', ids: Array.from({length: 252}, (_, i) => i + 1) }
-];
+async function main() {
+  console.log('🔍 XL330-M288-T Device Finder');
+  console.log('═'.repeat(60));
+  console.log('Comprehensive search across all IDs and baud rates\n');
+
+  const controller = new DynamixelController({ debug: false });
+  let allFoundDevices = [];
 
-async function testBaudRate(baudRate) {
-  console.log(`\n🔍 Testing baud rate: ${baudRate}`);
-  console.log('─'.repeat(50));
-  
-  const controller = new DynamixelController({
-    timeout: 3000,
-    baudRate: baudRate,
-    debug: false
-  });
-  
-  let foundDevices = [];
-  
   try {
     await controller.connect();
-    console.log(`✅ Connected at ${baudRate} baud`);
-    
-    // Try quick discovery first
-    console.log('🔍 Quick discovery (IDs 1-20)...');
-    try {
-      const devices = await controller.quickDiscovery();
-      if (devices.length > 0) {
-        console.log(`🎯 FOUND ${devices.length} device(s) via quick discovery!`);
-        devices.forEach(device => {
-          console.log(`   ID ${device.id}: ${device.modelName} (${device.modelNumber})`);
-          foundDevices.push({...device, baudRate});
-        });
-        return foundDevices;
-      }
-    } catch (error) {
-      console.log(`❌ Quick discovery failed: ${error.message}`);
-    }
-    
-    // Manual ID scanning
-    for (const range of ID_RANGES) {
-      console.log(`\n🔍 Scanning ${range.name} (${range.ids.length} IDs)...`);
-      
-      let rangeFound = false;
-      for (const id of range.ids) {
-        try {
-          process.stdout.write(`Testing ID ${id}...`);
-          const deviceInfo = await controller.ping(id, 2000);
-          
-          console.log(` 🎯 FOUND!`);
-          console.log(`   Model: ${deviceInfo.modelNumber} (${controller.getDevice(id)?.modelName || 'Unknown'})`);
-          console.log(`   Firmware: ${deviceInfo.firmwareVersion}`);
-          console.log(`   Error: ${deviceInfo.error}`);
-          
-          foundDevices.push({
-            id,
-            modelNumber: deviceInfo.modelNumber,
-            modelName: controller.getDevice(id)?.modelName || `Unknown (${deviceInfo.modelNumber})`,
-            firmwareVersion: deviceInfo.firmwareVersion,
-            error: deviceInfo.error,
-            baudRate
-          });
-          rangeFound = true;
-          
-        } catch (error) {
-          if (error.message.includes('Timeout')) {
-            process.stdout.write(` ⏱️`);
-          } else {
-            process.stdout.write(` ❌`);
-          }
+
+    // One pass over every baud rate; the original rate is restored afterwards
+    const busMap = await controller.scanBus({
+      baudRates: COMMON_BAUD_RATES,
+      protocols: [2],
+      onProgress: ({ baudRate, id, found }) => {
+        if (id === 0) {
+          console.log(`\n🔍 Testing baud rate: ${baudRate}`);
+        }
+        if (found) {
+          console.log(`   🎯 FOUND ID ${id}`);
         }
-        
-        // Add small delay to avoid overwhelming the motor
-        await new Promise(resolve => setTimeout(resolve, 10));
-      }
-      
-      if (!rangeFound) {
-        console.log(`\n   No devices found in ${range.name}`);
-      }
-      
-      // If we found devices in this range, no need to scan larger ranges
-      if (foundDevices.length > 0) {
-        break;
       }
-    }
-    
+    });
+
+    allFoundDevices = busMap.map(entry => ({
+      id: entry.id,
+      modelNumber: entry.modelNumber,
+      modelName: entry.model,
+      firmwareVersion: entry.firmware,
+      baudRate: entry.baudRate
+    }));
   } catch (error) {
-    console.log(`❌ Connection failed at ${baudRate}: ${error.message}`);
+    console.log(`❌ Scan failed: ${error.message}`);
   } finally {
     try {
       await controller.disconnect();
@@ -111,29 +57,7 @@ async function testBaudRate(baudRate) {
       // Ignore disconnect errors
     }
   }
-  
-  return foundDevices;
-}
 
-async function main() {
-  console.log('🔍 XL330-M288-T Device Finder');
-  console.log('═'.repeat(60));
-  console.log('Comprehensive search across all IDs and baud rates\n');
-  
-  let allFoundDevices = [];
-  
-  // Test each baud rate
-  for (const baudRate of COMMON_BAUD_RATES) {
-    const devices = await testBaudRate(baudRate);
-    allFoundDevices.push(...devices);
-    
-    // If we found devices, we can stop testing other baud rates
-    if (devices.length > 0) {
-      console.log(`\n✅ Found devices at ${baudRate} baud - stopping search`);
-      break;
-    }
-  }
-  
   console.log('\n🏁 SEARCH COMPLETE');
   console.log('═'.repeat(60));
   
@@ -169,7 +93,6 @@ async function main() {
       console.log(`   Model: ${device.modelName} (${device.modelNumber})`);
       console.log(`   Firmware: ${device.firmwareVersion}`);
       console.log(`   Baud Rate: ${device.baudRate}`);
-      console.log(`   Hardware Error: ${device.error === 0 ? 'None' : `0x${device.error.toString(16)}`}`);
     });
     
     console.log('\n🎯 NEXT STEPS:');
@@ -32,79 +32,75 @@ async function demonstrateIndirectAddressing() {
     }
     
     const device = devices.find(d => d.id === DEVICE_ID) || devices[0];
-    console.log(`📱 Using device ID ${device.id} (${device.modelName})`);
+    const ids = devices.map(d => d.id);
+    console.log(`📱 Monitoring device IDs ${ids.join(', ')}, LED demo on ID ${device.id} (${device.modelName})`);
     
     // Disable torque to access indirect addresses (required for most motors)
     console.log('🔧 Disabling torque to setup indirect addressing...');
-    await device.setTorqueEnable(false);
-    
-    // Setup indirect addressing for common monitoring parameters
-    console.log('🗺️  Setting up indirect address mappings...');
-    
-    // Map key parameters to indirect addresses
-    // Each indirect data slot can hold 1 byte, so multi-byte values need multiple slots
-    await device.setupIndirectAddress(0, CONTROL_TABLE.PRESENT_POSITION);     // Position byte 0
-    await device.setupIndirectAddress(1, CONTROL_TABLE.PRESENT_POSITION + 1); // Position byte 1  
-    await device.setupIndirectAddress(2, CONTROL_TABLE.PRESENT_POSITION + 2); // Position byte 2
-    await device.setupIndirectAddress(3, CONTROL_TABLE.PRESENT_POSITION + 3); // Position byte 3
-    
-    await device.setupIndirectAddress(4, CONTROL_TABLE.PRESENT_VELOCITY);     // Velocity byte 0
-    await device.setupIndirectAddress(5, CONTROL_TABLE.PRESENT_VELOCITY + 1); // Velocity byte 1
-    await device.setupIndirectAddress(6, CONTROL_TABLE.PRESENT_VELOCITY + 2); // Velocity byte 2  
-    await device.setupIndirectAddress(7, CONTROL_TABLE.PRESENT_VELOCITY + 3); // Velocity byte 3
-    
-    await device.setupIndirectAddress(8, CONTROL_TABLE.PRESENT_PWM);          // PWM byte 0
-    await device.setupIndirectAddress(9, CONTROL_TABLE.PRESENT_PWM + 1);      // PWM byte 1
+    for (const d of devices) {
+      await d.setTorqueEnable(false);
+    }
     
-    await device.setupIndirectAddress(10, CONTROL_TABLE.PRESENT_TEMPERATURE); // Temperature
-    await device.setupIndirectAddress(11, CONTROL_TABLE.MOVING);              // Moving status
-    await device.setupIndirectAddress(12, CONTROL_TABLE.PRESENT_INPUT_VOLTAGE); // Voltage byte 0
-    await device.setupIndirectAddress(13, CONTROL_TABLE.PRESENT_INPUT_VOLTAGE + 1); // Voltage byte 1
+    // Plan telemetry: every device gets the registers back to back in its
+    // indirect data area, one slot per byte, so one group read fetches them all
+    console.log('🗺️  Planning telemetry...');
+    const plan = await controller.planTelemetry([
+      'presentPosition',
+      'presentVelocity',
+      'presentPWM',
+      'presentTemperature',
+      'moving',
+      'presentInputVoltage'
+    ], ids);
     
     console.log('✅ Indirect addressing setup complete');
-    console.log(`📋 Mapped ${device.getIndirectMappings().size} indirect addresses`);
+    console.log(`📋 One ${plan.sync ? 'SYNC' : 'BULK'} READ of ${plan.blocks.get(device.id).length} bytes per device each cycle`);
     
     // Re-enable torque for normal operation
     console.log('⚡ Re-enabling torque...');
-    await device.setTorqueEnable(true);
+    for (const d of devices) {
+      await d.setTorqueEnable(true);
+    }
     
-    // Demonstrate bulk reading through indirect addressing
+    // Demonstrate group reading through indirect addressing
     console.log('\n📊 Starting real-time monitoring using indirect addressing...');
     console.log('   Press Ctrl+C to stop\n');
     
     let count = 0;
-    const startTime = Date.now();
     
     const monitoringLoop = setInterval(async () => {
       try {
-        // Read all mapped values in one efficient bulk operation
-        const indices = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13];
-        const data = await device.bulkReadIndirect(indices);
+        // Read the mapped registers of every device with one group read
+        const telemetry = await controller.readTelemetry(plan);
         
-        // Reconstruct multi-byte values from individual bytes
-        const position = (data[0] | (data[1] << 8) | (data[2] << 16) | (data[3] << 24)) >>> 0;
-        const velocity = (data[4] | (data[5] << 8) | (data[6] << 16) | (data[7] << 24)) >>> 0;
-        const pwm = data[8] | (data[9] << 8);
-        const temperature = data[10];
-        const moving = data[11];
-        const voltage = data[12] | (data[13] << 8);
-        
-        // Convert raw values to meaningful units
-        const positionDegrees = device.positionToDegrees(position);
-        const velocityRPM = device.velocityToRPM(velocity);
-        const voltageVolts = device.voltageToVolts(voltage);
+        const line = Array.from(telemetry.values()).map(({ id, values, error }) => {
+          if (error) {
+            return `#${id} ⚠️  ${error.name}`;
+          }
+          
+          const {
+            presentPosition: position,
+            presentVelocity: velocity,
+            presentPWM: pwm,
+            presentTemperature: temperature,
+            moving,
+            presentInputVoltage: voltage
+          } = values;
+          const d = controller.getDevice(id);
+          
+          // Convert raw values to meaningful units
+          return `#${id} ` +
+            `${d.positionToDegrees(position).toFixed(1)}° ` +
+            `${d.velocityToRPM(velocity).toFixed(1)} RPM ` +
+            `PWM ${pwm} ` +
+            `${temperature}°C ` +
+            `${moving ? '🔄' : '⏸️ '} ` +
+            `${d.voltageToVolts(voltage).toFixed(1)}V`;
+        });
         
         // Display monitoring data
-        process.stdout.write('\r' + ' '.repeat(80) + '\r'); // Clear line
-        process.stdout.write(
-          `[${(count++).toString().padStart(4, ' ')}] ` +
-          `Pos: ${positionDegrees.toFixed(1)}° | ` +
-          `Vel: ${velocityRPM.toFixed(1)} RPM | ` +
-          `PWM: ${pwm} | ` +
-          `Temp: ${temperature}°C | ` +
-          `${moving ? '🔄' : '⏸️ '} | ` +
-          `${voltageVolts.toFixed(1)}V`
-        );
+        process.stdout.write('\r' + ' '.repeat(120) + '\r'); // Clear line
+        process.stdout.write(`[${(count++).toString().padStart(4, ' ')}] ${line.join(' | ')}`);
         
         // Demonstrate writing through indirect addressing
         // Toggle LED every 2 seconds using indirect addressing
@@ -127,7 +123,9 @@ async function demonstrateIndirectAddressing() {
       
       try {
         // Clear all indirect mappings
-        await device.clearAllIndirectMappings();
+        for (const d of devices) {
+          await d.clearAllIndirectMappings();
+        }
         console.log('✅ Indirect mappings cleared');
         
         // Turn off LED
@@ -1,18 +1,29 @@
 const { DynamixelController } = require('./src/DynamixelController.cjs.js');
-const { DynamixelDevice, Protocol2 } = require('./src/dynamixel/index.cjs.js');
-const { U2D2Connection, SerialConnection, WebSerialConnection } = require('./src/transport/index.cjs.js');
+const { DynamixelDevice, DeviceGroup, ControlTables, Protocol1, Protocol2 } = require('./src/dynamixel/index.cjs.js');
+const { U2D2Connection, SerialConnection, WebSerialConnection, SimulatedConnection, VirtualServo } = require('./src/transport/index.cjs.js');
 const { AlarmManager } = require('./src/dynamixel/AlarmManager.js');
 const { MotorProfiles } = require('./src/dynamixel/MotorProfiles.js');
 const { Logger } = require('./src/utils/Logger.js');
+const { DynamixelError, DynamixelTimeoutError, DynamixelCrcError, DynamixelStatusError, DynamixelNotConnectedError } = require('./src/dynamixel/errors.js');
 const constants = require('./src/dynamixel/constants.js');
 
 module.exports = {
   DynamixelController,
   DynamixelDevice,
+  DeviceGroup,
+  ControlTables,
+  Protocol1,
   Protocol2,
+  DynamixelError,
+  DynamixelTimeoutError,
+  DynamixelCrcError,
+  DynamixelStatusError,
+  DynamixelNotConnectedError,
   U2D2Connection,
   SerialConnection,
   WebSerialConnection,
+  SimulatedConnection,
+  VirtualServo,
   AlarmManager,
   MotorProfiles,
   Logger,
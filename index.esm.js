@@ -1,6 +1,7 @@
 export { DynamixelController } from './src/DynamixelController.js';
-export { DynamixelDevice, Protocol2 } from './src/dynamixel/index.js';
-export { U2D2Connection, SerialConnection, WebSerialConnection } from './src/transport/index.esm.js';
+export { DynamixelDevice, DeviceGroup, ControlTables, Protocol1, Protocol2 } from './src/dynamixel/index.js';
+export { DynamixelError, DynamixelTimeoutError, DynamixelCrcError, DynamixelStatusError, DynamixelNotConnectedError } from './src/dynamixel/errors.js';
+export { U2D2Connection, SerialConnection, WebSerialConnection, SimulatedConnection, VirtualServo } from './src/transport/index.esm.js';
 export { AlarmManager } from './src/dynamixel/AlarmManager.js';
 export { MotorProfiles } from './src/dynamixel/MotorProfiles.js';
 export { Logger } from './src/utils/Logger.js';
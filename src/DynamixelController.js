@@ -1,16 +1,89 @@
 import { EventEmitter } from 'events';
-import { U2D2Connection, SerialConnection, WebSerialConnection } from './transport/index.js';
-import { DynamixelDevice, Protocol2 } from './dynamixel/index.js';
+import { U2D2Connection, SerialConnection, WebSerialConnection, SimulatedConnection } from './transport/index.js';
+import {
+  DynamixelDevice,
+  DeviceGroup,
+  Protocol1,
+  Protocol2,
+  BAUD_RATES,
+  BROADCAST_ID,
+  CONTROL_TABLE,
+  PROTOCOL1_CONTROL_TABLE,
+  TRANSACTION_PRIORITY,
+  FACTORY_DEFAULT_ID,
+  DynamixelError,
+  DynamixelTimeoutError,
+  DynamixelCrcError,
+  DynamixelStatusError,
+  DynamixelNotConnectedError
+} from './dynamixel/index.js';
+import { PacketFraming } from './dynamixel/PacketFraming.js';
+
+// Corrupted replies that point to devices sharing an ID: per check, and per device in normal operation
+const DUPLICATE_ID_CRC_FAILURES = 2;
+const DUPLICATE_ID_OPERATION_CRC_FAILURES = 3;
 
 /**
  * @typedef {Object} DynamixelControllerOptions
- * @property {'usb'|'serial'|'webserial'|'auto'} [connectionType='auto'] - Connection type to use
+ * @property {'usb'|'serial'|'webserial'|'simulated'|'auto'} [connectionType='auto'] - Connection type to use
  * @property {boolean} [deferConnection=false] - Whether to defer connection creation until connectToDevice is called
  * @property {number} [timeout=5000] - Connection timeout in milliseconds
  * @property {boolean} [debug=false] - Enable debug logging
  * @property {number} [baudRate=1000000] - Serial communication baud rate
  * @property {string} [portPath] - Specific port path for serial connections
  * @property {number} [highWaterMark=65536] - SerialPort buffer size in bytes (default 64KB)
+ * @property {1|2} [protocolVersion=2] - DYNAMIXEL protocol used by default for devices on this bus
+ * @property {Array<Object>} [servos] - Virtual servos for the 'simulated' connection type ({ id, model, ... })
+ */
+
+/**
+ * @typedef {Object} GroupReadResult
+ * @property {number} id - Device ID
+ * @property {number} address - Control table address that was read
+ * @property {number} length - Number of bytes requested
+ * @property {Buffer|null} data - Bytes read from the device (null on failure)
+ * @property {number|null} value - Little-endian value decoded from data (null on failure or for reads longer than 4 bytes)
+ * @property {Error|null} error - Timeout, CRC or device status error for this ID (null on success)
+ */
+
+/**
+ * @typedef {Object} BusMapEntry
+ * @property {number} baudRate - Baud rate the device answered at
+ * @property {1|2} protocol - Protocol the device answered with
+ * @property {number} id - Device ID
+ * @property {string} model - Model name (`'Unknown (N)'` for unregistered model numbers)
+ * @property {number} modelNumber - Model number
+ * @property {number} firmware - Firmware version
+ */
+
+/**
+ * @typedef {Object} DuplicateIdReport
+ * @property {number} id - Checked device ID
+ * @property {boolean} duplicate - Whether several devices appear to answer at this ID
+ * @property {number} replies - Most valid replies received for a single PING
+ * @property {number} crcErrors - Replies that failed their CRC over all attempts
+ */
+
+/**
+ * @typedef {Object} TelemetryBlock
+ * @property {number} id - Device ID
+ * @property {number} address - Indirect data address of the block on this device
+ * @property {number} length - Block length in bytes
+ * @property {import('./dynamixel/DynamixelDevice.js').IndirectRegister[]} registers - Registers in block order
+ */
+
+/**
+ * @typedef {Object} TelemetryPlan
+ * @property {number[]} ids - Device IDs, in read order
+ * @property {Map<number, TelemetryBlock>} blocks - Block of each device, keyed by ID
+ * @property {boolean} sync - Whether every block has the same address and length, so one SYNC READ covers them (otherwise BULK READ is used)
+ */
+
+/**
+ * @typedef {Object} TelemetryResult
+ * @property {number} id - Device ID
+ * @property {Object.<string, number>|null} values - Decoded value of each register by name (null on failure)
+ * @property {Error|null} error - Timeout, CRC or device status error for this ID (null on success)
  */
 
 /**
@@ -25,12 +98,22 @@ export class DynamixelController extends EventEmitter {
   constructor(options = {}) {
     super();
 
-    // Choose connection type: 'usb', 'serial', 'webserial', or 'auto'
+    // Choose connection type: 'usb', 'serial', 'webserial', 'simulated', or 'auto'
     this.connectionType = options.connectionType || 'auto';
     this.connection = null;
     this.devices = new Map(); // Map of ID -> DynamixelDevice
+    this.deviceListeners = new Map(); // Map of DynamixelDevice -> listeners added by registerDevice()
+    this.crcFailures = new Map(); // Map of ID -> CRC failures since the last duplicate ID check
+    this.groups = new Map(); // Map of group (Secondary) ID -> DeviceGroup
+    this.telemetryPlan = null; // Plan used by readTelemetry() when none is given
     this.isConnected = false;
 
+    // Default protocol for devices; individual devices can override it via addDevice()
+    this.protocolVersion = options.protocolVersion || 2;
+    if (this.protocolVersion !== 1 && this.protocolVersion !== 2) {
+      throw new Error(`Unsupported protocol version ${this.protocolVersion}. Must be 1 or 2.`);
+    }
+
     // If deferConnection is true, don't create connection immediately
     // This allows for device discovery before connecting to a specific device
     this.deferConnection = options.deferConnection || false;
@@ -51,6 +134,8 @@ export class DynamixelController extends EventEmitter {
       this.connection = new U2D2Connection(options);
     } else if (this.connectionType === 'webserial') {
       this.connection = new WebSerialConnection(options);
+    } else if (this.connectionType === 'simulated') {
+      this.connection = new SimulatedConnection(options);
     } else {
       // Auto-detect based on environment
       this.connection = this.detectBestConnection(options);
@@ -129,6 +214,8 @@ export class DynamixelController extends EventEmitter {
           this.connectionType = 'serial';
         } else if (deviceInfo.type === 'webserial') {
           this.connectionType = 'webserial';
+        } else if (deviceInfo.type === 'simulated') {
+          this.connectionType = 'simulated';
         }
 
         this.createConnection({ ...options, ...deviceInfo });
@@ -235,6 +322,8 @@ export class DynamixelController extends EventEmitter {
       return 'serial';
     } else if (this.connection instanceof U2D2Connection) {
       return 'usb';
+    } else if (this.connection instanceof SimulatedConnection) {
+      return 'simulated';
     }
     return 'unknown';
   }
@@ -244,7 +333,7 @@ export class DynamixelController extends EventEmitter {
    */
   async disconnect() {
     await this.connection.disconnect();
-    this.devices.clear();
+    this.clearDevices();
   }
 
   /**
@@ -255,7 +344,11 @@ export class DynamixelController extends EventEmitter {
    */
   async ping(id, timeout = null) {
     if (!this.isConnected) {
-      throw new Error('Controller not connected. Call connect() first.');
+      throw new DynamixelNotConnectedError('Controller not connected. Call connect() first.');
+    }
+
+    if (this.protocolVersion === 1) {
+      return await new DynamixelDevice(id, this.connection, { protocolVersion: 1 }).ping(timeout);
     }
 
     return await this.connection.ping(id, timeout);
@@ -263,27 +356,94 @@ export class DynamixelController extends EventEmitter {
 
   /**
    * Discover all DYNAMIXEL devices on the bus
+   * With `mode: 'broadcast'` one broadcast PING enumerates the bus (see broadcastPing());
+   * otherwise IDs are pinged one by one.
    * @param {Object} options - Discovery options
+   * @param {'sequential'|'broadcast'} [options.mode='sequential'] - Discovery method
    * @returns {Promise<DeviceInfo[]>} - Array of discovered devices
    */
   async discoverDevices(options = {}) {
     if (!this.isConnected) {
-      throw new Error('Controller not connected. Call connect() first.');
+      throw new DynamixelNotConnectedError('Controller not connected. Call connect() first.');
     }
 
-    const devices = await this.connection.discoverDevices(options);
+    let devices;
+    if (options.mode === 'broadcast') {
+      devices = await this.collectBroadcastPing(options);
+    } else {
+      devices = this.protocolVersion === 1
+        ? await this.discoverProtocol1Devices(options)
+        : await this.connection.discoverDevices(options);
+    }
 
     // Create DynamixelDevice instances for discovered devices
-    this.devices.clear();
+    this.clearDevices();
     for (const deviceInfo of devices) {
-      const device = new DynamixelDevice(deviceInfo.id, this.connection, deviceInfo);
-      this.devices.set(deviceInfo.id, device);
+      const device = new DynamixelDevice(deviceInfo.id, this.connection, { protocolVersion: this.protocolVersion, ...deviceInfo });
+      this.registerDevice(device);
+
+      // Devices sharing an ID would otherwise show up as one flaky device
+      if (this.connection.sendAndCollectResponses) {
+        await this.checkDuplicateId(deviceInfo.id, { timeout: options.timeout });
+      }
+
+      // Writes only wait for status packets the device actually sends, and calculated
+      // timeouts allow for the device's Return Delay Time
+      try {
+        await device.refreshStatusReturnLevel(options.timeout);
+        if (device.statusReturnLevel >= 1) {
+          await device.refreshReturnDelayTime(options.timeout);
+        }
+      } catch (_error) {
+        // Keep the defaults (all instructions answered, factory Return Delay Time)
+      }
+
+      // Mappings made by an earlier session stay on the device
+      if (device.indirectLayout && device.statusReturnLevel >= 1) {
+        try {
+          await device.loadIndirectMappings(options.timeout);
+        } catch (_error) {
+          // Leave indirectMappings empty
+        }
+      }
     }
 
     this.emit('discoveryComplete', devices);
     return devices;
   }
 
+  /**
+   * Ping IDs one by one with Protocol 1.0 (the transports' discovery speaks Protocol 2.0)
+   * @param {Object} options - Discovery options (same as the transport discoverDevices)
+   * @returns {Promise<DeviceInfo[]>} - Array of discovered devices
+   */
+  async discoverProtocol1Devices(options = {}) {
+    const { range = 'quick', timeout = null, onProgress } = options;
+    const devices = [];
+
+    const startId = 1;
+    const endId = range === 'quick' ? 20 : 252;
+
+    const pingTimeout = this.getScanTimeout(Protocol1.createPingPacket(startId), timeout);
+
+    for (let id = startId; id <= endId; id++) {
+      try {
+        const response = await new DynamixelDevice(id, this.connection, { protocolVersion: 1 }).ping(pingTimeout);
+        devices.push({ ...response, modelName: DynamixelController.getModelName(response.modelNumber), protocolVersion: 1 });
+
+        if (onProgress) {
+          onProgress({ id, found: true, total: endId - startId + 1, current: id - startId + 1 });
+        }
+      } catch (_error) {
+        if (onProgress) {
+          onProgress({ id, found: false, total: endId - startId + 1, current: id - startId + 1 });
+        }
+      }
+    }
+
+    return devices;
+  }
+
   /**
    * Get a specific DYNAMIXEL device by ID
    * @param {number} id - DYNAMIXEL ID
@@ -312,22 +472,226 @@ export class DynamixelController extends EventEmitter {
   /**
    * Add a device manually (if you know its ID and info)
    * @param {number} id - DYNAMIXEL ID
-   * @param {Object} deviceInfo - Device information
+   * @param {Object} deviceInfo - Device information (`protocolVersion` overrides the controller default)
    * @returns {DynamixelDevice} - Created device instance
+   * @example
+   * const ax12 = controller.addDevice(3, { protocolVersion: 1 });
    */
   addDevice(id, deviceInfo = {}) {
-    const device = new DynamixelDevice(id, this.connection, deviceInfo);
-    this.devices.set(id, device);
+    const device = new DynamixelDevice(id, this.connection, { protocolVersion: this.protocolVersion, ...deviceInfo });
+    this.registerDevice(device);
     return device;
   }
 
+  /**
+   * Track a device under its ID, following later changeId() calls
+   * A device registered earlier under the same ID is released.
+   * @param {DynamixelDevice} device - Device instance
+   */
+  registerDevice(device) {
+    this.setDevice(device.id, device);
+    if (this.deviceListeners.has(device)) {
+      return;
+    }
+
+    const listeners = {
+      idChanged: ({ oldId, newId }) => {
+        if (this.devices.get(oldId) === device) {
+          this.devices.delete(oldId);
+        }
+        this.setDevice(newId, device);
+      },
+      error: (error) => this.trackDeviceError(device, error)
+    };
+    for (const [event, listener] of Object.entries(listeners)) {
+      device.on(event, listener);
+    }
+    this.deviceListeners.set(device, listeners);
+  }
+
+  /**
+   * Put a device at an ID in the device map, releasing the device it replaces
+   * @param {number} id - DYNAMIXEL ID
+   * @param {DynamixelDevice} device - Device instance
+   */
+  setDevice(id, device) {
+    const previous = this.devices.get(id);
+    if (previous && previous !== device) {
+      this.releaseDevice(previous);
+    }
+    this.devices.set(id, device);
+  }
+
+  /**
+   * Remove the listeners registerDevice() added to a device
+   * @param {DynamixelDevice} device - Device instance
+   */
+  releaseDevice(device) {
+    const listeners = this.deviceListeners.get(device);
+    if (!listeners) {
+      return;
+    }
+    for (const [event, listener] of Object.entries(listeners)) {
+      device.removeListener(event, listener);
+    }
+    this.deviceListeners.delete(device);
+  }
+
+  /**
+   * Drop every device, releasing their listeners
+   */
+  clearDevices() {
+    for (const device of this.devices.values()) {
+      this.releaseDevice(device);
+    }
+    this.devices.clear();
+  }
+
+  /**
+   * Count corrupted replies of a device and check its ID once they repeat
+   * Errors are still thrown to the caller; this only watches for colliding replies.
+   * @param {DynamixelDevice} device - Device that reported the error
+   * @param {Error} error - Error from a device operation
+   */
+  trackDeviceError(device, error) {
+    if (!(error instanceof DynamixelCrcError)) {
+      return;
+    }
+
+    const failures = (this.crcFailures.get(device.id) || 0) + 1;
+    if (failures < DUPLICATE_ID_OPERATION_CRC_FAILURES) {
+      this.crcFailures.set(device.id, failures);
+      return;
+    }
+
+    this.crcFailures.delete(device.id);
+    this.checkDuplicateId(device.id).catch(() => {
+      // The next failures trigger another check
+    });
+  }
+
+  /**
+   * Check whether several devices answer at one ID
+   * Each attempt pings the ID and collects every reply in the response window. More than one
+   * reply to a single PING, or corrupted replies on repeated attempts, mean that status
+   * packets of devices sharing the ID collide. Emits `duplicateId` with the report when found.
+   * @param {number} id - DYNAMIXEL ID
+   * @param {Object} [options={}] - Check options
+   * @param {number} [options.attempts=2] - PINGs to send
+   * @param {number} [options.timeout] - Collection window per PING in milliseconds (calculated when omitted)
+   * @returns {Promise<DuplicateIdReport>} - Check result
+   */
+  async checkDuplicateId(id, options = {}) {
+    const { attempts = 2, timeout = null } = options;
+
+    if (!this.isConnected) {
+      throw new DynamixelNotConnectedError('Controller not connected. Call connect() first.');
+    }
+    this.validateGroupIds([id]);
+
+    const codec = this.protocolVersion === 1 ? Protocol1 : Protocol2;
+    const packet = codec.createPingPacket(id);
+    const window = this.getScanTimeout(packet, timeout);
+    let replies = 0;
+    let crcErrors = 0;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const responses = await this.connection.sendAndCollectResponses(packet, window);
+      let answers = 0;
+
+      for (const response of responses) {
+        if (!Buffer.isBuffer(response)) {
+          answers += response.id === id ? 1 : 0;
+          continue;
+        }
+        try {
+          answers += PacketFraming.getProtocol(response).parseStatusPacket(response)?.id === id ? 1 : 0;
+        } catch (_error) {
+          crcErrors++;
+        }
+      }
+
+      replies = Math.max(replies, answers);
+    }
+
+    const report = { id, duplicate: replies > 1 || crcErrors >= DUPLICATE_ID_CRC_FAILURES, replies, crcErrors };
+    if (report.duplicate) {
+      this.emit('duplicateId', report);
+    }
+    return report;
+  }
+
+  /**
+   * Create a group of registered devices addressed through a shared Secondary ID
+   * Call assign() on the group to write the Secondary ID to its members.
+   * @param {number} groupId - Group (Secondary) ID, not used as a device ID
+   * @param {number[]} [ids] - Member device IDs (default: every registered device)
+   * @returns {DeviceGroup} - Created group
+   * @throws {Error} - When a member is unknown or the group ID belongs to a device
+   * @example
+   * const leftLegs = controller.createGroup(100, [1, 3, 5]);
+   * await leftLegs.assign();
+   * await leftLegs.set('goalPosition', 2048);
+   */
+  createGroup(groupId, ids = Array.from(this.devices.keys())) {
+    this.validateGroupIds(ids);
+    if (this.devices.has(groupId)) {
+      throw new Error(`Cannot use group ID ${groupId}: it is the ID of device ${groupId}`);
+    }
+
+    const devices = ids.map(id => {
+      const device = this.getDevice(id);
+      if (!device) {
+        throw new Error(`Device ${id} not found. Discover or add it first.`);
+      }
+      return device;
+    });
+
+    const group = new DeviceGroup(groupId, this.connection, devices);
+    this.groups.set(groupId, group);
+    return group;
+  }
+
+  /**
+   * Rebuild a group from the Secondary IDs stored on the registered devices
+   * Devices without a Secondary ID item (Protocol 1.0, XL-320) are skipped.
+   * @param {number} groupId - Group (Secondary) ID
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<DeviceGroup>} - Group of the devices that hold the group ID
+   */
+  async loadGroup(groupId, timeout = null) {
+    const ids = [];
+    for (const device of this.devices.values()) {
+      if (device.protocolVersion === 2 && device.controlTable.secondaryId &&
+          await device.get('secondaryId', timeout) === groupId) {
+        ids.push(device.id);
+      }
+    }
+
+    if (ids.length === 0) {
+      throw new Error(`No registered device holds secondary ID ${groupId}`);
+    }
+    return this.createGroup(groupId, ids);
+  }
+
+  /**
+   * Get a group created by createGroup() or loadGroup()
+   * @param {number} groupId - Group (Secondary) ID
+   * @returns {DeviceGroup|null} - Group or null if not found
+   */
+  getGroup(groupId) {
+    return this.groups.get(groupId) || null;
+  }
+
   /**
    * Set the baud rate for communication
    * @param {number} baudRate - Baud rate (e.g., 57600, 115200, 1000000)
+   * @returns {Promise<boolean>} - Resolves once the connection runs at the new rate, or false if it
+   * cannot change the rate of the open link (U2D2 over USB, connected Web Serial)
    */
   setBaudRate(baudRate) {
     if (this.connection && this.connection.setBaudRate) {
-      this.connection.setBaudRate(baudRate);
+      return this.connection.setBaudRate(baudRate);
     } else {
       throw new Error('Connection does not support baud rate setting');
     }
@@ -344,12 +708,27 @@ export class DynamixelController extends EventEmitter {
     return null;
   }
 
+  /**
+   * Get the response timeout of each PING of a scan (see ResponseTiming.getScanTimeout())
+   * @param {Buffer} packet - PING packet of the first ID
+   * @param {number|null} [timeout=null] - Explicit timeout in milliseconds
+   * @param {number} [baudRate] - Baud rate the scan runs at (defaults to the current rate)
+   * @returns {number|null} - Timeout in milliseconds, or null to use the connection's own
+   */
+  getScanTimeout(packet, timeout = null, baudRate = this.getBaudRate()) {
+    return this.connection.responseTiming?.getScanTimeout(packet, baudRate, timeout) ?? (timeout || null);
+  }
+
   /**
    * Remove a device from the controller
    * @param {number} id - DYNAMIXEL ID
    * @returns {boolean} - Success status
    */
   removeDevice(id) {
+    const device = this.devices.get(id);
+    if (device) {
+      this.releaseDevice(device);
+    }
     return this.devices.delete(id);
   }
 
@@ -370,37 +749,605 @@ export class DynamixelController extends EventEmitter {
   }
 
   /**
-   * Broadcast ping to all devices
-   * @param {number} timeout - Timeout in milliseconds
-   * @returns {Promise<DeviceInfo[]>} - Array of responses
+   * Disable torque on every device on the bus
+   * Sent as a broadcast WRITE that jumps ahead of all queued transactions. Both protocols
+   * get a packet when the bus has Protocol 1.0 and 2.0 devices.
+   * @returns {Promise<boolean>} - True once the packets have been sent
+   * @throws {Error} - When not connected
+   */
+  async emergencyStop() {
+    if (!this.isConnected) {
+      throw new DynamixelNotConnectedError('Controller not connected. Call connect() first.');
+    }
+
+    const versions = new Set([this.protocolVersion]);
+    for (const device of this.devices.values()) {
+      versions.add(device.protocolVersion);
+    }
+
+    const options = { priority: TRANSACTION_PRIORITY.EMERGENCY };
+    await Promise.all(Array.from(versions).map(version => {
+      const packet = version === 1
+        ? Protocol1.createWritePacket(BROADCAST_ID, PROTOCOL1_CONTROL_TABLE.TORQUE_ENABLE, [0])
+        : Protocol2.createWritePacket(BROADCAST_ID, CONTROL_TABLE.TORQUE_ENABLE, [0]);
+      return this.connection.send(packet, options);
+    }));
+
+    return true;
+  }
+
+  /**
+   * Execute registered writes (ACTION)
+   * A broadcast ACTION starts every device holding a registered write at the same instant;
+   * devices without one ignore it. With a list of IDs, each device gets its own ACTION
+   * one after another.
+   * @param {number[]|'broadcast'} [ids='broadcast'] - Device IDs, or 'broadcast'
+   * @param {number} [timeout=null] - Timeout in milliseconds per device (unicast only)
+   * @returns {Promise<boolean|Map<number, {id: number, error: Error|null}>>} - True once a broadcast is sent,
+   *   or per-device results keyed by ID
+   * @throws {Error} - When not connected or the ID list is invalid
+   * @example
+   * await controller.getDevice(1).registerWrite(CONTROL_TABLE.GOAL_POSITION, Protocol2.encodeValue(1024, 4));
+   * await controller.getDevice(2).registerWrite(CONTROL_TABLE.GOAL_POSITION, Protocol2.encodeValue(3072, 4));
+   * await controller.action();
+   */
+  async action(ids = 'broadcast', timeout = null) {
+    if (!this.isConnected) {
+      throw new DynamixelNotConnectedError('Controller not connected. Call connect() first.');
+    }
+
+    if (ids === 'broadcast') {
+      const versions = new Set([this.protocolVersion]);
+      for (const device of this.devices.values()) {
+        versions.add(device.protocolVersion);
+      }
+
+      await Promise.all(Array.from(versions).map(version => {
+        const codec = version === 1 ? Protocol1 : Protocol2;
+        return this.connection.send(codec.createActionPacket(BROADCAST_ID));
+      }));
+
+      return true;
+    }
+
+    this.validateGroupIds(ids);
+
+    const results = new Map();
+    for (const id of ids) {
+      const device = this.devices.get(id) || new DynamixelDevice(id, this.connection, { protocolVersion: this.protocolVersion });
+      try {
+        await device.action(timeout);
+        results.set(id, { id, error: null });
+      } catch (error) {
+        results.set(id, { id, error });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Enumerate the bus with one broadcast PING and register the responders as devices
+   * Protocol 2.0 devices answer a broadcast PING in ID order, each in its own time slot. The
+   * collection window covers the slots up to `endId` (plus Return Delay Times and adapter
+   * latency); IDs above it still answer, so `endId` should cover every ID on the bus. If a
+   * reply is corrupted (collision or CRC error) the range is pinged one ID at a time instead.
+   * @param {Object|number} [options={}] - Options, or the collection window in milliseconds
+   * @param {number} [options.startId=0] - Lowest ID to report
+   * @param {number} [options.endId=252] - Highest ID to report and wait for
+   * @param {number} [options.timeout] - Collection window in milliseconds (calculated when omitted)
+   * @returns {Promise<DeviceInfo[]>} - Responding devices in ID order
+   */
+  async broadcastPing(options = {}) {
+    const settings = typeof options === 'number' ? { timeout: options } : options;
+    return await this.discoverDevices({ ...settings, mode: 'broadcast' });
+  }
+
+  /**
+   * Collect the replies to a broadcast PING, falling back to sequential pings on collisions
+   * Overlapping replies show up as unreadable packets or as bytes that never form a packet
+   * (`noise`), whichever ID they carry, so either one triggers the fallback.
+   * @param {Object} options - broadcastPing() options
+   * @returns {Promise<DeviceInfo[]>} - Responding devices in ID order
+   */
+  async collectBroadcastPing(options = {}) {
+    const { startId = 0, endId = 252, timeout = null } = options;
+
+    this.requireProtocol2('Broadcast ping');
+    if (!Number.isInteger(startId) || !Number.isInteger(endId) || startId < 0 || endId > 252 || startId > endId) {
+      throw new Error(`Invalid ID range ${startId}-${endId}. Must be within 0-252.`);
+    }
+
+    const ids = Array.from({ length: endId - startId + 1 }, (_, index) => startId + index);
+    const window = timeout || this.connection.responseTiming?.getBroadcastPingTimeout(this.getBaudRate(), endId) || null;
+
+    let garbled = false;
+    const onNoise = () => {
+      garbled = true;
+    };
+    const onPacket = (packet) => {
+      if (!Buffer.isBuffer(packet)) {
+        return;
+      }
+      try {
+        garbled = garbled || !Protocol2.parseStatusPacket(packet);
+      } catch (_error) {
+        garbled = true;
+      }
+    };
+    const listeners = { packet: onPacket, noise: onNoise, badPacket: onNoise };
+    Object.entries(listeners).forEach(([event, listener]) => this.connection.on(event, listener));
+
+    let responses;
+    try {
+      responses = await this.connection.sendAndWaitForResponses(Protocol2.createPingPacket(BROADCAST_ID), ids, window);
+    } finally {
+      Object.entries(listeners).forEach(([event, listener]) => this.connection.removeListener(event, listener));
+    }
+    if (garbled) {
+      return await this.pingRange(startId, endId);
+    }
+
+    // Responses are de-duplicated by ID; an unreadable reply means slots overlapped
+    const devices = [];
+    for (const id of ids) {
+      if (!responses.has(id)) {
+        continue;
+      }
+
+      const response = responses.get(id);
+      let deviceInfo = null;
+      try {
+        deviceInfo = Protocol2.parsePingResponse(Buffer.isBuffer(response) ? Protocol2.parseStatusPacket(response) : response);
+      } catch (_error) {
+        // CRC mismatch
+      }
+      if (!deviceInfo) {
+        return await this.pingRange(startId, endId);
+      }
+      devices.push(deviceInfo);
+    }
+
+    return devices;
+  }
+
+  /**
+   * Ping a range of IDs one at a time (Protocol 2.0)
+   * @param {number} startId - First ID
+   * @param {number} endId - Last ID
+   * @returns {Promise<DeviceInfo[]>} - Responding devices in ID order
+   */
+  async pingRange(startId, endId) {
+    const devices = [];
+    const pingTimeout = this.getScanTimeout(Protocol2.createPingPacket(startId));
+
+    for (let id = startId; id <= endId; id++) {
+      try {
+        const deviceInfo = await this.connection.ping(id, pingTimeout);
+        devices.push({ ...deviceInfo, id });
+      } catch (_error) {
+        // No device at this ID
+      }
+    }
+
+    return devices;
+  }
+
+  /**
+   * Read the same control table region from several devices with a single SYNC READ
+   * @param {number[]} ids - Device IDs to read from
+   * @param {number} address - Starting control table address
+   * @param {number} length - Number of bytes to read from each device
+   * @param {number} timeout - Timeout in milliseconds for the whole exchange
+   * @returns {Promise<Map<number, GroupReadResult>>} - Per-device results keyed by ID
+   * @throws {Error} - When not connected or the ID list is invalid
+   * @example
+   * const results = await controller.syncRead([1, 2, 3], CONTROL_TABLE.PRESENT_POSITION, 4);
+   * for (const [id, result] of results) {
+   *   console.log(id, result.error ? result.error.message : result.value);
+   * }
    */
-  async broadcastPing(timeout = 1000) {
+  async syncRead(ids, address, length, timeout = null) {
     if (!this.isConnected) {
-      throw new Error('Controller not connected. Call connect() first.');
+      throw new DynamixelNotConnectedError('Controller not connected. Call connect() first.');
     }
 
-    // Note: Broadcast ping typically doesn't get responses due to collision
-    // This method is provided for completeness but discovery is preferred
-    const packet = Protocol2.createPingPacket(0xFE); // Broadcast ID
+    this.requireProtocol2('Sync Read');
+
+    this.validateGroupIds(ids);
+
+    const packet = Protocol2.createSyncReadPacket(address, length, ids);
+    const responses = await this.connection.sendAndWaitForResponses(packet, ids, timeout);
+
+    const results = new Map();
+    for (const id of ids) {
+      results.set(id, this.createGroupReadResult({ id, address, length }, responses.get(id)));
+    }
+
+    return results;
+  }
+
+  /**
+   * Write the same control table region on several devices with a single SYNC WRITE
+   * Devices do not reply to SYNC WRITE, so this resolves once the packet is sent
+   * @param {number} address - Starting control table address
+   * @param {number} length - Number of bytes written to each device
+   * @param {Object<number, number|Array|Buffer>|Map<number, number|Array|Buffer>} values - Value (or raw bytes) per device ID
+   * @returns {Promise<boolean>} - Success status
+   * @throws {Error} - When not connected or the values are invalid
+   * @example
+   * await controller.syncWrite(CONTROL_TABLE.GOAL_POSITION, 4, { 1: 1024, 2: 2048, 3: 3072 });
+   */
+  async syncWrite(address, length, values) {
+    if (!this.isConnected) {
+      throw new DynamixelNotConnectedError('Controller not connected. Call connect() first.');
+    }
+
+    if (!values || typeof values !== 'object') {
+      throw new Error('Sync write values must be an object of ID to value');
+    }
+
+    const entries = Array.from(values instanceof Map ? values.entries() : Object.entries(values))
+      .map(([id, value]) => ({
+        id: Number(id),
+        data: typeof value === 'number' ? Protocol2.encodeValue(value, length) : value
+      }));
+
+    this.validateGroupIds(entries.map(entry => entry.id));
+
+    const codec = this.protocolVersion === 1 ? Protocol1 : Protocol2;
+    const packet = codec.createSyncWritePacket(address, length, entries);
     await this.connection.send(packet);
 
-    // Wait for any responses (may get multiple or none due to collision)
-    return new Promise((resolve) => {
-      const responses = [];
-      const _timeoutHandle = setTimeout(() => {
-        this.connection.removeListener('packet', onPacket);
-        resolve(responses);
-      }, timeout);
-
-      const onPacket = (packet) => {
-        const deviceInfo = Protocol2.parsePingResponse(packet);
-        if (deviceInfo) {
-          responses.push(deviceInfo);
-        }
-      };
+    return true;
+  }
+
+  /**
+   * Read a different control table region from each device with a single BULK READ
+   * Useful on mixed-model buses where registers live at different addresses
+   * @param {Array<{id: number, address: number, length: number}>} requests - Per-device read requests (one per ID)
+   * @param {number} timeout - Timeout in milliseconds for the whole exchange
+   * @returns {Promise<Map<number, GroupReadResult>>} - Per-device results keyed by ID
+   * @throws {Error} - When not connected or the requests are invalid
+   * @example
+   * const results = await controller.bulkRead([
+   *   { id: 1, address: CONTROL_TABLE.PRESENT_POSITION, length: 4 },
+   *   { id: 5, address: CONTROL_TABLE.PRESENT_TEMPERATURE, length: 1 }
+   * ]);
+   */
+  async bulkRead(requests, timeout = null) {
+    if (!this.isConnected) {
+      throw new DynamixelNotConnectedError('Controller not connected. Call connect() first.');
+    }
+
+    this.requireProtocol2('Bulk Read');
+
+    if (!Array.isArray(requests)) {
+      throw new Error('Bulk read requests must be an array');
+    }
+
+    const ids = requests.map(request => request.id);
+    this.validateGroupIds(ids);
+
+    for (const request of requests) {
+      if (!Number.isInteger(request.length) || request.length <= 0) {
+        throw new Error(`Invalid bulk read length ${request.length} for ID ${request.id}`);
+      }
+    }
+
+    const packet = Protocol2.createBulkReadPacket(requests);
+    const responses = await this.connection.sendAndWaitForResponses(packet, ids, timeout);
+
+    const results = new Map();
+    for (const request of requests) {
+      results.set(request.id, this.createGroupReadResult(request, responses.get(request.id)));
+    }
+
+    return results;
+  }
+
+  /**
+   * Write a different control table region on each device with a single BULK WRITE
+   * Devices do not reply to BULK WRITE, so this resolves once the packet is sent
+   * @param {Array<{id: number, address: number, data: number|Array|Buffer, length?: number}>} requests - Per-device writes (one per ID); numeric data needs a byte `length`
+   * @returns {Promise<boolean>} - Success status
+   * @throws {Error} - When not connected or the requests are invalid
+   * @example
+   * await controller.bulkWrite([
+   *   { id: 1, address: CONTROL_TABLE.GOAL_POSITION, data: 2048, length: 4 },
+   *   { id: 5, address: CONTROL_TABLE.LED, data: [1] }
+   * ]);
+   */
+  async bulkWrite(requests) {
+    if (!this.isConnected) {
+      throw new DynamixelNotConnectedError('Controller not connected. Call connect() first.');
+    }
+
+    this.requireProtocol2('Bulk Write');
+
+    if (!Array.isArray(requests)) {
+      throw new Error('Bulk write requests must be an array');
+    }
+
+    this.validateGroupIds(requests.map(request => request.id));
+
+    const entries = requests.map((request) => {
+      if (typeof request.data !== 'number') {
+        return request;
+      }
+
+      if (!Number.isInteger(request.length) || request.length <= 0) {
+        throw new Error(`Bulk write for ID ${request.id} needs a byte length for numeric data`);
+      }
+
+      return { ...request, data: Protocol2.encodeValue(request.data, request.length) };
+    });
+
+    const packet = Protocol2.createBulkWritePacket(entries);
+    await this.connection.send(packet);
+
+    return true;
+  }
+
+  /**
+   * Read the same control table region from several devices with a single FAST SYNC READ
+   * All devices answer in one combined status packet, which removes the per-device
+   * packet overhead of SYNC READ and allows much higher polling rates
+   * @param {number[]} ids - Device IDs to read from
+   * @param {number} address - Starting control table address
+   * @param {number} length - Number of bytes to read from each device
+   * @param {number} timeout - Timeout in milliseconds for the whole exchange
+   * @returns {Promise<Map<number, GroupReadResult>>} - Per-device results keyed by ID
+   * @throws {Error} - When not connected or the ID list is invalid
+   * @example
+   * const results = await controller.fastSyncRead([1, 2, 3, 4], CONTROL_TABLE.PRESENT_POSITION, 4);
+   */
+  async fastSyncRead(ids, address, length, timeout = null) {
+    if (!this.isConnected) {
+      throw new DynamixelNotConnectedError('Controller not connected. Call connect() first.');
+    }
+
+    this.requireProtocol2('Fast Sync Read');
+
+    this.validateGroupIds(ids);
+
+    const packet = Protocol2.createFastSyncReadPacket(address, length, ids);
+    return await this.fastGroupRead(packet, ids.map(id => ({ id, address, length })), timeout);
+  }
+
+  /**
+   * Read a different control table region from each device with a single FAST BULK READ
+   * @param {Array<{id: number, address: number, length: number}>} requests - Per-device read requests (one per ID)
+   * @param {number} timeout - Timeout in milliseconds for the whole exchange
+   * @returns {Promise<Map<number, GroupReadResult>>} - Per-device results keyed by ID
+   * @throws {Error} - When not connected or the requests are invalid
+   */
+  async fastBulkRead(requests, timeout = null) {
+    if (!this.isConnected) {
+      throw new DynamixelNotConnectedError('Controller not connected. Call connect() first.');
+    }
+
+    this.requireProtocol2('Fast Bulk Read');
+
+    if (!Array.isArray(requests)) {
+      throw new Error('Bulk read requests must be an array');
+    }
+
+    this.validateGroupIds(requests.map(request => request.id));
+
+    for (const request of requests) {
+      if (!Number.isInteger(request.length) || request.length <= 0) {
+        throw new Error(`Invalid bulk read length ${request.length} for ID ${request.id}`);
+      }
+    }
+
+    const packet = Protocol2.createFastBulkReadPacket(requests);
+    return await this.fastGroupRead(packet, requests, timeout);
+  }
+
+  /**
+   * Send a fast group read and split the combined status packet into per-device results
+   * If the combined packet never completes (e.g. a device is missing), every device
+   * reports the timeout error
+   * @param {Buffer} packet - FAST SYNC READ or FAST BULK READ instruction packet
+   * @param {Array<{id: number, address: number, length: number}>} requests - Read requests in packet order
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<Map<number, GroupReadResult>>} - Per-device results keyed by ID
+   */
+  async fastGroupRead(packet, requests, timeout) {
+    let blocks = [];
+    let failure = null;
+
+    try {
+      const response = await this.connection.sendAndWaitForResponse(packet, BROADCAST_ID, timeout);
+      const raw = Buffer.isBuffer(response) ? response : response.raw;
+      blocks = Protocol2.parseFastStatusPacket(raw, requests.map(request => request.length)) || [];
+    } catch (error) {
+      failure = error;
+    }
+
+    const results = new Map();
+    requests.forEach((request, index) => {
+      const block = blocks[index];
+
+      if (failure) {
+        const { id, address, length } = request;
+        results.set(id, { id, address, length, data: null, value: null, error: failure });
+      } else if (block && block.crcValid && block.id !== request.id) {
+        const { id, address, length } = request;
+        const error = new DynamixelError(`Unexpected device ID ${block.id} in fast read block for device ${id}`, { id });
+        results.set(id, { id, address, length, data: null, value: null, error });
+      } else {
+        results.set(request.id, this.createGroupReadResult(request, block));
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Lay out registers back to back in the indirect data area of several devices
+   * Each device maps the registers, in the given order, onto one run of indirect slots, so
+   * readTelemetry() can fetch them all with one group read per cycle. When every block lands
+   * at the same address (devices with the same indirect layout) that is a SYNC READ,
+   * otherwise a BULK READ. Registers already mapped this way are kept, so planning again after
+   * discoverDevices() does not rewrite the devices. The plan becomes the default for
+   * readTelemetry().
+   * @param {Array<string|{address: number, size: number, type?: string, name?: string}>} registers - Item names, or addresses and sizes (see DynamixelDevice.mapIndirect())
+   * @param {number[]} [ids] - Device IDs (defaults to all registered devices)
+   * @param {number} [timeout=null] - Timeout in milliseconds for each mapping write
+   * @returns {Promise<TelemetryPlan>} - Per-device blocks and the read to use
+   * @throws {Error} - When not connected, a device is unknown or lacks indirect addressing, or its slots are full
+   * @example
+   * await controller.planTelemetry(['presentPosition', 'presentVelocity', 'presentTemperature'], [1, 2, 3]);
+   * const telemetry = await controller.readTelemetry();
+   * console.log(telemetry.get(1).values.presentPosition);
+   */
+  async planTelemetry(registers, ids = Array.from(this.devices.keys()), timeout = null) {
+    if (!this.isConnected) {
+      throw new DynamixelNotConnectedError('Controller not connected. Call connect() first.');
+    }
 
-      this.connection.on('packet', onPacket);
+    this.requireProtocol2('Telemetry');
+
+    this.validateGroupIds(ids);
+
+    const devices = ids.map(id => {
+      const device = this.getDevice(id);
+      if (!device) {
+        throw new Error(`Device ${id} not found. Discover or add it first.`);
+      }
+      return device;
     });
+
+    const blocks = new Map();
+    for (const device of devices) {
+      const block = await device.mapIndirectBlock(registers, timeout);
+      blocks.set(device.id, { id: device.id, ...block });
+    }
+
+    const [first] = blocks.values();
+    const sync = Array.from(blocks.values())
+      .every(block => block.address === first.address && block.length === first.length);
+
+    this.telemetryPlan = { ids: [...ids], blocks, sync };
+    return this.telemetryPlan;
+  }
+
+  /**
+   * Read every device's telemetry block with one group read and decode the registers
+   * A planned movingStatus register also goes to each device's updateMovingStatus(), so
+   * devices emit motion events as telemetry comes in.
+   * @param {TelemetryPlan} [plan] - Plan from planTelemetry() (defaults to the latest one)
+   * @param {number} [timeout=null] - Timeout in milliseconds for the whole exchange
+   * @returns {Promise<Map<number, TelemetryResult>>} - Per-device values keyed by ID
+   * @throws {Error} - When not connected or nothing is planned
+   */
+  async readTelemetry(plan = this.telemetryPlan, timeout = null) {
+    if (!plan) {
+      throw new Error('No telemetry planned. Call planTelemetry() first.');
+    }
+
+    const blocks = plan.ids.map(id => plan.blocks.get(id));
+    const results = plan.sync
+      ? await this.syncRead(plan.ids, blocks[0].address, blocks[0].length, timeout)
+      : await this.bulkRead(blocks.map(({ id, address, length }) => ({ id, address, length })), timeout);
+
+    const telemetry = new Map();
+    for (const block of blocks) {
+      const result = results.get(block.id);
+      // The device may have been removed or moved to another ID since planning
+      const device = this.getDevice(block.id);
+      const error = result.error ||
+        (device ? null : new DynamixelError(`Device ${block.id} not found. Discover or add it first.`, { id: block.id }));
+      const values = error
+        ? null
+        : device.decodeIndirectData(block.registers, result.data, block.registers[0].index);
+      if (values && values.movingStatus !== undefined) {
+        device.updateMovingStatus(values.movingStatus);
+      }
+      telemetry.set(block.id, { id: block.id, values, error });
+    }
+
+    return telemetry;
+  }
+
+  /**
+   * Reject operations that only exist in Protocol 2.0 when the bus speaks Protocol 1.0
+   * @param {string} operation - Operation name for the error message
+   * @throws {Error} - When the controller is configured for Protocol 1.0
+   */
+  requireProtocol2(operation) {
+    if (this.protocolVersion !== 2) {
+      throw new Error(`${operation} requires Protocol 2.0`);
+    }
+  }
+
+  /**
+   * Validate a list of device IDs for a group instruction
+   * @param {number[]} ids - Device IDs
+   * @throws {Error} - When the list is empty or contains an invalid ID
+   */
+  validateGroupIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new Error('Device IDs must be a non-empty array');
+    }
+
+    for (const id of ids) {
+      if (!Number.isInteger(id) || id < 0 || id > 252) {
+        throw new Error(`Invalid device ID ${id}. Must be 0-252.`);
+      }
+    }
+
+    if (new Set(ids).size !== ids.length) {
+      throw new Error('Device IDs must be unique');
+    }
+  }
+
+  /**
+   * Build the per-device result of a group read from its status packet
+   * @param {{id: number, address: number, length: number}} request - Read request for this device
+   * @param {Buffer|Object|undefined} response - Raw (or already parsed) status packet or fast read block, undefined if the device did not answer
+   * @returns {GroupReadResult} - Per-device result
+   */
+  createGroupReadResult(request, response) {
+    const { id, address, length } = request;
+    const result = { id, address, length, data: null, value: null, error: null };
+
+    if (response === undefined) {
+      result.error = new DynamixelTimeoutError(`Timeout waiting for response from device ${id}`, { id });
+      return result;
+    }
+
+    try {
+      const statusPacket = Buffer.isBuffer(response) ? Protocol2.parseStatusPacket(response) : response;
+      if (!statusPacket) {
+        throw new DynamixelError(`Invalid response from device ${id}`, { id });
+      }
+
+      // Blocks of a fast read response carry their own CRC
+      if (statusPacket.crcValid === false) {
+        throw new DynamixelCrcError(`CRC mismatch in fast read block for device ${id}`, { id });
+      }
+
+      // The Hardware Alert bit alone does not fail the read
+      const { code, alert } = Protocol2.decodeError(statusPacket.error);
+      if (code !== 0) {
+        const errorMsg = Protocol2.getErrorDescription(statusPacket.error);
+        throw new DynamixelStatusError(`Device ${id} error: ${errorMsg}`, { id, code, alert });
+      }
+
+      if (statusPacket.parameters.length !== length) {
+        throw new Error(`Device ${id} returned ${statusPacket.parameters.length} bytes, expected ${length}`);
+      }
+
+      result.data = Buffer.from(statusPacket.parameters);
+      result.value = length <= 4 ? Protocol2.decodeValue(result.data) : null;
+    } catch (error) {
+      result.error = error;
+    }
+
+    return result;
   }
 
   /**
@@ -412,7 +1359,6 @@ export class DynamixelController extends EventEmitter {
     return await this.discoverDevices({
       startId: 1,
       endId: 20, // Quick scan of first 20 IDs
-      timeout: 50,
       onProgress
     });
   }
@@ -426,11 +1372,153 @@ export class DynamixelController extends EventEmitter {
     return await this.discoverDevices({
       startId: 1,
       endId: 252,
-      timeout: 100,
       onProgress
     });
   }
 
+  /**
+   * Scan the bus at several baud rates and protocols
+   * Each baud rate is applied with setBaudRate() and every ID is pinged with each protocol;
+   * the original baud rate is restored afterwards, even if the scan fails. The connection
+   * must apply baud changes on an open port (serial and simulated connections do); the scan
+   * is refused up front when it cannot, and rejects if a switch or the restore fails.
+   * @param {Object} [options={}] - Scan options
+   * @param {number[]} [options.baudRates=BAUD_RATES] - Baud rates to try, in order
+   * @param {Array<1|2>} [options.protocols=[2]] - Protocols to ping with at each baud rate
+   * @param {number[]} [options.ids] - IDs to ping (default 0-252)
+   * @param {number} [options.timeout] - Ping timeout in milliseconds (calculated per baud rate when omitted)
+   * @param {function({baudRate: number, protocol: number, id: number, found: boolean}): void} [options.onProgress] - Called after each ping
+   * @returns {Promise<BusMapEntry[]>} - Responding devices in scan order
+   */
+  async scanBus(options = {}) {
+    const {
+      baudRates = BAUD_RATES,
+      protocols = [2],
+      ids = Array.from({ length: 253 }, (_, id) => id),
+      timeout = null,
+      onProgress
+    } = options;
+
+    if (!this.isConnected) {
+      throw new DynamixelNotConnectedError('Controller not connected. Call connect() first.');
+    }
+    if (!Array.isArray(baudRates) || baudRates.length === 0 || baudRates.some(rate => !(rate > 0))) {
+      throw new Error('Baud rates must be a non-empty array of positive numbers');
+    }
+    if (!Array.isArray(protocols) || protocols.length === 0 || protocols.some(protocol => protocol !== 1 && protocol !== 2)) {
+      throw new Error('Protocols must be a non-empty array of 1 and/or 2');
+    }
+    this.validateGroupIds(ids);
+
+    const originalBaudRate = this.getBaudRate();
+    if (this.connection.canChangeBaudRate?.() === false && baudRates.some(rate => rate !== originalBaudRate)) {
+      throw new Error('Connection cannot change the baud rate of an open port, so it cannot scan other baud rates');
+    }
+
+    const busMap = [];
+    let restored = true;
+
+    try {
+      for (const baudRate of baudRates) {
+        if (await this.setBaudRate(baudRate) === false) {
+          throw new DynamixelError(`Could not switch the connection to ${baudRate} bps`);
+        }
+
+        for (const protocol of protocols) {
+          const codec = protocol === 1 ? Protocol1 : Protocol2;
+          const pingTimeout = this.getScanTimeout(codec.createPingPacket(ids[0]), timeout, baudRate);
+
+          for (const id of ids) {
+            const device = new DynamixelDevice(id, this.connection, { protocolVersion: protocol });
+            let found = false;
+
+            try {
+              const deviceInfo = await device.ping(pingTimeout);
+              busMap.push({
+                baudRate,
+                protocol,
+                id,
+                model: device.modelName,
+                modelNumber: deviceInfo.modelNumber,
+                firmware: deviceInfo.firmwareVersion
+              });
+              found = true;
+            } catch (_error) {
+              // No device at this ID, baud rate and protocol
+            }
+
+            if (onProgress) {
+              onProgress({ baudRate, protocol, id, found });
+            }
+          }
+        }
+      }
+    } finally {
+      if (originalBaudRate !== null) {
+        restored = await this.setBaudRate(originalBaudRate) !== false;
+      }
+    }
+
+    // A failed scan already rejects with its own error
+    if (!restored) {
+      throw new DynamixelError(`Scan finished but the connection could not return to ${originalBaudRate} bps`);
+    }
+    return busMap;
+  }
+
+  /**
+   * Bring servos that share the factory default ID onto unique IDs, one at a time
+   * Connect one new servo before each step: onNext is awaited first, so it can prompt the
+   * user and resolve once the servo is plugged in. Each servo is then moved to its ID with
+   * changeId(), which refuses IDs that are already taken, and added to the controller.
+   * With `fromId` set to a duplicated ID this separates devices that share it: leave one of
+   * them connected per step, and the last one keeps the ID.
+   * @param {number[]} ids - New IDs, in the order the servos are connected
+   * @param {Object} [options={}] - Commissioning options
+   * @param {number} [options.fromId=1] - ID the servos arrive with
+   * @param {function({index: number, id: number, total: number}): (Promise<void>|void)} [options.onNext] - Called before each servo is looked for
+   * @param {number} [options.timeout] - Timeout in milliseconds
+   * @returns {Promise<DynamixelDevice[]>} - Commissioned devices, in order
+   * @throws {Error} - When no servo or several servos answer at the default ID, or a new ID is taken
+   */
+  async commission(ids, options = {}) {
+    const { fromId = FACTORY_DEFAULT_ID, onNext, timeout = null } = options;
+
+    if (!this.isConnected) {
+      throw new DynamixelNotConnectedError('Controller not connected. Call connect() first.');
+    }
+    this.validateGroupIds(ids);
+    if (ids.includes(fromId)) {
+      throw new Error(`Commissioning IDs must not include the default ID ${fromId}`);
+    }
+
+    const commissioned = [];
+
+    for (const [index, id] of ids.entries()) {
+      if (onNext) {
+        await onNext({ index, id, total: ids.length });
+      }
+
+      const device = new DynamixelDevice(fromId, this.connection, { protocolVersion: this.protocolVersion });
+      try {
+        await device.ping(timeout);
+      } catch (error) {
+        throw new DynamixelError(`No device answered at ID ${fromId} for commissioning ID ${id}: ${error.message}`, { id: fromId });
+      }
+
+      // A write to a shared ID would move every device at once
+      if ((await this.checkDuplicateId(fromId, { timeout })).duplicate) {
+        throw new Error(`Several devices answer at ID ${fromId}. Connect them one at a time.`);
+      }
+
+      await device.changeId(id, timeout);
+      this.registerDevice(device);
+      commissioned.push(device);
+    }
+
+    return commissioned;
+  }
+
   /**
    * Get device model name from model number
    * @param {number} modelNumber - Model number from device
@@ -0,0 +1,569 @@
+import { Protocol2 } from './Protocol2.js';
+
+/**
+ * @typedef {Object} ControlTableItem
+ * @property {number} address - Control table address
+ * @property {number} size - Size in bytes (1, 2 or 4)
+ * @property {'R'|'RW'} access - Access rights
+ * @property {'uint8'|'uint16'|'uint32'|'int16'|'int32'|'direction10'} type - Value encoding;
+ *   'direction10' is the Protocol 1.0 / XL-320 speed and load format (bit 10 set = CW, bits 0-9 magnitude)
+ * @property {'position'|'velocity'|'current'|'voltage'|'temperature'|'pwm'} [quantity] - Physical quantity for unit conversion
+ */
+
+/**
+ * @typedef {Object.<string, ControlTableItem>} ControlTable
+ */
+
+/**
+ * @typedef {Object} IndirectBank
+ * @property {number} address - Address of the first Indirect Address entry (2 bytes per entry)
+ * @property {number} data - Address of the first Indirect Data byte
+ * @property {number} entries - Number of entries
+ */
+
+/**
+ * @typedef {Object} IndirectLayout
+ * @property {IndirectBank[]} banks - Banks in slot order (slot numbers continue across banks)
+ * @property {number} min - Lowest address an Indirect Address entry may point at
+ * @property {number} max - Highest address an Indirect Address entry may point at
+ */
+
+/**
+ * @typedef {Object} ModelDefinition
+ * @property {number} modelNumber - Model number reported by PING
+ * @property {string} modelName - Model name
+ * @property {string} series - Series ('X', 'MX', 'XL-320', 'P', 'AX', ...)
+ * @property {1|2} protocolVersion - Protocol the control table belongs to
+ * @property {ControlTable} controlTable - Control table layout
+ * @property {IndirectLayout|null} [indirect] - Indirect address banks (null if the model has none)
+ */
+
+// Physical quantity of items that have a unit conversion (see DynamixelDevice units option)
+const ITEM_QUANTITIES = {
+  homingOffset: 'position',
+  goalPosition: 'position',
+  presentPosition: 'position',
+  positionTrajectory: 'position',
+  maxPositionLimit: 'position',
+  minPositionLimit: 'position',
+  velocityLimit: 'velocity',
+  goalVelocity: 'velocity',
+  profileVelocity: 'velocity',
+  presentVelocity: 'velocity',
+  velocityTrajectory: 'velocity',
+  movingSpeed: 'velocity',
+  currentLimit: 'current',
+  goalCurrent: 'current',
+  presentCurrent: 'current',
+  maxVoltageLimit: 'voltage',
+  minVoltageLimit: 'voltage',
+  presentInputVoltage: 'voltage',
+  temperatureLimit: 'temperature',
+  presentTemperature: 'temperature',
+  pwmLimit: 'pwm',
+  goalPWM: 'pwm',
+  presentPWM: 'pwm'
+};
+
+const UNSIGNED_TYPES = { 1: 'uint8', 2: 'uint16', 4: 'uint32' };
+
+/**
+ * Build control table items from [name, address, size, access, type] rows
+ * The type defaults to the unsigned type of the item size.
+ * @param {Array<Array>} rows - Item rows
+ * @returns {ControlTable} - Control table
+ */
+function table(rows) {
+  const items = {};
+  for (const [name, address, size, access, type = UNSIGNED_TYPES[size]] of rows) {
+    const item = { address, size, access, type };
+    if (ITEM_QUANTITIES[name]) {
+      item.quantity = ITEM_QUANTITIES[name];
+    }
+    items[name] = Object.freeze(item);
+  }
+  return items;
+}
+
+// X series and MX(2.0) without current sensing (XL430, XC430, 2XL430, 2XC430, MX-28(2.0))
+const X_SERIES = Object.freeze(table([
+  ['modelNumber', 0, 2, 'R'],
+  ['modelInformation', 2, 4, 'R'],
+  ['firmwareVersion', 6, 1, 'R'],
+  ['id', 7, 1, 'RW'],
+  ['baudRate', 8, 1, 'RW'],
+  ['returnDelayTime', 9, 1, 'RW'],
+  ['driveMode', 10, 1, 'RW'],
+  ['operatingMode', 11, 1, 'RW'],
+  ['secondaryId', 12, 1, 'RW'],
+  ['protocolType', 13, 1, 'RW'],
+  ['homingOffset', 20, 4, 'RW', 'int32'],
+  ['movingThreshold', 24, 4, 'RW'],
+  ['temperatureLimit', 31, 1, 'RW'],
+  ['maxVoltageLimit', 32, 2, 'RW'],
+  ['minVoltageLimit', 34, 2, 'RW'],
+  ['pwmLimit', 36, 2, 'RW'],
+  ['velocityLimit', 44, 4, 'RW'],
+  ['maxPositionLimit', 48, 4, 'RW'],
+  ['minPositionLimit', 52, 4, 'RW'],
+  ['shutdown', 63, 1, 'RW'],
+  ['torqueEnable', 64, 1, 'RW'],
+  ['led', 65, 1, 'RW'],
+  ['statusReturnLevel', 68, 1, 'RW'],
+  ['registeredInstruction', 69, 1, 'R'],
+  ['hardwareErrorStatus', 70, 1, 'R'],
+  ['velocityIGain', 76, 2, 'RW'],
+  ['velocityPGain', 78, 2, 'RW'],
+  ['positionDGain', 80, 2, 'RW'],
+  ['positionIGain', 82, 2, 'RW'],
+  ['positionPGain', 84, 2, 'RW'],
+  ['feedforward2ndGain', 88, 2, 'RW'],
+  ['feedforward1stGain', 90, 2, 'RW'],
+  ['busWatchdog', 98, 1, 'RW'],
+  ['goalPWM', 100, 2, 'RW', 'int16'],
+  ['goalVelocity', 104, 4, 'RW', 'int32'],
+  ['profileAcceleration', 108, 4, 'RW'],
+  ['profileVelocity', 112, 4, 'RW'],
+  ['goalPosition', 116, 4, 'RW', 'int32'],
+  ['realtimeTick', 120, 2, 'R'],
+  ['moving', 122, 1, 'R'],
+  ['movingStatus', 123, 1, 'R'],
+  ['presentPWM', 124, 2, 'R', 'int16'],
+  ['presentLoad', 126, 2, 'R', 'int16'],
+  ['presentVelocity', 128, 4, 'R', 'int32'],
+  ['presentPosition', 132, 4, 'R', 'int32'],
+  ['velocityTrajectory', 136, 4, 'R', 'int32'],
+  ['positionTrajectory', 140, 4, 'R', 'int32'],
+  ['presentInputVoltage', 144, 2, 'R'],
+  ['presentTemperature', 146, 1, 'R'],
+  ['backupReady', 147, 1, 'R']
+]));
+
+// X series and MX(2.0) with current sensing: Present Load becomes Present Current
+const { presentLoad: _presentLoad, ...X_SERIES_WITHOUT_LOAD } = X_SERIES;
+const X_SERIES_CURRENT = Object.freeze({
+  ...X_SERIES_WITHOUT_LOAD,
+  ...table([
+    ['currentLimit', 38, 2, 'RW'],
+    ['goalCurrent', 102, 2, 'RW', 'int16'],
+    ['presentCurrent', 126, 2, 'R', 'int16']
+  ])
+});
+
+const XL320 = Object.freeze(table([
+  ['modelNumber', 0, 2, 'R'],
+  ['firmwareVersion', 2, 1, 'R'],
+  ['id', 3, 1, 'RW'],
+  ['baudRate', 4, 1, 'RW'],
+  ['returnDelayTime', 5, 1, 'RW'],
+  ['cwAngleLimit', 6, 2, 'RW'],
+  ['ccwAngleLimit', 8, 2, 'RW'],
+  ['controlMode', 11, 1, 'RW'],
+  ['temperatureLimit', 12, 1, 'RW'],
+  ['minVoltageLimit', 13, 1, 'RW'],
+  ['maxVoltageLimit', 14, 1, 'RW'],
+  ['maxTorque', 15, 2, 'RW'],
+  ['statusReturnLevel', 17, 1, 'RW'],
+  ['shutdown', 18, 1, 'RW'],
+  ['torqueEnable', 24, 1, 'RW'],
+  ['led', 25, 1, 'RW'],
+  ['dGain', 27, 1, 'RW'],
+  ['iGain', 28, 1, 'RW'],
+  ['pGain', 29, 1, 'RW'],
+  ['goalPosition', 30, 2, 'RW'],
+  ['movingSpeed', 32, 2, 'RW', 'direction10'],
+  ['torqueLimit', 35, 2, 'RW'],
+  ['presentPosition', 37, 2, 'R'],
+  ['presentVelocity', 39, 2, 'R', 'direction10'],
+  ['presentLoad', 41, 2, 'R', 'direction10'],
+  ['presentInputVoltage', 45, 1, 'R'],
+  ['presentTemperature', 46, 1, 'R'],
+  ['registeredInstruction', 47, 1, 'R'],
+  ['moving', 49, 1, 'R'],
+  ['hardwareErrorStatus', 50, 1, 'R'],
+  ['punch', 51, 2, 'RW']
+]));
+
+// DYNAMIXEL-P (PH/PM, formerly PRO+): EEPROM like the X series, RAM starts at 512
+const P_SERIES = Object.freeze(table([
+  ['modelNumber', 0, 2, 'R'],
+  ['modelInformation', 2, 4, 'R'],
+  ['firmwareVersion', 6, 1, 'R'],
+  ['id', 7, 1, 'RW'],
+  ['baudRate', 8, 1, 'RW'],
+  ['returnDelayTime', 9, 1, 'RW'],
+  ['driveMode', 10, 1, 'RW'],
+  ['operatingMode', 11, 1, 'RW'],
+  ['secondaryId', 12, 1, 'RW'],
+  ['protocolType', 13, 1, 'RW'],
+  ['homingOffset', 20, 4, 'RW', 'int32'],
+  ['movingThreshold', 24, 4, 'RW'],
+  ['temperatureLimit', 31, 1, 'RW'],
+  ['maxVoltageLimit', 32, 2, 'RW'],
+  ['minVoltageLimit', 34, 2, 'RW'],
+  ['pwmLimit', 36, 2, 'RW'],
+  ['currentLimit', 38, 2, 'RW'],
+  ['accelerationLimit', 40, 4, 'RW'],
+  ['velocityLimit', 44, 4, 'RW'],
+  ['maxPositionLimit', 48, 4, 'RW', 'int32'],
+  ['minPositionLimit', 52, 4, 'RW', 'int32'],
+  ['externalPortMode1', 56, 1, 'RW'],
+  ['externalPortMode2', 57, 1, 'RW'],
+  ['externalPortMode3', 58, 1, 'RW'],
+  ['externalPortMode4', 59, 1, 'RW'],
+  ['shutdown', 63, 1, 'RW'],
+  ['torqueEnable', 512, 1, 'RW'],
+  ['ledRed', 513, 1, 'RW'],
+  ['ledGreen', 514, 1, 'RW'],
+  ['ledBlue', 515, 1, 'RW'],
+  ['statusReturnLevel', 516, 1, 'RW'],
+  ['registeredInstruction', 517, 1, 'R'],
+  ['hardwareErrorStatus', 518, 1, 'R'],
+  ['velocityIGain', 524, 2, 'RW'],
+  ['velocityPGain', 526, 2, 'RW'],
+  ['positionDGain', 528, 2, 'RW'],
+  ['positionIGain', 530, 2, 'RW'],
+  ['positionPGain', 532, 2, 'RW'],
+  ['feedforward2ndGain', 536, 2, 'RW'],
+  ['feedforward1stGain', 538, 2, 'RW'],
+  ['busWatchdog', 546, 1, 'RW'],
+  ['goalPWM', 548, 2, 'RW', 'int16'],
+  ['goalCurrent', 550, 2, 'RW', 'int16'],
+  ['goalVelocity', 552, 4, 'RW', 'int32'],
+  ['profileAcceleration', 556, 4, 'RW'],
+  ['profileVelocity', 560, 4, 'RW'],
+  ['goalPosition', 564, 4, 'RW', 'int32'],
+  ['realtimeTick', 568, 2, 'R'],
+  ['moving', 570, 1, 'R'],
+  ['movingStatus', 571, 1, 'R'],
+  ['presentPWM', 572, 2, 'R', 'int16'],
+  ['presentCurrent', 574, 2, 'R', 'int16'],
+  ['presentVelocity', 576, 4, 'R', 'int32'],
+  ['presentPosition', 580, 4, 'R', 'int32'],
+  ['velocityTrajectory', 584, 4, 'R', 'int32'],
+  ['positionTrajectory', 588, 4, 'R', 'int32'],
+  ['presentInputVoltage', 592, 2, 'R'],
+  ['presentTemperature', 594, 1, 'R']
+]));
+
+// Protocol 1.0 AX series (and the shared layout of all Protocol 1.0 models)
+const PROTOCOL1_COMMON = [
+  ['modelNumber', 0, 2, 'R'],
+  ['firmwareVersion', 2, 1, 'R'],
+  ['id', 3, 1, 'RW'],
+  ['baudRate', 4, 1, 'RW'],
+  ['returnDelayTime', 5, 1, 'RW'],
+  ['cwAngleLimit', 6, 2, 'RW'],
+  ['ccwAngleLimit', 8, 2, 'RW'],
+  ['temperatureLimit', 11, 1, 'RW'],
+  ['minVoltageLimit', 12, 1, 'RW'],
+  ['maxVoltageLimit', 13, 1, 'RW'],
+  ['maxTorque', 14, 2, 'RW'],
+  ['statusReturnLevel', 16, 1, 'RW'],
+  ['alarmLed', 17, 1, 'RW'],
+  ['shutdown', 18, 1, 'RW'],
+  ['torqueEnable', 24, 1, 'RW'],
+  ['led', 25, 1, 'RW'],
+  ['goalPosition', 30, 2, 'RW'],
+  ['movingSpeed', 32, 2, 'RW', 'direction10'],
+  ['torqueLimit', 34, 2, 'RW'],
+  ['presentPosition', 36, 2, 'R'],
+  ['presentVelocity', 38, 2, 'R', 'direction10'],
+  ['presentLoad', 40, 2, 'R', 'direction10'],
+  ['presentInputVoltage', 42, 1, 'R'],
+  ['presentTemperature', 43, 1, 'R'],
+  ['registeredInstruction', 44, 1, 'R'],
+  ['moving', 46, 1, 'R'],
+  ['lock', 47, 1, 'RW'],
+  ['punch', 48, 2, 'RW']
+];
+
+const AX_SERIES = Object.freeze(table([
+  ...PROTOCOL1_COMMON,
+  ['cwComplianceMargin', 26, 1, 'RW'],
+  ['ccwComplianceMargin', 27, 1, 'RW'],
+  ['cwComplianceSlope', 28, 1, 'RW'],
+  ['ccwComplianceSlope', 29, 1, 'RW']
+]));
+
+const MX_PROTOCOL1_ROWS = [
+  ...PROTOCOL1_COMMON,
+  ['multiTurnOffset', 20, 2, 'RW'],
+  ['resolutionDivider', 22, 1, 'RW'],
+  ['dGain', 26, 1, 'RW'],
+  ['iGain', 27, 1, 'RW'],
+  ['pGain', 28, 1, 'RW'],
+  ['goalAcceleration', 73, 1, 'RW']
+];
+
+const MX_PROTOCOL1 = Object.freeze(table(MX_PROTOCOL1_ROWS));
+
+// MX-64 / MX-106 (1.0) add current sensing and torque control
+const MX_PROTOCOL1_CURRENT = Object.freeze(table([
+  ...MX_PROTOCOL1_ROWS,
+  ['current', 68, 2, 'R'],
+  ['torqueControlModeEnable', 70, 1, 'RW'],
+  ['goalTorque', 71, 2, 'RW', 'direction10']
+]));
+
+// Indirect address banks of X430/X540 series and MX(2.0)
+const X_INDIRECT = Object.freeze({
+  banks: [{ address: 168, data: 224, entries: 28 }, { address: 578, data: 634, entries: 28 }],
+  min: 64,
+  max: 661
+});
+
+// Indirect address bank of X330 series
+const X330_INDIRECT = Object.freeze({
+  banks: [{ address: 168, data: 208, entries: 20 }],
+  min: 64,
+  max: 227
+});
+
+// Indirect address bank of DYNAMIXEL-P
+const P_INDIRECT = Object.freeze({
+  banks: [{ address: 168, data: 634, entries: 128 }],
+  min: 512,
+  max: 1023
+});
+
+const MODELS = new Map();
+
+/**
+ * Register built-in models that share a control table
+ * @param {string} series - Series name
+ * @param {1|2} protocolVersion - Protocol version
+ * @param {ControlTable} controlTable - Control table layout
+ * @param {Object.<number, string>} models - Model names by model number
+ * @param {IndirectLayout|null} [indirect=null] - Indirect address banks
+ */
+function registerSeries(series, protocolVersion, controlTable, models, indirect = null) {
+  for (const [modelNumber, modelName] of Object.entries(models)) {
+    MODELS.set(Number(modelNumber), Object.freeze({
+      modelNumber: Number(modelNumber),
+      modelName,
+      series,
+      protocolVersion,
+      controlTable,
+      indirect
+    }));
+  }
+}
+
+registerSeries('X', 2, X_SERIES, {
+  1060: 'XL430-W250',
+  1090: '2XL430-W250',
+  1070: 'XC430-W150',
+  1080: 'XC430-W240',
+  1160: '2XC430-W250'
+}, X_INDIRECT);
+
+registerSeries('X', 2, X_SERIES_CURRENT, {
+  1190: 'XL330-M077',
+  1200: 'XL330-M288',
+  1210: 'XC330-T181',
+  1220: 'XC330-T288',
+  1230: 'XC330-M181',
+  1240: 'XC330-M288'
+}, X330_INDIRECT);
+
+registerSeries('X', 2, X_SERIES_CURRENT, {
+  1030: 'XM430-W210',
+  1020: 'XM430-W350',
+  1130: 'XM540-W150',
+  1120: 'XM540-W270',
+  1010: 'XH430-W210',
+  1000: 'XH430-W350',
+  1050: 'XH430-V210',
+  1040: 'XH430-V350',
+  1110: 'XH540-W150',
+  1100: 'XH540-W270',
+  1150: 'XH540-V150',
+  1140: 'XH540-V270',
+  1011: 'XD430-T210',
+  1001: 'XD430-T350',
+  1111: 'XD540-T150',
+  1101: 'XD540-T270',
+  1280: 'XW430-T200',
+  1270: 'XW430-T333',
+  1180: 'XW540-T140',
+  1170: 'XW540-T260'
+}, X_INDIRECT);
+
+registerSeries('MX', 2, X_SERIES, {
+  30: 'MX-28(2.0)'
+}, X_INDIRECT);
+
+registerSeries('MX', 2, X_SERIES_CURRENT, {
+  311: 'MX-64(2.0)',
+  321: 'MX-106(2.0)'
+}, X_INDIRECT);
+
+registerSeries('XL-320', 2, XL320, {
+  350: 'XL-320'
+});
+
+registerSeries('P', 2, P_SERIES, {
+  2000: 'PH42-020-S300-R',
+  2010: 'PH54-100-S500-R',
+  2020: 'PH54-200-S500-R',
+  2100: 'PM42-010-S260-R',
+  2110: 'PM54-040-S250-R',
+  2120: 'PM54-060-S250-R'
+}, P_INDIRECT);
+
+registerSeries('AX', 1, AX_SERIES, {
+  12: 'AX-12A',
+  18: 'AX-18A',
+  300: 'AX-12W'
+});
+
+registerSeries('MX', 1, MX_PROTOCOL1, {
+  29: 'MX-28',
+  360: 'MX-12W'
+});
+
+registerSeries('MX', 1, MX_PROTOCOL1_CURRENT, {
+  310: 'MX-64',
+  320: 'MX-106'
+});
+
+/**
+ * Control table registry
+ * Maps DYNAMIXEL model numbers to their control table layout (address, size and access
+ * of every item) so devices can resolve registers by name instead of assuming the X series
+ * layout. Items that mean the same thing share a name across series (e.g. `presentPosition`,
+ * `presentInputVoltage`), so model independent code can use them; series specific items
+ * keep their e-Manual names (e.g. `movingSpeed` on XL-320 and Protocol 1.0 models).
+ */
+export class ControlTables {
+  /**
+   * Get a model definition
+   * @param {number} modelNumber - Model number reported by PING
+   * @returns {ModelDefinition|null} - Model definition or null if the model is unknown
+   */
+  static getModel(modelNumber) {
+    return MODELS.get(modelNumber) || null;
+  }
+
+  /**
+   * Find a model definition by name
+   * @param {string} modelName - Model name (e.g. 'XM430-W350')
+   * @returns {ModelDefinition|null} - Model definition or null if the model is unknown
+   */
+  static getModelByName(modelName) {
+    for (const model of MODELS.values()) {
+      if (model.modelName === modelName) {
+        return model;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get all registered models
+   * @returns {ModelDefinition[]} - Model definitions sorted by model number
+   */
+  static getModels() {
+    return [...MODELS.values()].sort((a, b) => a.modelNumber - b.modelNumber);
+  }
+
+  /**
+   * Get the control table of a model
+   * @param {number} modelNumber - Model number
+   * @returns {ControlTable|null} - Control table or null if the model is unknown
+   */
+  static getControlTable(modelNumber) {
+    return this.getModel(modelNumber)?.controlTable || null;
+  }
+
+  /**
+   * Get a control table item of a model
+   * @param {number} modelNumber - Model number
+   * @param {string} name - Item name (e.g. 'presentPosition')
+   * @returns {ControlTableItem|null} - Item or null if the model or item is unknown
+   */
+  static getItem(modelNumber, name) {
+    return this.getControlTable(modelNumber)?.[name] || null;
+  }
+
+  /**
+   * Get the indirect address banks of a model
+   * @param {number} modelNumber - Model number
+   * @returns {IndirectLayout|null} - Indirect layout or null if the model is unknown or has none
+   */
+  static getIndirectLayout(modelNumber) {
+    return this.getModel(modelNumber)?.indirect || null;
+  }
+
+  /**
+   * Indirect address banks assumed for devices whose model is not known (yet)
+   * @param {1|2} protocolVersion - Protocol version
+   * @returns {IndirectLayout|null} - `INDIRECT_ADDRESS` bank for Protocol 2.0, null for Protocol 1.0
+   */
+  static getDefaultIndirectLayout(protocolVersion = 2) {
+    return protocolVersion === 1 ? null : X330_INDIRECT;
+  }
+
+  /**
+   * Control table assumed for devices whose model is not known (yet)
+   * @param {1|2} protocolVersion - Protocol version
+   * @returns {ControlTable} - X series layout for Protocol 2.0, AX layout for Protocol 1.0
+   */
+  static getDefaultControlTable(protocolVersion = 2) {
+    return protocolVersion === 1 ? AX_SERIES : X_SERIES_CURRENT;
+  }
+
+  /**
+   * Decode the bytes of a control table item
+   * @param {ControlTableItem} item - Control table item
+   * @param {Buffer|Array} data - Little-endian bytes as read from the device
+   * @returns {number} - Value with the sign applied for signed items
+   */
+  static decodeValue(item, data) {
+    const raw = Protocol2.decodeValue(data);
+
+    switch (item.type) {
+      case 'int16':
+        return raw >= 0x8000 ? raw - 0x10000 : raw;
+      case 'int32':
+        return raw >= 0x80000000 ? raw - 0x100000000 : raw;
+      case 'direction10':
+        return raw & 0x400 ? -(raw & 0x3FF) : raw & 0x3FF;
+      default:
+        return raw;
+    }
+  }
+
+  /**
+   * Encode a value for a control table item
+   * @param {ControlTableItem} item - Control table item
+   * @param {number} value - Value (negative values allowed for signed and direction items)
+   * @returns {number[]} - Little-endian bytes
+   */
+  static encodeValue(item, value) {
+    if (item.type === 'direction10' && value < 0) {
+      return Protocol2.encodeValue(0x400 | Math.min(-value, 0x3FF), item.size);
+    }
+    return Protocol2.encodeValue(value, item.size);
+  }
+
+  /**
+   * Register a model (or replace a built-in one)
+   * @param {ModelDefinition} definition - Model definition
+   */
+  static registerModel(definition) {
+    const { modelNumber, modelName, controlTable } = definition;
+
+    if (!Number.isInteger(modelNumber) || !modelName || !controlTable) {
+      throw new Error('Model definition requires modelNumber, modelName and controlTable');
+    }
+
+    MODELS.set(modelNumber, Object.freeze({
+      series: 'custom',
+      protocolVersion: 2,
+      indirect: null,
+      ...definition
+    }));
+  }
+}
@@ -0,0 +1,144 @@
+import { Protocol2 } from './Protocol2.js';
+import { ControlTables } from './ControlTables.js';
+import { SECONDARY_ID_DISABLED } from './constants.js';
+
+/**
+ * Devices addressed together through a shared Secondary ID
+ * Every member executes instructions sent to the group ID, but only a device whose primary
+ * ID equals it answers, so group instructions get no status packet. The group ID must not
+ * be the primary ID of any device on the bus. Secondary IDs are a Protocol 2.0 feature.
+ */
+export class DeviceGroup {
+  /**
+   * @param {number} id - Group (Secondary) ID (0-252)
+   * @param {Object} connection - Connection the members are reached through
+   * @param {import('./DynamixelDevice.js').DynamixelDevice[]} [devices=[]] - Member devices
+   */
+  constructor(id, connection, devices = []) {
+    if (!Number.isInteger(id) || id < 0 || id > 252) {
+      throw new Error(`Invalid group ID ${id}. Must be 0-252.`);
+    }
+    if (devices.some(device => device.protocolVersion === 1)) {
+      throw new Error('Secondary IDs are not supported by Protocol 1.0 devices');
+    }
+
+    this.id = id;
+    this.connection = connection;
+    this.devices = [...devices];
+  }
+
+  /**
+   * Primary IDs of the members (follows changeId() on the member devices)
+   * @returns {number[]} - Member IDs
+   */
+  get ids() {
+    return this.devices.map(device => device.id);
+  }
+
+  /**
+   * Write the group ID to the Secondary ID of every member
+   * Secondary ID is an EEPROM item, so torque must be off on every member.
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<boolean>} - Success status
+   * @throws {Error} - When a device answers at the group ID, or torque is on
+   */
+  async assign(timeout = null) {
+    this.requireMembers();
+
+    if (await this.devices[0].isIdInUse(this.id, timeout)) {
+      throw new Error(`Cannot use group ID ${this.id}: a device answers at this ID`);
+    }
+
+    for (const device of this.devices) {
+      await device.requireTorqueOff('Assigning a secondary ID');
+    }
+    for (const device of this.devices) {
+      await device.set('secondaryId', this.id, timeout);
+    }
+    return true;
+  }
+
+  /**
+   * Disable the Secondary ID of every member
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<boolean>} - Success status
+   * @throws {Error} - When torque is on
+   */
+  async release(timeout = null) {
+    for (const device of this.devices) {
+      await device.requireTorqueOff('Releasing a secondary ID');
+      await device.set('secondaryId', SECONDARY_ID_DISABLED, timeout);
+    }
+    return true;
+  }
+
+  /**
+   * Read the Secondary ID of every member back from the devices
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<number[]>} - IDs of the members that currently hold the group ID
+   */
+  async readMembership(timeout = null) {
+    const members = [];
+    for (const device of this.devices) {
+      if (await device.get('secondaryId', timeout) === this.id) {
+        members.push(device.id);
+      }
+    }
+    return members;
+  }
+
+  /**
+   * Write data to every member with one packet
+   * No status packet is sent for group writes, so errors on the devices go unreported.
+   * @param {number} address - Control table address
+   * @param {Buffer|Array} data - Data to write
+   * @param {Object} [options={}] - Transaction options (priority, signal)
+   * @returns {Promise<boolean>} - True once the packet is sent
+   */
+  async write(address, data, options = {}) {
+    await this.connection.send(Protocol2.createWritePacket(this.id, address, data), options);
+    return true;
+  }
+
+  /**
+   * Write a control table item by name to every member with one packet
+   * @param {string} name - Item name (e.g. 'goalPosition')
+   * @param {number} value - Raw value (negative values allowed for signed items)
+   * @param {Object} [options={}] - Transaction options (priority, signal)
+   * @returns {Promise<boolean>} - True once the packet is sent
+   * @throws {Error} - When the item is read-only or differs between members
+   */
+  async set(name, value, options = {}) {
+    const item = this.getControlTableItem(name);
+    if (!item.access.includes('W')) {
+      throw new Error(`Control table item ${name} is read-only`);
+    }
+    return await this.write(item.address, ControlTables.encodeValue(item, value), options);
+  }
+
+  /**
+   * Look up a control table item that every member has at the same address and size
+   * @param {string} name - Item name
+   * @returns {import('./ControlTables.js').ControlTableItem} - Address, size and access
+   * @throws {Error} - When the group is empty or the members' layouts differ
+   */
+  getControlTableItem(name) {
+    this.requireMembers();
+
+    const [item, ...others] = this.devices.map(device => device.getControlTableItem(name));
+    if (others.some(other => other.address !== item.address || other.size !== item.size)) {
+      throw new Error(`Control table item ${name} differs between members of group ${this.id}`);
+    }
+    return item;
+  }
+
+  /**
+   * Reject operations on an empty group
+   * @throws {Error} - When the group has no members
+   */
+  requireMembers() {
+    if (this.devices.length === 0) {
+      throw new Error(`Group ${this.id} has no members`);
+    }
+  }
+}
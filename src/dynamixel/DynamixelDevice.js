@@ -1,6 +1,70 @@
 import { EventEmitter } from 'events';
+import { Protocol1 } from './Protocol1.js';
 import { Protocol2 } from './Protocol2.js';
-import { INSTRUCTIONS, CONTROL_TABLE, INDIRECT_ADDRESS } from './constants.js';
+import { ControlTables } from './ControlTables.js';
+import { MotorProfiles } from './MotorProfiles.js';
+import {
+  BROADCAST_ID,
+  INSTRUCTIONS,
+  INDIRECT_ADDRESS,
+  PROTOCOL1_CONTROL_TABLE,
+  OPERATING_MODES,
+  EXTENDED_POSITION_LIMIT,
+  HOMING_OFFSET_LIMIT,
+  CLEAR_MULTI_TURN_PARAMETERS,
+  CONTROL_TABLE_BACKUP_PARAMETERS,
+  FACTORY_RESET_MODES,
+  FACTORY_DEFAULT_ID,
+  DEFAULT_BAUD_RATE,
+  BAUD_RATES,
+  HARDWARE_ERROR_BITS,
+  MOVING_STATUS_BITS,
+  MOTION_PROFILE_TYPES
+} from './constants.js';
+import { DynamixelError, DynamixelStatusError, DynamixelTimeoutError } from './errors.js';
+
+// FACTORY RESET mode for each factoryReset() keep option
+const FACTORY_RESET_KEEP = {
+  none: FACTORY_RESET_MODES.ALL,
+  id: FACTORY_RESET_MODES.EXCEPT_ID,
+  'id+baud': FACTORY_RESET_MODES.EXCEPT_ID_AND_BAUD_RATE
+};
+
+// Interval between Backup Ready polls
+const BACKUP_POLL_INTERVAL = 10;
+
+// Time a device gets to answer PING again after a factory reset restarts it
+const RESTART_TIMEOUT = 2000;
+
+// Interval between position polls of moveTo(), and its default time limit
+const MOTION_POLL_INTERVAL = 10;
+const MOTION_TIMEOUT = 10000;
+
+// Source of per-model unit conversions
+const motorProfiles = new MotorProfiles();
+
+// Items mapped by setupCommonIndirectMappings() and read by readCommonStatus()
+const COMMON_STATUS_REGISTERS = ['presentPosition', 'presentVelocity', 'presentPWM', 'presentTemperature', 'moving'];
+
+/**
+ * A control table item mapped onto consecutive indirect slots
+ * @typedef {Object} IndirectRegister
+ * @property {string} name - Item name (`address<N>` for unnamed address/size registers)
+ * @property {number} address - Control table address of the first byte
+ * @property {number} size - Size in bytes (one slot per byte)
+ * @property {string|null} type - Value type used for decoding (e.g. 'int32')
+ * @property {number} index - First indirect slot
+ */
+
+/**
+ * Moving Status (address 123) decoded by getMovingStatus()
+ * @typedef {Object} MovingStatus
+ * @property {number} raw - Moving Status byte
+ * @property {boolean} inPosition - Bit 0: the position error is within the In-Position range
+ * @property {boolean} profileOngoing - Bit 1: a profile is being generated from the goal
+ * @property {boolean} followingError - Bit 3: the device is not following the profile
+ * @property {'step'|'rectangular'|'triangular'|'trapezoidal'} profileType - Bits 4-5: velocity profile in use ('step' when no profile is used)
+ */
 
 /**
  * Individual DYNAMIXEL Device
@@ -17,13 +81,182 @@ export class DynamixelDevice extends EventEmitter {
     this.modelName = deviceInfo.modelName || null;
     this.lastError = null;
 
-    // Indirect addressing state
+    // Hardware Alert bit of the latest status packet (a Hardware Error Status is latched)
+    this.hardwareAlert = false;
+
+    // Latest decoded Moving Status (null until first read); changes emit motion events
+    this.movingStatus = null;
+
+    // Status Return Level (0: PING only, 1: PING and READ, 2: all instructions)
+    this.statusReturnLevel = deviceInfo.statusReturnLevel ?? 2;
+
+    // Convert get()/set() values to physical units (degrees, rad/s, mA, V, °C, %)
+    this.useUnits = deviceInfo.units === true;
+
+    // Protocol 1.0 (AX/RX/EX/MX 1.0) or 2.0 codec used for this device
+    this.protocolVersion = deviceInfo.protocolVersion || 2;
+    if (this.protocolVersion !== 1 && this.protocolVersion !== 2) {
+      throw new Error(`Unsupported protocol version ${this.protocolVersion}. Must be 1 or 2.`);
+    }
+    this.protocol = this.protocolVersion === 1 ? Protocol1 : Protocol2;
+
+    // Indirect addressing state: slot index -> target address, and registers by name
     this.indirectMappings = new Map();
+    this.indirectRegisters = new Map();
 
     // Determine model name if not provided
     if (!this.modelName && this.modelNumber) {
       this.modelName = this.getModelName(this.modelNumber);
     }
+
+    // Control table layout for this model (re-resolved when ping() reports the model)
+    this.resolveControlTable();
+  }
+
+  /**
+   * Select the control table for the current model number
+   * Unknown models use the default layout of their protocol (X series / AX series)
+   */
+  resolveControlTable() {
+    const known = this.modelNumber !== null && Boolean(ControlTables.getModel(this.modelNumber));
+    this.controlTable = (known && ControlTables.getControlTable(this.modelNumber)) ||
+      ControlTables.getDefaultControlTable(this.protocolVersion);
+    this.indirectLayout = known
+      ? ControlTables.getIndirectLayout(this.modelNumber)
+      : ControlTables.getDefaultIndirectLayout(this.protocolVersion);
+
+    if (known) {
+      this.trackEepromEnd();
+    }
+  }
+
+  /**
+   * Look up a control table item by name
+   * @param {string} name - Item name (e.g. 'presentPosition')
+   * @returns {import('./ControlTables.js').ControlTableItem} - Address, size and access
+   * @throws {Error} - When the model has no such item
+   */
+  getControlTableItem(name) {
+    const item = this.controlTable[name];
+    if (!item) {
+      throw new Error(`Control table item ${name} is not available on ${this.modelName || `device ${this.id}`}`);
+    }
+    return item;
+  }
+
+  /**
+   * Read a control table item by name
+   * Signed items (e.g. presentVelocity, goalCurrent) are sign-extended.
+   * @param {string} name - Item name (e.g. 'presentTemperature')
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @param {Object} [options={}] - Read options
+   * @param {boolean} [options.units] - Return physical units (defaults to the device units option)
+   * @param {number} [options.priority] - Transaction priority (see TRANSACTION_PRIORITY)
+   * @param {AbortSignal} [options.signal] - Cancels the read while it waits or runs
+   * @returns {Promise<number>} - Item value
+   */
+  async get(name, timeout = null, options = {}) {
+    const item = this.getControlTableItem(name);
+    const data = await this.read(item.address, item.size, timeout, { priority: options.priority, signal: options.signal });
+    const value = ControlTables.decodeValue(item, data);
+
+    return this.shouldUseUnits(options) ? this.toUnits(item, value) : value;
+  }
+
+  /**
+   * Write a control table item by name
+   * @param {string} name - Item name (e.g. 'goalPosition')
+   * @param {number} value - Value to write (negative values allowed for signed items)
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @param {Object} [options={}] - Write options
+   * @param {boolean} [options.units] - Value is in physical units (defaults to the device units option)
+   * @returns {Promise<boolean>} - Success status
+   * @throws {Error} - When the item is read-only
+   */
+  async set(name, value, timeout = null, options = {}) {
+    const item = this.getControlTableItem(name);
+    if (!item.access.includes('W')) {
+      throw new Error(`Control table item ${name} is read-only`);
+    }
+
+    const raw = this.shouldUseUnits(options) ? this.fromUnits(item, value) : value;
+    return await this.write(item.address, ControlTables.encodeValue(item, raw), timeout);
+  }
+
+  /**
+   * Check whether a get()/set() call works in physical units
+   * @param {Object} options - Call options
+   * @returns {boolean} - True when values are converted
+   */
+  shouldUseUnits(options) {
+    return options.units !== undefined ? options.units === true : this.useUnits;
+  }
+
+  /**
+   * Get the unit conversions for this device's model
+   * Protocol 2.0 X/MX models without a motor profile use the X series factors
+   * (no current factor, since it differs between models).
+   * @returns {Object|null} - Conversions keyed by quantity, or null if unknown
+   */
+  getConversions() {
+    const conversions = motorProfiles.getConversions(this.modelName);
+    if (conversions) {
+      return conversions;
+    }
+
+    const model = this.modelNumber !== null ? ControlTables.getModel(this.modelNumber) : null;
+    if (this.protocolVersion === 2 && (!model || model.series === 'X' || model.series === 'MX')) {
+      const fallback = motorProfiles.getConversions('XC330-M288');
+      delete fallback.current;
+      return fallback;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the factor from raw units to physical units for a quantity
+   * @param {string} quantity - Item quantity (e.g. 'velocity')
+   * @returns {number} - Physical units per raw unit
+   * @throws {Error} - When the model has no conversion for the quantity
+   */
+  getUnitFactor(quantity) {
+    const conversion = this.getConversions()?.[quantity];
+    if (!conversion) {
+      throw new Error(`No ${quantity} unit conversion available for ${this.modelName || `device ${this.id}`}`);
+    }
+
+    switch (quantity) {
+      case 'position':
+        return conversion.degreesPerUnit || 360 / conversion.resolution;
+      case 'velocity':
+        return conversion.scale * 2 * Math.PI / 60; // rev/min -> rad/s
+      default:
+        return conversion.scale;
+    }
+  }
+
+  /**
+   * Convert a raw item value to physical units
+   * Position is returned in degrees, velocity in rad/s, current in mA,
+   * voltage in V, temperature in °C and PWM in %. Items without a
+   * quantity (e.g. operatingMode) are returned unchanged.
+   * @param {import('./ControlTables.js').ControlTableItem} item - Control table item
+   * @param {number} value - Raw value
+   * @returns {number} - Value in physical units
+   */
+  toUnits(item, value) {
+    return item.quantity ? value * this.getUnitFactor(item.quantity) : value;
+  }
+
+  /**
+   * Convert a value in physical units to the raw item value
+   * @param {import('./ControlTables.js').ControlTableItem} item - Control table item
+   * @param {number} value - Value in physical units
+   * @returns {number} - Raw value (rounded to the nearest unit)
+   */
+  fromUnits(item, value) {
+    return item.quantity ? Math.round(value / this.getUnitFactor(item.quantity)) : value;
   }
 
   /**
@@ -33,13 +266,17 @@ export class DynamixelDevice extends EventEmitter {
    */
   async ping(timeout = null) {
     try {
-      const deviceInfo = await this.connection.ping(this.id, timeout);
+      const deviceInfo = this.protocolVersion === 1
+        ? await this.pingProtocol1(timeout)
+        : await this.connection.ping(this.id, timeout);
 
       // Update device info
       this.modelNumber = deviceInfo.modelNumber;
       this.firmwareVersion = deviceInfo.firmwareVersion;
       this.modelName = this.getModelName(this.modelNumber);
       this.lastError = deviceInfo.error;
+      this.resolveControlTable();
+      await this.updateHardwareAlert(this.protocol.decodeError(deviceInfo.error).alert);
 
       return deviceInfo;
     } catch (error) {
@@ -48,36 +285,65 @@ export class DynamixelDevice extends EventEmitter {
     }
   }
 
+  /**
+   * Ping a Protocol 1.0 device
+   * Protocol 1.0 PING has no payload, so model number and firmware are read afterwards
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<Object>} - Device information (same shape as a Protocol 2.0 ping)
+   */
+  async pingProtocol1(timeout = null) {
+    const packet = Protocol1.createPingPacket(this.id);
+    const statusPacket = this.parseResponse(await this.connection.sendAndWaitForResponse(packet, this.id, timeout));
+    if (!statusPacket) {
+      throw new DynamixelError(`Invalid response from device ${this.id}`, { id: this.id });
+    }
+
+    const info = await this.read(PROTOCOL1_CONTROL_TABLE.MODEL_NUMBER, 3, timeout);
+
+    return {
+      id: this.id,
+      modelNumber: info[0] | (info[1] << 8),
+      firmwareVersion: info[2],
+      error: statusPacket.error
+    };
+  }
+
+  /**
+   * Parse a response from the connection with this device's protocol
+   * @param {Buffer|Object} response - Raw packet, or a packet already parsed by the transport
+   * @returns {Object|null} - Parsed status packet
+   */
+  parseResponse(response) {
+    return Buffer.isBuffer(response) ? this.protocol.parseStatusPacket(response) : response;
+  }
+
   /**
    * Read data from the device's control table
    * @param {number} address - Control table address
    * @param {number} length - Number of bytes to read
    * @param {number} timeout - Timeout in milliseconds
+   * @param {Object} [options={}] - Transaction options
+   * @param {number} [options.priority] - Transaction priority (see TRANSACTION_PRIORITY)
+   * @param {AbortSignal} [options.signal] - Cancels the read while it waits or runs
    * @returns {Promise<Buffer>} - Read data
    */
-  async read(address, length, timeout = null) {
-    const parameters = [
-      address & 0xFF,         // Address low byte
-      (address >> 8) & 0xFF,  // Address high byte
-      length & 0xFF,          // Length low byte
-      (length >> 8) & 0xFF    // Length high byte
-    ];
+  async read(address, length, timeout = null, options = {}) {
+    if (!this.expectsResponse(INSTRUCTIONS.READ)) {
+      throw new Error(`Device ${this.id} does not answer READ at Status Return Level ${this.statusReturnLevel}`);
+    }
 
-    const packet = Protocol2.createInstructionPacket(this.id, INSTRUCTIONS.READ, parameters);
+    const packet = this.protocol.createReadPacket(this.id, address, length);
 
     try {
-      const response = await this.connection.sendAndWaitForResponse(packet, this.id, timeout);
+      const response = await this.connection.sendAndWaitForResponse(packet, this.id, timeout, options);
 
       // First parse the raw buffer into a status packet
-      const statusPacket = Protocol2.parseStatusPacket(response);
+      const statusPacket = this.parseResponse(response);
       if (!statusPacket) {
-        throw new Error(`Invalid response from device ${this.id}`);
+        throw new DynamixelError(`Invalid response from device ${this.id}`, { id: this.id });
       }
 
-      if (statusPacket.error !== 0) {
-        const errorMsg = Protocol2.getErrorDescription(statusPacket.error);
-        throw new Error(`Device ${this.id} error: ${errorMsg}`);
-      }
+      await this.checkStatus(statusPacket);
 
       return Buffer.from(statusPacket.parameters);
     } catch (error) {
@@ -88,48 +354,292 @@ export class DynamixelDevice extends EventEmitter {
 
   /**
    * Write data to the device's control table
+   * Resolves without waiting for a status packet when the Status Return Level is below 2.
+   * Writing the Status Return Level or Return Delay Time register updates the tracked value.
    * @param {number} address - Control table address
    * @param {Buffer|Array} data - Data to write
    * @param {number} timeout - Timeout in milliseconds
+   * @param {Object} [options={}] - Transaction options
+   * @param {number} [options.priority] - Transaction priority (see TRANSACTION_PRIORITY)
+   * @param {AbortSignal} [options.signal] - Cancels the write while it waits or runs
+   * @returns {Promise<boolean>} - Success status
+   */
+  async write(address, data, timeout = null, options = {}) {
+    const packet = this.protocol.createWritePacket(this.id, address, data);
+
+    // The device already answers this write according to the level it sets
+    const level = this.getWrittenStatusReturnLevel(address, data);
+    const expectResponse = level === null ? this.expectsResponse(INSTRUCTIONS.WRITE) : level >= 2;
+
+    await this.exchange(packet, timeout, options, expectResponse);
+
+    if (level !== null) {
+      this.statusReturnLevel = level;
+    }
+    const returnDelayTime = this.getWrittenRegister('returnDelayTime', address, data);
+    if (returnDelayTime !== null) {
+      this.trackReturnDelayTime(returnDelayTime);
+    }
+    return true;
+  }
+
+  /**
+   * Write data without waiting for a status packet (for high-rate streaming)
+   * The device must not answer WRITE (Status Return Level 0 or 1), otherwise its status
+   * packets would be taken as the response to a later request.
+   * @param {number} address - Control table address
+   * @param {Buffer|Array} data - Data to write
+   * @param {Object} [options={}] - Transaction options (see write())
+   * @returns {Promise<boolean>} - True once the packet is sent
+   * @throws {Error} - When the device answers WRITE
+   */
+  async writeWithoutResponse(address, data, options = {}) {
+    if (this.expectsResponse(INSTRUCTIONS.WRITE)) {
+      throw new Error(`Device ${this.id} answers WRITE at Status Return Level ${this.statusReturnLevel}; set it to 0 or 1 for writes without response`);
+    }
+
+    return await this.write(address, data, null, options);
+  }
+
+  /**
+   * Check whether the device sends a status packet for an instruction
+   * @param {number} instruction - Instruction byte
+   * @returns {boolean} - True if a status packet is expected
+   */
+  expectsResponse(instruction) {
+    if (this.id === BROADCAST_ID) {
+      return false;
+    }
+    if (instruction === INSTRUCTIONS.PING) {
+      return true;
+    }
+    if (instruction === INSTRUCTIONS.READ) {
+      return this.statusReturnLevel >= 1;
+    }
+    return this.statusReturnLevel >= 2;
+  }
+
+  /**
+   * Get the Status Return Level a write sets, if it covers that register
+   * @param {number} address - Write start address
+   * @param {Buffer|Array} data - Data to write
+   * @returns {number|null} - New level, or null if the write does not change it
+   */
+  getWrittenStatusReturnLevel(address, data) {
+    return this.getWrittenRegister('statusReturnLevel', address, data);
+  }
+
+  /**
+   * Get the value a write stores in a one-byte register, if it covers that register
+   * @param {string} name - Control table item name
+   * @param {number} address - Write start address
+   * @param {Buffer|Array} data - Data to write
+   * @returns {number|null} - New value, or null if the write does not change it
+   */
+  getWrittenRegister(name, address, data) {
+    const item = this.controlTable[name];
+    if (!item || item.address < address || item.address >= address + data.length) {
+      return null;
+    }
+    return data[item.address - address];
+  }
+
+  /**
+   * Set the Status Return Level
+   * @param {number} level - 0: PING only, 1: PING and READ, 2: all instructions
    * @returns {Promise<boolean>} - Success status
    */
-  async write(address, data, timeout = null) {
-    const dataArray = Array.isArray(data) ? data : Array.from(data);
-    const parameters = [
-      address & 0xFF,         // Address low byte
-      (address >> 8) & 0xFF,  // Address high byte
-      ...dataArray            // Data bytes
-    ];
+  async setStatusReturnLevel(level) {
+    if (![0, 1, 2].includes(level)) {
+      throw new Error(`Invalid status return level ${level}. Must be 0, 1 or 2.`);
+    }
+    return await this.set('statusReturnLevel', level);
+  }
 
-    const packet = Protocol2.createInstructionPacket(this.id, INSTRUCTIONS.WRITE, parameters);
+  /**
+   * Read the Status Return Level from the device and track it
+   * A device that answers PING but not READ is at level 0.
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<number>} - Status Return Level
+   */
+  async refreshStatusReturnLevel(timeout = null) {
+    const { address } = this.getControlTableItem('statusReturnLevel');
+    this.statusReturnLevel = Math.max(this.statusReturnLevel, 1);
 
     try {
-      const response = await this.connection.sendAndWaitForResponse(packet, this.id, timeout);
+      const data = await this.read(address, 1, timeout);
+      if (data[0] <= 2) {
+        this.statusReturnLevel = data[0];
+      }
+    } catch (error) {
+      if (!(error instanceof DynamixelTimeoutError)) {
+        throw error;
+      }
+      this.statusReturnLevel = 0;
+    }
 
-      // First parse the raw buffer into a status packet
-      const statusPacket = Protocol2.parseStatusPacket(response);
-      if (!statusPacket) {
-        throw new Error(`Invalid response from device ${this.id}`);
+    return this.statusReturnLevel;
+  }
+
+  /**
+   * Read the Return Delay Time from the device and track it on the connection
+   * Calculated response timeouts then allow for this device's delay.
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<number>} - Return Delay Time register value (2 µs units)
+   */
+  async refreshReturnDelayTime(timeout = null) {
+    const { address } = this.getControlTableItem('returnDelayTime');
+    const data = await this.read(address, 1, timeout);
+    this.trackReturnDelayTime(data[0]);
+    return data[0];
+  }
+
+  /**
+   * Pass this device's Return Delay Time to the connection (for calculated timeouts)
+   * @param {number} value - Return Delay Time register value (2 µs units)
+   */
+  trackReturnDelayTime(value) {
+    this.connection.setReturnDelayTime?.(this.id, value);
+  }
+
+  /**
+   * Pass where this model's EEPROM area ends (its Torque Enable address) to the connection
+   * Calculated timeouts then allow for the flash write of EEPROM writes.
+   */
+  trackEepromEnd() {
+    const item = this.controlTable.torqueEnable;
+    if (item) {
+      this.connection.setEepromEnd?.(this.id, item.address);
+    }
+  }
+
+  /**
+   * Stage a write that the device executes on the next ACTION instruction (REG WRITE)
+   * Only one registered write is held per device; a new one replaces it.
+   * @param {number} address - Control table address
+   * @param {Buffer|Array} data - Data to write
+   * @param {number} timeout - Timeout in milliseconds
+   * @param {Object} [options={}] - Transaction options (see write())
+   * @returns {Promise<boolean>} - Success status
+   */
+  async registerWrite(address, data, timeout = null, options = {}) {
+    const packet = this.protocol.createRegWritePacket(this.id, address, data);
+    await this.exchange(packet, timeout, options);
+    return true;
+  }
+
+  /**
+   * Execute this device's registered write (ACTION)
+   * Use controller.action() to trigger several devices at the same instant.
+   * @param {number} timeout - Timeout in milliseconds
+   * @param {Object} [options={}] - Transaction options (see write())
+   * @returns {Promise<boolean>} - Success status
+   */
+  async action(timeout = null, options = {}) {
+    const packet = this.protocol.createActionPacket(this.id);
+    await this.exchange(packet, timeout, options);
+    return true;
+  }
+
+  /**
+   * Check whether the device holds a registered write that has not been executed yet
+   * @returns {Promise<boolean>} - True if a REG WRITE is pending
+   */
+  async hasRegisteredInstruction() {
+    const value = await this.get('registeredInstruction');
+    return value === 1;
+  }
+
+  /**
+   * Send an instruction and check the status packet
+   * @param {Buffer} packet - Instruction packet
+   * @param {number} timeout - Timeout in milliseconds
+   * @param {Object} options - Transaction options
+   * @param {boolean} [expectResponse] - Wait for a status packet (defaults to the Status Return Level)
+   * @returns {Promise<Object|null>} - Parsed status packet, or null if none was expected
+   * @throws {DynamixelStatusError} - When the status packet reports an error
+   * @throws {DynamixelTimeoutError|DynamixelCrcError} - When no valid status packet arrives
+   */
+  async exchange(packet, timeout, options, expectResponse = this.expectsResponse(INSTRUCTIONS.WRITE)) {
+    try {
+      if (!expectResponse) {
+        await this.connection.send(packet, options);
+        return null;
       }
 
-      if (statusPacket.error !== 0) {
-        const errorMsg = Protocol2.getErrorDescription(statusPacket.error);
-        throw new Error(`Device ${this.id} error: ${errorMsg}`);
+      const response = await this.connection.sendAndWaitForResponse(packet, this.id, timeout, options);
+
+      const statusPacket = this.parseResponse(response);
+      if (!statusPacket) {
+        throw new DynamixelError(`Invalid response from device ${this.id}`, { id: this.id });
       }
 
-      return true;
+      await this.checkStatus(statusPacket);
+
+      return statusPacket;
     } catch (error) {
       this.emit('error', error);
       throw error;
     }
   }
 
+  /**
+   * Check the error byte of a status packet
+   * The Hardware Alert bit alone does not fail the instruction; it is tracked separately.
+   * @param {Object} statusPacket - Parsed status packet
+   * @throws {DynamixelStatusError} - When the packet reports an instruction error
+   */
+  async checkStatus(statusPacket) {
+    const { code, alert } = this.protocol.decodeError(statusPacket.error);
+    await this.updateHardwareAlert(alert);
+
+    if (code !== 0) {
+      const errorMsg = this.protocol.getErrorDescription(statusPacket.error);
+      throw new DynamixelStatusError(`Device ${this.id} error: ${errorMsg}`, { id: this.id, code, alert });
+    }
+  }
+
+  /**
+   * Track the Hardware Alert bit of this device's status packets
+   * When the bit comes up, the Hardware Error Status is read, which emits `hardwareError`.
+   * The bit stays set until the device is rebooted.
+   * @param {boolean} alert - Alert bit of the latest status packet
+   */
+  async updateHardwareAlert(alert) {
+    const raised = alert && !this.hardwareAlert;
+    this.hardwareAlert = alert;
+
+    if (raised && this.expectsResponse(INSTRUCTIONS.READ) && this.controlTable.hardwareErrorStatus) {
+      try {
+        await this.getHardwareErrorStatus();
+      } catch (_error) {
+        // Already reported through the 'error' event; the instruction itself succeeded
+      }
+    }
+  }
+
+  /**
+   * Read the Hardware Error Status
+   * Emits `hardwareError` with `{ id, status, errors }` when any bit is set.
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<{status: number, errors: string[]}>} - Raw status and the names of the set HARDWARE_ERROR_BITS
+   */
+  async getHardwareErrorStatus(timeout = null) {
+    const status = await this.get('hardwareErrorStatus', timeout);
+    const errors = Object.keys(HARDWARE_ERROR_BITS).filter(name => status & HARDWARE_ERROR_BITS[name]);
+
+    if (status !== 0) {
+      this.emit('hardwareError', { id: this.id, status, errors });
+    }
+    return { status, errors };
+  }
+
   /**
    * Get realtime tick
    * @returns {Promise<number>} - timestamp in ms (rolls over at 32767)
    */
   async getRealtimeTick() {
-    return await this.readWord(CONTROL_TABLE.REALTIME_TICK);
+    return await this.get('realtimeTick');
   }
 
   /**
@@ -154,12 +664,13 @@ export class DynamixelDevice extends EventEmitter {
 
   /**
    * Read a 4-byte value from control table (little-endian)
+   * The value is unsigned; use get() for sign handling of named items.
    * @param {number} address - Control table address
    * @returns {Promise<number>} - 32-bit value
    */
   async readDWord(address) {
     const data = await this.read(address, 4);
-    return data[0] | (data[1] << 8) | (data[2] << 16) | (data[3] << 24);
+    return Protocol2.decodeValue(data);
   }
 
   /**
@@ -205,7 +716,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<boolean>} - Success status
    */
   async setTorqueEnable(enable) {
-    return await this.writeByte(CONTROL_TABLE.TORQUE_ENABLE, enable ? 1 : 0);
+    return await this.set('torqueEnable', enable ? 1 : 0);
   }
 
   /**
@@ -213,7 +724,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<boolean>} - Torque enable status
    */
   async getTorqueEnable() {
-    const value = await this.readByte(CONTROL_TABLE.TORQUE_ENABLE);
+    const value = await this.get('torqueEnable');
     return value === 1;
   }
 
@@ -223,7 +734,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<boolean>} - Success status
    */
   async setGoalPosition(position) {
-    return await this.writeDWord(CONTROL_TABLE.GOAL_POSITION, position);
+    return await this.set('goalPosition', position);
   }
 
   /**
@@ -231,7 +742,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<number>} - Goal position
    */
   async getGoalPosition() {
-    return await this.readDWord(CONTROL_TABLE.GOAL_POSITION);
+    return await this.get('goalPosition');
   }
 
   /**
@@ -239,7 +750,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<number>} - Present position
    */
   async getPresentPosition() {
-    return await this.readDWord(CONTROL_TABLE.PRESENT_POSITION);
+    return await this.get('presentPosition');
   }
 
   /**
@@ -248,7 +759,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<boolean>} - Success status
    */
   async setGoalVelocity(velocity) {
-    return await this.writeDWord(CONTROL_TABLE.GOAL_VELOCITY, velocity);
+    return await this.set('goalVelocity', velocity);
   }
 
   /**
@@ -256,7 +767,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<number>} - Goal velocity
    */
   async getGoalVelocity() {
-    return await this.readDWord(CONTROL_TABLE.GOAL_VELOCITY);
+    return await this.get('goalVelocity');
   }
 
   /**
@@ -264,7 +775,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<number>} - Present velocity
    */
   async getPresentVelocity() {
-    return await this.readDWord(CONTROL_TABLE.PRESENT_VELOCITY);
+    return await this.get('presentVelocity');
   }
 
   /**
@@ -273,7 +784,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<boolean>} - Success status
    */
   async setGoalPWM(pwm) {
-    return await this.writeWord(CONTROL_TABLE.GOAL_PWM, pwm);
+    return await this.set('goalPWM', pwm);
   }
 
   /**
@@ -281,7 +792,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<number>} - Present PWM
    */
   async getPresentPWM() {
-    return await this.readWord(CONTROL_TABLE.PRESENT_PWM);
+    return await this.get('presentPWM');
   }
 
   /**
@@ -289,7 +800,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<number>} - Temperature in Celsius
    */
   async getPresentTemperature() {
-    return await this.readByte(CONTROL_TABLE.PRESENT_TEMPERATURE);
+    return await this.get('presentTemperature');
   }
 
   /**
@@ -298,7 +809,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<boolean>} - Success status
    */
   async setGoalCurrent(current) {
-    return await this.writeWord(CONTROL_TABLE.GOAL_CURRENT, current);
+    return await this.set('goalCurrent', current);
   }
 
   /**
@@ -306,7 +817,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<number>} - Current in mA
    */
   async getGoalCurrent() {
-    return await this.readWord(CONTROL_TABLE.GOAL_CURRENT);
+    return await this.get('goalCurrent');
   }
 
   /**
@@ -314,7 +825,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<number>} - Voltage in 0.1V units
    */
   async getPresentVoltage() {
-    return await this.readWord(CONTROL_TABLE.PRESENT_INPUT_VOLTAGE);
+    return await this.get('presentInputVoltage');
   }
 
   /**
@@ -323,7 +834,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<boolean>} - Success status
    */
   async setLED(on) {
-    return await this.writeByte(CONTROL_TABLE.LED, on ? 1 : 0);
+    return await this.set('led', on ? 1 : 0);
   }
 
   /**
@@ -331,7 +842,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<boolean>} - LED state
    */
   async getLED() {
-    const value = await this.readByte(CONTROL_TABLE.LED);
+    const value = await this.get('led');
     return value === 1;
   }
 
@@ -340,21 +851,201 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<boolean>} - Moving status
    */
   async isMoving() {
-    const value = await this.readByte(CONTROL_TABLE.MOVING);
+    const value = await this.get('moving');
     return value === 1;
   }
 
+  /**
+   * Read and decode the Moving Status
+   * Emits motion events for the changes since the previous reading (see updateMovingStatus()).
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @param {Object} [options={}] - Transaction options
+   * @param {number} [options.priority] - Transaction priority (see TRANSACTION_PRIORITY)
+   * @param {AbortSignal} [options.signal] - Cancels the read while it waits or runs
+   * @returns {Promise<MovingStatus>} - Decoded Moving Status
+   */
+  async getMovingStatus(timeout = null, options = {}) {
+    return this.updateMovingStatus(await this.get('movingStatus', timeout, options));
+  }
+
+  /**
+   * Track a Moving Status value read from the device
+   * Compared with the previous value, emits `motionStarted` when a profile starts, `arrived`
+   * when In-Position comes up and `followingError` when the following error bit comes up,
+   * each with `{ id, status }`. The first value only sets the baseline. getMovingStatus(),
+   * moveTo() and the controller's readTelemetry() (when movingStatus is planned) call this.
+   * @param {number} value - Raw Moving Status
+   * @returns {MovingStatus} - Decoded Moving Status
+   */
+  updateMovingStatus(value) {
+    const previous = this.movingStatus;
+    const status = Object.freeze({
+      raw: value,
+      inPosition: (value & MOVING_STATUS_BITS.IN_POSITION) !== 0,
+      profileOngoing: (value & MOVING_STATUS_BITS.PROFILE_ONGOING) !== 0,
+      followingError: (value & MOVING_STATUS_BITS.FOLLOWING_ERROR) !== 0,
+      profileType: MOTION_PROFILE_TYPES[(value & MOVING_STATUS_BITS.PROFILE_TYPE) >> 4]
+    });
+    this.movingStatus = status;
+
+    if (previous) {
+      if (status.profileOngoing && !previous.profileOngoing) {
+        this.emit('motionStarted', { id: this.id, status });
+      }
+      if (status.inPosition && !previous.inPosition) {
+        this.emit('arrived', { id: this.id, status });
+      }
+      if (status.followingError && !previous.followingError) {
+        this.emit('followingError', { id: this.id, status });
+      }
+    }
+    return status;
+  }
+
+  /**
+   * Move to a goal position and wait until the device gets there
+   * Writes the profile (when given) and the goal, then polls until Moving Status reports
+   * In-Position or the position error is within the tolerance. In-Position only counts once
+   * the move was seen to start (Profile Ongoing, or In-Position cleared), since the first
+   * poll may still see the bit from the previous move; a device already at the goal needs
+   * no start. Positions, velocity and tolerance use the same units as get()/set().
+   * @param {number} position - Goal position
+   * @param {Object} [options={}] - Motion options
+   * @param {number} [options.velocity] - Profile Velocity (left unchanged when omitted)
+   * @param {number} [options.acceleration] - Profile Acceleration (left unchanged when omitted)
+   * @param {number} [options.tolerance] - Largest position error that counts as arrived (default: wait for In-Position only)
+   * @param {number} [options.timeoutMs=10000] - Time to wait for arrival in milliseconds
+   * @param {AbortSignal} [options.signal] - Stops waiting (the device keeps moving)
+   * @returns {Promise<number>} - Final position error (goal minus present position)
+   * @throws {DynamixelTimeoutError} - When the device does not arrive in time
+   * @throws {DynamixelError} - When a Hardware Alert comes up during the move
+   */
+  async moveTo(position, options = {}) {
+    const { velocity, acceleration, tolerance = null, timeoutMs = MOTION_TIMEOUT, signal } = options;
+    const hasMovingStatus = Boolean(this.controlTable.movingStatus);
+    if (tolerance === null && !hasMovingStatus) {
+      throw new Error(`Device ${this.id} has no Moving Status. Pass a tolerance.`);
+    }
+
+    this.throwIfAborted(signal);
+    if (hasMovingStatus && this.movingStatus === null) {
+      // Baseline for the motion events
+      await this.getMovingStatus(null, { signal });
+    }
+    const startError = position - await this.get('presentPosition', null, { signal });
+    let started = tolerance !== null ? Math.abs(startError) <= tolerance : startError === 0;
+
+    if (acceleration !== undefined) {
+      await this.set('profileAcceleration', acceleration);
+    }
+    if (velocity !== undefined) {
+      await this.set('profileVelocity', velocity);
+    }
+    await this.setGoalPosition(position);
+
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      this.throwIfAborted(signal);
+
+      const status = hasMovingStatus ? await this.getMovingStatus(null, { signal }) : null;
+      const error = position - await this.get('presentPosition', null, { signal });
+      if (this.hardwareAlert) {
+        throw new DynamixelError(`Hardware alert on device ${this.id} during move`, { id: this.id });
+      }
+      started = started || Boolean(status && (status.profileOngoing || !status.inPosition));
+      if ((started && status && status.inPosition) || (tolerance !== null && Math.abs(error) <= tolerance)) {
+        return error;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new DynamixelTimeoutError(`Timeout waiting for device ${this.id} to reach position ${position}`, { id: this.id });
+      }
+      await this.sleep(MOTION_POLL_INTERVAL, signal);
+    }
+  }
+
+  /**
+   * Wait, unless an abort signal fires first
+   * @param {number} ms - Time to wait in milliseconds
+   * @param {AbortSignal} [signal] - Cuts the wait short
+   * @returns {Promise<void>} - Resolves after the wait
+   * @throws {Error} - The signal's reason, as in throwIfAborted()
+   */
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const onAbort = () => {
+        clearTimeout(timer);
+        try {
+          this.throwIfAborted(signal);
+        } catch (error) {
+          reject(error);
+        }
+      };
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+
+      timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Reject when an abort signal has fired
+   * @param {AbortSignal} [signal] - Signal to check
+   * @throws {Error} - The signal's reason, or a DynamixelError
+   */
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw signal.reason instanceof Error ? signal.reason : new DynamixelError(`Operation on device ${this.id} aborted`, { id: this.id });
+    }
+  }
+
   /**
    * Reboot the device
    * @param {number} timeout - Timeout in milliseconds
    * @returns {Promise<boolean>} - Success status
    */
   async reboot(timeout = 2000) {
+    this.requireProtocol2('Reboot');
+
     const packet = Protocol2.createInstructionPacket(this.id, INSTRUCTIONS.REBOOT, []);
+    const success = await this.sendResultInstruction(packet, timeout);
+    if (success) {
+      // Rebooting clears the Hardware Error Status
+      this.hardwareAlert = false;
+    }
+    return success;
+  }
 
+  /**
+   * Send an instruction whose status error is reported as success or failure (REBOOT, CLEAR)
+   * @param {Buffer} packet - Instruction packet
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<boolean>} - True if the device accepted the instruction (or sends no status)
+   */
+  async sendResultInstruction(packet, timeout) {
     try {
+      if (!this.expectsResponse(INSTRUCTIONS.WRITE)) {
+        await this.connection.send(packet);
+        return true;
+      }
+
       const response = await this.connection.sendAndWaitForResponse(packet, this.id, timeout);
-      return response.error === 0;
+
+      const statusPacket = this.parseResponse(response);
+      if (!statusPacket) {
+        throw new DynamixelError(`Invalid response from device ${this.id}`, { id: this.id });
+      }
+
+      const { code, alert } = this.protocol.decodeError(statusPacket.error);
+      this.hardwareAlert = alert;
+      return code === 0;
     } catch (error) {
       this.emit('error', error);
       throw error;
@@ -371,6 +1062,7 @@ export class DynamixelDevice extends EventEmitter {
       modelNumber: this.modelNumber,
       modelName: this.modelName,
       firmwareVersion: this.firmwareVersion,
+      protocolVersion: this.protocolVersion,
       lastError: this.lastError
     };
   }
@@ -381,28 +1073,8 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {string} - Model name
    */
   getModelName(modelNumber) {
-    // Use the static method from DynamixelController
-    // This is a simple implementation - you could expand it
-    const models = {
-      12: 'AX-12A',
-      18: 'AX-18A',
-      320: 'XL-320',
-      1020: 'XL430-W250',
-      1060: 'XL330-M077',
-      1190: 'XL330-M288',
-      1200: 'XC430-W150',
-      1210: 'XC430-W240',
-      1270: 'XC330-T181',
-      1280: 'XC330-T288',
-      1290: 'XC330-M181',
-      1300: 'XC330-M288',
-      1130: 'XM430-W210',
-      1140: 'XM430-W350',
-      1150: 'XM540-W150',
-      1170: 'XM540-W270'
-    };
-
-    return models[modelNumber] || `Unknown (${modelNumber})`;
+    const model = ControlTables.getModel(modelNumber);
+    return model ? model.modelName : `Unknown (${modelNumber})`;
   }
 
   /**
@@ -453,51 +1125,586 @@ export class DynamixelDevice extends EventEmitter {
     return voltageReading * 0.1;
   }
 
-  // Indirect Addressing Methods
+  // Operating Mode and Multi-turn Methods
 
   /**
-   * Generate standardized error messages for indirect addressing operations
-   * @param {string} type - Error type ('indexOutOfRange', 'indexNotMapped', 'invalidValue', 'targetOutOfRange')
-   * @param {Object} params - Parameters for the error message
-   * @returns {string} - Formatted error message
+   * Get the operating mode
+   * @returns {Promise<number>} - Operating mode (see OPERATING_MODES)
    */
-  getIndirectAddressErrorMessage(type, params) {
+  async getOperatingMode() {
+    return await this.get('operatingMode');
+  }
+
+  /**
+   * Set the operating mode
+   * Operating Mode is in EEPROM, so torque is switched off for the write and restored afterwards.
+   * @param {number} mode - Operating mode (see OPERATING_MODES)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setOperatingMode(mode) {
+    if (!Object.values(OPERATING_MODES).includes(mode)) {
+      throw new Error(`Invalid operating mode ${mode}. Must be one of ${Object.values(OPERATING_MODES).join(', ')}.`);
+    }
+
+    return await this.withTorqueDisabled(() => this.set('operatingMode', mode));
+  }
+
+  /**
+   * Run an operation with torque off (needed for EEPROM writes), restoring torque afterwards
+   * @param {function(): Promise<*>} operation - Operation to run
+   * @returns {Promise<*>} - Result of the operation
+   */
+  async withTorqueDisabled(operation) {
+    const torqueEnabled = await this.getTorqueEnable();
+    if (torqueEnabled) {
+      await this.setTorqueEnable(false);
+    }
+
+    try {
+      return await operation();
+    } finally {
+      if (torqueEnabled) {
+        await this.setTorqueEnable(true);
+      }
+    }
+  }
+
+  /**
+   * Get the number of position units per turn for this device's model
+   * @returns {number} - Position resolution (e.g. 4096)
+   * @throws {Error} - When the model has no position conversion
+   */
+  getPositionResolution() {
+    const position = this.getConversions()?.position;
+    if (!position) {
+      throw new Error(`No position unit conversion available for ${this.modelName || `device ${this.id}`}`);
+    }
+    return position.resolution;
+  }
+
+  /**
+   * Convert a raw position to turns or degrees (no wrapping, so multi-turn values are kept)
+   * @param {number} position - Raw position
+   * @param {'raw'|'turns'|'degrees'} unit - Target unit
+   * @returns {number} - Position in the requested unit
+   */
+  convertPositionTo(position, unit) {
+    switch (unit) {
+      case 'raw':
+        return position;
+      case 'turns':
+        return position / this.getPositionResolution();
+      case 'degrees':
+        return position * 360 / this.getPositionResolution();
+      default:
+        throw new Error(`Invalid position unit ${unit}. Must be 'raw', 'turns' or 'degrees'.`);
+    }
+  }
+
+  /**
+   * Convert a position in turns or degrees to the raw position
+   * @param {number} value - Position in the given unit
+   * @param {'raw'|'turns'|'degrees'} unit - Unit of the value
+   * @returns {number} - Raw position (rounded to the nearest unit)
+   */
+  convertPositionFrom(value, unit) {
+    return unit === 'raw' ? Math.round(value) : Math.round(value / this.convertPositionTo(1, unit));
+  }
+
+  /**
+   * Get the present position without wrapping to a single turn
+   * @param {'raw'|'turns'|'degrees'} [unit='turns'] - Unit of the result
+   * @returns {Promise<number>} - Present position
+   */
+  async getMultiTurnPosition(unit = 'turns') {
+    const position = await this.get('presentPosition', null, { units: false });
+    return this.convertPositionTo(position, unit);
+  }
+
+  /**
+   * Set the goal position in extended position mode
+   * @param {number} value - Goal position, up to ±256 turns
+   * @param {'raw'|'turns'|'degrees'} [unit='turns'] - Unit of the value
+   * @returns {Promise<boolean>} - Success status
+   * @throws {Error} - When the position is outside the extended position range
+   */
+  async setMultiTurnPosition(value, unit = 'turns') {
+    const position = this.convertPositionFrom(value, unit);
+    if (Math.abs(position) > EXTENDED_POSITION_LIMIT) {
+      throw new Error(`Multi-turn position ${position} out of range [-${EXTENDED_POSITION_LIMIT}, ${EXTENDED_POSITION_LIMIT}]`);
+    }
+
+    return await this.set('goalPosition', position, null, { units: false });
+  }
+
+  /**
+   * Get the homing offset added to the present position
+   * @param {'raw'|'turns'|'degrees'} [unit='raw'] - Unit of the result
+   * @returns {Promise<number>} - Homing offset
+   */
+  async getHomingOffset(unit = 'raw') {
+    const offset = await this.get('homingOffset', null, { units: false });
+    return this.convertPositionTo(offset, unit);
+  }
+
+  /**
+   * Set the homing offset added to the present position
+   * Homing Offset is in EEPROM, so torque is switched off for the write and restored afterwards.
+   * @param {number} offset - Homing offset
+   * @param {'raw'|'turns'|'degrees'} [unit='raw'] - Unit of the offset
+   * @returns {Promise<boolean>} - Success status
+   * @throws {Error} - When the offset is outside ±1,044,479
+   */
+  async setHomingOffset(offset, unit = 'raw') {
+    const value = this.convertPositionFrom(offset, unit);
+    if (Math.abs(value) > HOMING_OFFSET_LIMIT) {
+      throw new Error(`Homing offset ${value} out of range [-${HOMING_OFFSET_LIMIT}, ${HOMING_OFFSET_LIMIT}]`);
+    }
+
+    return await this.withTorqueDisabled(() => this.set('homingOffset', value, null, { units: false }));
+  }
+
+  /**
+   * Reset the multi-turn revolution count (CLEAR instruction)
+   * The present position is brought back within one turn. The device refuses the
+   * instruction while it is moving.
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<boolean>} - Success status
+   */
+  async clearMultiTurn(timeout = null) {
+    this.requireProtocol2('Clear multi-turn');
+
+    const packet = Protocol2.createInstructionPacket(this.id, INSTRUCTIONS.CLEAR, CLEAR_MULTI_TURN_PARAMETERS);
+    return await this.sendResultInstruction(packet, timeout);
+  }
+
+  // Backup and Factory Reset Methods
+
+  /**
+   * Store the control table in the device's backup area (CONTROL TABLE BACKUP)
+   * The device sends its status packet once the backup is stored. Backup Ready is polled
+   * only when that status packet cannot tell: when the device sends none, or when it held
+   * no backup before (Backup Ready rises with the first one).
+   * @param {number} [timeout=1000] - Time to wait for Backup Ready in milliseconds
+   * @returns {Promise<boolean>} - Success status
+   * @throws {Error} - When torque is on, or Backup Ready is not raised in time
+   */
+  async backupControlTable(timeout = 1000) {
+    this.requireProtocol2('Control table backup');
+    await this.requireTorqueOff('Control table backup');
+
+    const hadBackup = await this.isBackupReady();
+
+    const packet = Protocol2.createInstructionPacket(this.id, INSTRUCTIONS.CONTROL_TABLE_BACKUP, CONTROL_TABLE_BACKUP_PARAMETERS);
+    const statusPacket = await this.exchange(packet, null, {});
+    if (statusPacket && hadBackup) {
+      return true;
+    }
+
+    const deadline = Date.now() + timeout;
+    while (!(await this.isBackupReady())) {
+      if (Date.now() >= deadline) {
+        throw new DynamixelTimeoutError(`Timeout waiting for control table backup on device ${this.id}`, { id: this.id });
+      }
+      await new Promise(resolve => setTimeout(resolve, BACKUP_POLL_INTERVAL));
+    }
+
+    return true;
+  }
+
+  /**
+   * Restore the control table from the device's backup area (CONTROL TABLE RESTORE)
+   * The settings this object tracks are read back afterwards (see reloadDeviceSettings()).
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<boolean>} - Success status
+   * @throws {Error} - When torque is on or the device holds no backup
+   */
+  async restoreControlTable(timeout = null) {
+    this.requireProtocol2('Control table restore');
+    await this.requireTorqueOff('Control table restore');
+
+    if (!(await this.isBackupReady())) {
+      throw new Error(`No control table backup stored on device ${this.id}`);
+    }
+
+    const packet = Protocol2.createInstructionPacket(this.id, INSTRUCTIONS.CONTROL_TABLE_RESTORE, CONTROL_TABLE_BACKUP_PARAMETERS);
+    await this.exchange(packet, timeout, {});
+    await this.reloadDeviceSettings(timeout);
+    return true;
+  }
+
+  /**
+   * Check whether the device holds a control table backup
+   * @returns {Promise<boolean>} - Backup Ready status
+   */
+  async isBackupReady() {
+    const value = await this.get('backupReady');
+    return value === 1;
+  }
+
+  /**
+   * Reset the control table to factory settings (FACTORY RESET)
+   * A full reset sets the ID to 1 and the baud rate to 57600 bps. Resets that would change
+   * the ID or baud rate this device is reached at are refused unless confirmed. After a
+   * confirmed reset this device object uses ID 1 (emitting `idChanged`) and the connection
+   * is retuned to 57600 bps (emitting `baudRateChanged`). Once the device has restarted,
+   * the settings this object tracks are read back (see reloadDeviceSettings()).
+   * @param {Object} [options={}] - Reset options
+   * @param {'none'|'id'|'id+baud'} [options.keep='id+baud'] - Settings that survive the reset
+   * @param {boolean} [options.confirm=false] - Allow the ID or baud rate to change
+   * @param {number} [options.timeout=null] - Timeout in milliseconds
+   * @returns {Promise<boolean>} - Success status
+   * @throws {Error} - When torque is on, the reset would change the ID or baud rate without
+   *   confirmation, or the connection cannot follow the baud rate change
+   */
+  async factoryReset(options = {}) {
+    const { keep = 'id+baud', confirm = false, timeout = null } = options;
+
+    this.requireProtocol2('Factory reset');
+
+    const mode = FACTORY_RESET_KEEP[keep];
+    if (mode === undefined) {
+      throw new Error(`Invalid factory reset keep option ${keep}. Must be 'none', 'id' or 'id+baud'.`);
+    }
+
+    await this.requireTorqueOff('Factory reset');
+
+    const oldId = this.id;
+    const newId = mode === FACTORY_RESET_MODES.ALL ? FACTORY_DEFAULT_ID : oldId;
+    const oldBaudRate = this.connection.getBaudRate?.() ?? null;
+    const baudRateChanges = mode !== FACTORY_RESET_MODES.EXCEPT_ID_AND_BAUD_RATE && oldBaudRate !== DEFAULT_BAUD_RATE;
+
+    const changes = [];
+    if (newId !== oldId) {
+      changes.push(`ID from ${oldId} to ${newId}`);
+    }
+    if (baudRateChanges) {
+      changes.push(`baud rate from ${oldBaudRate ?? 'the current rate'} to ${DEFAULT_BAUD_RATE}`);
+    }
+    if (changes.length > 0 && !confirm) {
+      throw new Error(`Factory reset would change the ${changes.join(' and the ')} of device ${oldId}. Pass confirm: true or keep: 'id+baud'.`);
+    }
+    // After the reset the device only hears the factory rate
+    if (baudRateChanges && (!this.connection.setBaudRate || this.connection.canChangeBaudRate?.() === false)) {
+      throw new Error('Connection cannot change the baud rate of an open port');
+    }
+
+    const packet = Protocol2.createInstructionPacket(oldId, INSTRUCTIONS.FACTORY_RESET, [mode]);
+    await this.exchange(packet, timeout, {});
+
+    if (baudRateChanges) {
+      if (await this.connection.setBaudRate(DEFAULT_BAUD_RATE) === false) {
+        throw new DynamixelError(`Device ${oldId} was reset to ${DEFAULT_BAUD_RATE} bps but the connection could not follow`, { id: oldId });
+      }
+      this.emit('baudRateChanged', { oldBaudRate, baudRate: DEFAULT_BAUD_RATE });
+    }
+    if (newId !== oldId) {
+      this.id = newId;
+      this.trackEepromEnd();
+      this.emit('idChanged', { oldId, newId });
+    }
+
+    await this.waitForRestart();
+    await this.reloadDeviceSettings(timeout);
+    return true;
+  }
+
+  /**
+   * Wait for the device to answer PING again after it restarted
+   * Pings sent while it boots go unanswered, so timeouts are retried until the limit.
+   * @param {number} [timeout=2000] - Time to wait in milliseconds
+   * @returns {Promise<Object>} - Device information
+   * @throws {DynamixelTimeoutError} - When the device does not answer in time
+   */
+  async waitForRestart(timeout = RESTART_TIMEOUT) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      try {
+        return await this.connection.ping(this.id);
+      } catch (error) {
+        if (!(error instanceof DynamixelTimeoutError) || Date.now() >= deadline) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Read back the settings that FACTORY RESET and CONTROL TABLE RESTORE rewrite
+   * Both instructions return the Status Return Level, Return Delay Time and Indirect
+   * Address entries to stored values, so what this object tracks of them is stale.
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   */
+  async reloadDeviceSettings(timeout = null) {
+    await this.refreshStatusReturnLevel(timeout);
+    if (!this.expectsResponse(INSTRUCTIONS.READ)) {
+      return;
+    }
+
+    await this.refreshReturnDelayTime(timeout);
+    if (this.indirectLayout) {
+      await this.loadIndirectMappings(timeout);
+    }
+  }
+
+  /**
+   * Move this device to a new ID
+   * The new ID must not answer PING, since two devices with one ID corrupt each other's
+   * status packets. After the write the device is pinged at its new ID, and this device
+   * object uses it from then on. Emits `idChanged` with `{ oldId, newId }`.
+   * @param {number} newId - New DYNAMIXEL ID (0-252)
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<boolean>} - Success status
+   * @throws {Error} - When torque is on, the ID is taken or the device does not answer at the new ID
+   */
+  async changeId(newId, timeout = null) {
+    if (!Number.isInteger(newId) || newId < 0 || newId > 252) {
+      throw new Error(`Invalid device ID ${newId}. Must be 0-252.`);
+    }
+    if (newId === this.id) {
+      return true;
+    }
+
+    await this.requireTorqueOff('Changing the ID');
+
+    if (await this.isIdInUse(newId, timeout)) {
+      throw new Error(`Cannot change the ID of device ${this.id}: ID ${newId} is already in use`);
+    }
+
+    const oldId = this.id;
+    const { address } = this.getControlTableItem('id');
+    const packet = this.protocol.createWritePacket(oldId, address, [newId]);
+
+    await this.writeId(packet, oldId, newId, timeout);
+
+    // Only a device that answers at the new ID has really moved
+    this.id = newId;
+    try {
+      await this.ping(timeout);
+    } catch (error) {
+      this.id = oldId;
+      throw new DynamixelError(`Device ${oldId} did not answer at new ID ${newId}: ${error.message}`, { id: oldId });
+    }
+
+    if (this.expectsResponse(INSTRUCTIONS.READ)) {
+      await this.refreshReturnDelayTime(timeout);
+    }
+
+    this.emit('idChanged', { oldId, newId });
+    return true;
+  }
+
+  /**
+   * Send the ID write of changeId()
+   * Devices send the status packet of this write from the old ID, but some firmware
+   * answers from the new one, so a reply from either is accepted.
+   * @param {Buffer} packet - WRITE packet for the ID register
+   * @param {number} oldId - Current ID
+   * @param {number} newId - ID being written
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @throws {DynamixelError} - When the write fails or the reply comes from another device
+   */
+  async writeId(packet, oldId, newId, timeout = null) {
+    try {
+      if (!this.expectsResponse(INSTRUCTIONS.WRITE)) {
+        await this.connection.send(packet);
+        return;
+      }
+
+      const statusPacket = this.parseResponse(await this.connection.sendAndWaitForResponse(packet, null, timeout));
+      if (!statusPacket || (statusPacket.id !== oldId && statusPacket.id !== newId)) {
+        throw new DynamixelError(`Invalid response from device ${oldId}`, { id: oldId });
+      }
+      await this.checkStatus(statusPacket);
+    } catch (error) {
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a device answers PING at an ID
+   * A garbled answer (e.g. two devices replying at once) also counts as in use.
+   * @param {number} id - DYNAMIXEL ID
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<boolean>} - True if anything answered
+   */
+  async isIdInUse(id, timeout = null) {
+    const probe = new DynamixelDevice(id, this.connection, { protocolVersion: this.protocolVersion });
+    // The ping rejects with the error itself; nothing needs to listen for it
+    probe.on('error', () => {});
+    try {
+      await probe.ping(timeout);
+      return true;
+    } catch (error) {
+      return !(error instanceof DynamixelTimeoutError);
+    }
+  }
+
+  /**
+   * Move this device to a new baud rate
+   * After the write the connection switches to the new rate and the device is pinged
+   * there. Other devices on the bus stay at the old rate, so move them as well or switch
+   * the connection back with setBaudRate(). Emits `baudRateChanged` with `{ oldBaudRate, baudRate }`.
+   * @param {number} baudRate - New baud rate in bps (one of BAUD_RATES)
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<boolean>} - Success status
+   * @throws {Error} - When torque is on, the rate is not supported or the device does not answer at the new rate
+   */
+  async changeBaudRate(baudRate, timeout = null) {
+    this.requireProtocol2('Changing the baud rate');
+
+    const value = BAUD_RATES.indexOf(baudRate);
+    if (value === -1) {
+      throw new Error(`Invalid baud rate ${baudRate}. Must be one of ${BAUD_RATES.join(', ')}.`);
+    }
+    // Once the register is written the device only hears the new rate
+    if (!this.connection.setBaudRate || this.connection.canChangeBaudRate?.() === false) {
+      throw new Error('Connection cannot change the baud rate of an open port');
+    }
+
+    await this.requireTorqueOff('Changing the baud rate');
+
+    const oldBaudRate = this.connection.getBaudRate?.() ?? null;
+
+    // The device answers this write at the old rate, then switches
+    await this.set('baudRate', value, timeout);
+    if (await this.connection.setBaudRate(baudRate) === false) {
+      throw new DynamixelError(`Device ${this.id} moved to ${baudRate} bps but the connection could not follow`, { id: this.id });
+    }
+
+    try {
+      await this.ping(timeout);
+    } catch (error) {
+      throw new DynamixelError(`Device ${this.id} did not answer at ${baudRate} bps: ${error.message}`, { id: this.id });
+    }
+
+    this.emit('baudRateChanged', { oldBaudRate, baudRate });
+    return true;
+  }
+
+  /**
+   * Reject instructions that only exist in Protocol 2.0
+   * @param {string} operation - Operation name for the error message
+   * @throws {Error} - For Protocol 1.0 devices
+   */
+  requireProtocol2(operation) {
+    if (this.protocolVersion === 1) {
+      throw new Error(`${operation} is not supported by Protocol 1.0 devices`);
+    }
+  }
+
+  /**
+   * Reject operations that need torque off
+   * @param {string} operation - Operation name for the error message
+   * @throws {Error} - When torque is on
+   */
+  async requireTorqueOff(operation) {
+    if (await this.getTorqueEnable()) {
+      throw new Error(`${operation} requires torque to be disabled on device ${this.id}`);
+    }
+  }
+
+  // Indirect Addressing Methods
+
+  /**
+   * Generate standardized error messages for indirect addressing operations
+   * @param {string} type - Error type ('indexOutOfRange', 'indexNotMapped', 'invalidValue', 'targetOutOfRange')
+   * @param {Object} params - Parameters for the error message
+   * @returns {string} - Formatted error message
+   */
+  getIndirectAddressErrorMessage(type, params) {
     const { index, value, targetAddress } = params;
 
     switch (type) {
       case 'indexOutOfRange':
-        return `Indirect address index ${index} out of range [0, ${INDIRECT_ADDRESS.MAX_ENTRIES - 1}]`;
+        return `Indirect address index ${index} out of range [0, ${this.getIndirectSlotCount() - 1}]`;
       case 'indexNotMapped':
         return `Indirect address index ${index} not mapped`;
       case 'invalidValue':
         return `Invalid value ${value} for index ${index}. Must be 0-255.`;
       case 'targetOutOfRange':
-        return `Target address ${targetAddress} out of valid range [${INDIRECT_ADDRESS.VALID_RANGE_MIN}, ${INDIRECT_ADDRESS.VALID_RANGE_MAX}]`;
+        return `Target address ${targetAddress} out of valid range [${this.indirectLayout.min}, ${this.indirectLayout.max}]`;
       default:
         return `Unknown indirect address error: ${type}`;
     }
   }
 
+  /**
+   * Indirect address banks of this device's model
+   * @returns {import('./ControlTables.js').IndirectLayout} - Indirect layout
+   * @throws {Error} - When the model has no indirect addresses
+   */
+  requireIndirectLayout() {
+    if (!this.indirectLayout) {
+      throw new Error(`Indirect addressing is not supported by ${this.modelName || `device ${this.id}`}`);
+    }
+    return this.indirectLayout;
+  }
+
+  /**
+   * Number of indirect slots over all banks
+   * @returns {number} - Slot count
+   */
+  getIndirectSlotCount() {
+    return this.requireIndirectLayout().banks.reduce((count, bank) => count + bank.entries, 0);
+  }
+
+  /**
+   * Locate an indirect slot; slot numbers continue from one bank to the next
+   * @param {number} index - Slot index
+   * @returns {{bank: number, address: number, data: number}} - Bank number, Indirect Address entry and Indirect Data address
+   * @throws {Error} - When the index is out of range
+   */
+  getIndirectSlot(index) {
+    let first = 0;
+    for (const [bank, { address, data, entries }] of this.requireIndirectLayout().banks.entries()) {
+      if (Number.isInteger(index) && index >= first && index < first + entries) {
+        const offset = index - first;
+        return { bank, address: address + (offset * INDIRECT_ADDRESS.ADDRESS_SIZE), data: data + offset };
+      }
+      first += entries;
+    }
+    throw new Error(this.getIndirectAddressErrorMessage('indexOutOfRange', { index }));
+  }
+
+  /**
+   * Reject targets an Indirect Address entry may not point at
+   * @param {number} targetAddress - Control table address
+   * @throws {Error} - When the address is outside the model's valid range
+   */
+  checkIndirectTarget(targetAddress) {
+    const { min, max } = this.requireIndirectLayout();
+    if (!Number.isInteger(targetAddress) || targetAddress < min || targetAddress > max) {
+      throw new Error(this.getIndirectAddressErrorMessage('targetOutOfRange', { targetAddress }));
+    }
+  }
+
+  /**
+   * Check whether indirect slots hold consecutive data bytes
+   * @param {number[]} indices - Slot indices in ascending order
+   * @returns {boolean} - True if the slots can be read or written with one instruction
+   */
+  areIndirectSlotsContiguous(indices) {
+    const slots = indices.map(index => this.getIndirectSlot(index));
+    return slots.every((slot, i) => i === 0 || slot.data === slots[i - 1].data + 1);
+  }
+
   /**
    * Setup indirect address mapping
    * Maps a control table address to an indirect address slot
-   * @param {number} index - Indirect address index (0-19)
+   * @param {number} index - Indirect slot index (0 to the model's slot count - 1)
    * @param {number} targetAddress - Control table address to map
    * @returns {Promise<boolean>} - Success status
    */
   async setupIndirectAddress(index, targetAddress) {
-    if (index < 0 || index >= INDIRECT_ADDRESS.MAX_ENTRIES) {
-      throw new Error(this.getIndirectAddressErrorMessage('indexOutOfRange', { index }));
-    }
-
-    if (targetAddress < INDIRECT_ADDRESS.VALID_RANGE_MIN || targetAddress > INDIRECT_ADDRESS.VALID_RANGE_MAX) {
-      throw new Error(this.getIndirectAddressErrorMessage('targetOutOfRange', { targetAddress }));
-    }
+    const slot = this.getIndirectSlot(index);
+    this.checkIndirectTarget(targetAddress);
 
-    const indirectAddressAddr = INDIRECT_ADDRESS.BASE_ADDRESS + (index * INDIRECT_ADDRESS.ADDRESS_SIZE);
-    const success = await this.writeWord(indirectAddressAddr, targetAddress);
+    const success = await this.writeWord(slot.address, targetAddress);
 
     if (success) {
+      this.forgetIndirectRegisters(index);
       this.indirectMappings.set(index, targetAddress);
     }
 
@@ -511,16 +1718,13 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<boolean>} - Success status
    */
   async writeIndirectData(index, value) {
-    if (index < 0 || index >= INDIRECT_ADDRESS.MAX_ENTRIES) {
-      throw new Error(this.getIndirectAddressErrorMessage('indexOutOfRange', { index }));
-    }
+    const slot = this.getIndirectSlot(index);
 
     if (!this.indirectMappings.has(index)) {
       throw new Error(this.getIndirectAddressErrorMessage('indexNotMapped', { index }));
     }
 
-    const indirectDataAddr = INDIRECT_ADDRESS.DATA_BASE_ADDRESS + index;
-    return await this.writeByte(indirectDataAddr, value);
+    return await this.writeByte(slot.data, value);
   }
 
   /**
@@ -529,16 +1733,13 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<number>} - Read value (1 byte)
    */
   async readIndirectData(index) {
-    if (index < 0 || index >= INDIRECT_ADDRESS.MAX_ENTRIES) {
-      throw new Error(this.getIndirectAddressErrorMessage('indexOutOfRange', { index }));
-    }
+    const slot = this.getIndirectSlot(index);
 
     if (!this.indirectMappings.has(index)) {
       throw new Error(this.getIndirectAddressErrorMessage('indexNotMapped', { index }));
     }
 
-    const indirectDataAddr = INDIRECT_ADDRESS.DATA_BASE_ADDRESS + index;
-    return await this.readByte(indirectDataAddr);
+    return await this.readByte(slot.data);
   }
 
   /**
@@ -553,9 +1754,7 @@ export class DynamixelDevice extends EventEmitter {
 
     // Validate all indices
     for (const index of indices) {
-      if (index < 0 || index >= INDIRECT_ADDRESS.MAX_ENTRIES) {
-        throw new Error(this.getIndirectAddressErrorMessage('indexOutOfRange', { index }));
-      }
+      this.getIndirectSlot(index);
       if (!this.indirectMappings.has(index)) {
         throw new Error(this.getIndirectAddressErrorMessage('indexNotMapped', { index }));
       }
@@ -565,18 +1764,12 @@ export class DynamixelDevice extends EventEmitter {
     const sortedIndices = [...indices].sort((a, b) => a - b);
     const results = {};
 
-    // Check if indices are contiguous for optimized bulk read
-    let isContiguous = true;
-    for (let i = 1; i < sortedIndices.length; i++) {
-      if (sortedIndices[i] !== sortedIndices[i - 1] + 1) {
-        isContiguous = false;
-        break;
-      }
-    }
+    // Check if the data bytes are contiguous (same bank) for optimized bulk read
+    const isContiguous = this.areIndirectSlotsContiguous(sortedIndices);
 
     if (isContiguous && sortedIndices.length > 1) {
       // Optimized contiguous read
-      const startAddr = INDIRECT_ADDRESS.DATA_BASE_ADDRESS + sortedIndices[0];
+      const startAddr = this.getIndirectSlot(sortedIndices[0]).data;
       const length = sortedIndices.length;
       const data = await this.read(startAddr, length);
 
@@ -611,9 +1804,7 @@ export class DynamixelDevice extends EventEmitter {
 
     // Validate all indices and values
     for (const index of indices) {
-      if (index < 0 || index >= INDIRECT_ADDRESS.MAX_ENTRIES) {
-        throw new Error(this.getIndirectAddressErrorMessage('indexOutOfRange', { index }));
-      }
+      this.getIndirectSlot(index);
       if (!this.indirectMappings.has(index)) {
         throw new Error(this.getIndirectAddressErrorMessage('indexNotMapped', { index }));
       }
@@ -625,18 +1816,12 @@ export class DynamixelDevice extends EventEmitter {
     // Sort indices for potential optimization
     const sortedIndices = indices.sort((a, b) => a - b);
 
-    // Check if indices are contiguous for optimized bulk write
-    let isContiguous = true;
-    for (let i = 1; i < sortedIndices.length; i++) {
-      if (sortedIndices[i] !== sortedIndices[i - 1] + 1) {
-        isContiguous = false;
-        break;
-      }
-    }
+    // Check if the data bytes are contiguous (same bank) for optimized bulk write
+    const isContiguous = this.areIndirectSlotsContiguous(sortedIndices);
 
     if (isContiguous && sortedIndices.length > 1) {
       // Optimized contiguous write
-      const startAddr = INDIRECT_ADDRESS.DATA_BASE_ADDRESS + sortedIndices[0];
+      const startAddr = this.getIndirectSlot(sortedIndices[0]).data;
       const data = sortedIndices.map(index => mappings[index]);
       return await this.write(startAddr, data);
     } else {
@@ -657,14 +1842,13 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<boolean>} - Success status
    */
   async clearIndirectMapping(index) {
-    if (index < 0 || index >= INDIRECT_ADDRESS.MAX_ENTRIES) {
-      throw new Error(this.getIndirectAddressErrorMessage('indexOutOfRange', { index }));
-    }
+    const slot = this.getIndirectSlot(index);
 
-    const indirectAddressAddr = INDIRECT_ADDRESS.BASE_ADDRESS + (index * INDIRECT_ADDRESS.ADDRESS_SIZE);
-    const success = await this.writeWord(indirectAddressAddr, 0);
+    // The factory value points the entry at its own data byte
+    const success = await this.writeWord(slot.address, slot.data);
 
     if (success) {
+      this.forgetIndirectRegisters(index);
       this.indirectMappings.delete(index);
     }
 
@@ -676,7 +1860,7 @@ export class DynamixelDevice extends EventEmitter {
    * @returns {Promise<boolean>} - Success status
    */
   async clearAllIndirectMappings() {
-    for (let i = 0; i < INDIRECT_ADDRESS.MAX_ENTRIES; i++) {
+    for (let i = 0; i < this.getIndirectSlotCount(); i++) {
       const success = await this.clearIndirectMapping(i);
       if (!success) {
         return false;
@@ -694,49 +1878,344 @@ export class DynamixelDevice extends EventEmitter {
   }
 
   /**
-   * Setup common indirect mappings for monitoring
+   * Map a control table item onto consecutive indirect slots
+   * The first run of free slots wide enough for every byte of the item is used, so
+   * multi-byte values read back whole through readIndirectBlock().
+   * @param {string|{address: number, size: number, type?: string, name?: string}} register - Item name, or the address and size (1, 2 or 4) of an item
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<IndirectRegister>} - The mapping (returned as is when the item is already mapped)
+   * @throws {Error} - When the item is outside the valid range or no run of free slots is wide enough
+   */
+  async mapIndirect(register, timeout = null) {
+    const item = this.resolveIndirectRegister(register);
+
+    const existing = this.indirectRegisters.get(item.name);
+    if (existing) {
+      if (existing.address !== item.address || existing.size !== item.size) {
+        throw new Error(`Indirect register ${item.name} is already mapped to address ${existing.address}`);
+      }
+      return existing;
+    }
+
+    for (let offset = 0; offset < item.size; offset++) {
+      this.checkIndirectTarget(item.address + offset);
+    }
+
+    const index = this.allocateIndirectSlots(item.size);
+    if (index === -1) {
+      throw new Error(`No ${item.size} consecutive free indirect slots for ${item.name}`);
+    }
+
+    const [mapping] = await this.programIndirectSlots(index, [item], timeout);
+    return mapping;
+  }
+
+  /**
+   * Map several registers back to back onto one run of indirect slots
+   * The block's data bytes can then be read with one instruction, e.g. a group read of the
+   * same block on several devices. Registers already mapped back to back in this order are
+   * kept as they are; otherwise they are moved.
+   * @param {Array<string|{address: number, size: number, type?: string, name?: string}>} registers - Item names, or addresses and sizes (see mapIndirect())
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<{address: number, length: number, registers: IndirectRegister[]}>} - Data address and length of the block, and its registers in order
+   * @throws {Error} - When an item is outside the valid range or no run of free slots is wide enough
+   */
+  async mapIndirectBlock(registers, timeout = null) {
+    if (!Array.isArray(registers) || registers.length === 0) {
+      throw new Error('Indirect block registers must be a non-empty array');
+    }
+
+    const items = registers.map(register => this.resolveIndirectRegister(register));
+    const length = items.reduce((total, item) => total + item.size, 0);
+
+    const mapped = items.map(item => this.indirectRegisters.get(item.name));
+    const kept = mapped.every((register, i) => register && register.address === items[i].address &&
+      register.size === items[i].size && register.index === (i === 0 ? register.index : mapped[i - 1].index + mapped[i - 1].size));
+    if (kept && this.areIndirectSlotsContiguous(Array.from({ length }, (_, offset) => mapped[0].index + offset))) {
+      return { address: this.getIndirectSlot(mapped[0].index).data, length, registers: mapped };
+    }
+
+    for (const item of items) {
+      for (let offset = 0; offset < item.size; offset++) {
+        this.checkIndirectTarget(item.address + offset);
+      }
+    }
+
+    // Find room first, counting the slots of the registers being moved as free, so a
+    // block that does not fit leaves the existing mappings untouched
+    const moved = mapped.filter(Boolean);
+    const freed = new Set(moved.flatMap(register => Array.from({ length: register.size }, (_, offset) => register.index + offset)));
+    const index = this.allocateIndirectSlots(length, freed);
+    if (index === -1) {
+      throw new Error(`No ${length} consecutive free indirect slots for ${items.map(item => item.name).join(', ')}`);
+    }
+
+    for (const register of moved) {
+      await this.unmapIndirect(register.name, timeout);
+    }
+
+    return { address: this.getIndirectSlot(index).data, length, registers: await this.programIndirectSlots(index, items, timeout) };
+  }
+
+  /**
+   * Point a run of free slots at the bytes of some registers, back to back
+   * The address entries of consecutive slots in a bank are consecutive, so one write programs them all.
+   * @param {number} index - First slot (the run must lie within one bank)
+   * @param {Array<{name: string, address: number, size: number, type: string|null}>} items - Registers in slot order
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<IndirectRegister[]>} - The mappings in slot order
+   */
+  async programIndirectSlots(index, items, timeout = null) {
+    const data = [];
+    for (const item of items) {
+      for (let offset = 0; offset < item.size; offset++) {
+        data.push(...Protocol2.encodeValue(item.address + offset, INDIRECT_ADDRESS.ADDRESS_SIZE));
+      }
+    }
+    await this.write(this.getIndirectSlot(index).address, data, timeout);
+
+    const mappings = [];
+    let next = index;
+    for (const item of items) {
+      for (let offset = 0; offset < item.size; offset++) {
+        this.indirectMappings.set(next + offset, item.address + offset);
+      }
+      const mapping = Object.freeze({ ...item, index: next });
+      this.indirectRegisters.set(item.name, mapping);
+      mappings.push(mapping);
+      next += item.size;
+    }
+    return mappings;
+  }
+
+  /**
+   * Remove a register mapped with mapIndirect() and free its slots
+   * @param {string} name - Register name
+   * @param {number} [timeout=null] - Timeout in milliseconds
    * @returns {Promise<boolean>} - Success status
    */
-  async setupCommonIndirectMappings() {
-    const mappings = [
-      { index: 0, address: CONTROL_TABLE.PRESENT_POSITION },
-      { index: 4, address: CONTROL_TABLE.PRESENT_VELOCITY },
-      { index: 8, address: CONTROL_TABLE.PRESENT_PWM },
-      { index: 10, address: CONTROL_TABLE.PRESENT_TEMPERATURE },
-      { index: 11, address: CONTROL_TABLE.MOVING }
-    ];
-
-    for (const mapping of mappings) {
-      const success = await this.setupIndirectAddress(mapping.index, mapping.address);
-      if (!success) {
-        return false;
+  async unmapIndirect(name, timeout = null) {
+    const register = this.getIndirectRegister(name);
+
+    // Point the entries back at their own data bytes (the factory value)
+    const first = this.getIndirectSlot(register.index);
+    const data = [];
+    for (let offset = 0; offset < register.size; offset++) {
+      data.push(...Protocol2.encodeValue(first.data + offset, INDIRECT_ADDRESS.ADDRESS_SIZE));
+    }
+    await this.write(first.address, data, timeout);
+
+    for (let offset = 0; offset < register.size; offset++) {
+      this.indirectMappings.delete(register.index + offset);
+    }
+    this.indirectRegisters.delete(name);
+    return true;
+  }
+
+  /**
+   * Read registers mapped with mapIndirect() with one read per indirect bank
+   * Each read spans from the first to the last slot of the requested registers in that bank.
+   * @param {string[]} [names] - Register names (defaults to every mapped register)
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<Object.<string, number>>} - Decoded value of each register by name, signed items sign-extended
+   */
+  async readIndirectBlock(names = [...this.indirectRegisters.keys()], timeout = null) {
+    const registers = names.map(name => this.getIndirectRegister(name));
+    if (registers.length === 0) {
+      throw new Error(`No indirect registers mapped on device ${this.id}`);
+    }
+
+    const banks = new Map();
+    for (const register of registers) {
+      const { bank } = this.getIndirectSlot(register.index);
+      banks.set(bank, [...(banks.get(bank) || []), register]);
+    }
+
+    const values = {};
+    for (const members of banks.values()) {
+      const start = Math.min(...members.map(register => register.index));
+      const end = Math.max(...members.map(register => register.index + register.size));
+      const data = await this.read(this.getIndirectSlot(start).data, end - start, timeout);
+      Object.assign(values, this.decodeIndirectData(members, data, start));
+    }
+    return values;
+  }
+
+  /**
+   * Decode registers from bytes of the indirect data area
+   * @param {IndirectRegister[]} registers - Registers within the bytes
+   * @param {Buffer} data - Data bytes, starting at slot `start`
+   * @param {number} start - Slot index of the first byte
+   * @returns {Object.<string, number>} - Decoded value of each register by name, signed items sign-extended
+   */
+  decodeIndirectData(registers, data, start) {
+    const values = {};
+    for (const register of registers) {
+      const offset = register.index - start;
+      values[register.name] = ControlTables.decodeValue(register, data.subarray(offset, offset + register.size));
+    }
+    return values;
+  }
+
+  /**
+   * Read the Indirect Address entries back from the device (one read per bank)
+   * Entries that point anywhere but their own data byte (the factory value) become
+   * indirectMappings. Runs of slots that map every byte of a control table item in order
+   * become registers named after the item again; other slots stay plain byte mappings.
+   * @param {number} [timeout=null] - Timeout in milliseconds
+   * @returns {Promise<Map<number, number>>} - Copy of the mappings (slot index to target address)
+   */
+  async loadIndirectMappings(timeout = null) {
+    const layout = this.requireIndirectLayout();
+    const mappings = new Map();
+
+    let first = 0;
+    for (const bank of layout.banks) {
+      const entries = await this.read(bank.address, bank.entries * INDIRECT_ADDRESS.ADDRESS_SIZE, timeout);
+      for (let offset = 0; offset < bank.entries; offset++) {
+        const target = entries.readUInt16LE(offset * INDIRECT_ADDRESS.ADDRESS_SIZE);
+        if (target !== bank.data + offset && target >= layout.min && target <= layout.max) {
+          mappings.set(first + offset, target);
+        }
+      }
+      first += bank.entries;
+    }
+
+    this.indirectMappings = mappings;
+    this.indirectRegisters = this.findIndirectRegisters();
+    return this.getIndirectMappings();
+  }
+
+  /**
+   * Recognize control table items among the byte mappings
+   * @returns {Map<string, IndirectRegister>} - Registers by item name
+   */
+  findIndirectRegisters() {
+    const registers = new Map();
+    const indices = [...this.indirectMappings.keys()].sort((a, b) => a - b);
+
+    for (let i = 0; i < indices.length; i++) {
+      const index = indices[i];
+      const target = this.indirectMappings.get(index);
+      const entry = Object.entries(this.controlTable).find(([name, item]) => item.address === target && !registers.has(name));
+      if (!entry) {
+        continue;
+      }
+
+      const [name, { address, size, type }] = entry;
+      const last = index + size - 1;
+      const complete = last < this.getIndirectSlotCount() &&
+        this.getIndirectSlot(last).bank === this.getIndirectSlot(index).bank &&
+        Array.from({ length: size }, (_, offset) => this.indirectMappings.get(index + offset) === address + offset).every(Boolean);
+
+      if (complete) {
+        registers.set(name, Object.freeze({ name, address, size, type, index }));
+        i += size - 1;
+      }
+    }
+    return registers;
+  }
+
+  /**
+   * Get registers mapped with mapIndirect()
+   * @returns {Map<string, IndirectRegister>} - Copy of the registers by name
+   */
+  getIndirectRegisters() {
+    return new Map(this.indirectRegisters);
+  }
+
+  /**
+   * Look up a register mapped with mapIndirect()
+   * @param {string} name - Register name
+   * @returns {IndirectRegister} - The mapping
+   * @throws {Error} - When no register of that name is mapped
+   */
+  getIndirectRegister(name) {
+    const register = this.indirectRegisters.get(name);
+    if (!register) {
+      throw new Error(`Indirect register ${name} not mapped`);
+    }
+    return register;
+  }
+
+  /**
+   * Resolve the argument of mapIndirect() to a name, address, size and type
+   * @param {string|{address: number, size: number, type?: string, name?: string}} register - Item name, or address and size
+   * @returns {{name: string, address: number, size: number, type: string|null}} - Register description
+   */
+  resolveIndirectRegister(register) {
+    if (typeof register === 'string') {
+      const { address, size, type } = this.getControlTableItem(register);
+      return { name: register, address, size, type };
+    }
+
+    const { address, size } = register || {};
+    if (!Number.isInteger(address) || ![1, 2, 4].includes(size)) {
+      throw new Error('Invalid indirect register. Must be an item name or { address, size } with size 1, 2 or 4.');
+    }
+    return { name: register.name || `address${address}`, address, size, type: register.type || null };
+  }
+
+  /**
+   * Find the first run of free indirect slots within one bank
+   * @param {number} size - Number of consecutive slots needed
+   * @param {Set<number>} [freed] - Mapped slots to count as free (about to be unmapped)
+   * @returns {number} - First slot of the run, or -1 if there is none
+   */
+  allocateIndirectSlots(size, freed = new Set()) {
+    let first = 0;
+    for (const { entries } of this.requireIndirectLayout().banks) {
+      let run = 0;
+      for (let index = first; index < first + entries; index++) {
+        run = this.indirectMappings.has(index) && !freed.has(index) ? 0 : run + 1;
+        if (run === size) {
+          return index - size + 1;
+        }
+      }
+      first += entries;
+    }
+    return -1;
+  }
+
+  /**
+   * Drop the registers that use a slot about to be remapped or cleared by index
+   * @param {number} index - Indirect slot index
+   */
+  forgetIndirectRegisters(index) {
+    for (const [name, register] of this.indirectRegisters) {
+      if (index >= register.index && index < register.index + register.size) {
+        this.indirectRegisters.delete(name);
       }
     }
+  }
 
+  /**
+   * Setup common indirect mappings for monitoring
+   * Maps Present Position, Present Velocity, Present PWM, Present Temperature and Moving
+   * with every byte, in slots 0-11 on an otherwise unmapped device.
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setupCommonIndirectMappings() {
+    for (const name of COMMON_STATUS_REGISTERS) {
+      await this.mapIndirect(name);
+    }
     return true;
   }
 
   /**
    * Read all common monitoring values through indirect addressing
-   * @returns {Promise<Object>} - Object containing position, velocity, pwm, temperature, moving
-   * @warning The returned values are incomplete for multi-byte fields:
-   *          - position: Only 1 byte of 4-byte value (use consecutive indirect mappings for full values)
-   *          - velocity: Only 1 byte of 4-byte value (use consecutive indirect mappings for full values)
-   *          - pwm: Only 1 byte of 2-byte value (use consecutive indirect mappings for full values)
-   *          For complete values, map consecutive indirect addresses to cover all bytes
+   * Requires setupCommonIndirectMappings(); the values are read with one READ.
+   * @returns {Promise<Object>} - Object containing position, velocity, pwm, temperature, moving (velocity and pwm signed)
    */
   async readCommonStatus() {
-    const indices = [0, 4, 8, 10, 11];
-    const data = await this.bulkReadIndirect(indices);
+    const values = await this.readIndirectBlock(COMMON_STATUS_REGISTERS);
 
-    // Present position is 4 bytes, but we can only read 1 byte per indirect data
-    // For full 4-byte values, we need to map consecutive indirect addresses
     return {
-      position: data[0], // This will only be 1 byte of the 4-byte position
-      velocity: data[4], // This will only be 1 byte of the 4-byte velocity
-      pwm: data[8],      // This will only be 1 byte of the 2-byte PWM
-      temperature: data[10],
-      moving: data[11]
+      position: values.presentPosition,
+      velocity: values.presentVelocity,
+      pwm: values.presentPWM,
+      temperature: values.presentTemperature,
+      moving: values.moving
     };
   }
 }
@@ -53,6 +53,26 @@ export class MotorProfiles {
           torqueLimit: 1023,
           description: 'Fast positioning with full torque'
         }
+      },
+      conversions: {
+        position: {
+          unit: 'pulse',
+          resolution: 1024,
+          range: [0, 1023],
+          degreesPerUnit: 0.29 // 300° / 1024 steps
+        },
+        velocity: {
+          unit: 'rev/min',
+          scale: 0.111 // RPM per unit
+        },
+        voltage: {
+          unit: 'V',
+          scale: 0.1 // 1 unit = 0.1V
+        },
+        temperature: {
+          unit: '°C',
+          scale: 1.0 // 1 unit = 1°C
+        }
       }
     });
 
@@ -141,6 +161,34 @@ export class MotorProfiles {
           goalCurrent: 150,
           description: 'Force-controlled operation'
         }
+      },
+      conversions: {
+        position: {
+          unit: 'pulse',
+          resolution: 4096,
+          range: [0, 4095],
+          degreesPerUnit: 0.088 // 360° / 4096 steps
+        },
+        velocity: {
+          unit: 'rev/min',
+          scale: 0.229 // RPM per unit
+        },
+        current: {
+          unit: 'mA',
+          scale: 2.69 // 1 unit = 2.69 mA
+        },
+        voltage: {
+          unit: 'V',
+          scale: 0.1 // 1 unit = 0.1V
+        },
+        temperature: {
+          unit: '°C',
+          scale: 1.0 // 1 unit = 1°C
+        },
+        pwm: {
+          unit: '%',
+          scale: 0.113 // 1 unit = 0.113%
+        }
       }
     });
 
@@ -0,0 +1,45 @@
+import { Protocol1 } from './Protocol1.js';
+import { Protocol2 } from './Protocol2.js';
+
+/**
+ * Receive-side packet framing for buses that may carry Protocol 1.0 and 2.0 packets
+ * Transports use this to split the byte stream into packets and route responses by ID
+ * without knowing which protocol a device speaks.
+ */
+export class PacketFraming {
+  /**
+   * Get the codec for a packet
+   * @param {Buffer|Uint8Array} buffer - Packet (or start of a packet)
+   * @returns {typeof Protocol1|typeof Protocol2} - Protocol1 for 1.0 headers, Protocol2 otherwise
+   */
+  static getProtocol(buffer) {
+    return Protocol1.isProtocol1Packet(buffer) ? Protocol1 : Protocol2;
+  }
+
+  /**
+   * Find where the next packet of either protocol starts in a receive buffer
+   * @param {Buffer|Uint8Array} buffer - Received bytes
+   * @returns {number} - Index of the next (possibly partial) header, or buffer.length if there is none
+   */
+  static findPacketStart(buffer) {
+    return Math.min(Protocol2.findPacketStart(buffer), Protocol1.findPacketStart(buffer));
+  }
+
+  /**
+   * Check if buffer starts with a complete packet of either protocol
+   * @param {Buffer} buffer - Buffer to check
+   * @returns {number} - Length of complete packet, 0 if incomplete, or -1 if the header announces an impossible length
+   */
+  static getCompletePacketLength(buffer) {
+    return this.getProtocol(buffer).getCompletePacketLength(buffer);
+  }
+
+  /**
+   * Get the device ID of a raw packet
+   * @param {Buffer} buffer - Raw packet
+   * @returns {number} - Device ID
+   */
+  static getPacketId(buffer) {
+    return Protocol1.isProtocol1Packet(buffer) ? buffer[2] : buffer[4];
+  }
+}
@@ -0,0 +1,244 @@
+import {
+  PROTOCOL1_HEADER,
+  PROTOCOL1_INSTRUCTIONS,
+  PROTOCOL1_ERROR_FLAGS,
+  PROTOCOL1_MIN_PACKET_LENGTH,
+  PROTOCOL1_MAX_PACKET_LENGTH,
+  BROADCAST_ID
+} from './constants.js';
+import { DynamixelCrcError } from './errors.js';
+
+/**
+ * DYNAMIXEL Protocol 1.0 implementation
+ * Handles packet construction, parsing, and checksum calculation for legacy
+ * AX/RX/EX/MX(1.0) servos. Packets are: 0xFF 0xFF ID LENGTH INSTRUCTION|ERROR PARAMS... CHECKSUM
+ * ID 0xFD is not supported, since 0xFF 0xFF 0xFD is the start of a Protocol 2.0 header.
+ */
+export class Protocol1 {
+  /**
+   * Calculate the Protocol 1.0 checksum
+   * @param {Buffer|Array} data - Bytes from ID up to the last parameter
+   * @returns {number} - 8-bit checksum (inverted sum)
+   */
+  static calculateChecksum(data) {
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) {
+      sum += data[i];
+    }
+    return (~sum) & 0xFF;
+  }
+
+  /**
+   * Create an instruction packet
+   * @param {number} id - DYNAMIXEL ID (0-253, 0xFE for broadcast)
+   * @param {number} instruction - Instruction byte
+   * @param {Array|Buffer} parameters - Parameter data
+   * @returns {Buffer} - Complete instruction packet
+   */
+  static createInstructionPacket(id, instruction, parameters = []) {
+    const paramArray = Array.isArray(parameters) ? parameters : Array.from(parameters);
+    const length = paramArray.length + 2; // Instruction + Parameters + Checksum
+
+    if (length > 0xFF) {
+      throw new Error(`Protocol 1.0 packet too long: ${paramArray.length} parameter bytes`);
+    }
+
+    const body = [id, length, instruction, ...paramArray];
+
+    return Buffer.from([...PROTOCOL1_HEADER, ...body, this.calculateChecksum(body)]);
+  }
+
+  /**
+   * Parse a status packet
+   * @param {Buffer} buffer - Raw packet data
+   * @returns {Object|null} - Parsed packet or null if invalid
+   * @throws {Error} - When the checksum does not match
+   */
+  static parseStatusPacket(buffer) {
+    if (!this.isProtocol1Packet(buffer) || buffer.length < PROTOCOL1_MIN_PACKET_LENGTH) {
+      return null;
+    }
+
+    const id = buffer[2];
+    const length = buffer[3];
+
+    if (length < 2 || buffer.length < 4 + length) {
+      return null;
+    }
+
+    const checksumOffset = 3 + length;
+    const checksumReceived = buffer[checksumOffset];
+    const checksumCalculated = this.calculateChecksum(buffer.slice(2, checksumOffset));
+
+    if (checksumReceived !== checksumCalculated) {
+      throw new DynamixelCrcError(`Checksum mismatch: received ${checksumReceived.toString(16)}, calculated ${checksumCalculated.toString(16)}`, { id });
+    }
+
+    return {
+      id,
+      error: buffer[4],
+      parameters: Array.from(buffer.slice(5, checksumOffset)),
+      length,
+      raw: buffer
+    };
+  }
+
+  /**
+   * Create a PING instruction packet
+   * Protocol 1.0 PING returns an empty status packet; the model number has to be read
+   * @param {number} id - DYNAMIXEL ID
+   * @returns {Buffer} - PING instruction packet
+   */
+  static createPingPacket(id) {
+    return this.createInstructionPacket(id, PROTOCOL1_INSTRUCTIONS.PING, []);
+  }
+
+  /**
+   * Create a READ instruction packet
+   * @param {number} id - DYNAMIXEL ID
+   * @param {number} address - Control table address (0-255)
+   * @param {number} length - Number of bytes to read (1-255)
+   * @returns {Buffer} - READ instruction packet
+   */
+  static createReadPacket(id, address, length) {
+    return this.createInstructionPacket(id, PROTOCOL1_INSTRUCTIONS.READ, [address & 0xFF, length & 0xFF]);
+  }
+
+  /**
+   * Create a WRITE instruction packet
+   * @param {number} id - DYNAMIXEL ID
+   * @param {number} address - Control table address (0-255)
+   * @param {Array|Buffer} data - Data bytes
+   * @returns {Buffer} - WRITE instruction packet
+   */
+  static createWritePacket(id, address, data) {
+    return this.createInstructionPacket(id, PROTOCOL1_INSTRUCTIONS.WRITE, [address & 0xFF, ...Array.from(data)]);
+  }
+
+  /**
+   * Create a REG WRITE instruction packet
+   * @param {number} id - DYNAMIXEL ID
+   * @param {number} address - Control table address (0-255)
+   * @param {Array|Buffer} data - Data bytes
+   * @returns {Buffer} - REG WRITE instruction packet
+   */
+  static createRegWritePacket(id, address, data) {
+    return this.createInstructionPacket(id, PROTOCOL1_INSTRUCTIONS.REG_WRITE, [address & 0xFF, ...Array.from(data)]);
+  }
+
+  /**
+   * Create an ACTION instruction packet
+   * @param {number} id - DYNAMIXEL ID (0xFE for broadcast)
+   * @returns {Buffer} - ACTION instruction packet
+   */
+  static createActionPacket(id) {
+    return this.createInstructionPacket(id, PROTOCOL1_INSTRUCTIONS.ACTION, []);
+  }
+
+  /**
+   * Create a SYNC WRITE instruction packet
+   * @param {number} address - Starting control table address
+   * @param {number} length - Number of bytes written to each device
+   * @param {Array<{id: number, data: Array|Buffer}>} entries - Per-device data (each exactly `length` bytes)
+   * @returns {Buffer} - SYNC WRITE instruction packet
+   */
+  static createSyncWritePacket(address, length, entries) {
+    const parameters = [address & 0xFF, length & 0xFF];
+
+    for (const { id, data } of entries) {
+      if (data.length !== length) {
+        throw new Error(`Sync write data for ID ${id} must be ${length} bytes, got ${data.length}`);
+      }
+      parameters.push(id, ...Array.from(data));
+    }
+
+    return this.createInstructionPacket(BROADCAST_ID, PROTOCOL1_INSTRUCTIONS.SYNC_WRITE, parameters);
+  }
+
+  /**
+   * Check whether a buffer starts with a Protocol 1.0 header
+   * @param {Buffer|Uint8Array} buffer - Buffer to check
+   * @returns {boolean} - True for 0xFF 0xFF followed by a valid ID
+   */
+  static isProtocol1Packet(buffer) {
+    return !!buffer && buffer.length >= 3 &&
+      buffer[0] === PROTOCOL1_HEADER[0] && buffer[1] === PROTOCOL1_HEADER[1] &&
+      buffer[2] !== 0xFD && buffer[2] !== 0xFF;
+  }
+
+  /**
+   * Check if buffer contains a complete packet
+   * @param {Buffer} buffer - Buffer to check
+   * @returns {number} - Length of complete packet, 0 if incomplete, or -1 if the header announces an impossible length
+   */
+  static getCompletePacketLength(buffer) {
+    if (!this.isProtocol1Packet(buffer) || buffer.length < 4) {
+      return 0;
+    }
+
+    const length = buffer[3];
+    const totalLength = 4 + length; // Header(2) + ID(1) + Length(1) + Data(length)
+    if (length < 2 || totalLength > PROTOCOL1_MAX_PACKET_LENGTH) {
+      return -1; // Shorter than Instruction/Error + Checksum, or longer than any packet
+    }
+
+    return buffer.length >= totalLength ? totalLength : 0;
+  }
+
+  /**
+   * Find where the next Protocol 1.0 packet starts in a receive buffer
+   * A partial header at the end of the buffer is kept, since the rest of it may still arrive.
+   * @param {Buffer|Uint8Array} buffer - Received bytes
+   * @returns {number} - Index of the next (possibly partial) header, or buffer.length if there is none
+   */
+  static findPacketStart(buffer) {
+    for (let i = 0; i < buffer.length; i++) {
+      if (buffer[i] !== PROTOCOL1_HEADER[0]) {
+        continue;
+      }
+
+      const remaining = buffer.length - i;
+      if (remaining < 3) {
+        if (remaining === 1 || buffer[i + 1] === PROTOCOL1_HEADER[1]) {
+          return i; // Partial header at the end of the buffer
+        }
+        continue;
+      }
+
+      if (this.isProtocol1Packet(buffer.slice(i, i + 3)) && (remaining === 3 || buffer[i + 3] >= 2)) {
+        return i;
+      }
+    }
+
+    return buffer.length;
+  }
+
+  /**
+   * Get the error code of a status packet error byte
+   * Protocol 1.0 has no Hardware Alert bit; the whole byte is a bit field of errors.
+   * @param {number} error - Error byte from status packet
+   * @returns {{code: number, alert: boolean}} - Error bits and alert flag (always false)
+   */
+  static decodeError(error) {
+    return { code: error, alert: false };
+  }
+
+  /**
+   * Convert error byte to human-readable string
+   * @param {number} errorCode - Error byte from status packet
+   * @returns {string} - Error description
+   */
+  static getErrorDescription(errorCode) {
+    const errors = [];
+
+    if (errorCode & PROTOCOL1_ERROR_FLAGS.INPUT_VOLTAGE) errors.push('Input Voltage Error');
+    if (errorCode & PROTOCOL1_ERROR_FLAGS.ANGLE_LIMIT) errors.push('Angle Limit Error');
+    if (errorCode & PROTOCOL1_ERROR_FLAGS.OVERHEATING) errors.push('Overheating Error');
+    if (errorCode & PROTOCOL1_ERROR_FLAGS.RANGE) errors.push('Range Error');
+    if (errorCode & PROTOCOL1_ERROR_FLAGS.CHECKSUM) errors.push('Checksum Error');
+    if (errorCode & PROTOCOL1_ERROR_FLAGS.OVERLOAD) errors.push('Overload Error');
+    if (errorCode & PROTOCOL1_ERROR_FLAGS.INSTRUCTION) errors.push('Instruction Error');
+
+    return errors.length > 0 ? errors.join(', ') : 'No Error';
+  }
+}
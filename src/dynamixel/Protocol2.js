@@ -1,4 +1,25 @@
-import { HEADER, INSTRUCTIONS, ERROR_FLAGS, MIN_PACKET_LENGTH } from './constants.js';
+import {
+  HEADER,
+  INSTRUCTIONS,
+  ERROR_FLAGS,
+  MIN_PACKET_LENGTH,
+  MAX_PACKET_LENGTH,
+  BROADCAST_ID,
+  STATUS_ALERT_BIT,
+  STATUS_ERROR_CODE_MASK
+} from './constants.js';
+import { DynamixelCrcError } from './errors.js';
+
+// Description of each status packet error code
+const ERROR_DESCRIPTIONS = {
+  [ERROR_FLAGS.RESULT_FAIL]: 'Result Fail',
+  [ERROR_FLAGS.INSTRUCTION_ERROR]: 'Instruction Error',
+  [ERROR_FLAGS.CRC_ERROR]: 'CRC Error',
+  [ERROR_FLAGS.DATA_RANGE_ERROR]: 'Data Range Error',
+  [ERROR_FLAGS.DATA_LENGTH_ERROR]: 'Data Length Error',
+  [ERROR_FLAGS.DATA_LIMIT_ERROR]: 'Data Limit Error',
+  [ERROR_FLAGS.ACCESS_ERROR]: 'Access Error'
+};
 
 /**
  * DYNAMIXEL Protocol 2.0 implementation
@@ -67,6 +88,45 @@ export class Protocol2 {
     return crcAccum;
   }
 
+  /**
+   * Apply byte stuffing to the instruction/parameter area of a packet
+   * Every 0xFF 0xFF 0xFD sequence gets an extra 0xFD so it can't be mistaken for a header
+   * @param {Array|Buffer} data - Instruction byte followed by parameters
+   * @returns {Array} - Stuffed bytes
+   */
+  static addStuffing(data) {
+    const stuffed = [];
+
+    for (let i = 0; i < data.length; i++) {
+      stuffed.push(data[i]);
+
+      if (i >= 2 && data[i] === 0xFD && data[i - 1] === 0xFF && data[i - 2] === 0xFF) {
+        stuffed.push(0xFD);
+      }
+    }
+
+    return stuffed;
+  }
+
+  /**
+   * Remove byte stuffing from the instruction/parameter area of a received packet
+   * @param {Array|Buffer} data - Stuffed bytes as received
+   * @returns {Array} - Original bytes
+   */
+  static removeStuffing(data) {
+    const unstuffed = [];
+
+    for (let i = 0; i < data.length; i++) {
+      unstuffed.push(data[i]);
+
+      if (i >= 2 && data[i] === 0xFD && data[i - 1] === 0xFF && data[i - 2] === 0xFF && data[i + 1] === 0xFD) {
+        i++; // Skip the stuffing byte
+      }
+    }
+
+    return unstuffed;
+  }
+
   /**
    * Create an instruction packet
    * @param {number} id - DYNAMIXEL ID (0-252, 0xFE for broadcast)
@@ -76,7 +136,10 @@ export class Protocol2 {
    */
   static createInstructionPacket(id, instruction, parameters = []) {
     const paramArray = Array.isArray(parameters) ? parameters : Array.from(parameters);
-    const length = 3 + paramArray.length; // Instruction + Parameters + CRC(2)
+
+    // LENGTH counts the stuffed bytes that actually go on the wire
+    const body = this.addStuffing([instruction, ...paramArray]);
+    const length = body.length + 2; // Instruction + Parameters (stuffed) + CRC(2)
 
     // Build packet without CRC
     const packet = [
@@ -84,12 +147,11 @@ export class Protocol2 {
       id,                  // Packet ID
       length & 0xFF,       // Length low byte
       (length >> 8) & 0xFF, // Length high byte
-      instruction,         // Instruction
-      ...paramArray        // Parameters
+      ...body              // Instruction + Parameters
     ];
 
     // Calculate CRC for the entire packet (excluding only the CRC bytes)
-    // According to ROBOTIS documentation: CRC is calculated on the full packet
+    // According to ROBOTIS documentation: CRC is calculated on the full (stuffed) packet
     const crc = this.calculateCRC(packet);
 
     // Add CRC to packet
@@ -117,29 +179,30 @@ export class Protocol2 {
 
     const id = buffer[4];
     const length = buffer[5] | (buffer[6] << 8);
-    const instruction = buffer[7];
-    const error = buffer[8];
 
     // Check if we have enough data for the complete packet
-    if (buffer.length < 9 + length - 2) {
+    if (length < 4 || buffer.length < 7 + length) {
       return null;
     }
 
-    // Extract parameters (everything between error and CRC)
-    const paramLength = length - 4; // length - instruction - error - CRC(2)
-    const parameters = Array.from(buffer.slice(9, 9 + paramLength));
-
     // Extract CRC
-    const crcReceived = buffer[9 + paramLength] | (buffer[9 + paramLength + 1] << 8);
+    const crcOffset = 7 + length - 2;
+    const crcReceived = buffer[crcOffset] | (buffer[crcOffset + 1] << 8);
 
-    // Verify CRC - calculate on entire packet excluding only the CRC bytes
-    const crcData = Array.from(buffer.slice(0, 9 + paramLength));
+    // Verify CRC - calculated on the packet as received (still stuffed), excluding only the CRC bytes
+    const crcData = Array.from(buffer.slice(0, crcOffset));
     const crcCalculated = this.calculateCRC(crcData);
 
     if (crcReceived !== crcCalculated) {
-      throw new Error(`CRC mismatch: received ${crcReceived.toString(16)}, calculated ${crcCalculated.toString(16)}`);
+      throw new DynamixelCrcError(`CRC mismatch: received ${crcReceived.toString(16)}, calculated ${crcCalculated.toString(16)}`, { id: buffer[4] });
     }
 
+    // Instruction, error and parameters (everything between LENGTH and CRC) without stuffing
+    const body = this.removeStuffing(buffer.slice(7, crcOffset));
+    const instruction = body[0];
+    const error = body[1];
+    const parameters = body.slice(2);
+
     return {
       id,
       instruction,
@@ -150,6 +213,56 @@ export class Protocol2 {
     };
   }
 
+  /**
+   * Parse the combined status packet returned by FAST SYNC READ / FAST BULK READ
+   * The packet is sent to the broadcast ID and its body is a sequence of device blocks:
+   * ERR, ID, DATA..., CRC(2). Each block CRC covers every byte from the header up to
+   * that CRC (after byte stuffing is removed), so the last block CRC is the regular packet
+   * CRC. A block is only trusted when its own CRC matches; a corrupted block does not hide
+   * the blocks before it.
+   * @param {Buffer} buffer - Raw status packet
+   * @param {number[]} dataLengths - Data length of each device block, in request order
+   * @returns {Array<{id: number, error: number, parameters: number[], crcValid: boolean}>|null} - Device blocks in response order, or null if not a complete status packet
+   */
+  static parseFastStatusPacket(buffer, dataLengths) {
+    const wireLength = this.getCompletePacketLength(buffer);
+    if (wireLength <= 0 || buffer[7] !== INSTRUCTIONS.STATUS) {
+      return null;
+    }
+
+    // Blocks are located in the unstuffed packet; the final CRC stays as received
+    buffer = Buffer.from([
+      ...buffer.slice(0, 7),
+      ...this.removeStuffing(buffer.slice(7, wireLength - 2)),
+      ...buffer.slice(wireLength - 2, wireLength)
+    ]);
+    const packetLength = buffer.length;
+
+    const blocks = [];
+    let offset = 8; // First block starts right after the STATUS instruction
+
+    for (const dataLength of dataLengths) {
+      const crcOffset = offset + 2 + dataLength;
+      if (crcOffset + 2 > packetLength) {
+        break;
+      }
+
+      const crcReceived = buffer[crcOffset] | (buffer[crcOffset + 1] << 8);
+      const crcCalculated = this.calculateCRC(buffer.slice(0, crcOffset));
+
+      blocks.push({
+        id: buffer[offset + 1],
+        error: buffer[offset],
+        parameters: Array.from(buffer.slice(offset + 2, crcOffset)),
+        crcValid: crcReceived === crcCalculated
+      });
+
+      offset = crcOffset + 2;
+    }
+
+    return blocks;
+  }
+
   /**
    * Create a PING instruction packet
    * @param {number} id - DYNAMIXEL ID (0-252, 0xFE for broadcast)
@@ -159,6 +272,62 @@ export class Protocol2 {
     return this.createInstructionPacket(id, INSTRUCTIONS.PING, []);
   }
 
+  /**
+   * Create a READ instruction packet
+   * @param {number} id - DYNAMIXEL ID
+   * @param {number} address - Control table address
+   * @param {number} length - Number of bytes to read
+   * @returns {Buffer} - READ instruction packet
+   */
+  static createReadPacket(id, address, length) {
+    return this.createInstructionPacket(id, INSTRUCTIONS.READ, [
+      address & 0xFF,         // Address low byte
+      (address >> 8) & 0xFF,  // Address high byte
+      length & 0xFF,          // Length low byte
+      (length >> 8) & 0xFF    // Length high byte
+    ]);
+  }
+
+  /**
+   * Create a WRITE instruction packet
+   * @param {number} id - DYNAMIXEL ID
+   * @param {number} address - Control table address
+   * @param {Array|Buffer} data - Data bytes
+   * @returns {Buffer} - WRITE instruction packet
+   */
+  static createWritePacket(id, address, data) {
+    return this.createInstructionPacket(id, INSTRUCTIONS.WRITE, [
+      address & 0xFF,         // Address low byte
+      (address >> 8) & 0xFF,  // Address high byte
+      ...Array.from(data)     // Data bytes
+    ]);
+  }
+
+  /**
+   * Create a REG WRITE instruction packet
+   * The data is held by the device until an ACTION instruction arrives.
+   * @param {number} id - DYNAMIXEL ID
+   * @param {number} address - Control table address
+   * @param {Array|Buffer} data - Data bytes
+   * @returns {Buffer} - REG WRITE instruction packet
+   */
+  static createRegWritePacket(id, address, data) {
+    return this.createInstructionPacket(id, INSTRUCTIONS.REG_WRITE, [
+      address & 0xFF,         // Address low byte
+      (address >> 8) & 0xFF,  // Address high byte
+      ...Array.from(data)     // Data bytes
+    ]);
+  }
+
+  /**
+   * Create an ACTION instruction packet
+   * @param {number} id - DYNAMIXEL ID (0xFE to trigger every device with a registered write)
+   * @returns {Buffer} - ACTION instruction packet
+   */
+  static createActionPacket(id) {
+    return this.createInstructionPacket(id, INSTRUCTIONS.ACTION, []);
+  }
+
   /**
    * Parse PING status packet to extract device information
    * @param {Object} statusPacket - Parsed status packet
@@ -184,10 +353,164 @@ export class Protocol2 {
     };
   }
 
+  /**
+   * Create a SYNC READ instruction packet
+   * Reads the same control table region from several devices; each device
+   * answers with its own status packet in the order the IDs are listed
+   * @param {number} address - Starting control table address
+   * @param {number} length - Number of bytes to read from each device
+   * @param {number[]} ids - Device IDs to read from
+   * @param {number} [instruction=INSTRUCTIONS.SYNC_READ] - SYNC_READ or FAST_SYNC_READ
+   * @returns {Buffer} - SYNC READ instruction packet
+   */
+  static createSyncReadPacket(address, length, ids, instruction = INSTRUCTIONS.SYNC_READ) {
+    const parameters = [
+      address & 0xFF,         // Address low byte
+      (address >> 8) & 0xFF,  // Address high byte
+      length & 0xFF,          // Length low byte
+      (length >> 8) & 0xFF,   // Length high byte
+      ...ids                  // Device IDs
+    ];
+
+    return this.createInstructionPacket(BROADCAST_ID, instruction, parameters);
+  }
+
+  /**
+   * Create a FAST SYNC READ instruction packet
+   * Same parameters as SYNC READ, but all devices answer in one combined status packet
+   * (see parseFastStatusPacket)
+   * @param {number} address - Starting control table address
+   * @param {number} length - Number of bytes to read from each device
+   * @param {number[]} ids - Device IDs to read from
+   * @returns {Buffer} - FAST SYNC READ instruction packet
+   */
+  static createFastSyncReadPacket(address, length, ids) {
+    return this.createSyncReadPacket(address, length, ids, INSTRUCTIONS.FAST_SYNC_READ);
+  }
+
+  /**
+   * Create a SYNC WRITE instruction packet
+   * Writes the same control table region on several devices (no status packets are returned)
+   * @param {number} address - Starting control table address
+   * @param {number} length - Number of bytes written to each device
+   * @param {Array<{id: number, data: Array|Buffer}>} entries - Per-device data (each exactly `length` bytes)
+   * @returns {Buffer} - SYNC WRITE instruction packet
+   */
+  static createSyncWritePacket(address, length, entries) {
+    const parameters = [
+      address & 0xFF,         // Address low byte
+      (address >> 8) & 0xFF,  // Address high byte
+      length & 0xFF,          // Length low byte
+      (length >> 8) & 0xFF    // Length high byte
+    ];
+
+    for (const entry of entries) {
+      const dataArray = Array.isArray(entry.data) ? entry.data : Array.from(entry.data);
+      if (dataArray.length !== length) {
+        throw new Error(`Sync write data for ID ${entry.id} must be ${length} bytes, got ${dataArray.length}`);
+      }
+      parameters.push(entry.id, ...dataArray);
+    }
+
+    return this.createInstructionPacket(BROADCAST_ID, INSTRUCTIONS.SYNC_WRITE, parameters);
+  }
+
+  /**
+   * Create a BULK READ instruction packet
+   * Unlike SYNC READ, every device can be read from a different address and length
+   * @param {Array<{id: number, address: number, length: number}>} entries - Per-device read requests
+   * @param {number} [instruction=INSTRUCTIONS.BULK_READ] - BULK_READ or FAST_BULK_READ
+   * @returns {Buffer} - BULK READ instruction packet
+   */
+  static createBulkReadPacket(entries, instruction = INSTRUCTIONS.BULK_READ) {
+    const parameters = [];
+
+    for (const entry of entries) {
+      parameters.push(
+        entry.id,
+        entry.address & 0xFF,         // Address low byte
+        (entry.address >> 8) & 0xFF,  // Address high byte
+        entry.length & 0xFF,          // Length low byte
+        (entry.length >> 8) & 0xFF    // Length high byte
+      );
+    }
+
+    return this.createInstructionPacket(BROADCAST_ID, instruction, parameters);
+  }
+
+  /**
+   * Create a FAST BULK READ instruction packet
+   * Same parameters as BULK READ, but all devices answer in one combined status packet
+   * (see parseFastStatusPacket)
+   * @param {Array<{id: number, address: number, length: number}>} entries - Per-device read requests
+   * @returns {Buffer} - FAST BULK READ instruction packet
+   */
+  static createFastBulkReadPacket(entries) {
+    return this.createBulkReadPacket(entries, INSTRUCTIONS.FAST_BULK_READ);
+  }
+
+  /**
+   * Create a BULK WRITE instruction packet
+   * Writes a different address and length on every device (no status packets are returned)
+   * @param {Array<{id: number, address: number, data: Array|Buffer}>} entries - Per-device write requests
+   * @returns {Buffer} - BULK WRITE instruction packet
+   */
+  static createBulkWritePacket(entries) {
+    const parameters = [];
+
+    for (const entry of entries) {
+      const dataArray = Array.isArray(entry.data) ? entry.data : Array.from(entry.data);
+      if (dataArray.length === 0) {
+        throw new Error(`Bulk write data for ID ${entry.id} must not be empty`);
+      }
+
+      parameters.push(
+        entry.id,
+        entry.address & 0xFF,           // Address low byte
+        (entry.address >> 8) & 0xFF,    // Address high byte
+        dataArray.length & 0xFF,        // Length low byte
+        (dataArray.length >> 8) & 0xFF, // Length high byte
+        ...dataArray                    // Data bytes
+      );
+    }
+
+    return this.createInstructionPacket(BROADCAST_ID, INSTRUCTIONS.BULK_WRITE, parameters);
+  }
+
+  /**
+   * Encode an integer as little-endian bytes
+   * @param {number} value - Value to encode (negative values are written as two's complement)
+   * @param {number} length - Number of bytes (1-4)
+   * @returns {number[]} - Little-endian byte array
+   */
+  static encodeValue(value, length) {
+    const bytes = [];
+    for (let i = 0; i < length; i++) {
+      bytes.push((value >> (8 * i)) & 0xFF);
+    }
+    return bytes;
+  }
+
+  /**
+   * Decode little-endian bytes into an unsigned integer
+   * @param {Buffer|Array} data - Little-endian bytes (1-4)
+   * @returns {number} - Unsigned value
+   */
+  static decodeValue(data) {
+    let value = 0;
+    for (let i = data.length - 1; i >= 0; i--) {
+      value = (value * 256) + data[i];
+    }
+    return value;
+  }
+
   /**
    * Check if buffer contains a complete packet
+   * LENGTH counts the stuffed bytes, so the result is the length of the frame as received.
+   * A LENGTH too short for Instruction + CRC or too long for any packet means the header is
+   * noise (or the LENGTH got corrupted); waiting for the rest would stall the receiver.
    * @param {Buffer} buffer - Buffer to check
-   * @returns {number} - Length of complete packet, or 0 if incomplete
+   * @returns {number} - Length of complete packet, 0 if incomplete, or -1 if the header announces an impossible length
    */
   static getCompletePacketLength(buffer) {
     if (!buffer || buffer.length < 7) {
@@ -202,26 +525,64 @@ export class Protocol2 {
 
     const length = buffer[5] | (buffer[6] << 8);
     const totalLength = 7 + length; // Header(4) + ID(1) + Length(2) + Data(length)
+    if (length < 3 || totalLength > MAX_PACKET_LENGTH) {
+      return -1;
+    }
 
     return buffer.length >= totalLength ? totalLength : 0;
   }
 
   /**
-   * Convert error code to human-readable string
-   * @param {number} errorCode - Error code from status packet
-   * @returns {string} - Error description
+   * Find where the next packet starts in a receive buffer
+   * Stuffed data (0xFF 0xFF 0xFD 0xFD) never matches the full header, so resynchronizing
+   * never locks onto a sequence inside another packet's parameters. A partial header at
+   * the end of the buffer is kept, since the rest of it may still arrive.
+   * @param {Buffer|Uint8Array} buffer - Received bytes
+   * @returns {number} - Index of the next (possibly partial) header, or buffer.length if there is none
+   */
+  static findPacketStart(buffer) {
+    for (let i = 0; i < buffer.length; i++) {
+      let matched = 0;
+      while (matched < HEADER.length && i + matched < buffer.length && buffer[i + matched] === HEADER[matched]) {
+        matched++;
+      }
+
+      if (i + matched === buffer.length) {
+        return i; // Partial header at the end of the buffer
+      }
+
+      if (matched === HEADER.length) {
+        // A LENGTH below Instruction + CRC(2) means this is not a real header
+        if (i + 7 > buffer.length || (buffer[i + 5] | (buffer[i + 6] << 8)) >= 3) {
+          return i;
+        }
+      }
+    }
+
+    return buffer.length;
+  }
+
+  /**
+   * Split a status packet error byte into its error code and Hardware Alert bit
+   * @param {number} error - Error byte from status packet
+   * @returns {{code: number, alert: boolean}} - Error code (0 if the instruction succeeded) and alert flag
+   */
+  static decodeError(error) {
+    return { code: error & STATUS_ERROR_CODE_MASK, alert: (error & STATUS_ALERT_BIT) !== 0 };
+  }
+
+  /**
+   * Convert error byte to human-readable string
+   * @param {number} error - Error byte from status packet
+   * @returns {string} - Error description (e.g. 'Data Range Error, Hardware Alert')
    */
-  static getErrorDescription(errorCode) {
-    const errors = [];
+  static getErrorDescription(error) {
+    const { code, alert } = this.decodeError(error);
+    const descriptions = [];
 
-    if (errorCode & ERROR_FLAGS.RESULT_FAIL) errors.push('Result Fail');
-    if (errorCode & ERROR_FLAGS.INSTRUCTION_ERROR) errors.push('Instruction Error');
-    if (errorCode & ERROR_FLAGS.CRC_ERROR) errors.push('CRC Error');
-    if (errorCode & ERROR_FLAGS.DATA_RANGE_ERROR) errors.push('Data Range Error');
-    if (errorCode & ERROR_FLAGS.DATA_LENGTH_ERROR) errors.push('Data Length Error');
-    if (errorCode & ERROR_FLAGS.DATA_LIMIT_ERROR) errors.push('Data Limit Error');
-    if (errorCode & ERROR_FLAGS.ACCESS_ERROR) errors.push('Access Error');
+    if (code !== 0) descriptions.push(ERROR_DESCRIPTIONS[code] || `Unknown Error ${code}`);
+    if (alert) descriptions.push('Hardware Alert');
 
-    return errors.length > 0 ? errors.join(', ') : 'No Error';
+    return descriptions.length > 0 ? descriptions.join(', ') : 'No Error';
   }
 }
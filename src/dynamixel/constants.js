@@ -25,7 +25,7 @@ export const INSTRUCTIONS = {
   FAST_BULK_READ: 0x9A
 };
 
-// Error Flags
+// Status packet error codes (low 7 bits of the error byte; one code per packet, not a bit field)
 export const ERROR_FLAGS = {
   RESULT_FAIL: 0x01,
   INSTRUCTION_ERROR: 0x02,
@@ -36,6 +36,68 @@ export const ERROR_FLAGS = {
   ACCESS_ERROR: 0x07
 };
 
+// Operating Mode (address 11) values
+export const OPERATING_MODES = {
+  CURRENT: 0,
+  VELOCITY: 1,
+  POSITION: 3,
+  EXTENDED_POSITION: 4,
+  CURRENT_BASED_POSITION: 5,
+  PWM: 16
+};
+
+// Position ranges of extended position mode (±256 turns) and Homing Offset
+export const EXTENDED_POSITION_LIMIT = 1048575;
+export const HOMING_OFFSET_LIMIT = 1044479;
+
+// CLEAR instruction parameters that reset the multi-turn revolution count (0x01, then 'DXL"')
+export const CLEAR_MULTI_TURN_PARAMETERS = [0x01, 0x44, 0x58, 0x4C, 0x22];
+
+// CONTROL TABLE BACKUP / RESTORE parameters (0x01, then 'CTRL')
+export const CONTROL_TABLE_BACKUP_PARAMETERS = [0x01, 0x43, 0x54, 0x52, 0x4C];
+
+// FACTORY RESET parameter: which settings survive the reset
+export const FACTORY_RESET_MODES = {
+  ALL: 0xFF,
+  EXCEPT_ID: 0x01,
+  EXCEPT_ID_AND_BAUD_RATE: 0x02
+};
+
+// ID of a device after a full factory reset
+export const FACTORY_DEFAULT_ID = 1;
+
+// Secondary ID (address 12) value that disables secondary addressing
+export const SECONDARY_ID_DISABLED = 255;
+
+// Status packet error byte: set while the device has a Hardware Error Status latched
+export const STATUS_ALERT_BIT = 0x80;
+export const STATUS_ERROR_CODE_MASK = 0x7F;
+
+// Hardware Error Status (address 70) bits
+export const HARDWARE_ERROR_BITS = {
+  INPUT_VOLTAGE: 0x01,
+  OVERHEATING: 0x04,
+  MOTOR_ENCODER: 0x08,
+  ELECTRICAL_SHOCK: 0x10,
+  OVERLOAD: 0x20
+};
+
+// Moving Status (address 123) bits
+export const MOVING_STATUS_BITS = {
+  IN_POSITION: 0x01,
+  PROFILE_ONGOING: 0x02,
+  FOLLOWING_ERROR: 0x08,
+  PROFILE_TYPE: 0x30
+};
+
+// Moving Status profile type (bits 4-5) values
+export const MOTION_PROFILE_TYPES = {
+  0: 'step',
+  1: 'rectangular',
+  2: 'triangular',
+  3: 'trapezoidal'
+};
+
 // Common Control Table Addresses (varies by model)
 export const CONTROL_TABLE = {
   MODEL_NUMBER: 0,
@@ -90,9 +152,47 @@ export const CONTROL_TABLE = {
   VELOCITY_TRAJECTORY: 136,
   POSITION_TRAJECTORY: 140,
   PRESENT_INPUT_VOLTAGE: 144,
-  PRESENT_TEMPERATURE: 146
+  PRESENT_TEMPERATURE: 146,
+  BACKUP_READY: 147
 };
 
+// DYNAMIXEL Protocol 1.0 Constants (AX, RX, EX and MX series running 1.0 firmware)
+export const PROTOCOL1_HEADER = [0xFF, 0xFF];
+
+export const PROTOCOL1_INSTRUCTIONS = {
+  PING: 0x01,
+  READ: 0x02,
+  WRITE: 0x03,
+  REG_WRITE: 0x04,
+  ACTION: 0x05,
+  RESET: 0x06,
+  SYNC_WRITE: 0x83,
+  BULK_READ: 0x92
+};
+
+// Protocol 1.0 error byte is a bit field
+export const PROTOCOL1_ERROR_FLAGS = {
+  INPUT_VOLTAGE: 0x01,
+  ANGLE_LIMIT: 0x02,
+  OVERHEATING: 0x04,
+  RANGE: 0x08,
+  CHECKSUM: 0x10,
+  OVERLOAD: 0x20,
+  INSTRUCTION: 0x40
+};
+
+// Protocol 1.0 control table addresses shared by AX/RX/EX/MX(1.0)
+export const PROTOCOL1_CONTROL_TABLE = {
+  MODEL_NUMBER: 0,
+  FIRMWARE_VERSION: 2,
+  ID: 3,
+  BAUD_RATE: 4,
+  TORQUE_ENABLE: 24
+};
+
+export const PROTOCOL1_MIN_PACKET_LENGTH = 6; // Header + ID + Length + Error + Checksum
+export const PROTOCOL1_MAX_PACKET_LENGTH = 250; // Longest packet accepted on receive (ROBOTIS SDK RXPACKET_MAX_LEN)
+
 // U2D2 USB Device Information
 export const U2D2_DEVICE = {
   VENDOR_ID: 0x0403,  // FTDI
@@ -100,7 +200,8 @@ export const U2D2_DEVICE = {
   INTERFACE: 0
 };
 
-// Indirect Address Constants
+// Indirect Address Constants (X330 series bank, used for models without indirect metadata;
+// see ControlTables.getIndirectLayout() for the banks of each model)
 export const INDIRECT_ADDRESS = {
   BASE_ADDRESS: 168,        // Starting address for indirect addresses
   DATA_BASE_ADDRESS: 208,   // Starting address for indirect data
@@ -111,7 +212,26 @@ export const INDIRECT_ADDRESS = {
   VALID_RANGE_MAX: 227      // Maximum valid address for indirect mapping
 };
 
+// Transaction queue priorities (higher runs first)
+export const TRANSACTION_PRIORITY = {
+  LOW: -10,
+  NORMAL: 0,
+  HIGH: 10,
+  EMERGENCY: 100
+};
+
+// Baud Rate (address 8) register values of Protocol 2.0 devices, in bps (index = register value)
+export const BAUD_RATES = [9600, 57600, 115200, 1000000, 2000000, 3000000, 4000000, 4500000];
+
 // Default timeouts and settings
 export const DEFAULT_TIMEOUT = 1000; // milliseconds
 export const DEFAULT_BAUD_RATE = 57600;
 export const MIN_PACKET_LENGTH = 10; // Header + ID + Length + Instruction + CRC
+export const MAX_PACKET_LENGTH = 1024; // Longest packet accepted on receive (ROBOTIS SDK RXPACKET_MAX_LEN)
+
+// Automatic response timeouts
+export const DEFAULT_TRANSPORT_LATENCY = 16; // milliseconds per direction (FTDI latency timer default)
+export const DEFAULT_RETURN_DELAY_TIME = 250; // Return Delay Time register value (2 µs units)
+export const RETURN_DELAY_TIME_UNIT = 0.002; // milliseconds per Return Delay Time unit
+export const RESPONSE_TIMEOUT_MARGIN = 2; // milliseconds of device processing time
+export const SLOW_INSTRUCTION_TIME = DEFAULT_TIMEOUT; // milliseconds for EEPROM writes, reboot, factory reset, clear and backup/restore
@@ -0,0 +1,54 @@
+/**
+ * Typed errors thrown by transports, devices and the controller
+ * Callers can branch on the class instead of matching message strings; every class extends
+ * DynamixelError, which extends Error.
+ */
+
+/**
+ * Base class of all DYNAMIXEL errors
+ */
+export class DynamixelError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Error details
+   * @param {number|null} [details.id=null] - Device ID the error concerns, if known
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.id = details.id ?? null;
+  }
+}
+
+/**
+ * No status packet arrived within the response window
+ */
+export class DynamixelTimeoutError extends DynamixelError {}
+
+/**
+ * A status packet failed its CRC (Protocol 2.0) or checksum (Protocol 1.0)
+ */
+export class DynamixelCrcError extends DynamixelError {}
+
+/**
+ * The device answered, but its status packet reports an instruction error
+ */
+export class DynamixelStatusError extends DynamixelError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {number} details.id - Device ID
+   * @param {number} details.code - Error code (Protocol 2.0: low 7 bits of the error byte; Protocol 1.0: error bit field)
+   * @param {boolean} [details.alert=false] - Hardware Alert bit was set as well
+   */
+  constructor(message, details) {
+    super(message, details);
+    this.code = details.code;
+    this.alert = details.alert === true;
+  }
+}
+
+/**
+ * The connection or controller is not connected
+ */
+export class DynamixelNotConnectedError extends DynamixelError {}
@@ -3,12 +3,20 @@
  * Exports all DYNAMIXEL protocol, device, and constant definitions
  */
 
+const { Protocol1 } = require('./Protocol1.js');
 const { Protocol2 } = require('./Protocol2.js');
 const { DynamixelDevice } = require('./DynamixelDevice.js');
+const { DeviceGroup } = require('./DeviceGroup.js');
+const { ControlTables } = require('./ControlTables.js');
+const errors = require('./errors.js');
 const constants = require('./constants.js');
 
 module.exports = {
+  Protocol1,
   Protocol2,
   DynamixelDevice,
+  DeviceGroup,
+  ControlTables,
+  ...errors,
   ...constants
 };
@@ -3,6 +3,10 @@
  * Exports all DYNAMIXEL protocol, device, and constant definitions
  */
 
+export { Protocol1 } from './Protocol1.js';
 export { Protocol2 } from './Protocol2.js';
 export { DynamixelDevice } from './DynamixelDevice.js';
+export { DeviceGroup } from './DeviceGroup.js';
+export { ControlTables } from './ControlTables.js';
+export * from './errors.js';
 export * from './constants.js';
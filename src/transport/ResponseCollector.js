@@ -0,0 +1,194 @@
+import { PacketFraming } from '../dynamixel/PacketFraming.js';
+import { DynamixelTimeoutError, DynamixelCrcError } from '../dynamixel/errors.js';
+import { TransactionQueue } from './TransactionQueue.js';
+
+/** @typedef {import('./TransactionQueue.js').TransactionOptions} TransactionOptions */
+
+/**
+ * @typedef {Object} ResponseConnection
+ * @property {TransactionQueue} transactionQueue - Queue the exchanges run on
+ * @property {import('./ResponseTiming.js').ResponseTiming} responseTiming - Response window calculation
+ * @property {function(Buffer): Promise<*>} transmit - Writes a packet, bypassing the queue
+ * @property {function(): number} getBaudRate - Current baud rate
+ * @property {function(number): void} discardReceived - Drops bytes from the receive buffer
+ * @property {Buffer|Uint8Array} receiveBuffer - Bytes received but not yet framed
+ */
+
+/**
+ * @typedef {Object} ExchangeHandlers
+ * @property {function(Object|Buffer, ExchangeControl): void} onPacket - Called for each status packet
+ * @property {function(Buffer, Error, ExchangeControl): void} [onBadPacket] - Called for each packet that failed to parse
+ * @property {function(ExchangeControl): void} onTimeout - Called when the response window closes
+ */
+
+/**
+ * @typedef {Object} ExchangeControl
+ * @property {function(*): void} resolve - Ends the exchange with a result
+ * @property {function(Error): void} reject - Ends the exchange with an error
+ */
+
+/**
+ * Instruction/response exchanges shared by every transport
+ * Each exchange is one transaction on the connection's queue: the response window is
+ * calculated when the transaction starts (so settings changed by earlier transactions
+ * apply), the packet is sent, and status packets are matched until the window closes.
+ * Connections emit `packet` with each status packet (raw or parsed) and may emit
+ * `badPacket` with the raw bytes of a packet that failed to parse.
+ */
+export class ResponseCollector {
+  /**
+   * Send a packet and wait for the status packet of one device
+   * @param {ResponseConnection} connection - Connection to exchange on
+   * @param {Buffer} packet - Instruction packet
+   * @param {number|null} expectedId - Device expected to answer (null for any)
+   * @param {number|null} timeout - Timeout in milliseconds (calculated when null)
+   * @param {TransactionOptions} [options={}] - Transaction priority and abort signal
+   * @returns {Promise<Object|Buffer>} - Status packet as the connection emits it
+   */
+  static waitForResponse(connection, packet, expectedId, timeout, options = {}) {
+    const matches = (id) => expectedId === null || id === expectedId;
+
+    return ResponseCollector.exchange(connection, packet, timeout, options, {
+      onPacket: (statusPacket, { resolve }) => {
+        if (matches(ResponseCollector.getResponseId(statusPacket))) {
+          resolve(statusPacket);
+        }
+      },
+      // A corrupted reply fails its exchange instead of timing out
+      onBadPacket: (data, error, { reject }) => {
+        const id = PacketFraming.getPacketId(data);
+        if (matches(id)) {
+          reject(error instanceof DynamixelCrcError ? error : new DynamixelCrcError(`Corrupted status packet from device ${id}: ${error.message}`, { id }));
+        }
+      },
+      onTimeout: ({ reject }) => {
+        reject(new DynamixelTimeoutError(`Timeout waiting for response from device ${expectedId ?? 'any'}`, { id: expectedId }));
+      }
+    });
+  }
+
+  /**
+   * Send a packet and collect the status packets of several devices
+   * Used by group instructions (e.g. SYNC READ) where each device answers with its own status packet.
+   * @param {ResponseConnection} connection - Connection to exchange on
+   * @param {Buffer} packet - Instruction packet
+   * @param {number[]} expectedIds - Devices expected to answer
+   * @param {number|null} timeout - Timeout for the whole exchange in milliseconds (calculated when null)
+   * @param {TransactionOptions} [options={}] - Transaction priority and abort signal
+   * @returns {Promise<Map<number, Object|Buffer>>} - Status packets by device ID; packets that failed to
+   * parse are kept raw, so parsing them reports the error for that ID (IDs that did not answer are absent)
+   */
+  static waitForResponses(connection, packet, expectedIds, timeout, options = {}) {
+    const pending = new Set(expectedIds);
+    const responses = new Map();
+
+    const accept = (id, response, { resolve }) => {
+      if (pending.has(id)) {
+        pending.delete(id);
+        responses.set(id, response);
+        if (pending.size === 0) {
+          resolve(responses);
+        }
+      }
+    };
+
+    return ResponseCollector.exchange(connection, packet, timeout, options, {
+      onPacket: (statusPacket, control) => accept(ResponseCollector.getResponseId(statusPacket), statusPacket, control),
+      onBadPacket: (data, _error, control) => accept(PacketFraming.getPacketId(data), data, control),
+      onTimeout: ({ resolve }) => resolve(responses)
+    });
+  }
+
+  /**
+   * Send a packet and collect every status packet that arrives within the response window
+   * Devices that share an ID answer one instruction more than once, so this shows them
+   * where waitForResponse() would only return the first reply.
+   * @param {ResponseConnection} connection - Connection to exchange on
+   * @param {Buffer} packet - Instruction packet
+   * @param {number|null} timeout - Collection window in milliseconds (calculated when null)
+   * @param {TransactionOptions} [options={}] - Transaction priority and abort signal
+   * @returns {Promise<Array<Object|Buffer>>} - Packets in arrival order (raw for packets that failed to parse)
+   */
+  static collectResponses(connection, packet, timeout, options = {}) {
+    const responses = [];
+
+    return ResponseCollector.exchange(connection, packet, timeout, options, {
+      onPacket: (statusPacket) => responses.push(statusPacket),
+      onBadPacket: (data) => responses.push(data),
+      onTimeout: ({ resolve }) => resolve(responses)
+    });
+  }
+
+  /**
+   * Run one exchange as a transaction: send the packet and route received packets to the handlers
+   * @param {ResponseConnection} connection - Connection to exchange on
+   * @param {Buffer} packet - Instruction packet
+   * @param {number|null} timeout - Response window in milliseconds (calculated when null)
+   * @param {TransactionOptions} options - Transaction priority and abort signal
+   * @param {ExchangeHandlers} handlers - Packet, bad packet and timeout handlers
+   * @returns {Promise<*>} - Result the handlers resolve with
+   */
+  static exchange(connection, packet, timeout, options, handlers) {
+    return connection.transactionQueue.enqueue((signal) => new Promise((resolve, reject) => {
+      const timeoutMs = connection.responseTiming.getResponseTimeout(packet, connection.getBaudRate(), timeout);
+
+      const onPacket = (statusPacket) => handlers.onPacket(statusPacket, control);
+      const onBadPacket = (data, error) => handlers.onBadPacket?.(data, error, control);
+      const onAbort = () => control.reject(TransactionQueue.abortError(signal));
+
+      const cleanup = () => {
+        clearTimeout(timeoutId);
+        connection.removeListener('packet', onPacket);
+        connection.removeListener('badPacket', onBadPacket);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      const control = {
+        resolve: (value) => {
+          cleanup();
+          resolve(value);
+        },
+        reject: (error) => {
+          cleanup();
+          reject(error);
+        }
+      };
+
+      connection.on('packet', onPacket);
+      connection.on('badPacket', onBadPacket);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      const timeoutId = setTimeout(() => {
+        ResponseCollector.flushReceiveBuffer(connection);
+        handlers.onTimeout(control);
+      }, timeoutMs);
+
+      connection.transmit(packet).catch(control.reject);
+    }), options);
+  }
+
+  /**
+   * Drop whatever is left in a connection's receive buffer when a response window closes
+   * A packet that has not completed by then never will (its LENGTH may be corrupted), and
+   * keeping it would hold back every later response.
+   * @param {ResponseConnection} connection - Connection whose buffer is flushed
+   */
+  static flushReceiveBuffer(connection) {
+    if (connection.receiveBuffer.length > 0) {
+      connection.discardReceived(connection.receiveBuffer.length);
+    }
+  }
+
+  /**
+   * Get the device ID of a status packet
+   * @param {Object|Buffer} statusPacket - Raw packet, or a packet parsed by Protocol1/Protocol2
+   * @returns {number} - Device ID
+   */
+  static getResponseId(statusPacket) {
+    return Buffer.isBuffer(statusPacket) ? PacketFraming.getPacketId(statusPacket) : statusPacket.id;
+  }
+}
@@ -0,0 +1,337 @@
+import { Protocol1 } from '../dynamixel/Protocol1.js';
+import { Protocol2 } from '../dynamixel/Protocol2.js';
+import {
+  BROADCAST_ID,
+  CONTROL_TABLE,
+  INSTRUCTIONS,
+  PROTOCOL1_CONTROL_TABLE,
+  PROTOCOL1_INSTRUCTIONS,
+  DEFAULT_TRANSPORT_LATENCY,
+  DEFAULT_RETURN_DELAY_TIME,
+  RETURN_DELAY_TIME_UNIT,
+  RESPONSE_TIMEOUT_MARGIN,
+  SLOW_INSTRUCTION_TIME
+} from '../dynamixel/constants.js';
+
+// Bits on the wire per byte (start bit, 8 data bits, stop bit)
+const BITS_PER_BYTE = 10;
+
+// Status packet sizes without parameters
+const STATUS_PACKET_LENGTH = 11;
+const PROTOCOL1_STATUS_PACKET_LENGTH = 6;
+const FAST_STATUS_PACKET_LENGTH = 8; // Header, ID, length and instruction; each block adds error, ID and CRC
+const FAST_STATUS_BLOCK_LENGTH = 4;
+const PING_STATUS_PACKET_LENGTH = 14;
+
+// Protocol 2.0 instructions a device answers only after saving to or restoring from EEPROM
+const SLOW_INSTRUCTIONS = [
+  INSTRUCTIONS.FACTORY_RESET,
+  INSTRUCTIONS.REBOOT,
+  INSTRUCTIONS.CLEAR,
+  INSTRUCTIONS.CONTROL_TABLE_BACKUP,
+  INSTRUCTIONS.CONTROL_TABLE_RESTORE
+];
+
+// IDs that answer a broadcast PING, each in its own time slot
+const MAX_ID = 252;
+const BROADCAST_PING_SLOT_MARGIN = 3; // milliseconds per ID, as allowed by the ROBOTIS SDK
+
+/**
+ * @typedef {Object} ExpectedResponse
+ * @property {number} id - Device that sends the status packet
+ * @property {number} length - Status packet size in bytes
+ */
+
+/**
+ * Response window of instruction/response exchanges
+ * The window covers the instruction and status packets on the wire at the current baud rate,
+ * the Return Delay Time of each answering device and the latency of the USB-serial adapter
+ * in both directions. Return Delay Times and the end of the EEPROM area are tracked per
+ * device ID.
+ */
+export class ResponseTiming {
+  /**
+   * @param {Object} [options={}] - Timing options
+   * @param {number} [options.timeout] - Fixed response timeout in milliseconds (calculated per exchange when omitted)
+   * @param {number} [options.latency=16] - Adapter latency per direction in milliseconds (FTDI latency timer)
+   * @param {number} [options.returnDelayTime=250] - Return Delay Time assumed for devices without a tracked value (2 µs units)
+   */
+  constructor(options = {}) {
+    // Without a fixed timeout, each exchange waits as long as its packets need
+    this.fixedTimeout = options.timeout || null;
+    this.latency = options.latency ?? DEFAULT_TRANSPORT_LATENCY;
+    this.defaultReturnDelayTime = options.returnDelayTime ?? DEFAULT_RETURN_DELAY_TIME;
+    this.returnDelayTimes = new Map();
+    this.eepromEnds = new Map();
+
+    if (!(this.latency >= 0)) {
+      throw new Error(`Invalid latency ${this.latency}. Must be 0 or more milliseconds.`);
+    }
+    ResponseTiming.validateReturnDelayTime(this.defaultReturnDelayTime);
+  }
+
+  /**
+   * Check a Return Delay Time register value
+   * @param {number} value - Return Delay Time (2 µs units)
+   */
+  static validateReturnDelayTime(value) {
+    if (!Number.isInteger(value) || value < 0 || value > 254) {
+      throw new Error(`Invalid return delay time ${value}. Must be an integer between 0 and 254.`);
+    }
+  }
+
+  /**
+   * Track the Return Delay Time of a device
+   * @param {number} id - DYNAMIXEL ID
+   * @param {number} value - Return Delay Time register value (2 µs units)
+   */
+  setReturnDelayTime(id, value) {
+    ResponseTiming.validateReturnDelayTime(value);
+    this.returnDelayTimes.set(id, value);
+  }
+
+  /**
+   * Get the Return Delay Time of a device
+   * @param {number} id - DYNAMIXEL ID
+   * @returns {number} - Tracked value, or the default for unknown devices (2 µs units)
+   */
+  getReturnDelayTime(id) {
+    return this.returnDelayTimes.get(id) ?? this.defaultReturnDelayTime;
+  }
+
+  /**
+   * Track where the EEPROM area of a device ends
+   * The area ends at Torque Enable, which sits at a different address per series
+   * (64 on the X series, 512 on the P series, 24 on the XL-320).
+   * @param {number} id - DYNAMIXEL ID
+   * @param {number} address - Address of the device's Torque Enable item
+   */
+  setEepromEnd(id, address) {
+    if (!Number.isInteger(address) || address < 0) {
+      throw new Error(`Invalid EEPROM end ${address}. Must be a non-negative integer address.`);
+    }
+    this.eepromEnds.set(id, address);
+  }
+
+  /**
+   * Get where the EEPROM area of a device ends
+   * @param {number} id - DYNAMIXEL ID
+   * @param {boolean} [protocol1=false] - Whether the device speaks Protocol 1.0
+   * @returns {number} - Tracked address, or Torque Enable of the default control table for unknown devices
+   */
+  getEepromEnd(id, protocol1 = false) {
+    return this.eepromEnds.get(id) ?? (protocol1 ? PROTOCOL1_CONTROL_TABLE.TORQUE_ENABLE : CONTROL_TABLE.TORQUE_ENABLE);
+  }
+
+  /**
+   * Get the time one byte takes on the wire
+   * @param {number} baudRate - Baud rate
+   * @returns {number} - Milliseconds per byte
+   */
+  static getByteTime(baudRate) {
+    return (BITS_PER_BYTE * 1000) / baudRate;
+  }
+
+  /**
+   * Calculate how long to wait for the responses to an instruction packet
+   * Instructions that touch EEPROM get SLOW_INSTRUCTION_TIME on top (see getProcessingTime()).
+   * @param {Buffer} packet - Protocol 1.0 or 2.0 instruction packet
+   * @param {number} baudRate - Current baud rate
+   * @returns {number} - Timeout in milliseconds
+   */
+  getTimeout(packet, baudRate) {
+    if (ResponseTiming.isBroadcastPing(packet)) {
+      return this.getBroadcastPingTimeout(baudRate);
+    }
+
+    const responses = ResponseTiming.getExpectedResponses(packet);
+    const bytes = responses.reduce((total, response) => total + response.length, packet.length);
+    const returnDelay = responses.reduce(
+      (total, response) => total + this.getReturnDelayTime(response.id) * RETURN_DELAY_TIME_UNIT, 0
+    );
+
+    return Math.ceil(bytes * ResponseTiming.getByteTime(baudRate) + returnDelay + 2 * this.latency + RESPONSE_TIMEOUT_MARGIN +
+      this.getProcessingTime(packet));
+  }
+
+  /**
+   * Get the response timeout of an exchange
+   * An explicit timeout wins, then the fixed connection timeout; otherwise the window is
+   * calculated from the packets (see getTimeout()).
+   * @param {Buffer} packet - Instruction packet
+   * @param {number} baudRate - Current baud rate
+   * @param {number|null} [timeout=null] - Explicit timeout in milliseconds
+   * @returns {number} - Timeout in milliseconds
+   */
+  getResponseTimeout(packet, baudRate, timeout = null) {
+    return timeout || this.fixedTimeout || this.getTimeout(packet, baudRate);
+  }
+
+  /**
+   * Get the response timeout of each PING of a scan
+   * Scans never wait the fixed connection timeout: every absent ID would cost all of it.
+   * @param {Buffer} packet - PING packet of the first ID
+   * @param {number} baudRate - Baud rate the scan runs at
+   * @param {number|null} [timeout=null] - Explicit timeout in milliseconds
+   * @returns {number} - Timeout in milliseconds
+   */
+  getScanTimeout(packet, baudRate, timeout = null) {
+    return timeout || this.getTimeout(packet, baudRate);
+  }
+
+  /**
+   * Get the time a device needs to execute an instruction before it answers
+   * Writes to the EEPROM area (see getEepromEnd()), FACTORY RESET, REBOOT, CLEAR and
+   * CONTROL TABLE BACKUP/RESTORE save to or load from flash first.
+   * @param {Buffer} packet - Protocol 1.0 or 2.0 instruction packet
+   * @returns {number} - Processing time in milliseconds beyond RESPONSE_TIMEOUT_MARGIN
+   */
+  getProcessingTime(packet) {
+    if (Protocol1.isProtocol1Packet(packet)) {
+      const instruction = packet[4];
+      const slow = instruction === PROTOCOL1_INSTRUCTIONS.RESET ||
+        (instruction === PROTOCOL1_INSTRUCTIONS.WRITE && packet[5] < this.getEepromEnd(packet[2], true));
+      return slow ? SLOW_INSTRUCTION_TIME : 0;
+    }
+
+    const body = Protocol2.removeStuffing(packet.slice(7, -2));
+    if (body[0] === INSTRUCTIONS.WRITE) {
+      return (body[1] | (body[2] << 8)) < this.getEepromEnd(packet[4]) ? SLOW_INSTRUCTION_TIME : 0;
+    }
+    return SLOW_INSTRUCTIONS.includes(body[0]) ? SLOW_INSTRUCTION_TIME : 0;
+  }
+
+  /**
+   * Calculate how long to collect the replies to a Protocol 2.0 broadcast PING
+   * Devices answer in ID order, one slot per ID, so the window ends after the slot of the
+   * highest ID of interest. Each slot holds a status packet, the device's Return Delay Time
+   * and a processing margin.
+   * @param {number} baudRate - Current baud rate
+   * @param {number} [maxId=252] - Highest ID to wait for
+   * @returns {number} - Timeout in milliseconds
+   */
+  getBroadcastPingTimeout(baudRate, maxId = MAX_ID) {
+    const byteTime = ResponseTiming.getByteTime(baudRate);
+    let window = Protocol2.createPingPacket(BROADCAST_ID).length * byteTime + 2 * this.latency + RESPONSE_TIMEOUT_MARGIN;
+
+    for (let id = 0; id <= maxId; id++) {
+      window += PING_STATUS_PACKET_LENGTH * byteTime + this.getReturnDelayTime(id) * RETURN_DELAY_TIME_UNIT + BROADCAST_PING_SLOT_MARGIN;
+    }
+
+    return Math.ceil(window);
+  }
+
+  /**
+   * Check for a Protocol 2.0 broadcast PING
+   * @param {Buffer} packet - Instruction packet
+   * @returns {boolean} - True for PING to the broadcast ID
+   */
+  static isBroadcastPing(packet) {
+    return !Protocol1.isProtocol1Packet(packet) && packet[4] === BROADCAST_ID && packet[7] === INSTRUCTIONS.PING;
+  }
+
+  /**
+   * Get the status packets an instruction packet triggers
+   * Assumes every addressed device answers (Status Return Level 2); broadcast instructions
+   * other than PING and group reads are not answered.
+   * @param {Buffer} packet - Protocol 1.0 or 2.0 instruction packet
+   * @returns {ExpectedResponse[]} - Status packets in the order they arrive
+   */
+  static getExpectedResponses(packet) {
+    if (Protocol1.isProtocol1Packet(packet)) {
+      return ResponseTiming.getProtocol1Responses(packet[2], packet[4], [...packet.slice(5, -1)]);
+    }
+
+    const body = Protocol2.removeStuffing(packet.slice(7, -2));
+    return ResponseTiming.getProtocol2Responses(packet[4], body[0], body.slice(1));
+  }
+
+  /**
+   * Get the status packets of a Protocol 2.0 instruction
+   * @param {number} id - Packet ID
+   * @param {number} instruction - Instruction byte
+   * @param {number[]} parameters - Unstuffed parameters
+   * @returns {ExpectedResponse[]} - Expected status packets
+   */
+  static getProtocol2Responses(id, instruction, parameters) {
+    const word = (offset) => parameters[offset] | (parameters[offset + 1] << 8);
+
+    switch (instruction) {
+      case INSTRUCTIONS.PING:
+        if (id === BROADCAST_ID) {
+          return Array.from({ length: MAX_ID + 1 }, (_, index) => ({ id: index, length: PING_STATUS_PACKET_LENGTH }));
+        }
+        return [{ id, length: PING_STATUS_PACKET_LENGTH }];
+
+      case INSTRUCTIONS.READ:
+        return id === BROADCAST_ID ? [] : [{ id, length: STATUS_PACKET_LENGTH + word(2) }];
+
+      case INSTRUCTIONS.SYNC_READ:
+        return parameters.slice(4).map(deviceId => ({ id: deviceId, length: STATUS_PACKET_LENGTH + word(2) }));
+
+      case INSTRUCTIONS.BULK_READ:
+        return ResponseTiming.getBulkReads(parameters)
+          .map(read => ({ id: read.id, length: STATUS_PACKET_LENGTH + read.length }));
+
+      case INSTRUCTIONS.FAST_SYNC_READ:
+        return ResponseTiming.getFastResponse(parameters.slice(4).map(deviceId => ({ id: deviceId, length: word(2) })));
+
+      case INSTRUCTIONS.FAST_BULK_READ:
+        return ResponseTiming.getFastResponse(ResponseTiming.getBulkReads(parameters));
+
+      default:
+        return id === BROADCAST_ID ? [] : [{ id, length: STATUS_PACKET_LENGTH }];
+    }
+  }
+
+  /**
+   * Get the status packets of a Protocol 1.0 instruction
+   * @param {number} id - Packet ID
+   * @param {number} instruction - Instruction byte
+   * @param {number[]} parameters - Parameters
+   * @returns {ExpectedResponse[]} - Expected status packets
+   */
+  static getProtocol1Responses(id, instruction, parameters) {
+    if (instruction === PROTOCOL1_INSTRUCTIONS.BULK_READ) {
+      // Leading 0x00, then (length, ID, address) per device
+      const responses = [];
+      for (let offset = 1; offset + 2 < parameters.length; offset += 3) {
+        responses.push({ id: parameters[offset + 1], length: PROTOCOL1_STATUS_PACKET_LENGTH + parameters[offset] });
+      }
+      return responses;
+    }
+
+    if (id === BROADCAST_ID) {
+      return [];
+    }
+
+    const dataLength = instruction === PROTOCOL1_INSTRUCTIONS.READ ? parameters[1] : 0;
+    return [{ id, length: PROTOCOL1_STATUS_PACKET_LENGTH + dataLength }];
+  }
+
+  /**
+   * Split BULK READ parameters into (ID, address, length) entries
+   * @param {number[]} parameters - Unstuffed parameters
+   * @returns {Array<{id: number, length: number}>} - Requested reads
+   */
+  static getBulkReads(parameters) {
+    const reads = [];
+    for (let offset = 0; offset + 4 < parameters.length; offset += 5) {
+      reads.push({ id: parameters[offset], length: parameters[offset + 3] | (parameters[offset + 4] << 8) });
+    }
+    return reads;
+  }
+
+  /**
+   * Get the single combined status packet of a fast group read
+   * @param {Array<{id: number, length: number}>} reads - Requested reads
+   * @returns {ExpectedResponse[]} - One packet, timed with the first device's Return Delay Time
+   */
+  static getFastResponse(reads) {
+    if (reads.length === 0) {
+      return [];
+    }
+    const length = reads.reduce((total, read) => total + FAST_STATUS_BLOCK_LENGTH + read.length, FAST_STATUS_PACKET_LENGTH);
+    return [{ id: reads[0].id, length }];
+  }
+}
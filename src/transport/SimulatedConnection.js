@@ -0,0 +1,640 @@
+import { EventEmitter } from 'events';
+import { DEFAULT_TIMEOUT, BROADCAST_ID, HEADER, INSTRUCTIONS, ERROR_FLAGS, FACTORY_RESET_MODES } from '../dynamixel/constants.js';
+import { Protocol2 } from '../dynamixel/Protocol2.js';
+import { PacketFraming } from '../dynamixel/PacketFraming.js';
+import { DynamixelError, DynamixelNotConnectedError } from '../dynamixel/errors.js';
+import { TransactionQueue } from './TransactionQueue.js';
+import { ResponseTiming } from './ResponseTiming.js';
+import { ResponseCollector } from './ResponseCollector.js';
+import { VirtualServo } from './VirtualServo.js';
+
+/** @typedef {import('./TransactionQueue.js').TransactionOptions} TransactionOptions */
+/** @typedef {import('./VirtualServo.js').VirtualServoOptions} VirtualServoOptions */
+
+/**
+ * @typedef {VirtualServoOptions & {id: number}} SimulatedServoConfig
+ */
+
+/**
+ * Simulated DYNAMIXEL bus
+ * Drop-in transport that answers real Protocol 2.0 instruction packets from virtual
+ * servos instead of hardware, so control loops can run without a U2D2 attached.
+ * Status packets go through the same receive buffer and framing as the serial
+ * transports. Motion is advanced from the clock each time an instruction arrives.
+ */
+export class SimulatedConnection extends EventEmitter {
+  /**
+   * @param {Object} [options={}] - Connection options
+   * @param {SimulatedServoConfig[]} [options.servos=[]] - Virtual servos on the bus
+   * @param {number} [options.timeout] - Fixed response timeout in milliseconds (calculated per exchange when omitted)
+   * @param {number} [options.latency=16] - Adapter latency per direction used by calculated timeouts, in milliseconds
+   * @param {number} [options.returnDelayTime=250] - Return Delay Time assumed for devices without a tracked value (2 µs units)
+   * @param {number} [options.baudRate=57600] - Bus baud rate (only servos set to this rate receive packets)
+   * @param {number} [options.responseDelay=0] - Delay before status packets arrive, in milliseconds
+   * @param {function(): number} [options.clock=Date.now] - Time source for the motion model, in milliseconds
+   */
+  constructor(options = {}) {
+    super();
+
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.responseTiming = new ResponseTiming(options);
+    this.baudRate = options.baudRate || 57600;
+    this.responseDelay = options.responseDelay || 0;
+    this.clock = options.clock || (() => Date.now());
+    this.lastUpdate = null;
+    this.isConnected = false;
+    this.transactionQueue = new TransactionQueue();
+    this.receiveBuffer = Buffer.alloc(0);
+
+    this.servos = [];
+    for (const { id, ...servoOptions } of options.servos || []) {
+      this.addServo(id, servoOptions);
+    }
+  }
+
+  /**
+   * Add a virtual servo to the bus
+   * @param {number} id - DYNAMIXEL ID
+   * @param {VirtualServoOptions} [options={}] - Model and initial state
+   * @returns {VirtualServo} - The new servo
+   */
+  addServo(id, options = {}) {
+    const servo = new VirtualServo(id, options);
+    this.servos.push(servo);
+    return servo;
+  }
+
+  /**
+   * Remove a virtual servo from the bus (as if it were unplugged)
+   * @param {number} id - DYNAMIXEL ID
+   * @returns {boolean} - True if a servo was removed
+   */
+  removeServo(id) {
+    const index = this.servos.findIndex(servo => servo.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.servos.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Get a virtual servo by its current ID
+   * @param {number} id - DYNAMIXEL ID
+   * @returns {VirtualServo|null} - Servo or null if none answers to this ID
+   */
+  getServo(id) {
+    return this.servos.find(servo => servo.id === id) || null;
+  }
+
+  /**
+   * Get the servos that receive packets at the current bus baud rate
+   * @returns {VirtualServo[]} - Servos whose Baud Rate matches the bus
+   */
+  getListeningServos() {
+    return this.servos.filter(servo => servo.baudRate === this.baudRate);
+  }
+
+  /**
+   * Inject a fault into a virtual servo
+   * - `'timeout'`: the servo does not answer
+   * - `'crc'`: the servo answers with a corrupted CRC
+   * - `'hardwareError'`: latches Hardware Error Status bits (cleared by REBOOT)
+   * @param {number} id - DYNAMIXEL ID
+   * @param {'timeout'|'crc'|'hardwareError'} type - Fault type
+   * @param {Object} [options={}] - Fault options
+   * @param {number} [options.count=Infinity] - Number of responses affected (timeout and crc)
+   * @param {number} [options.bits] - Hardware Error Status bits (hardwareError)
+   */
+  injectFault(id, type, options = {}) {
+    const servo = this.getServo(id);
+    if (!servo) {
+      throw new Error(`No simulated servo with ID ${id}`);
+    }
+
+    if (type === 'hardwareError') {
+      servo.setHardwareError(options.bits);
+    } else if (type === 'timeout' || type === 'crc') {
+      servo.addFault(type, options.count);
+    } else {
+      throw new Error(`Unknown fault type: ${type}`);
+    }
+  }
+
+  /**
+   * Remove pending timeout and CRC faults (latched hardware errors need a REBOOT)
+   * @param {number} [id] - DYNAMIXEL ID, or every servo if omitted
+   */
+  clearFaults(id) {
+    const servos = id === undefined ? this.servos : [this.getServo(id)].filter(Boolean);
+    for (const servo of servos) {
+      servo.faults = [];
+    }
+  }
+
+  /**
+   * Connect to the simulated bus
+   * @returns {Promise<boolean>} - Success status
+   */
+  async connect() {
+    this.lastUpdate = this.clock();
+    this.isConnected = true;
+    this.emit('connected');
+    return true;
+  }
+
+  /**
+   * Disconnect from the simulated bus
+   */
+  async disconnect() {
+    this.isConnected = false;
+    this.transactionQueue.clear(new DynamixelNotConnectedError('Connection closed'));
+    this.receiveBuffer = Buffer.alloc(0);
+    this.emit('disconnected');
+  }
+
+  /**
+   * Advance every servo's motion model to the current clock time
+   */
+  updateServos() {
+    const now = this.clock();
+    const elapsed = this.lastUpdate === null ? 0 : now - this.lastUpdate;
+    this.lastUpdate = now;
+
+    for (const servo of this.servos) {
+      servo.update(elapsed);
+    }
+  }
+
+  /**
+   * Process received data buffer
+   */
+  processReceiveBuffer() {
+    while (this.receiveBuffer.length > 0) {
+      const start = PacketFraming.findPacketStart(this.receiveBuffer);
+      if (start > 0) {
+        this.discardReceived(start);
+        continue;
+      }
+
+      const packetLength = PacketFraming.getCompletePacketLength(this.receiveBuffer);
+      if (packetLength < 0) {
+        // Impossible LENGTH: not a real header, look for the next one after it
+        this.discardReceived(1);
+        continue;
+      }
+      if (packetLength === 0) {
+        break;
+      }
+
+      const packet = this.receiveBuffer.slice(0, packetLength);
+      this.receiveBuffer = this.receiveBuffer.slice(packetLength);
+
+      this.emit('packet', packet);
+    }
+  }
+
+  /**
+   * Drop bytes from the front of the receive buffer
+   * Emits `noise` with the dropped bytes, so callers can tell garbled replies from silence.
+   * @param {number} length - Number of bytes to drop
+   */
+  discardReceived(length) {
+    const noise = this.receiveBuffer.slice(0, length);
+    this.receiveBuffer = this.receiveBuffer.slice(length);
+    this.emit('noise', noise);
+  }
+
+  /**
+   * Send data to the bus as a transaction (for packets without a response)
+   * @param {Buffer|Array} data - Data to send
+   * @param {TransactionOptions} [options={}] - Transaction priority and abort signal
+   */
+  async send(data, options = {}) {
+    return this.transactionQueue.enqueue(() => this.transmit(data), options);
+  }
+
+  /**
+   * Deliver an instruction packet to the virtual servos immediately, bypassing the transaction queue
+   * @param {Buffer|Array} data - Data to send
+   */
+  async transmit(data) {
+    if (!this.isConnected) {
+      throw new DynamixelNotConnectedError('Simulated bus not connected');
+    }
+
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+
+    this.updateServos();
+    const responses = this.handleInstructionPacket(buffer);
+
+    if (responses.length > 0) {
+      setTimeout(() => {
+        this.receiveBuffer = Buffer.concat([this.receiveBuffer, ...responses]);
+        this.processReceiveBuffer();
+      }, this.responseDelay);
+    }
+  }
+
+  /**
+   * Parse an instruction packet as a servo would
+   * @param {Buffer} buffer - Raw instruction packet
+   * @returns {{id: number, instruction: number, parameters: number[]}|null} - Parsed packet, or null if it is not a valid Protocol 2.0 instruction
+   */
+  static parseInstructionPacket(buffer) {
+    const packetLength = Protocol2.getCompletePacketLength(buffer);
+    if (packetLength <= 0 || !HEADER.every((byte, index) => buffer[index] === byte)) {
+      return null;
+    }
+
+    const crcOffset = packetLength - 2;
+    const crcReceived = buffer[crcOffset] | (buffer[crcOffset + 1] << 8);
+    if (crcReceived !== Protocol2.calculateCRC(buffer.slice(0, crcOffset))) {
+      return null; // Servos ignore corrupted instructions
+    }
+
+    const body = Protocol2.removeStuffing(buffer.slice(7, crcOffset));
+    return { id: buffer[4], instruction: body[0], parameters: body.slice(1) };
+  }
+
+  /**
+   * Execute an instruction packet on the addressed servos
+   * @param {Buffer} buffer - Raw instruction packet
+   * @returns {Buffer[]} - Status packets, in the order the servos send them
+   */
+  handleInstructionPacket(buffer) {
+    const packet = SimulatedConnection.parseInstructionPacket(buffer);
+    if (!packet) {
+      return [];
+    }
+
+    const broadcast = packet.id === BROADCAST_ID;
+    const listening = this.getListeningServos();
+    if (broadcast) {
+      return this.executeInstruction(packet, listening.sort((a, b) => a.id - b.id));
+    }
+
+    // Servos reached through their Secondary ID execute the instruction without answering
+    const secondary = listening.filter(servo => servo.id !== packet.id && servo.secondaryId === packet.id);
+    if (secondary.length > 0) {
+      this.executeInstruction(packet, secondary);
+    }
+    return this.executeInstruction(packet, listening.filter(servo => servo.id === packet.id));
+  }
+
+  /**
+   * Execute a parsed instruction on a set of servos
+   * @param {{id: number, instruction: number, parameters: number[]}} packet - Parsed instruction packet
+   * @param {VirtualServo[]} targets - Servos addressed by the packet
+   * @returns {Buffer[]} - Status packets, in the order the servos send them
+   */
+  executeInstruction(packet, targets) {
+    const { id, instruction, parameters } = packet;
+    const broadcast = id === BROADCAST_ID;
+
+    switch (instruction) {
+      case INSTRUCTIONS.PING:
+        return this.respond(targets, instruction, servo => ({ error: 0, data: servo.ping() }));
+
+      case INSTRUCTIONS.READ:
+        if (broadcast) {
+          return [];
+        }
+        return this.respond(targets, instruction, servo => parameters.length !== 4
+          ? { error: ERROR_FLAGS.DATA_LENGTH_ERROR, data: [] }
+          : servo.read(parameters[0] | (parameters[1] << 8), parameters[2] | (parameters[3] << 8)));
+
+      case INSTRUCTIONS.WRITE:
+        return this.respondUnlessBroadcast(broadcast, targets, instruction, servo => parameters.length < 3
+          ? ERROR_FLAGS.DATA_LENGTH_ERROR
+          : servo.write(parameters[0] | (parameters[1] << 8), parameters.slice(2)));
+
+      case INSTRUCTIONS.REG_WRITE:
+        return this.respondUnlessBroadcast(broadcast, targets, instruction, servo => parameters.length < 3
+          ? ERROR_FLAGS.DATA_LENGTH_ERROR
+          : servo.registerWrite(parameters[0] | (parameters[1] << 8), parameters.slice(2)));
+
+      case INSTRUCTIONS.ACTION:
+        return this.respondUnlessBroadcast(broadcast, targets, instruction, servo => servo.action());
+
+      case INSTRUCTIONS.REBOOT: {
+        // The status packet is sent before the servo restarts
+        const responses = this.respondUnlessBroadcast(broadcast, targets, instruction, () => 0);
+        targets.forEach(servo => servo.reboot());
+        return responses;
+      }
+
+      case INSTRUCTIONS.FACTORY_RESET: {
+        if (!Object.values(FACTORY_RESET_MODES).includes(parameters[0])) {
+          return this.respondUnlessBroadcast(broadcast, targets, instruction, () => ERROR_FLAGS.DATA_RANGE_ERROR);
+        }
+
+        // The status packet is sent before the servo resets
+        const responses = this.respondUnlessBroadcast(broadcast, targets, instruction, () => 0);
+        targets.forEach(servo => servo.factoryReset(parameters[0]));
+        return responses;
+      }
+
+      case INSTRUCTIONS.CONTROL_TABLE_BACKUP:
+        return this.respondUnlessBroadcast(broadcast, targets, instruction, servo => servo.backupControlTable(parameters));
+
+      case INSTRUCTIONS.CONTROL_TABLE_RESTORE:
+        return this.respondUnlessBroadcast(broadcast, targets, instruction, servo => servo.restoreControlTable(parameters));
+
+      case INSTRUCTIONS.CLEAR:
+        return this.respondUnlessBroadcast(broadcast, targets, instruction, servo => servo.clear(parameters));
+
+      case INSTRUCTIONS.SYNC_READ:
+      case INSTRUCTIONS.FAST_SYNC_READ: {
+        const address = parameters[0] | (parameters[1] << 8);
+        const length = parameters[2] | (parameters[3] << 8);
+        const reads = parameters.slice(4).map(readId => ({ id: readId, address, length }));
+        return this.groupRead(instruction, reads);
+      }
+
+      case INSTRUCTIONS.BULK_READ:
+      case INSTRUCTIONS.FAST_BULK_READ: {
+        const reads = [];
+        for (let i = 0; i + 5 <= parameters.length; i += 5) {
+          reads.push({
+            id: parameters[i],
+            address: parameters[i + 1] | (parameters[i + 2] << 8),
+            length: parameters[i + 3] | (parameters[i + 4] << 8)
+          });
+        }
+        return this.groupRead(instruction, reads);
+      }
+
+      case INSTRUCTIONS.SYNC_WRITE: {
+        const address = parameters[0] | (parameters[1] << 8);
+        const length = parameters[2] | (parameters[3] << 8);
+        for (let i = 4; i + 1 + length <= parameters.length; i += 1 + length) {
+          this.getServo(parameters[i])?.write(address, parameters.slice(i + 1, i + 1 + length));
+        }
+        return [];
+      }
+
+      case INSTRUCTIONS.BULK_WRITE: {
+        for (let i = 0; i + 5 <= parameters.length;) {
+          const address = parameters[i + 1] | (parameters[i + 2] << 8);
+          const length = parameters[i + 3] | (parameters[i + 4] << 8);
+          this.getServo(parameters[i])?.write(address, parameters.slice(i + 5, i + 5 + length));
+          i += 5 + length;
+        }
+        return [];
+      }
+
+      default:
+        return this.respondUnlessBroadcast(broadcast, targets, instruction, () => ERROR_FLAGS.INSTRUCTION_ERROR);
+    }
+  }
+
+  /**
+   * Run a handler on each servo and collect their status packets
+   * @param {VirtualServo[]} servos - Servos that execute the instruction
+   * @param {number} instruction - Instruction byte (for the Status Return Level check)
+   * @param {function(VirtualServo): {error: number, data: number[]}} handler - Executes the instruction
+   * @returns {Buffer[]} - Status packets
+   */
+  respond(servos, instruction, handler) {
+    const responses = [];
+
+    for (const servo of servos) {
+      // A servo answers a write to its ID register from the ID it had before
+      const id = servo.id;
+      const { error, data } = handler(servo);
+      if (servo.respondsTo(instruction)) {
+        const packet = servo.createStatusPacket(error, data, id);
+        if (packet) {
+          responses.push(packet);
+        }
+      }
+    }
+
+    return responses;
+  }
+
+  /**
+   * Run a write-style handler; broadcast instructions are executed without a status packet
+   * @param {boolean} broadcast - Whether the packet was sent to the broadcast ID
+   * @param {VirtualServo[]} servos - Servos that execute the instruction
+   * @param {number} instruction - Instruction byte
+   * @param {function(VirtualServo): number} handler - Executes the instruction and returns the error code
+   * @returns {Buffer[]} - Status packets
+   */
+  respondUnlessBroadcast(broadcast, servos, instruction, handler) {
+    if (broadcast) {
+      servos.forEach(handler);
+      return [];
+    }
+
+    return this.respond(servos, instruction, servo => ({ error: handler(servo), data: [] }));
+  }
+
+  /**
+   * Answer SYNC READ / BULK READ and their fast variants
+   * Regular group reads get one status packet per servo in request order. Fast reads get one
+   * combined packet (ERR, ID, DATA, CRC per block) that ends at the first servo which does not answer.
+   * @param {number} instruction - Instruction byte
+   * @param {Array<{id: number, address: number, length: number}>} reads - Requested regions, in order
+   * @returns {Buffer[]} - Status packets
+   */
+  groupRead(instruction, reads) {
+    const fast = instruction === INSTRUCTIONS.FAST_SYNC_READ || instruction === INSTRUCTIONS.FAST_BULK_READ;
+    const responses = [];
+    const blocks = [];
+
+    const listening = this.getListeningServos();
+
+    for (const { id, address, length } of reads) {
+      const servo = listening.find(candidate => candidate.id === id);
+      if (!servo || !servo.respondsTo(instruction)) {
+        if (fast) {
+          break;
+        }
+        continue;
+      }
+
+      const { error, data } = servo.read(address, length);
+
+      if (fast) {
+        const fault = servo.consumeFault();
+        if (fault === 'timeout') {
+          break;
+        }
+        blocks.push({ id, error: servo.statusError(error), data, corrupt: fault === 'crc' });
+      } else {
+        const packet = servo.createStatusPacket(error, data);
+        if (packet) {
+          responses.push(packet);
+        }
+      }
+    }
+
+    if (fast && blocks.length > 0) {
+      responses.push(SimulatedConnection.createFastStatusPacket(blocks));
+    }
+
+    return responses;
+  }
+
+  /**
+   * Build the combined status packet of a fast group read
+   * Each block CRC covers everything from the header up to that CRC; the last block CRC is the
+   * packet CRC. Block data is not byte-stuffed.
+   * @param {Array<{id: number, error: number, data: number[], corrupt: boolean}>} blocks - Device blocks
+   * @returns {Buffer} - Status packet
+   */
+  static createFastStatusPacket(blocks) {
+    const length = 1 + blocks.reduce((total, block) => total + 4 + block.data.length, 0);
+    const packet = [...HEADER, BROADCAST_ID, length & 0xFF, (length >> 8) & 0xFF, INSTRUCTIONS.STATUS];
+
+    for (const block of blocks) {
+      packet.push(block.error, block.id, ...block.data);
+      const crc = Protocol2.calculateCRC(packet) ^ (block.corrupt ? 0xFFFF : 0);
+      packet.push(crc & 0xFF, (crc >> 8) & 0xFF);
+    }
+
+    return Buffer.from(packet);
+  }
+
+  /**
+   * Send packet and wait for response
+   * Runs as a single transaction on the bus, so concurrent callers never interleave
+   * @param {Buffer} packet - Packet to send
+   * @param {number} expectedId - Expected device ID in response
+   * @param {number} timeout - Timeout in milliseconds
+   * @param {TransactionOptions} [options={}] - Transaction priority and abort signal
+   * @returns {Promise<Buffer>} - Response packet
+   */
+  async sendAndWaitForResponse(packet, expectedId = null, timeout = null, options = {}) {
+    return ResponseCollector.waitForResponse(this, packet, expectedId, timeout, options);
+  }
+
+  /**
+   * Send packet and collect responses from several devices
+   * @param {Buffer} packet - Packet to send
+   * @param {number[]} expectedIds - Device IDs expected to respond
+   * @param {number} timeout - Timeout in milliseconds for the whole exchange
+   * @param {TransactionOptions} [options={}] - Transaction priority and abort signal
+   * @returns {Promise<Map<number, Buffer>>} - Response packets by device ID (IDs that did not answer are absent)
+   */
+  async sendAndWaitForResponses(packet, expectedIds, timeout = null, options = {}) {
+    return ResponseCollector.waitForResponses(this, packet, expectedIds, timeout, options);
+  }
+
+  /**
+   * Send packet and collect every status packet that arrives within the response window
+   * Used to find devices that share an ID (see ResponseCollector.collectResponses()).
+   * @param {Buffer} packet - Packet to send
+   * @param {number} timeout - Collection window in milliseconds
+   * @param {TransactionOptions} [options={}] - Transaction priority and abort signal
+   * @returns {Promise<Buffer[]>} - Raw packets in arrival order
+   */
+  async sendAndCollectResponses(packet, timeout = null, options = {}) {
+    return ResponseCollector.collectResponses(this, packet, timeout, options);
+  }
+
+  /**
+   * Ping a device
+   * @param {number} id - Device ID
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<Object>} - Ping response
+   */
+  async ping(id, timeout = null) {
+    const packet = Protocol2.createPingPacket(id);
+    const response = await this.sendAndWaitForResponse(packet, id, timeout);
+
+    const statusPacket = Protocol2.parseStatusPacket(response);
+    if (!statusPacket) {
+      throw new DynamixelError(`Invalid response from device ${id}`, { id });
+    }
+
+    return Protocol2.parsePingResponse(statusPacket);
+  }
+
+  /**
+   * Discover devices on the bus
+   * @param {Object} options - Discovery options
+   * @returns {Promise<Array>} - Array of discovered devices
+   */
+  async discoverDevices(options = {}) {
+    const { range = 'quick', timeout = null, onProgress } = options;
+    const devices = [];
+
+    const startId = 1;
+    const endId = range === 'quick' ? 20 : 252;
+
+    const pingTimeout = this.responseTiming.getScanTimeout(Protocol2.createPingPacket(startId), this.getBaudRate(), timeout);
+
+    for (let id = startId; id <= endId; id++) {
+      try {
+        const response = await this.ping(id, pingTimeout);
+        devices.push({ id, ...response });
+
+        if (onProgress) {
+          onProgress({ id, found: true, total: endId - startId + 1, current: id - startId + 1 });
+        }
+      } catch (_error) {
+        if (onProgress) {
+          onProgress({ id, found: false, total: endId - startId + 1, current: id - startId + 1 });
+        }
+      }
+    }
+
+    return devices;
+  }
+
+  /**
+   * Track the Return Delay Time of a device for calculated timeouts
+   * @param {number} id - DYNAMIXEL ID
+   * @param {number} value - Return Delay Time register value (2 µs units)
+   */
+  setReturnDelayTime(id, value) {
+    this.responseTiming.setReturnDelayTime(id, value);
+  }
+
+  /**
+   * Track where the EEPROM area of a device ends, so writes to it get flash write time
+   * @param {number} id - DYNAMIXEL ID
+   * @param {number} address - Address of the device's Torque Enable item
+   */
+  setEepromEnd(id, address) {
+    this.responseTiming.setEepromEnd(id, address);
+  }
+
+  /**
+   * Whether setBaudRate() retunes the bus
+   * @returns {boolean} - Always true
+   */
+  canChangeBaudRate() {
+    return true;
+  }
+
+  /**
+   * Set baud rate
+   * Servos set to a different rate stop hearing the bus, as on real hardware.
+   * @param {number} baudRate - Baud rate
+   * @returns {Promise<boolean>} - Always true
+   */
+  setBaudRate(baudRate) {
+    this.baudRate = baudRate;
+    return Promise.resolve(true);
+  }
+
+  /**
+   * Get current baud rate
+   * @returns {number} - Current baud rate
+   */
+  getBaudRate() {
+    return this.baudRate;
+  }
+
+  /**
+   * Get connection status
+   * @returns {boolean} - Connection status
+   */
+  getConnectionStatus() {
+    return this.isConnected;
+  }
+}
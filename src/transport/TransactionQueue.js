@@ -0,0 +1,111 @@
+import { TRANSACTION_PRIORITY } from '../dynamixel/constants.js';
+
+/**
+ * @typedef {Object} TransactionOptions
+ * @property {number} [priority=TRANSACTION_PRIORITY.NORMAL] - Higher priorities run first
+ * @property {AbortSignal} [signal] - Cancels the transaction while it waits or runs
+ */
+
+/**
+ * Serializes instruction/response exchanges on a half-duplex bus
+ * Only one transaction runs at a time, so packets from concurrent callers never collide
+ * and every response is matched by the exchange that is waiting for it. Higher priority
+ * transactions jump ahead of waiting ones; equal priorities run in submission order.
+ */
+export class TransactionQueue {
+  constructor() {
+    this.pending = [];
+    this.active = null;
+  }
+
+  /**
+   * Number of transactions waiting or running
+   * @returns {number} - Queue size
+   */
+  get size() {
+    return this.pending.length + (this.active ? 1 : 0);
+  }
+
+  /**
+   * Queue a transaction
+   * @param {function(AbortSignal|undefined): Promise<*>} task - Runs the exchange; receives the abort signal
+   * @param {TransactionOptions} [options={}] - Priority and cancellation
+   * @returns {Promise<*>} - Resolves or rejects with the task result
+   */
+  enqueue(task, options = {}) {
+    const { priority = TRANSACTION_PRIORITY.NORMAL, signal } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(TransactionQueue.abortError(signal));
+        return;
+      }
+
+      const entry = { task, priority, signal, resolve, reject, onAbort: null };
+
+      if (signal) {
+        // Waiting transactions are dropped here; a running one is cancelled by its task
+        entry.onAbort = () => {
+          const index = this.pending.indexOf(entry);
+          if (index !== -1) {
+            this.pending.splice(index, 1);
+            reject(TransactionQueue.abortError(signal));
+          }
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      const index = this.pending.findIndex(other => other.priority < priority);
+      this.pending.splice(index === -1 ? this.pending.length : index, 0, entry);
+
+      this.runNext();
+    });
+  }
+
+  /**
+   * Start the next waiting transaction if the bus is free
+   */
+  runNext() {
+    if (this.active || this.pending.length === 0) {
+      return;
+    }
+
+    const entry = this.pending.shift();
+    this.active = entry;
+
+    Promise.resolve()
+      .then(() => entry.task(entry.signal))
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        if (entry.signal) {
+          entry.signal.removeEventListener('abort', entry.onAbort);
+        }
+        this.active = null;
+        this.runNext();
+      });
+  }
+
+  /**
+   * Reject every waiting transaction (e.g. on disconnect)
+   * The running transaction finishes on its own (send error or timeout)
+   * @param {Error} error - Rejection reason
+   */
+  clear(error) {
+    const entries = this.pending.splice(0);
+    for (const entry of entries) {
+      if (entry.signal) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
+      entry.reject(error);
+    }
+  }
+
+  /**
+   * Get the error for an aborted signal
+   * @param {AbortSignal} signal - Aborted signal
+   * @returns {Error} - The signal's reason, or a generic abort error
+   */
+  static abortError(signal) {
+    return signal.reason instanceof Error ? signal.reason : new Error('Transaction aborted');
+  }
+}
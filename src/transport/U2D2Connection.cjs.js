@@ -1,6 +1,13 @@
 import { EventEmitter } from 'events';
 import { U2D2_DEVICE, DEFAULT_TIMEOUT } from '../dynamixel/constants.js';
 import { Protocol2 } from '../dynamixel/Protocol2.js';
+import { PacketFraming } from '../dynamixel/PacketFraming.js';
+import { DynamixelError, DynamixelNotConnectedError } from '../dynamixel/errors.js';
+import { TransactionQueue } from './TransactionQueue.js';
+import { ResponseTiming } from './ResponseTiming.js';
+import { ResponseCollector } from './ResponseCollector.js';
+
+/** @typedef {import('./TransactionQueue.js').TransactionOptions} TransactionOptions */
 
 // CommonJS-style USB module loading
 let usb = null;
@@ -28,7 +35,10 @@ export class U2D2Connection extends EventEmitter {
     this.interface = null;
     this.endpoint = null;
     this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.responseTiming = new ResponseTiming(options);
+    this.baudRate = options.baudRate || 57600; // Bus baud rate the devices are set to
     this.isConnected = false;
+    this.transactionQueue = new TransactionQueue();
     this.receiveBuffer = Buffer.alloc(0);
 
     // Enable debug mode
@@ -208,6 +218,7 @@ export class U2D2Connection extends EventEmitter {
       }
 
       this.isConnected = false;
+      this.transactionQueue.clear(new DynamixelNotConnectedError('Connection closed'));
       this.emit('disconnected');
       console.log('✅ U2D2 disconnected successfully');
     } catch (error) {
@@ -239,17 +250,23 @@ export class U2D2Connection extends EventEmitter {
    * Process received data buffer
    */
   processReceiveBuffer() {
-    while (this.receiveBuffer.length >= 10) {
-      const packetLength = Protocol2.getCompletePacketLength(this.receiveBuffer);
+    while (this.receiveBuffer.length > 0) {
+      // Drop anything before the next packet header
+      const start = PacketFraming.findPacketStart(this.receiveBuffer);
+      if (start > 0) {
+        this.discardReceived(start);
+        continue;
+      }
 
-      if (packetLength === 0) {
-        // Invalid or incomplete packet, remove one byte and try again
-        this.receiveBuffer = this.receiveBuffer.slice(1);
+      const packetLength = PacketFraming.getCompletePacketLength(this.receiveBuffer);
+      if (packetLength < 0) {
+        // Impossible LENGTH: not a real header, look for the next one after it
+        this.discardReceived(1);
         continue;
       }
 
-      if (this.receiveBuffer.length < packetLength) {
-        // Not enough data for complete packet yet
+      if (packetLength === 0) {
+        // Not enough data for complete packet yet (stuffed frames can span several reads)
         break;
       }
 
@@ -261,13 +278,33 @@ export class U2D2Connection extends EventEmitter {
   }
 
   /**
-   * Send data to the device
+   * Drop bytes from the front of the receive buffer
+   * Emits `noise` with the dropped bytes, so callers can tell garbled replies from silence.
+   * @param {number} length - Number of bytes to drop
+   */
+  discardReceived(length) {
+    const noise = this.receiveBuffer.slice(0, length);
+    this.receiveBuffer = this.receiveBuffer.slice(length);
+    this.emit('noise', noise);
+  }
+
+  /**
+   * Send data to the device as a transaction (for packets without a response)
+   * @param {Buffer|Array} data - Data to send
+   * @param {TransactionOptions} [options={}] - Transaction priority and abort signal
+   */
+  async send(data, options = {}) {
+    return this.transactionQueue.enqueue(() => this.transmit(data), options);
+  }
+
+  /**
+   * Write data to the device immediately, bypassing the transaction queue
    * @param {Buffer|Array} data - Data to send
    */
-  async send(data) {
+  async transmit(data) {
     return new Promise((resolve, reject) => {
       if (!this.isConnected || !this.outEndpoint) {
-        reject(new Error('U2D2 not connected'));
+        reject(new DynamixelNotConnectedError('U2D2 not connected'));
         return;
       }
 
@@ -275,7 +312,7 @@ export class U2D2Connection extends EventEmitter {
 
       this.outEndpoint.transfer(buffer, (error) => {
         if (error) {
-          reject(new Error(`USB send error: ${error.message}`));
+          reject(new DynamixelError(`USB send error: ${error.message}`));
         } else {
           resolve();
         }
@@ -285,32 +322,40 @@ export class U2D2Connection extends EventEmitter {
 
   /**
    * Send packet and wait for response
+   * Runs as a single transaction on the bus, so concurrent callers never interleave
    * @param {Buffer} packet - Packet to send
    * @param {number} expectedId - Expected device ID in response
    * @param {number} timeout - Timeout in milliseconds
+   * @param {TransactionOptions} [options={}] - Transaction priority and abort signal
    * @returns {Promise<Buffer>} - Response packet
    */
-  async sendAndWaitForResponse(packet, expectedId = null, timeout = null) {
-    return new Promise((resolve, reject) => {
-      const timeoutMs = timeout || this.timeout;
-
-      const onPacket = (statusPacket) => {
-        if (expectedId === null || statusPacket[4] === expectedId) {
-          clearTimeout(timeoutId);
-          this.removeListener('packet', onPacket);
-          resolve(statusPacket);
-        }
-      };
-
-      this.on('packet', onPacket);
+  async sendAndWaitForResponse(packet, expectedId = null, timeout = null, options = {}) {
+    return ResponseCollector.waitForResponse(this, packet, expectedId, timeout, options);
+  }
 
-      const timeoutId = setTimeout(() => {
-        this.removeListener('packet', onPacket);
-        reject(new Error(`Timeout waiting for response from device ${expectedId || 'any'}`));
-      }, timeoutMs);
+  /**
+   * Send packet and collect responses from several devices
+   * Used by group instructions (e.g. SYNC READ); see ResponseCollector.waitForResponses()
+   * @param {Buffer} packet - Packet to send
+   * @param {number[]} expectedIds - Device IDs expected to respond
+   * @param {number} timeout - Timeout in milliseconds for the whole exchange
+   * @param {TransactionOptions} [options={}] - Transaction priority and abort signal
+   * @returns {Promise<Map<number, Buffer>>} - Response packets by device ID (IDs that did not answer are absent)
+   */
+  async sendAndWaitForResponses(packet, expectedIds, timeout = null, options = {}) {
+    return ResponseCollector.waitForResponses(this, packet, expectedIds, timeout, options);
+  }
 
-      this.send(packet).catch(reject);
-    });
+  /**
+   * Send packet and collect every status packet that arrives within the response window
+   * Used to find devices that share an ID (see ResponseCollector.collectResponses()).
+   * @param {Buffer} packet - Packet to send
+   * @param {number} timeout - Collection window in milliseconds
+   * @param {TransactionOptions} [options={}] - Transaction priority and abort signal
+   * @returns {Promise<Buffer[]>} - Raw packets in arrival order
+   */
+  async sendAndCollectResponses(packet, timeout = null, options = {}) {
+    return ResponseCollector.collectResponses(this, packet, timeout, options);
   }
 
   /**
@@ -326,7 +371,7 @@ export class U2D2Connection extends EventEmitter {
     // First parse the raw buffer into a status packet
     const statusPacket = Protocol2.parseStatusPacket(response);
     if (!statusPacket) {
-      throw new Error(`Invalid response from device ${id}`);
+      throw new DynamixelError(`Invalid response from device ${id}`, { id });
     }
 
     // Then extract ping response information
@@ -339,15 +384,17 @@ export class U2D2Connection extends EventEmitter {
    * @returns {Promise<Array>} - Array of discovered devices
    */
   async discoverDevices(options = {}) {
-    const { range = 'quick', timeout = 100, onProgress } = options;
+    const { range = 'quick', timeout = null, onProgress } = options;
     const devices = [];
 
     const startId = range === 'quick' ? 1 : 1;
     const endId = range === 'quick' ? 20 : 252;
 
+    const pingTimeout = this.responseTiming.getScanTimeout(Protocol2.createPingPacket(startId), this.getBaudRate(), timeout);
+
     for (let id = startId; id <= endId; id++) {
       try {
-        const response = await this.ping(id, timeout);
+        const response = await this.ping(id, pingTimeout);
         devices.push({ id, ...response });
 
         if (onProgress) {
@@ -363,12 +410,44 @@ export class U2D2Connection extends EventEmitter {
     return devices;
   }
 
+  /**
+   * Track the Return Delay Time of a device for calculated timeouts
+   * @param {number} id - DYNAMIXEL ID
+   * @param {number} value - Return Delay Time register value (2 µs units)
+   */
+  setReturnDelayTime(id, value) {
+    this.responseTiming.setReturnDelayTime(id, value);
+  }
+
+  /**
+   * Track where the EEPROM area of a device ends, so writes to it get flash write time
+   * @param {number} id - DYNAMIXEL ID
+   * @param {number} address - Address of the device's Torque Enable item
+   */
+  setEepromEnd(id, address) {
+    this.responseTiming.setEepromEnd(id, address);
+  }
+
+  /**
+   * Whether setBaudRate() retunes the bus
+   * The raw USB link has no control request for the U2D2's bus rate.
+   * @returns {boolean} - Always false
+   */
+  canChangeBaudRate() {
+    return false;
+  }
+
   /**
    * Set baud rate (placeholder - U2D2 handles this automatically)
+   * The rate is only recorded for calculated response timeouts; the bus keeps running at
+   * the rate the U2D2 is configured for.
    * @param {number} baudRate - Baud rate
+   * @returns {Promise<boolean>} - Always false, since the bus rate is not changed
    */
   setBaudRate(baudRate) {
+    this.baudRate = baudRate;
     console.log(`ℹ️  U2D2 baud rate set to ${baudRate} (handled automatically by U2D2)`);
+    return Promise.resolve(false);
   }
 
   /**
@@ -376,7 +455,7 @@ export class U2D2Connection extends EventEmitter {
    * @returns {number} - Current baud rate
    */
   getBaudRate() {
-    return 57600; // U2D2 default
+    return this.baudRate;
   }
 
   /**
@@ -0,0 +1,567 @@
+import { MotorProfiles } from '../dynamixel/MotorProfiles.js';
+import { ControlTables } from '../dynamixel/ControlTables.js';
+import { Protocol2 } from '../dynamixel/Protocol2.js';
+import {
+  BAUD_RATES,
+  CLEAR_MULTI_TURN_PARAMETERS,
+  CONTROL_TABLE,
+  CONTROL_TABLE_BACKUP_PARAMETERS,
+  DEFAULT_BAUD_RATE,
+  ERROR_FLAGS,
+  FACTORY_DEFAULT_ID,
+  FACTORY_RESET_MODES,
+  INSTRUCTIONS,
+  MOVING_STATUS_BITS,
+  OPERATING_MODES,
+  STATUS_ALERT_BIT
+} from '../dynamixel/constants.js';
+
+const motorProfiles = new MotorProfiles();
+
+// Control table layout used for models whose profile does not define one (X series layout)
+const DEFAULT_LAYOUT_MODEL = 'XC330-M288';
+
+// Large enough for the indirect address/data banks of every supported model
+const CONTROL_TABLE_SIZE = 1024;
+
+// Addresses below this are EEPROM and can only be written while torque is off
+const RAM_START = CONTROL_TABLE.TORQUE_ENABLE;
+
+/**
+ * @typedef {Object} VirtualServoOptions
+ * @property {string} [model='XC330-M288'] - MotorProfiles model name used to seed the control table
+ * @property {number} [modelNumber] - Override the model number reported by PING (defaults to the ControlTables number for the model)
+ * @property {number} [firmwareVersion=52] - Firmware version reported by PING
+ * @property {number} [position] - Initial present position (defaults to the profile goal position)
+ * @property {number} [baudRate=57600] - Baud rate the servo listens at (one of BAUD_RATES)
+ */
+
+/**
+ * Virtual DYNAMIXEL servo
+ * Holds a Protocol 2.0 control table seeded from MotorProfiles, executes instructions
+ * against it and models simple first-order motion: in position modes the present position
+ * moves towards the goal at the profile velocity (or velocity limit), in velocity mode it
+ * integrates the goal velocity. Used by SimulatedConnection.
+ */
+export class VirtualServo {
+  /**
+   * @param {number} id - DYNAMIXEL ID
+   * @param {VirtualServoOptions} [options={}] - Model and initial state
+   */
+  constructor(id, options = {}) {
+    this.model = options.model || DEFAULT_LAYOUT_MODEL;
+
+    const profile = motorProfiles.getProfile(this.model);
+    if (!profile) {
+      throw new Error(`Unknown servo model: ${this.model}`);
+    }
+
+    this.layout = profile.controlTable || motorProfiles.getControlTable(DEFAULT_LAYOUT_MODEL);
+    this.controlTable = Buffer.alloc(CONTROL_TABLE_SIZE);
+
+    const conversions = profile.conversions || motorProfiles.getConversions(DEFAULT_LAYOUT_MODEL);
+    // Present position change per millisecond for one Goal/Profile Velocity unit
+    this.pulsesPerMsPerVelocityUnit = conversions.velocity.scale * conversions.position.resolution / 60000;
+    this.resolution = conversions.position.resolution;
+
+    for (const entry of Object.values(this.layout)) {
+      if (entry.initialValue !== undefined) {
+        this.writeValue(entry.address, entry.size, entry.initialValue);
+      }
+    }
+
+    // Model defaults override the generic layout values where the names match
+    for (const [name, value] of Object.entries(profile.defaultSettings || {})) {
+      const entry = this.layout[name];
+      if (entry && entry.address < RAM_START) {
+        this.writeValue(entry.address, entry.size, value);
+      }
+    }
+
+    // Report the model number devices resolve their control table from
+    const registered = ControlTables.getModelByName(this.model);
+
+    // Indirect Address entries start out pointing at their own data byte
+    this.indirect = registered ? registered.indirect : ControlTables.getDefaultIndirectLayout(2);
+    for (const bank of this.indirect?.banks || []) {
+      for (let offset = 0; offset < bank.entries; offset++) {
+        this.writeValue(bank.address + (offset * 2), 2, bank.data + offset);
+      }
+    }
+
+    const modelNumber = registered?.protocolVersion === 2 ? registered.modelNumber : profile.modelNumber;
+    this.writeValue(CONTROL_TABLE.MODEL_NUMBER, 2, options.modelNumber ?? modelNumber);
+    this.writeValue(CONTROL_TABLE.FIRMWARE_VERSION, 1, options.firmwareVersion ?? 52);
+    this.writeValue(CONTROL_TABLE.ID, 1, id);
+    this.writeValue(CONTROL_TABLE.BAUD_RATE, 1, BAUD_RATES.indexOf(DEFAULT_BAUD_RATE));
+
+    const voltage = profile.specs.recommendedVoltage ??
+      (profile.specs.operatingVoltage[0] + profile.specs.operatingVoltage[1]) / 2;
+    this.writeValue(CONTROL_TABLE.PRESENT_INPUT_VOLTAGE, 2, Math.round(voltage * 10));
+    this.writeValue(CONTROL_TABLE.PRESENT_TEMPERATURE, 1, 30);
+
+    this.position = options.position ?? profile.defaultSettings?.goalPosition ?? 2048;
+    this.writeValue(CONTROL_TABLE.GOAL_POSITION, 4, Math.round(this.position));
+    this.writeValue(CONTROL_TABLE.PRESENT_POSITION, 4, Math.round(this.position));
+
+    // Power-on RAM contents, restored by REBOOT
+    this.initialRam = Buffer.from(this.controlTable.subarray(RAM_START));
+    // Factory EEPROM contents, restored by FACTORY RESET
+    this.factoryEeprom = Buffer.from(this.controlTable.subarray(0, RAM_START));
+
+    const baudRate = options.baudRate ?? DEFAULT_BAUD_RATE;
+    if (!BAUD_RATES.includes(baudRate)) {
+      throw new Error(`Invalid baud rate ${baudRate}. Must be one of ${BAUD_RATES.join(', ')}.`);
+    }
+    this.writeValue(CONTROL_TABLE.BAUD_RATE, 1, BAUD_RATES.indexOf(baudRate));
+
+    this.registered = null;
+    this.backup = null;
+    this.faults = [];
+    this.tick = 0;
+  }
+
+  /**
+   * Current ID (changes when the ID register is written)
+   * @returns {number} - DYNAMIXEL ID
+   */
+  get id() {
+    return this.controlTable[CONTROL_TABLE.ID];
+  }
+
+  /**
+   * Baud rate the servo listens at (changes when the Baud Rate register is written)
+   * @returns {number} - Baud rate in bps
+   */
+  get baudRate() {
+    return BAUD_RATES[this.controlTable[CONTROL_TABLE.BAUD_RATE]];
+  }
+
+  /**
+   * Secondary ID the servo also executes instructions for (255 when disabled)
+   * @returns {number} - Secondary ID
+   */
+  get secondaryId() {
+    return this.controlTable[CONTROL_TABLE.SECONDARY_ID];
+  }
+
+  /**
+   * Current Status Return Level (0: PING only, 1: PING and READ, 2: all instructions)
+   * @returns {number} - Status Return Level
+   */
+  get statusReturnLevel() {
+    return this.controlTable[CONTROL_TABLE.STATUS_RETURN_LEVEL];
+  }
+
+  /**
+   * Check whether an instruction gets a status packet at the current Status Return Level
+   * @param {number} instruction - Instruction byte
+   * @returns {boolean} - True if the servo answers
+   */
+  respondsTo(instruction) {
+    if (instruction === INSTRUCTIONS.PING) {
+      return true;
+    }
+
+    const isRead = instruction === INSTRUCTIONS.READ ||
+      instruction === INSTRUCTIONS.SYNC_READ || instruction === INSTRUCTIONS.BULK_READ ||
+      instruction === INSTRUCTIONS.FAST_SYNC_READ || instruction === INSTRUCTIONS.FAST_BULK_READ;
+
+    return this.statusReturnLevel >= 2 || (isRead && this.statusReturnLevel === 1);
+  }
+
+  /**
+   * Read an unsigned little-endian value from the control table
+   * @param {number} address - Control table address
+   * @param {number} size - Value size in bytes (1, 2 or 4)
+   * @returns {number} - Unsigned value
+   */
+  readValue(address, size) {
+    return this.controlTable.readUIntLE(address, size);
+  }
+
+  /**
+   * Read a signed little-endian value from the control table
+   * @param {number} address - Control table address
+   * @param {number} size - Value size in bytes (1, 2 or 4)
+   * @returns {number} - Signed value
+   */
+  readSignedValue(address, size) {
+    return this.controlTable.readIntLE(address, size);
+  }
+
+  /**
+   * Store a little-endian value in the control table (no access checks)
+   * @param {number} address - Control table address
+   * @param {number} size - Value size in bytes (1, 2 or 4)
+   * @param {number} value - Value to store (negative values as two's complement)
+   */
+  writeValue(address, size, value) {
+    Buffer.from(Protocol2.encodeValue(value, size)).copy(this.controlTable, address);
+  }
+
+  /**
+   * Handle a PING
+   * @returns {number[]} - Model number (2 bytes) and firmware version
+   */
+  ping() {
+    return Array.from(this.controlTable.subarray(CONTROL_TABLE.MODEL_NUMBER, CONTROL_TABLE.MODEL_NUMBER + 2))
+      .concat(this.controlTable[CONTROL_TABLE.FIRMWARE_VERSION]);
+  }
+
+  /**
+   * Handle a READ
+   * @param {number} address - Starting address
+   * @param {number} length - Number of bytes
+   * @returns {{error: number, data: number[]}} - Status error code and data
+   */
+  read(address, length) {
+    if (address + length > CONTROL_TABLE_SIZE) {
+      return { error: ERROR_FLAGS.ACCESS_ERROR, data: [] };
+    }
+
+    const data = [];
+    for (let offset = 0; offset < length; offset++) {
+      data.push(this.controlTable[this.resolveIndirect(address + offset)]);
+    }
+    return { error: 0, data };
+  }
+
+  /**
+   * Resolve an indirect data byte to the control table byte its indirect address entry points at
+   * @param {number} address - Control table address
+   * @returns {number} - Target address, or the address itself outside the indirect data area
+   */
+  resolveIndirect(address) {
+    const bank = this.indirect?.banks.find(({ data, entries }) => address >= data && address < data + entries);
+    if (!bank) {
+      return address;
+    }
+
+    const target = this.readValue(bank.address + ((address - bank.data) * 2), 2);
+    return target >= this.indirect.min && target <= this.indirect.max ? target : address;
+  }
+
+  /**
+   * Handle a WRITE
+   * @param {number} address - Starting address
+   * @param {number[]} data - Bytes to write
+   * @returns {number} - Status error code (0 on success)
+   */
+  write(address, data) {
+    const error = this.validateWrite(address, data);
+    if (error !== 0) {
+      return error;
+    }
+
+    const wasTorqueEnabled = this.controlTable[CONTROL_TABLE.TORQUE_ENABLE] === 1;
+    data.forEach((byte, offset) => {
+      this.controlTable[this.resolveIndirect(address + offset)] = byte;
+    });
+
+    // Goal follows the current position when torque is switched on
+    if (!wasTorqueEnabled && this.controlTable[CONTROL_TABLE.TORQUE_ENABLE] === 1 &&
+        !this.covers(address, data.length, CONTROL_TABLE.GOAL_POSITION)) {
+      this.writeValue(CONTROL_TABLE.GOAL_POSITION, 4, Math.round(this.position));
+    }
+
+    // A new goal position starts a profile right away, before the next motion update
+    if (this.controlTable[CONTROL_TABLE.TORQUE_ENABLE] === 1 && this.covers(address, data.length, CONTROL_TABLE.GOAL_POSITION) &&
+        this.readSignedValue(CONTROL_TABLE.GOAL_POSITION, 4) !== Math.round(this.position)) {
+      this.controlTable[CONTROL_TABLE.MOVING] = 1;
+      this.controlTable[CONTROL_TABLE.MOVING_STATUS] =
+        (this.controlTable[CONTROL_TABLE.MOVING_STATUS] & MOVING_STATUS_BITS.PROFILE_TYPE) | MOVING_STATUS_BITS.PROFILE_ONGOING;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Handle a REG WRITE (stored until ACTION)
+   * @param {number} address - Starting address
+   * @param {number[]} data - Bytes to write
+   * @returns {number} - Status error code (0 on success)
+   */
+  registerWrite(address, data) {
+    const error = this.validateWrite(address, data);
+    if (error !== 0) {
+      return error;
+    }
+
+    this.registered = { address, data };
+    this.controlTable[CONTROL_TABLE.REGISTERED_INSTRUCTION] = 1;
+    return 0;
+  }
+
+  /**
+   * Handle an ACTION (apply the registered write)
+   * @returns {number} - Status error code (0 on success)
+   */
+  action() {
+    if (!this.registered) {
+      return ERROR_FLAGS.INSTRUCTION_ERROR;
+    }
+
+    const { address, data } = this.registered;
+    this.registered = null;
+    this.controlTable[CONTROL_TABLE.REGISTERED_INSTRUCTION] = 0;
+    return this.write(address, data);
+  }
+
+  /**
+   * Handle a REBOOT: RAM returns to its power-on values, EEPROM and position are kept
+   */
+  reboot() {
+    this.initialRam.copy(this.controlTable, RAM_START);
+    this.registered = null;
+    this.writeValue(CONTROL_TABLE.GOAL_POSITION, 4, Math.round(this.position));
+    this.writeValue(CONTROL_TABLE.PRESENT_POSITION, 4, Math.round(this.position));
+    this.controlTable[CONTROL_TABLE.BACKUP_READY] = this.backup ? 1 : 0;
+  }
+
+  /**
+   * Check the parameters of a CONTROL TABLE BACKUP / RESTORE and the torque lock
+   * @param {number[]} parameters - Instruction parameters
+   * @returns {number} - Status error code (0 if the instruction may run)
+   */
+  validateBackupInstruction(parameters) {
+    if (parameters.length !== CONTROL_TABLE_BACKUP_PARAMETERS.length ||
+        parameters.some((value, index) => value !== CONTROL_TABLE_BACKUP_PARAMETERS[index])) {
+      return ERROR_FLAGS.DATA_RANGE_ERROR;
+    }
+    return this.controlTable[CONTROL_TABLE.TORQUE_ENABLE] === 1 ? ERROR_FLAGS.ACCESS_ERROR : 0;
+  }
+
+  /**
+   * Handle a CONTROL TABLE BACKUP: store the EEPROM area and raise Backup Ready
+   * @param {number[]} parameters - Instruction parameters
+   * @returns {number} - Status error code
+   */
+  backupControlTable(parameters) {
+    const error = this.validateBackupInstruction(parameters);
+    if (error === 0) {
+      this.backup = Buffer.from(this.controlTable.subarray(0, RAM_START));
+      this.controlTable[CONTROL_TABLE.BACKUP_READY] = 1;
+    }
+    return error;
+  }
+
+  /**
+   * Handle a CONTROL TABLE RESTORE: write the stored EEPROM area back
+   * @param {number[]} parameters - Instruction parameters
+   * @returns {number} - Status error code
+   */
+  restoreControlTable(parameters) {
+    const error = this.validateBackupInstruction(parameters);
+    if (error !== 0) {
+      return error;
+    }
+    if (!this.backup) {
+      return ERROR_FLAGS.RESULT_FAIL;
+    }
+
+    this.backup.copy(this.controlTable, 0);
+    return 0;
+  }
+
+  /**
+   * Handle a FACTORY RESET: EEPROM returns to its factory values (keeping the ID and
+   * baud rate depending on the mode) and the servo restarts
+   * @param {number} mode - FACTORY_RESET_MODES value
+   */
+  factoryReset(mode) {
+    const id = this.id;
+    const baudRate = this.controlTable[CONTROL_TABLE.BAUD_RATE];
+
+    this.factoryEeprom.copy(this.controlTable, 0);
+    this.controlTable[CONTROL_TABLE.ID] = mode === FACTORY_RESET_MODES.ALL ? FACTORY_DEFAULT_ID : id;
+    if (mode === FACTORY_RESET_MODES.EXCEPT_ID_AND_BAUD_RATE) {
+      this.controlTable[CONTROL_TABLE.BAUD_RATE] = baudRate;
+    }
+
+    this.reboot();
+  }
+
+  /**
+   * Handle a CLEAR: reset the multi-turn revolution count so the position lies within one turn
+   * @param {number[]} parameters - Instruction parameters
+   * @returns {number} - Status error code
+   */
+  clear(parameters) {
+    if (parameters.length !== CLEAR_MULTI_TURN_PARAMETERS.length ||
+        parameters.some((value, index) => value !== CLEAR_MULTI_TURN_PARAMETERS[index])) {
+      return ERROR_FLAGS.DATA_RANGE_ERROR;
+    }
+
+    // Refused while the servo is moving
+    if (this.controlTable[CONTROL_TABLE.MOVING] === 1) {
+      return ERROR_FLAGS.RESULT_FAIL;
+    }
+
+    this.position = ((Math.round(this.position) % this.resolution) + this.resolution) % this.resolution;
+    this.writeValue(CONTROL_TABLE.GOAL_POSITION, 4, this.position);
+    this.writeValue(CONTROL_TABLE.PRESENT_POSITION, 4, this.position);
+    return 0;
+  }
+
+  /**
+   * Check a write against access rights, EEPROM lock and position limits
+   * @param {number} address - Starting address
+   * @param {number[]} data - Bytes to write
+   * @returns {number} - Status error code (0 if the write is allowed)
+   */
+  validateWrite(address, data) {
+    if (data.length === 0 || address + data.length > CONTROL_TABLE_SIZE) {
+      return ERROR_FLAGS.ACCESS_ERROR;
+    }
+
+    for (const entry of Object.values(this.layout)) {
+      if (entry.access === 'R' && address < entry.address + entry.size && entry.address < address + data.length) {
+        return ERROR_FLAGS.ACCESS_ERROR;
+      }
+    }
+
+    if (address < RAM_START && this.controlTable[CONTROL_TABLE.TORQUE_ENABLE] === 1) {
+      return ERROR_FLAGS.ACCESS_ERROR;
+    }
+
+    if (this.covers(address, data.length, CONTROL_TABLE.GOAL_POSITION) &&
+        this.controlTable[CONTROL_TABLE.OPERATING_MODE] === OPERATING_MODES.POSITION) {
+      const offset = CONTROL_TABLE.GOAL_POSITION - address;
+      const goal = Buffer.from(data).readInt32LE(offset);
+      if (goal < this.readSignedValue(CONTROL_TABLE.MIN_POSITION_LIMIT, 4) ||
+          goal > this.readSignedValue(CONTROL_TABLE.MAX_POSITION_LIMIT, 4)) {
+        return ERROR_FLAGS.DATA_LIMIT_ERROR;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Check whether a write range contains a complete 4-byte register
+   * @param {number} address - Write start address
+   * @param {number} length - Write length
+   * @param {number} register - Register address
+   * @returns {boolean} - True if all 4 bytes are written
+   */
+  covers(address, length, register) {
+    return address <= register && register + 4 <= address + length;
+  }
+
+  /**
+   * Raise hardware error bits; torque is switched off for bits enabled in Shutdown
+   * @param {number} bits - Hardware Error Status bits to set
+   */
+  setHardwareError(bits) {
+    const status = this.controlTable[CONTROL_TABLE.HARDWARE_ERROR_STATUS] | bits;
+    this.controlTable[CONTROL_TABLE.HARDWARE_ERROR_STATUS] = status;
+
+    if (status & this.controlTable[CONTROL_TABLE.SHUTDOWN]) {
+      this.controlTable[CONTROL_TABLE.TORQUE_ENABLE] = 0;
+    }
+  }
+
+  /**
+   * Queue a communication fault for the next status packets
+   * @param {'timeout'|'crc'} type - Drop the response, or send it with a corrupted CRC
+   * @param {number} [count=Infinity] - Number of responses affected
+   */
+  addFault(type, count = Infinity) {
+    this.faults.push({ type, remaining: count });
+  }
+
+  /**
+   * Take one pending fault, if any
+   * @returns {'timeout'|'crc'|null} - Fault applied to this response
+   */
+  consumeFault() {
+    const fault = this.faults[0];
+    if (!fault) {
+      return null;
+    }
+
+    fault.remaining--;
+    if (fault.remaining <= 0) {
+      this.faults.shift();
+    }
+    return fault.type;
+  }
+
+  /**
+   * Error byte for a status packet (alert bit set while a hardware error is latched)
+   * @param {number} error - Instruction error code
+   * @returns {number} - Status error byte
+   */
+  statusError(error) {
+    return this.controlTable[CONTROL_TABLE.HARDWARE_ERROR_STATUS] !== 0 ? error | STATUS_ALERT_BIT : error;
+  }
+
+  /**
+   * Build a status packet, applying any pending communication fault
+   * @param {number} error - Instruction error code
+   * @param {number[]} parameters - Status parameters
+   * @param {number} [id=this.id] - ID the packet is sent from
+   * @returns {Buffer|null} - Status packet, or null if the response is dropped
+   */
+  createStatusPacket(error, parameters = [], id = this.id) {
+    const fault = this.consumeFault();
+    if (fault === 'timeout') {
+      return null;
+    }
+
+    const packet = Protocol2.createInstructionPacket(id, INSTRUCTIONS.STATUS, [this.statusError(error), ...parameters]);
+    if (fault === 'crc') {
+      packet[packet.length - 1] ^= 0xFF;
+    }
+    return packet;
+  }
+
+  /**
+   * Advance the motion model
+   * @param {number} elapsedMs - Simulated time since the last update
+   */
+  update(elapsedMs) {
+    if (elapsedMs <= 0) {
+      return;
+    }
+
+    this.tick = (this.tick + elapsedMs) % 32768;
+    this.writeValue(CONTROL_TABLE.REALTIME_TICK, 2, Math.floor(this.tick));
+
+    const mode = this.controlTable[CONTROL_TABLE.OPERATING_MODE];
+    let velocity = 0;
+    let moving = false;
+
+    if (this.controlTable[CONTROL_TABLE.TORQUE_ENABLE] === 1) {
+      const velocityLimit = this.readValue(CONTROL_TABLE.VELOCITY_LIMIT, 4);
+
+      if (mode === OPERATING_MODES.VELOCITY) {
+        const goalVelocity = this.readSignedValue(CONTROL_TABLE.GOAL_VELOCITY, 4);
+        velocity = Math.max(-velocityLimit, Math.min(velocityLimit, goalVelocity));
+        this.position += velocity * this.pulsesPerMsPerVelocityUnit * elapsedMs;
+        moving = velocity !== 0;
+      } else if (mode !== OPERATING_MODES.CURRENT && mode !== OPERATING_MODES.PWM) {
+        // Position based modes; current and PWM control do not move on their own
+        const goal = this.readSignedValue(CONTROL_TABLE.GOAL_POSITION, 4);
+        const speed = this.readValue(CONTROL_TABLE.PROFILE_VELOCITY, 4) || velocityLimit;
+        const maxStep = speed * this.pulsesPerMsPerVelocityUnit * elapsedMs;
+        const remaining = goal - this.position;
+
+        const step = Math.max(-maxStep, Math.min(maxStep, remaining));
+        this.position += step;
+        moving = this.position !== goal;
+        velocity = moving ? Math.sign(step) * speed : 0;
+      }
+    }
+
+    this.writeValue(CONTROL_TABLE.PRESENT_POSITION, 4, Math.round(this.position));
+    this.writeValue(CONTROL_TABLE.PRESENT_VELOCITY, 4, velocity);
+    this.controlTable[CONTROL_TABLE.MOVING] = moving ? 1 : 0;
+    // Only Profile Velocity is modelled: a rectangular profile (type 1), or a step without one
+    const profileType = this.readValue(CONTROL_TABLE.PROFILE_VELOCITY, 4) > 0 ? 1 << 4 : 0;
+    this.controlTable[CONTROL_TABLE.MOVING_STATUS] = profileType | (moving
+      ? MOVING_STATUS_BITS.PROFILE_ONGOING
+      : (this.controlTable[CONTROL_TABLE.TORQUE_ENABLE] ? MOVING_STATUS_BITS.IN_POSITION : 0));
+  }
+}
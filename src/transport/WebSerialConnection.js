@@ -1,6 +1,13 @@
 import { EventEmitter } from 'events';
 import { DEFAULT_TIMEOUT } from '../dynamixel/constants.js';
 import { Protocol2 } from '../dynamixel/Protocol2.js';
+import { PacketFraming } from '../dynamixel/PacketFraming.js';
+import { DynamixelError, DynamixelNotConnectedError } from '../dynamixel/errors.js';
+import { TransactionQueue } from './TransactionQueue.js';
+import { ResponseTiming } from './ResponseTiming.js';
+import { ResponseCollector } from './ResponseCollector.js';
+
+/** @typedef {import('./TransactionQueue.js').TransactionOptions} TransactionOptions */
 
 /**
  * Web Serial API Connection Handler
@@ -14,8 +21,10 @@ export class WebSerialConnection extends EventEmitter {
     this.reader = null;
     this.writer = null;
     this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.responseTiming = new ResponseTiming(options);
     this.baudRate = options.baudRate || 57600;
     this.isConnected = false;
+    this.transactionQueue = new TransactionQueue();
     this.receiveBuffer = new Uint8Array(0);
     this.readPromise = null;
 
@@ -150,6 +159,7 @@ export class WebSerialConnection extends EventEmitter {
   async disconnect() {
     try {
       this.isConnected = false;
+      this.transactionQueue.clear(new DynamixelNotConnectedError('Connection closed'));
 
       // Stop reading
       if (this.reader) {
@@ -231,9 +241,21 @@ export class WebSerialConnection extends EventEmitter {
    */
   processReceiveBuffer() {
     while (this.receiveBuffer.length > 0) {
+      // Drop anything before the next packet header
+      const start = PacketFraming.findPacketStart(this.receiveBuffer);
+      if (start > 0) {
+        this.discardReceived(start);
+        continue;
+      }
+
       // Convert to Buffer for Protocol2 compatibility
       const bufferForCheck = Buffer.from(this.receiveBuffer);
-      const packetLength = Protocol2.getCompletePacketLength(bufferForCheck);
+      const packetLength = PacketFraming.getCompletePacketLength(bufferForCheck);
+      if (packetLength < 0) {
+        // Impossible LENGTH: not a real header, look for the next one after it
+        this.discardReceived(1);
+        continue;
+      }
 
       if (packetLength === 0) {
         // No complete packet yet, wait for more data
@@ -246,25 +268,48 @@ export class WebSerialConnection extends EventEmitter {
 
       // Parse and emit packet
       try {
-        const packet = Protocol2.parseStatusPacket(packetData);
+        const packet = PacketFraming.getProtocol(packetData).parseStatusPacket(packetData);
         if (packet) {
           this.emit('packet', packet);
         }
       } catch (error) {
         console.error('❌ Packet parsing error:', error.message);
+        // Waiters get the raw packet, so a corrupted reply fails its exchange instead of timing out
+        this.emit('badPacket', packetData, error);
         this.emit('error', error);
       }
     }
   }
 
   /**
-   * Send data to the serial port
+   * Drop bytes from the front of the receive buffer
+   * Emits `noise` with the dropped bytes, so callers can tell garbled replies from silence.
+   * @param {number} length - Number of bytes to drop
+   */
+  discardReceived(length) {
+    const noise = Buffer.from(this.receiveBuffer.slice(0, length));
+    this.receiveBuffer = this.receiveBuffer.slice(length);
+    this.emit('noise', noise);
+  }
+
+  /**
+   * Send data to the serial port as a transaction (for packets without a response)
+   * @param {Buffer|Uint8Array} data - Data to send
+   * @param {TransactionOptions} [options={}] - Transaction priority and abort signal
+   * @returns {Promise<boolean>} - Success status
+   */
+  async send(data, options = {}) {
+    return this.transactionQueue.enqueue(() => this.transmit(data), options);
+  }
+
+  /**
+   * Write data to the serial port immediately, bypassing the transaction queue
    * @param {Buffer|Uint8Array} data - Data to send
    * @returns {Promise<boolean>} - Success status
    */
-  async send(data) {
+  async transmit(data) {
     if (!this.isConnected || !this.writer) {
-      throw new Error('Serial port not connected');
+      throw new DynamixelNotConnectedError('Serial port not connected');
     }
 
     try {
@@ -273,42 +318,47 @@ export class WebSerialConnection extends EventEmitter {
       await this.writer.write(dataToSend);
       return true;
     } catch (error) {
-      throw new Error(`Failed to send data: ${error.message}`);
+      throw new DynamixelError(`Failed to send data: ${error.message}`);
     }
   }
 
   /**
    * Send instruction packet and wait for response
+   * Runs as a single transaction on the bus, so concurrent callers never interleave
    * @param {Buffer} packet - Instruction packet to send
    * @param {number} expectedId - Expected response ID (null for any)
    * @param {number} timeout - Timeout in milliseconds
+   * @param {TransactionOptions} [options={}] - Transaction priority and abort signal
    * @returns {Promise<Object>} - Parsed status packet
    */
-  async sendAndWaitForResponse(packet, expectedId = null, timeout = null) {
-    const actualTimeout = timeout || this.timeout;
-
-    return new Promise((resolve, reject) => {
-      const timeoutHandle = setTimeout(() => {
-        this.removeAllListeners('packet');
-        reject(new Error(`Timeout waiting for response from ID ${expectedId}`));
-      }, actualTimeout);
-
-      const onPacket = (statusPacket) => {
-        if (expectedId === null || statusPacket.id === expectedId) {
-          clearTimeout(timeoutHandle);
-          this.removeListener('packet', onPacket);
-          resolve(statusPacket);
-        }
-      };
+  async sendAndWaitForResponse(packet, expectedId = null, timeout = null, options = {}) {
+    return ResponseCollector.waitForResponse(this, packet, expectedId, timeout, options);
+  }
 
-      this.on('packet', onPacket);
+  /**
+   * Send packet and collect responses from several devices
+   * Used by group instructions (e.g. SYNC READ); see ResponseCollector.waitForResponses()
+   * @param {Buffer} packet - Packet to send
+   * @param {number[]} expectedIds - Device IDs expected to respond
+   * @param {number} timeout - Timeout in milliseconds for the whole exchange
+   * @param {TransactionOptions} [options={}] - Transaction priority and abort signal
+   * @returns {Promise<Map<number, Object|Buffer>>} - Parsed status packets by device ID, or the raw packet if it failed
+   * to parse (IDs that did not answer are absent)
+   */
+  async sendAndWaitForResponses(packet, expectedIds, timeout = null, options = {}) {
+    return ResponseCollector.waitForResponses(this, packet, expectedIds, timeout, options);
+  }
 
-      this.send(packet).catch((error) => {
-        clearTimeout(timeoutHandle);
-        this.removeListener('packet', onPacket);
-        reject(error);
-      });
-    });
+  /**
+   * Send packet and collect every status packet that arrives within the response window
+   * Used to find devices that share an ID (see ResponseCollector.collectResponses()).
+   * @param {Buffer} packet - Packet to send
+   * @param {number} timeout - Collection window in milliseconds
+   * @param {TransactionOptions} [options={}] - Transaction priority and abort signal
+   * @returns {Promise<Array<Object|Buffer>>} - Parsed packets in arrival order (raw packets that failed to parse)
+   */
+  async sendAndCollectResponses(packet, timeout = null, options = {}) {
+    return ResponseCollector.collectResponses(this, packet, timeout, options);
   }
 
   /**
@@ -323,7 +373,7 @@ export class WebSerialConnection extends EventEmitter {
     const deviceInfo = Protocol2.parsePingResponse(response);
 
     if (!deviceInfo) {
-      throw new Error(`Invalid ping response from ID ${id}`);
+      throw new DynamixelError(`Invalid ping response from ID ${id}`, { id });
     }
 
     return deviceInfo;
@@ -352,7 +402,7 @@ export class WebSerialConnection extends EventEmitter {
     const {
       startId = 1,
       endId = 252,
-      timeout = 100,
+      timeout = null,
       onProgress = null
     } = options;
 
@@ -360,9 +410,11 @@ export class WebSerialConnection extends EventEmitter {
     const total = endId - startId + 1;
     let current = 0;
 
+    const pingTimeout = this.responseTiming.getScanTimeout(Protocol2.createPingPacket(startId), this.getBaudRate(), timeout);
+
     for (let id = startId; id <= endId; id++) {
       try {
-        const deviceInfo = await this.ping(id, timeout);
+        const deviceInfo = await this.ping(id, pingTimeout);
         devices.push(deviceInfo);
         this.emit('deviceFound', deviceInfo);
       } catch (_error) {
@@ -378,18 +430,49 @@ export class WebSerialConnection extends EventEmitter {
     return devices;
   }
 
+  /**
+   * Track the Return Delay Time of a device for calculated timeouts
+   * @param {number} id - DYNAMIXEL ID
+   * @param {number} value - Return Delay Time register value (2 µs units)
+   */
+  setReturnDelayTime(id, value) {
+    this.responseTiming.setReturnDelayTime(id, value);
+  }
+
+  /**
+   * Track where the EEPROM area of a device ends, so writes to it get flash write time
+   * @param {number} id - DYNAMIXEL ID
+   * @param {number} address - Address of the device's Torque Enable item
+   */
+  setEepromEnd(id, address) {
+    this.responseTiming.setEepromEnd(id, address);
+  }
+
+  /**
+   * Whether setBaudRate() retunes the port now
+   * Web Serial only applies a baud rate when the port is opened.
+   * @returns {boolean} - True while disconnected
+   */
+  canChangeBaudRate() {
+    return !this.isConnected;
+  }
+
   /**
    * Set baud rate for serial communication
+   * The rate is only stored while disconnected; an open port keeps running at its rate.
    * @param {number} baudRate - New baud rate
+   * @returns {Promise<boolean>} - True if the rate applies to the next connect(), false while the port is open
    */
   setBaudRate(baudRate) {
-    this.baudRate = baudRate;
-    console.log(`📡 Web Serial baud rate set to: ${baudRate}`);
-
     // Note: Changing baud rate on an open port requires reconnection
     if (this.isConnected) {
-      console.log('ℹ️  Baud rate change requires reconnection to take effect');
+      console.log(`ℹ️  Baud rate ${baudRate} not applied: the port is open at ${this.baudRate}; reconnect to change it`);
+      return Promise.resolve(false);
     }
+
+    this.baudRate = baudRate;
+    console.log(`📡 Web Serial baud rate set to: ${baudRate}`);
+    return Promise.resolve(true);
   }
 
   /**
@@ -6,9 +6,13 @@
 const { U2D2Connection } = require('./U2D2Connection.cjs.js');
 const { SerialConnection } = require('./SerialConnection.cjs.js');
 const { WebSerialConnection } = require('./WebSerialConnection.js');
+const { SimulatedConnection } = require('./SimulatedConnection.js');
+const { VirtualServo } = require('./VirtualServo.js');
 
 module.exports = {
   U2D2Connection,
   SerialConnection,
-  WebSerialConnection
+  WebSerialConnection,
+  SimulatedConnection,
+  VirtualServo
 };
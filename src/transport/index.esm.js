@@ -6,3 +6,5 @@
 export { U2D2Connection } from './U2D2Connection.esm.js';
 export { SerialConnection } from './SerialConnection.esm.js';
 export { WebSerialConnection } from './WebSerialConnection.js';
+export { SimulatedConnection } from './SimulatedConnection.js';
+export { VirtualServo } from './VirtualServo.js';
@@ -1,3 +1,6 @@
+import { Protocol1 } from '../../src/dynamixel/Protocol1.js';
+import { Protocol2 } from '../../src/dynamixel/Protocol2.js';
+
 /**
  * Test fixtures containing common DYNAMIXEL packet examples
  * Based on official ROBOTIS Protocol 2.0 documentation
@@ -232,3 +235,42 @@ export async function calculateTestCRC(packetArray) {
   const { Protocol2 } = await import('../../src/Protocol2.js');
   return Protocol2.calculateCRC(packetArray.slice(0, -2));
 }
+
+/**
+ * Build a raw STATUS packet buffer with a valid CRC
+ * @param {number} id - Device ID
+ * @param {number} error - Error byte (0 = no error)
+ * @param {Array} parameters - Response parameters
+ * @returns {Buffer} - Raw status packet buffer
+ */
+export function createStatusPacketBuffer(id, error = 0, parameters = []) {
+  const body = Protocol2.addStuffing([0x55, error, ...parameters]);
+  const length = body.length + 2; // Instruction + Error + Parameters (stuffed) + CRC(2)
+  const packet = [0xFF, 0xFF, 0xFD, 0x00, id, length & 0xFF, (length >> 8) & 0xFF, ...body];
+  const crc = Protocol2.calculateCRC(packet);
+
+  packet.push(crc & 0xFF, (crc >> 8) & 0xFF);
+  return Buffer.from(packet);
+}
+
+// Helper to build a combined FAST SYNC/BULK READ status packet (sent from the broadcast ID)
+// Each block is ERR, ID, DATA, CRC where the CRC covers every byte from the header up to it
+export function createFastStatusPacketBuffer(blocks) {
+  const blockBytes = blocks.reduce((total, block) => total + 4 + block.data.length, 0);
+  const length = 1 + blockBytes; // Instruction + blocks (the last block CRC is the packet CRC)
+  const packet = [0xFF, 0xFF, 0xFD, 0x00, 0xFE, length & 0xFF, (length >> 8) & 0xFF, 0x55];
+
+  for (const block of blocks) {
+    packet.push(block.error || 0, block.id, ...block.data);
+    const crc = Protocol2.calculateCRC(packet);
+    packet.push(crc & 0xFF, (crc >> 8) & 0xFF);
+  }
+
+  return Buffer.from(packet);
+}
+
+// Helper to build a Protocol 1.0 status packet: 0xFF 0xFF ID LENGTH ERROR PARAMS... CHECKSUM
+export function createProtocol1StatusPacketBuffer(id, error = 0, parameters = []) {
+  const body = [id, parameters.length + 2, error, ...parameters];
+  return Buffer.from([0xFF, 0xFF, ...body, Protocol1.calculateChecksum(body)]);
+}
@@ -0,0 +1,543 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { DynamixelController } from '../../src/DynamixelController.js';
+import { SimulatedConnection } from '../../src/transport/SimulatedConnection.js';
+import { Protocol2 } from '../../src/dynamixel/Protocol2.js';
+import { CONTROL_TABLE, HARDWARE_ERROR_BITS, INSTRUCTIONS, OPERATING_MODES } from '../../src/dynamixel/constants.js';
+import { DynamixelStatusError, DynamixelTimeoutError } from '../../src/dynamixel/errors.js';
+
+describe('Simulated Bus', () => {
+  let controller;
+  let now;
+
+  beforeEach(async() => {
+    now = 0;
+    controller = new DynamixelController({
+      connectionType: 'simulated',
+      timeout: 50,
+      clock: () => now,
+      servos: [{ id: 1 }, { id: 2 }, { id: 3, model: 'XM430-W350' }]
+    });
+    await controller.connect();
+  });
+
+  afterEach(async() => {
+    await controller.disconnect();
+  });
+
+  test('should select the simulated transport', () => {
+    expect(controller.connection).toBeInstanceOf(SimulatedConnection);
+    expect(controller.getDetectedConnectionType()).toBe('simulated');
+    expect(controller.isConnected).toBe(true);
+  });
+
+  test('should discover and drive virtual servos through DynamixelDevice', async() => {
+    const devices = await controller.discoverDevices({ timeout: 10 });
+    expect(devices.map(device => device.id)).toEqual([1, 2, 3]);
+
+    const device = controller.getDevice(1);
+    await device.setTorqueEnable(true);
+    await device.setGoalPosition(1024);
+
+    now += 5000;
+    await expect(device.getPresentPosition()).resolves.toBe(1024);
+    await expect(device.isMoving()).resolves.toBe(false);
+  });
+
+  test('should run a group control loop', async() => {
+    await controller.syncWrite(CONTROL_TABLE.TORQUE_ENABLE, 1, { 1: 1, 2: 1 });
+    await controller.syncWrite(CONTROL_TABLE.GOAL_POSITION, 4, { 1: 1000, 2: 3000 });
+
+    now += 5000;
+    const results = await controller.fastSyncRead([1, 2], CONTROL_TABLE.PRESENT_POSITION, 4);
+    expect(results.get(1).value).toBe(1000);
+    expect(results.get(2).value).toBe(3000);
+  });
+
+  test('should drive multi-turn positions in extended position mode', async() => {
+    const device = controller.addDevice(1);
+    await device.ping();
+    await device.setTorqueEnable(true);
+
+    await device.setOperatingMode(OPERATING_MODES.EXTENDED_POSITION);
+    await expect(device.getOperatingMode()).resolves.toBe(OPERATING_MODES.EXTENDED_POSITION);
+    await expect(device.getTorqueEnable()).resolves.toBe(true);
+
+    await device.setMultiTurnPosition(-2.25);
+    now += 60000;
+    await expect(device.getMultiTurnPosition()).resolves.toBe(-2.25);
+    await expect(device.getMultiTurnPosition('degrees')).resolves.toBe(-810);
+
+    await expect(device.clearMultiTurn()).resolves.toBe(true);
+    await expect(device.getMultiTurnPosition('raw')).resolves.toBe(3072);
+  });
+
+  test('should read multi-byte values through indirect addresses', async() => {
+    const device = controller.addDevice(1);
+    await device.ping();
+    await device.setupCommonIndirectMappings();
+    await device.setTorqueEnable(true);
+    await device.setGoalPosition(1000);
+
+    now += 10;
+    const status = await device.readCommonStatus();
+
+    expect(status.velocity).toBeLessThan(0);
+    expect(status).toEqual({
+      position: await device.get('presentPosition'),
+      velocity: await device.get('presentVelocity'),
+      pwm: await device.get('presentPWM'),
+      temperature: 30,
+      moving: 1
+    });
+  });
+
+  test('should find indirect mappings again after rediscovery', async() => {
+    await controller.discoverDevices({ timeout: 10 });
+    const device = controller.getDevice(3);
+    await device.mapIndirect('presentPosition');
+    await device.mapIndirect('presentTemperature');
+
+    // A new session starts from fresh device objects
+    await controller.discoverDevices({ timeout: 10 });
+    const restored = controller.getDevice(3);
+
+    expect(restored).not.toBe(device);
+    expect([...restored.getIndirectRegisters().keys()]).toEqual(['presentPosition', 'presentTemperature']);
+    await expect(restored.readIndirectBlock()).resolves.toEqual({ presentPosition: 2048, presentTemperature: 30 });
+    expect(controller.getDevice(1).getIndirectMappings().size).toBe(0);
+  });
+
+  test('should read planned telemetry with one group read per cycle', async() => {
+    await controller.discoverDevices({ timeout: 10 });
+    const registers = ['presentPosition', 'presentVelocity', 'presentTemperature'];
+    const sendAndWaitForResponses = jest.spyOn(controller.connection, 'sendAndWaitForResponses');
+
+    const plan = await controller.planTelemetry(registers, [1, 2]);
+    expect(plan.sync).toBe(true);
+    await controller.getDevice(2).setTorqueEnable(true);
+    await controller.getDevice(2).setGoalPosition(1000);
+    now += 10;
+
+    const telemetry = await controller.readTelemetry();
+    expect(sendAndWaitForResponses).toHaveBeenCalledTimes(1);
+    expect(sendAndWaitForResponses.mock.calls[0][0][7]).toBe(INSTRUCTIONS.SYNC_READ);
+    expect(telemetry.get(1)).toEqual({ id: 1, values: { presentPosition: 2048, presentVelocity: 0, presentTemperature: 30 }, error: null });
+    expect(telemetry.get(2).values.presentVelocity).toBeLessThan(0);
+    expect(telemetry.get(2).values.presentPosition).toBe(await controller.getDevice(2).get('presentPosition'));
+
+    // The XM430 has a different indirect layout, so its block lives elsewhere
+    const mixed = await controller.planTelemetry(registers, [1, 2, 3]);
+    expect(mixed.sync).toBe(false);
+    expect(mixed.blocks.get(1).address).toBe(208);
+    expect(mixed.blocks.get(3).address).toBe(224);
+    const results = await controller.readTelemetry(mixed);
+    expect(sendAndWaitForResponses.mock.calls[1][0][7]).toBe(INSTRUCTIONS.BULK_READ);
+    expect(results.get(3).values).toEqual({ presentPosition: 2048, presentVelocity: 0, presentTemperature: 30 });
+  });
+
+  test('should wait for a move to arrive', async() => {
+    const device = controller.addDevice(1);
+    await device.ping();
+    await device.setTorqueEnable(true);
+    controller.connection.clock = () => (now += 20);
+
+    await expect(device.moveTo(1000, { velocity: 100, acceleration: 10 })).resolves.toBe(0);
+    await expect(device.get('profileVelocity')).resolves.toBe(100);
+    await expect(device.get('profileAcceleration')).resolves.toBe(10);
+
+    const error = await device.moveTo(3000, { tolerance: 200 });
+    expect(Math.abs(error)).toBeLessThanOrEqual(200);
+    await expect(device.isMoving()).resolves.toBe(true);
+  });
+
+  test('should emit motion events for moves and planned telemetry', async() => {
+    await controller.discoverDevices({ timeout: 10 });
+    const device = controller.getDevice(1);
+    const events = [];
+    for (const name of ['motionStarted', 'arrived']) {
+      device.on(name, ({ status }) => events.push([name, status.profileType]));
+    }
+    await device.setTorqueEnable(true);
+    controller.connection.clock = () => (now += 20);
+
+    await device.moveTo(1000, { velocity: 100 });
+    expect(events).toEqual([['motionStarted', 'rectangular'], ['arrived', 'rectangular']]);
+
+    events.length = 0;
+    await controller.planTelemetry(['presentPosition', 'movingStatus'], [1, 2]);
+    await device.setGoalPosition(1200);
+    await controller.readTelemetry();
+    expect(events).toEqual([['motionStarted', 'rectangular']]);
+    for (let cycle = 0; cycle < 50 && events.length < 2; cycle++) {
+      await controller.readTelemetry();
+    }
+    expect(events).toEqual([['motionStarted', 'rectangular'], ['arrived', 'rectangular']]);
+  });
+
+  test('should stop waiting for a move on timeout, abort and hardware alert', async() => {
+    const device = controller.addDevice(1);
+    await device.ping();
+    await device.setTorqueEnable(true);
+
+    // The clock stands still, so the servo never gets there
+    await expect(device.moveTo(1000, { timeoutMs: 30 })).rejects.toBeInstanceOf(DynamixelTimeoutError);
+
+    const abort = new AbortController();
+    const move = device.moveTo(3000, { signal: abort.signal });
+    abort.abort(new Error('Sequence cancelled'));
+    await expect(move).rejects.toThrow('Sequence cancelled');
+
+    const alerted = device.moveTo(1000);
+    controller.connection.injectFault(1, 'hardwareError', { bits: HARDWARE_ERROR_BITS.OVERLOAD });
+    await expect(alerted).rejects.toThrow('Hardware alert on device 1 during move');
+  });
+
+  test('should start registered writes together on ACTION', async() => {
+    await controller.discoverDevices({ timeout: 10 });
+    const [first, second] = [controller.getDevice(1), controller.getDevice(2)];
+    await controller.syncWrite(CONTROL_TABLE.TORQUE_ENABLE, 1, { 1: 1, 2: 1 });
+
+    await first.registerWrite(CONTROL_TABLE.GOAL_POSITION, Protocol2.encodeValue(1000, 4));
+    await second.registerWrite(CONTROL_TABLE.GOAL_POSITION, Protocol2.encodeValue(3000, 4));
+    await expect(first.hasRegisteredInstruction()).resolves.toBe(true);
+
+    now += 5000;
+    await expect(first.getPresentPosition()).resolves.toBe(2048);
+
+    await controller.action();
+    await expect(first.hasRegisteredInstruction()).resolves.toBe(false);
+    now += 10000;
+    await expect(first.getPresentPosition()).resolves.toBe(1000);
+    await expect(second.getPresentPosition()).resolves.toBe(3000);
+  });
+
+  test('should trigger selected devices and report the ones without a registered write', async() => {
+    await controller.discoverDevices({ timeout: 10 });
+    await controller.getDevice(1).registerWrite(CONTROL_TABLE.LED, [1]);
+
+    const results = await controller.action([1, 9], 20);
+    expect(results.get(1).error).toBeNull();
+    expect(results.get(9).error.message).toContain('Timeout');
+    await expect(controller.getDevice(1).getLED()).resolves.toBe(true);
+  });
+
+  test('should back up, restore and factory reset a control table', async() => {
+    const device = controller.addDevice(2);
+    await device.ping();
+    const factoryLimit = await device.get('velocityLimit');
+
+    await device.set('velocityLimit', 200);
+    await expect(device.isBackupReady()).resolves.toBe(false);
+    await device.backupControlTable();
+    await device.set('velocityLimit', 100);
+    await device.restoreControlTable();
+    await expect(device.get('velocityLimit')).resolves.toBe(200);
+
+    await device.factoryReset({ keep: 'id' });
+    await expect(device.get('velocityLimit')).resolves.toBe(factoryLimit);
+    await expect(device.isBackupReady()).resolves.toBe(true);
+  });
+
+  test('should track a fully reset device at ID 1 and 57600 bps', async() => {
+    const resetController = new DynamixelController({
+      connectionType: 'simulated',
+      timeout: 50,
+      clock: () => now,
+      baudRate: 1000000,
+      servos: [{ id: 5, baudRate: 1000000 }]
+    });
+    await resetController.connect();
+
+    try {
+      const device = resetController.addDevice(5);
+      await device.ping();
+      await device.set('returnDelayTime', 0);
+      await device.mapIndirect('presentPosition');
+
+      await device.factoryReset({ keep: 'none', confirm: true });
+
+      expect(device.id).toBe(1);
+      expect(resetController.getDevice(1)).toBe(device);
+      expect(resetController.getDevice(5)).toBeNull();
+      expect([...resetController.devices.keys()]).toEqual([1]);
+      expect(resetController.connection.getBaudRate()).toBe(57600);
+      expect(device.getIndirectMappings().size).toBe(0);
+      await expect(device.get('returnDelayTime')).resolves.toBe(250);
+      await expect(device.getPresentTemperature()).resolves.toBe(30);
+    } finally {
+      await resetController.disconnect();
+    }
+  });
+
+  test('should keep the device map when a reset keeps the ID', async() => {
+    const device = controller.addDevice(2);
+    await device.ping();
+    await device.setStatusReturnLevel(1);
+
+    await device.factoryReset({ keep: 'id' });
+
+    expect(controller.getDevice(2)).toBe(device);
+    expect([...controller.devices.keys()]).toEqual([2]);
+    expect(device.statusReturnLevel).toBe(2);
+  });
+
+  test('should replace a stored backup while Backup Ready stays set', async() => {
+    const device = controller.addDevice(2);
+    await device.ping();
+
+    await device.set('velocityLimit', 200);
+    await device.backupControlTable();
+    await device.set('velocityLimit', 150);
+    await device.backupControlTable(0);
+    await expect(device.isBackupReady()).resolves.toBe(true);
+
+    await device.set('velocityLimit', 100);
+    await device.restoreControlTable();
+    await expect(device.get('velocityLimit')).resolves.toBe(150);
+  });
+
+  test('should follow the Status Return Level of each device', async() => {
+    await controller.discoverDevices({ timeout: 10 });
+    const device = controller.getDevice(1);
+    expect(device.statusReturnLevel).toBe(2);
+
+    await device.setStatusReturnLevel(1);
+    await device.setTorqueEnable(true);
+    await device.writeWithoutResponse(CONTROL_TABLE.GOAL_POSITION, Protocol2.encodeValue(1500, 4));
+    now += 5000;
+    await expect(device.getPresentPosition()).resolves.toBe(1500);
+
+    await controller.discoverDevices({ timeout: 10 });
+    expect(controller.getDevice(1).statusReturnLevel).toBe(1);
+  });
+
+  test('should time responses with the Return Delay Time found at discovery', async() => {
+    await controller.discoverDevices({ timeout: 10 });
+    await controller.getDevice(2).set('returnDelayTime', 0);
+    expect(controller.connection.responseTiming.getReturnDelayTime(2)).toBe(0);
+
+    controller.connection.responseTiming.returnDelayTimes.clear();
+    await controller.discoverDevices({ timeout: 10 });
+    expect(controller.connection.responseTiming.getReturnDelayTime(1)).toBe(250);
+    expect(controller.connection.responseTiming.getReturnDelayTime(2)).toBe(0);
+  });
+
+  test('should enumerate the bus with a broadcast PING', async() => {
+    const devices = await controller.discoverDevices({ mode: 'broadcast' });
+
+    expect(devices.map(device => device.id)).toEqual([1, 2, 3]);
+    expect(controller.getDevice(3).modelName).toBe('XM430-W350');
+  });
+
+  test('should fall back to sequential pings when a broadcast reply is corrupted', async() => {
+    controller.connection.injectFault(2, 'crc', { count: 1 });
+
+    const devices = await controller.broadcastPing({ endId: 10 });
+
+    expect(devices.map(device => device.id)).toEqual([1, 2, 3]);
+    expect(controller.getAllDevices()).toHaveLength(3);
+  });
+
+  test('should map devices across baud rates and restore the bus rate', async() => {
+    controller.connection.addServo(7, { model: 'XM430-W350', baudRate: 1000000 });
+    const progress = [];
+
+    const busMap = await controller.scanBus({
+      baudRates: [57600, 1000000],
+      protocols: [1, 2],
+      ids: [1, 3, 7],
+      timeout: 5,
+      onProgress: step => progress.push(step)
+    });
+
+    expect(busMap).toEqual([
+      { baudRate: 57600, protocol: 2, id: 1, model: 'XC330-M288', modelNumber: 1240, firmware: 52 },
+      { baudRate: 57600, protocol: 2, id: 3, model: 'XM430-W350', modelNumber: 1020, firmware: 52 },
+      { baudRate: 1000000, protocol: 2, id: 7, model: 'XM430-W350', modelNumber: 1020, firmware: 52 }
+    ]);
+    expect(progress).toHaveLength(12);
+    expect(controller.getBaudRate()).toBe(57600);
+    await expect(controller.ping(7, 5)).rejects.toThrow('Timeout');
+  });
+
+  test('should not scan other baud rates when the connection cannot switch', async() => {
+    const connection = controller.connection;
+    connection.canChangeBaudRate = () => false;
+    await expect(controller.scanBus({ baudRates: [57600, 1000000], timeout: 5 }))
+      .rejects.toThrow('Connection cannot change the baud rate of an open port');
+
+    await expect(controller.scanBus({ baudRates: [57600], ids: [1], timeout: 5 })).resolves.toHaveLength(1);
+  });
+
+  test('should reject when a baud rate switch or the restore fails', async() => {
+    const connection = controller.connection;
+    const setBaudRate = connection.setBaudRate.bind(connection);
+    connection.setBaudRate = jest.fn(rate => rate === 1000000 ? Promise.resolve(false) : setBaudRate(rate));
+
+    await expect(controller.scanBus({ baudRates: [57600, 1000000], ids: [1], timeout: 5 }))
+      .rejects.toThrow('Could not switch the connection to 1000000 bps');
+    expect(connection.setBaudRate).toHaveBeenLastCalledWith(57600);
+
+    connection.setBaudRate = jest.fn(rate => rate === 57600 ? Promise.resolve(false) : setBaudRate(rate));
+    await expect(controller.scanBus({ baudRates: [1000000], ids: [1], timeout: 5 }))
+      .rejects.toThrow('Scan finished but the connection could not return to 57600 bps');
+  });
+
+  test('should reject invalid scan settings', async() => {
+    await expect(controller.scanBus({ baudRates: [] })).rejects.toThrow('Baud rates must be a non-empty array of positive numbers');
+    await expect(controller.scanBus({ protocols: [3] })).rejects.toThrow('Protocols must be a non-empty array of 1 and/or 2');
+    await expect(controller.scanBus({ ids: [300] })).rejects.toThrow('Invalid device ID 300. Must be 0-252.');
+  });
+
+  test('should change IDs and baud rates and keep the device map current', async() => {
+    await controller.discoverDevices({ timeout: 10 });
+    const device = controller.getDevice(2);
+
+    await expect(device.changeId(3)).rejects.toThrow('ID 3 is already in use');
+    await device.changeId(7);
+    expect(controller.getDevice(2)).toBeNull();
+    expect(controller.getDevice(7)).toBe(device);
+    expect(controller.connection.getServo(7)).not.toBeNull();
+
+    await device.changeBaudRate(1000000);
+    expect(controller.getBaudRate()).toBe(1000000);
+    expect(controller.connection.getServo(7).baudRate).toBe(1000000);
+    await expect(device.getTorqueEnable()).resolves.toBe(false);
+  });
+
+  test('should release devices that are dropped or replaced', async() => {
+    const listeners = (device) => device.listenerCount('idChanged') + device.listenerCount('error');
+
+    await controller.discoverDevices({ timeout: 10 });
+    const discovered = controller.getDevice(1);
+    expect(listeners(discovered)).toBe(2);
+
+    await controller.discoverDevices({ timeout: 10 });
+    expect(listeners(discovered)).toBe(0);
+    const rediscovered = controller.getDevice(1);
+    expect(rediscovered).not.toBe(discovered);
+
+    const added = controller.addDevice(1);
+    expect(listeners(rediscovered)).toBe(0);
+    controller.registerDevice(added);
+    expect(listeners(added)).toBe(2);
+
+    controller.removeDevice(1);
+    expect(listeners(added)).toBe(0);
+  });
+
+  test('should commission default-ID servos one at a time', async() => {
+    const connection = controller.connection;
+    [1, 2, 3].forEach(id => connection.removeServo(id));
+
+    const steps = [];
+    const devices = await controller.commission([4, 5, 6], {
+      timeout: 10,
+      onNext: ({ index, id }) => {
+        steps.push(id);
+        connection.addServo(1, { model: index === 2 ? 'XM430-W350' : undefined });
+      }
+    });
+
+    expect(steps).toEqual([4, 5, 6]);
+    expect(devices.map(device => device.id)).toEqual([4, 5, 6]);
+    expect(connection.servos.map(servo => servo.id)).toEqual([4, 5, 6]);
+    expect(controller.getDevice(6).modelName).toBe('XM430-W350');
+
+    await expect(controller.commission([7], { timeout: 10 })).rejects.toThrow('No device answered at ID 1 for commissioning ID 7');
+    await expect(controller.commission([1, 2])).rejects.toThrow('Commissioning IDs must not include the default ID 1');
+  });
+
+  test('should report servos that share an ID during discovery', async() => {
+    controller.connection.addServo(2);
+    const reports = [];
+    controller.on('duplicateId', report => reports.push(report));
+
+    const devices = await controller.discoverDevices({ timeout: 10 });
+
+    expect(devices.map(device => device.id)).toEqual([1, 2, 3]);
+    expect(reports).toEqual([{ id: 2, duplicate: true, replies: 2, crcErrors: 0 }]);
+    await expect(controller.checkDuplicateId(1, { timeout: 10 })).resolves.toEqual({ id: 1, duplicate: false, replies: 1, crcErrors: 0 });
+  });
+
+  test('should check an ID once replies keep failing their CRC', async() => {
+    const device = controller.addDevice(2);
+    const reported = new Promise(resolve => controller.once('duplicateId', resolve));
+    controller.connection.injectFault(2, 'crc');
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await expect(device.getPresentPosition()).rejects.toThrow('CRC mismatch');
+    }
+
+    await expect(reported).resolves.toEqual({ id: 2, duplicate: true, replies: 0, crcErrors: 2 });
+  });
+
+  test('should report a Hardware Alert without failing instructions', async() => {
+    const device = controller.addDevice(2);
+    const reported = new Promise(resolve => device.once('hardwareError', resolve));
+    controller.connection.injectFault(2, 'hardwareError', { bits: HARDWARE_ERROR_BITS.OVERHEATING });
+
+    await expect(device.getPresentPosition()).resolves.toEqual(expect.any(Number));
+    await expect(reported).resolves.toEqual({ id: 2, status: HARDWARE_ERROR_BITS.OVERHEATING, errors: ['OVERHEATING'] });
+
+    const error = await device.write(CONTROL_TABLE.PRESENT_POSITION, [0, 0, 0, 0]).catch(e => e);
+    expect(error).toBeInstanceOf(DynamixelStatusError);
+    expect(error.alert).toBe(true);
+
+    await expect(device.reboot()).resolves.toBe(true);
+    expect(device.hardwareAlert).toBe(false);
+  });
+
+  test('should separate servos that share an ID one at a time', async() => {
+    const connection = controller.connection;
+    const second = connection.addServo(3);
+
+    await expect(controller.commission([9], { fromId: 3, timeout: 10 })).rejects.toThrow('Several devices answer at ID 3. Connect them one at a time.');
+    expect(connection.servos.filter(servo => servo.id === 3)).toHaveLength(2);
+
+    await controller.commission([9], {
+      fromId: 3,
+      timeout: 10,
+      onNext: () => connection.servos.splice(connection.servos.indexOf(second), 1)
+    });
+    connection.servos.push(second);
+
+    expect(connection.servos.map(servo => servo.id).sort()).toEqual([1, 2, 3, 9]);
+    await expect(controller.checkDuplicateId(3, { timeout: 10 })).resolves.toMatchObject({ duplicate: false });
+  });
+
+  test('should command devices together through a shared Secondary ID', async() => {
+    await controller.discoverDevices({ timeout: 10 });
+    expect(() => controller.createGroup(2, [1])).toThrow('Cannot use group ID 2: it is the ID of device 2');
+
+    const group = controller.createGroup(100, [1, 3]);
+    expect(controller.getGroup(100)).toBe(group);
+    await group.assign();
+    await expect(group.readMembership()).resolves.toEqual([1, 3]);
+
+    await group.set('torqueEnable', 1);
+    await group.set('goalPosition', 3000);
+    await expect(controller.ping(100, 10)).rejects.toThrow('Timeout');
+
+    now += 5000;
+    await expect(controller.getDevice(1).getPresentPosition()).resolves.toBe(3000);
+    await expect(controller.getDevice(3).getPresentPosition()).resolves.toBe(3000);
+    await expect(controller.getDevice(2).getTorqueEnable()).resolves.toBe(false);
+
+    const loaded = await controller.loadGroup(100);
+    expect(loaded.ids).toEqual([1, 3]);
+
+    await expect(group.release()).rejects.toThrow('Releasing a secondary ID requires torque to be disabled on device 1');
+    await group.set('torqueEnable', 0);
+    await group.release();
+    await expect(controller.loadGroup(100)).rejects.toThrow('No registered device holds secondary ID 100');
+  });
+
+  test('should report injected faults per device', async() => {
+    controller.connection.injectFault(2, 'timeout');
+
+    const results = await controller.syncRead([1, 2], CONTROL_TABLE.PRESENT_POSITION, 4, 20);
+    expect(results.get(1).error).toBeNull();
+    expect(results.get(2).error.message).toContain('Timeout');
+  });
+});
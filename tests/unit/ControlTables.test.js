@@ -0,0 +1,114 @@
+import { describe, test, expect } from '@jest/globals';
+import { ControlTables } from '../../src/dynamixel/ControlTables.js';
+import { CONTROL_TABLE } from '../../src/dynamixel/constants.js';
+
+describe('ControlTables', () => {
+  test('should look up models by model number and name', () => {
+    expect(ControlTables.getModel(1020)).toMatchObject({ modelName: 'XM430-W350', series: 'X', protocolVersion: 2 });
+    expect(ControlTables.getModelByName('XL-320')).toMatchObject({ modelNumber: 350 });
+    expect(ControlTables.getModel(9999)).toBeNull();
+    expect(ControlTables.getModelByName('NOT-A-SERVO')).toBeNull();
+  });
+
+  test('should match the X series addresses in CONTROL_TABLE', () => {
+    const table = ControlTables.getControlTable(1020);
+
+    expect(table.torqueEnable.address).toBe(CONTROL_TABLE.TORQUE_ENABLE);
+    expect(table.goalPosition).toEqual({ address: CONTROL_TABLE.GOAL_POSITION, size: 4, access: 'RW', type: 'int32', quantity: 'position' });
+    expect(table.presentInputVoltage).toEqual({ address: CONTROL_TABLE.PRESENT_INPUT_VOLTAGE, size: 2, access: 'R', type: 'uint16', quantity: 'voltage' });
+    expect(table.presentTemperature.address).toBe(CONTROL_TABLE.PRESENT_TEMPERATURE);
+  });
+
+  test('should distinguish current sensing X models', () => {
+    expect(ControlTables.getItem(1060, 'goalCurrent')).toBeNull();
+    expect(ControlTables.getItem(1060, 'presentLoad').address).toBe(126);
+    expect(ControlTables.getItem(1200, 'goalCurrent').address).toBe(102);
+    expect(ControlTables.getItem(1200, 'presentCurrent').address).toBe(126);
+  });
+
+  test('should cover MX(2.0), XL-320 and P series layouts', () => {
+    expect(ControlTables.getItem(311, 'goalPosition').address).toBe(116);
+    expect(ControlTables.getItem(350, 'presentInputVoltage')).toEqual({ address: 45, size: 1, access: 'R', type: 'uint8', quantity: 'voltage' });
+    expect(ControlTables.getItem(350, 'goalPosition')).toEqual({ address: 30, size: 2, access: 'RW', type: 'uint16', quantity: 'position' });
+    expect(ControlTables.getItem(2020, 'torqueEnable').address).toBe(512);
+    expect(ControlTables.getItem(2020, 'presentPosition').address).toBe(580);
+  });
+
+  test('should cover Protocol 1.0 models', () => {
+    expect(ControlTables.getModel(320)).toMatchObject({ modelName: 'MX-106', protocolVersion: 1 });
+    expect(ControlTables.getItem(12, 'presentTemperature').address).toBe(43);
+    expect(ControlTables.getItem(29, 'pGain').address).toBe(28);
+  });
+
+  test('should type signed and direction-coded items', () => {
+    expect(ControlTables.getItem(1020, 'presentVelocity').type).toBe('int32');
+    expect(ControlTables.getItem(1020, 'goalCurrent').type).toBe('int16');
+    expect(ControlTables.getItem(1060, 'presentLoad').type).toBe('int16');
+    expect(ControlTables.getItem(1020, 'operatingMode')).toEqual({ address: 11, size: 1, access: 'RW', type: 'uint8' });
+    expect(ControlTables.getItem(350, 'presentLoad').type).toBe('direction10');
+    expect(ControlTables.getItem(12, 'movingSpeed').type).toBe('direction10');
+  });
+
+  test('should decode and encode item values', () => {
+    const goalCurrent = ControlTables.getItem(1020, 'goalCurrent');
+    const presentVelocity = ControlTables.getItem(1020, 'presentVelocity');
+    const presentLoad = ControlTables.getItem(12, 'presentLoad');
+
+    expect(ControlTables.decodeValue(goalCurrent, [0xFF, 0xFF])).toBe(-1);
+    expect(ControlTables.decodeValue(presentVelocity, [0xF6, 0xFF, 0xFF, 0xFF])).toBe(-10);
+    expect(ControlTables.decodeValue(presentVelocity, [0x0A, 0, 0, 0])).toBe(10);
+    expect(ControlTables.decodeValue(ControlTables.getItem(1020, 'profileVelocity'), [0xFF, 0xFF, 0xFF, 0xFF])).toBe(0xFFFFFFFF);
+    expect(ControlTables.decodeValue(presentLoad, [0x64, 0x04])).toBe(-100);
+    expect(ControlTables.decodeValue(presentLoad, [0x64, 0x00])).toBe(100);
+
+    expect(ControlTables.encodeValue(goalCurrent, -1)).toEqual([0xFF, 0xFF]);
+    expect(ControlTables.encodeValue(presentVelocity, -10)).toEqual([0xF6, 0xFF, 0xFF, 0xFF]);
+    expect(ControlTables.encodeValue(presentLoad, -100)).toEqual([0x64, 0x04]);
+  });
+
+  test('should keep items inside each table from overlapping', () => {
+    for (const { modelName, controlTable } of ControlTables.getModels()) {
+      const items = Object.entries(controlTable).sort((a, b) => a[1].address - b[1].address);
+      for (let i = 1; i < items.length; i++) {
+        const [previousName, previous] = items[i - 1];
+        expect(`${modelName} ${previousName} ends at ${previous.address + previous.size}`)
+          .toBe(`${modelName} ${previousName} ends at ${Math.min(previous.address + previous.size, items[i][1].address)}`);
+      }
+    }
+  });
+
+  test('should provide default layouts for unknown models', () => {
+    expect(ControlTables.getDefaultControlTable(2).goalPosition.address).toBe(116);
+    expect(ControlTables.getDefaultControlTable(1).goalPosition.address).toBe(30);
+  });
+
+  test('should describe the indirect address banks of each model', () => {
+    expect(ControlTables.getIndirectLayout(1130).banks).toEqual([
+      { address: 168, data: 224, entries: 28 },
+      { address: 578, data: 634, entries: 28 }
+    ]);
+    expect(ControlTables.getIndirectLayout(1200)).toMatchObject({ banks: [{ address: 168, data: 208, entries: 20 }], max: 227 });
+    expect(ControlTables.getIndirectLayout(2010)).toMatchObject({ banks: [{ address: 168, data: 634, entries: 128 }], min: 512 });
+    expect(ControlTables.getIndirectLayout(350)).toBeNull();
+    expect(ControlTables.getIndirectLayout(12)).toBeNull();
+    expect(ControlTables.getDefaultIndirectLayout(2).banks[0]).toEqual({ address: 168, data: 208, entries: 20 });
+
+    // Address entries stop before the data bytes of their bank
+    for (const { indirect } of ControlTables.getModels().filter(model => model.indirect)) {
+      for (const bank of indirect.banks) {
+        expect(bank.address + (bank.entries * 2)).toBeLessThanOrEqual(bank.data);
+      }
+    }
+  });
+
+  test('should register custom models', () => {
+    ControlTables.registerModel({
+      modelNumber: 60000,
+      modelName: 'TEST-SERVO',
+      controlTable: { goalPosition: { address: 10, size: 2, access: 'RW' } }
+    });
+
+    expect(ControlTables.getModel(60000)).toMatchObject({ modelName: 'TEST-SERVO', series: 'custom', protocolVersion: 2, indirect: null });
+    expect(() => ControlTables.registerModel({ modelName: 'BROKEN' })).toThrow('Model definition requires');
+  });
+});
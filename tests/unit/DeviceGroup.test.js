@@ -0,0 +1,87 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { DeviceGroup } from '../../src/dynamixel/DeviceGroup.js';
+import { DynamixelDevice } from '../../src/dynamixel/DynamixelDevice.js';
+import { INSTRUCTIONS } from '../../src/dynamixel/constants.js';
+import { createStatusPacketBuffer } from '../fixtures/packets.js';
+import { DynamixelTimeoutError } from '../../src/dynamixel/errors.js';
+
+describe('DeviceGroup', () => {
+  let connection;
+  let devices;
+
+  beforeEach(() => {
+    connection = {
+      ping: jest.fn(),
+      send: jest.fn().mockResolvedValue(),
+      sendAndWaitForResponse: jest.fn()
+    };
+    devices = [1, 3].map(id => new DynamixelDevice(id, connection, { modelNumber: 1200 }));
+  });
+
+  /**
+   * ID and [instruction, ...parameters] of each packet sent without a response
+   * @returns {Array<Array<number>>} - Sent packets
+   */
+  function sentPackets() {
+    return connection.send.mock.calls.map(call => [call[0][4], ...call[0].slice(7, -2)]);
+  }
+
+  test('should validate the group ID and members', () => {
+    expect(() => new DeviceGroup(253, connection)).toThrow('Invalid group ID 253. Must be 0-252.');
+    expect(() => new DeviceGroup(10, connection, [new DynamixelDevice(1, connection, { protocolVersion: 1 })]))
+      .toThrow('Secondary IDs are not supported by Protocol 1.0 devices');
+    expect(new DeviceGroup(10, connection, devices).ids).toEqual([1, 3]);
+  });
+
+  test('should write to every member with one packet sent to the group ID', async() => {
+    const group = new DeviceGroup(10, connection, devices);
+
+    await expect(group.set('goalPosition', 2048)).resolves.toBe(true);
+    await group.write(65, [1]);
+
+    expect(sentPackets()).toEqual([
+      [10, INSTRUCTIONS.WRITE, 116, 0, 0x00, 0x08, 0x00, 0x00],
+      [10, INSTRUCTIONS.WRITE, 65, 0, 1]
+    ]);
+    expect(connection.sendAndWaitForResponse).not.toHaveBeenCalled();
+  });
+
+  test('should reject items that are read-only or differ between members', async() => {
+    const group = new DeviceGroup(10, connection, [...devices, new DynamixelDevice(5, connection, { modelNumber: 350 })]);
+
+    await expect(group.set('goalPosition', 0)).rejects.toThrow('Control table item goalPosition differs between members of group 10');
+    await expect(new DeviceGroup(10, connection, devices).set('presentPosition', 0)).rejects.toThrow('Control table item presentPosition is read-only');
+    await expect(new DeviceGroup(10, connection).set('led', 1)).rejects.toThrow('Group 10 has no members');
+  });
+
+  test('should assign the Secondary ID once the group ID is free', async() => {
+    const group = new DeviceGroup(10, connection, devices);
+    connection.ping.mockRejectedValueOnce(new DynamixelTimeoutError('Timeout waiting for response from device 10', { id: 10 }));
+    connection.sendAndWaitForResponse.mockImplementation(async(packet) => createStatusPacketBuffer(packet[4], 0, [0]));
+
+    await expect(group.assign()).resolves.toBe(true);
+
+    const writes = connection.sendAndWaitForResponse.mock.calls
+      .map(call => call[0])
+      .filter(packet => packet[7] === INSTRUCTIONS.WRITE)
+      .map(packet => [packet[4], ...packet.slice(8, -2)]);
+    expect(writes).toEqual([[1, 12, 0, 10], [3, 12, 0, 10]]);
+  });
+
+  test('should refuse a group ID that a device answers at', async() => {
+    const group = new DeviceGroup(10, connection, devices);
+    connection.ping.mockResolvedValueOnce({ id: 10, modelNumber: 1200, firmwareVersion: 52, error: 0 });
+
+    await expect(group.assign()).rejects.toThrow('Cannot use group ID 10: a device answers at this ID');
+    expect(connection.sendAndWaitForResponse).not.toHaveBeenCalled();
+  });
+
+  test('should read membership back from the devices', async() => {
+    const group = new DeviceGroup(10, connection, devices);
+    connection.sendAndWaitForResponse
+      .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [10]))
+      .mockResolvedValueOnce(createStatusPacketBuffer(3, 0, [255]));
+
+    await expect(group.readMembership()).resolves.toEqual([1]);
+  });
+});
@@ -1,6 +1,9 @@
 import { describe, test, expect, beforeEach, jest } from '@jest/globals';
 import { DynamixelDevice } from '../../src/dynamixel/DynamixelDevice.js';
 import { Protocol2 } from '../../src/dynamixel/Protocol2.js';
+import { ERROR_FLAGS, INSTRUCTIONS, OPERATING_MODES } from '../../src/dynamixel/constants.js';
+import { createProtocol1StatusPacketBuffer } from '../fixtures/packets.js';
+import { DynamixelStatusError, DynamixelTimeoutError } from '../../src/dynamixel/errors.js';
 
 /**
  * Helper function to create a status packet buffer
@@ -227,6 +230,88 @@ describe('DynamixelDevice', () => {
 
       expect(position).toBe(1024);
     });
+
+    test('should arrive within the tolerance on models without Moving Status', async() => {
+      const xl320 = new DynamixelDevice(1, mockConnection, { modelNumber: 350 });
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x2C, 0x01])) // 300
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, []))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0xFA, 0x01])); // 506
+
+      await expect(xl320.moveTo(512, { tolerance: 10 })).resolves.toBe(6);
+      await expect(xl320.moveTo(512)).rejects.toThrow('Device 1 has no Moving Status. Pass a tolerance.');
+    });
+
+    test('should not take a stale In-Position for arrival', async() => {
+      const status = (value) => createStatusPacketBuffer(1, 0, [value]);
+      const position = (value) => createStatusPacketBuffer(1, 0, Array.from(Protocol2.encodeValue(value, 4)));
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(status(0x01)) // baseline
+        .mockResolvedValueOnce(position(0))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, []))
+        .mockResolvedValueOnce(status(0x01)).mockResolvedValueOnce(position(0)) // profile not started yet
+        .mockResolvedValueOnce(status(0x02)).mockResolvedValueOnce(position(400))
+        .mockResolvedValueOnce(status(0x01)).mockResolvedValueOnce(position(1000));
+
+      await expect(device.moveTo(1000)).resolves.toBe(0);
+      expect(mockConnection.sendAndWaitForResponse).toHaveBeenCalledTimes(9);
+    });
+
+    test('should pass the abort signal to its reads and cut the poll wait short', async() => {
+      const abort = new AbortController();
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x01]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0, 0, 0, 0]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, []))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x02]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0, 0, 0, 0]));
+
+      jest.useFakeTimers();
+      try {
+        const move = device.moveTo(1000, { signal: abort.signal });
+        await jest.advanceTimersByTimeAsync(0);
+        // Waiting for the next poll
+        expect(jest.getTimerCount()).toBe(1);
+
+        abort.abort(new Error('Stop'));
+        await expect(move).rejects.toThrow('Stop');
+        expect(jest.getTimerCount()).toBe(0);
+      } finally {
+        jest.useRealTimers();
+      }
+      expect(mockConnection.sendAndWaitForResponse.mock.calls[3][3]).toMatchObject({ signal: abort.signal });
+    });
+
+    test('should decode the Moving Status', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, [0x3B]));
+
+      await expect(device.getMovingStatus()).resolves.toEqual({
+        raw: 0x3B,
+        inPosition: true,
+        profileOngoing: true,
+        followingError: true,
+        profileType: 'trapezoidal'
+      });
+      expect(device.updateMovingStatus(0x00).profileType).toBe('step');
+      expect(device.updateMovingStatus(0x10).profileType).toBe('rectangular');
+      expect(device.updateMovingStatus(0x20).profileType).toBe('triangular');
+    });
+
+    test('should emit motion events when Moving Status bits come up', () => {
+      const events = [];
+      for (const name of ['motionStarted', 'arrived', 'followingError']) {
+        device.on(name, ({ id, status }) => events.push([name, id, status.raw]));
+      }
+
+      // The first value is the baseline
+      [0x01, 0x12, 0x1A, 0x12, 0x11, 0x11].forEach(value => device.updateMovingStatus(value));
+
+      expect(events).toEqual([
+        ['motionStarted', 1, 0x12],
+        ['followingError', 1, 0x1A],
+        ['arrived', 1, 0x11]
+      ]);
+    });
   });
 
   describe('Velocity Control', () => {
@@ -340,7 +425,7 @@ describe('DynamixelDevice', () => {
   describe('Error Handling', () => {
     test('should handle device errors in read operations', async() => {
       mockConnection.sendAndWaitForResponse.mockResolvedValue(
-        createStatusPacketBuffer(1, 0x01, []) // Instruction error
+        createStatusPacketBuffer(1, 0x01, []) // Result Fail
       );
 
       await expect(device.read(0x40, 1)).rejects.toThrow('Device 1 error');
@@ -348,7 +433,7 @@ describe('DynamixelDevice', () => {
 
     test('should handle device errors in write operations', async() => {
       mockConnection.sendAndWaitForResponse.mockResolvedValue(
-        createStatusPacketBuffer(1, 0x02, []) // CRC error
+        createStatusPacketBuffer(1, 0x02, []) // Instruction Error
       );
 
       await expect(device.write(0x40, [1])).rejects.toThrow('Device 1 error');
@@ -363,11 +448,40 @@ describe('DynamixelDevice', () => {
       await expect(device.read(0x40, 1)).rejects.toThrow('Connection failed');
       expect(errorSpy).toHaveBeenCalled();
     });
+
+    test('should throw a typed status error with the decoded code', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0x80 | ERROR_FLAGS.DATA_LIMIT_ERROR, []));
+      device.on('error', () => {});
+
+      const error = await device.write(0x40, [1]).catch(e => e);
+      expect(error).toBeInstanceOf(DynamixelStatusError);
+      expect(error).toMatchObject({ id: 1, code: ERROR_FLAGS.DATA_LIMIT_ERROR, alert: true });
+      expect(error.message).toBe('Device 1 error: Data Limit Error, Hardware Alert');
+    });
+
+    test('should not fail an instruction on the Hardware Alert bit alone', async() => {
+      const hardwareSpy = jest.fn();
+      device.on('hardwareError', hardwareSpy);
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0x80, [0x10, 0x00, 0x00, 0x00]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0x80, [0x24]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0x80, [0x10, 0x00, 0x00, 0x00]));
+
+      await expect(device.getPresentPosition()).resolves.toBe(16);
+      await expect(device.getPresentPosition()).resolves.toBe(16);
+
+      // The Hardware Error Status is read once, when the bit comes up
+      expect(mockConnection.sendAndWaitForResponse).toHaveBeenCalledTimes(3);
+      expect(hardwareSpy).toHaveBeenCalledWith({ id: 1, status: 0x24, errors: ['OVERHEATING', 'OVERLOAD'] });
+      expect(device.hardwareAlert).toBe(true);
+    });
   });
 
   describe('Model Information', () => {
     test('should return model name for known models', () => {
-      expect(device.getModelName(1020)).toBe('XL430-W250');
+      expect(device.getModelName(1020)).toBe('XM430-W350');
+      expect(device.getModelName(1060)).toBe('XL430-W250');
+      expect(device.getModelName(350)).toBe('XL-320');
     });
 
     test('should return unknown for unknown models', () => {
@@ -440,13 +554,19 @@ describe('DynamixelDevice', () => {
     });
 
     test('should reject invalid indirect address index', async() => {
+      const xl330 = new DynamixelDevice(1, mockConnection, { modelNumber: 1200 });
+
       await expect(device.setupIndirectAddress(-1, 132)).rejects.toThrow('Indirect address index -1 out of range');
-      await expect(device.setupIndirectAddress(20, 132)).rejects.toThrow('Indirect address index 20 out of range');
+      await expect(device.setupIndirectAddress(56, 132)).rejects.toThrow('Indirect address index 56 out of range [0, 55]');
+      await expect(xl330.setupIndirectAddress(20, 132)).rejects.toThrow('Indirect address index 20 out of range [0, 19]');
     });
 
     test('should reject invalid target address', async() => {
-      await expect(device.setupIndirectAddress(0, 50)).rejects.toThrow('Target address 50 out of valid range');
-      await expect(device.setupIndirectAddress(0, 300)).rejects.toThrow('Target address 300 out of valid range');
+      const xl330 = new DynamixelDevice(1, mockConnection, { modelNumber: 1200 });
+
+      await expect(device.setupIndirectAddress(0, 50)).rejects.toThrow('Target address 50 out of valid range [64, 661]');
+      await expect(device.setupIndirectAddress(0, 700)).rejects.toThrow('Target address 700 out of valid range');
+      await expect(xl330.setupIndirectAddress(0, 300)).rejects.toThrow('Target address 300 out of valid range [64, 227]');
     });
 
     test('should write data through indirect addressing', async() => {
@@ -639,8 +759,9 @@ describe('DynamixelDevice', () => {
       const result = await device.setupCommonIndirectMappings();
       
       expect(result).toBe(true);
-      expect(device.indirectMappings.size).toBe(5);
+      expect(device.indirectMappings.size).toBe(12);
       expect(device.indirectMappings.get(0)).toBe(132); // Present position
+      expect(device.indirectMappings.get(3)).toBe(135);
       expect(device.indirectMappings.get(4)).toBe(128); // Present velocity
       expect(device.indirectMappings.get(8)).toBe(124); // Present PWM
       expect(device.indirectMappings.get(10)).toBe(146); // Temperature
@@ -654,22 +775,187 @@ describe('DynamixelDevice', () => {
       );
       await device.setupCommonIndirectMappings();
 
-      // Reset mock and setup individual read responses for non-contiguous indices [0, 4, 8, 10, 11]
+      // One read of slots 0-11
       mockConnection.sendAndWaitForResponse.mockReset();
-      mockConnection.sendAndWaitForResponse
-        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x10]))  // index 0 - position
-        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x20]))  // index 4 - velocity
-        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x30]))  // index 8 - pwm
-        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x25]))  // index 10 - temperature
-        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x01])); // index 11 - moving
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [
+        0x00, 0x10, 0x00, 0x00, // position 4096
+        0xF6, 0xFF, 0xFF, 0xFF, // velocity -10
+        0x9C, 0xFF,             // pwm -100
+        0x25,                   // temperature
+        0x01                    // moving
+      ]));
 
       const status = await device.readCommonStatus();
-      
-      expect(status.position).toBe(0x10);
-      expect(status.velocity).toBe(0x20);
-      expect(status.pwm).toBe(0x30);
-      expect(status.temperature).toBe(0x25);
-      expect(status.moving).toBe(0x01);
+
+      expect(status).toEqual({ position: 4096, velocity: -10, pwm: -100, temperature: 0x25, moving: 1 });
+      expect(mockConnection.sendAndWaitForResponse).toHaveBeenCalledTimes(1);
+      const packet = mockConnection.sendAndWaitForResponse.mock.calls[0][0];
+      expect(Array.from(packet.slice(8, 12))).toEqual([224, 0, 12, 0]);
+    });
+
+    test('should map every byte of a register to consecutive slots with one write', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+
+      const mapping = await device.mapIndirect('presentVelocity');
+
+      expect(mapping).toEqual({ name: 'presentVelocity', address: 128, size: 4, type: 'int32', index: 0 });
+      expect(mockConnection.sendAndWaitForResponse).toHaveBeenCalledTimes(1);
+      const packet = mockConnection.sendAndWaitForResponse.mock.calls[0][0];
+      expect(Array.from(packet.slice(8, 18))).toEqual([168, 0, 128, 0, 129, 0, 130, 0, 131, 0]);
+      await expect(device.mapIndirect('presentVelocity')).resolves.toBe(mapping);
+    });
+
+    test('should allocate the first run of free slots wide enough for a register', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+      await device.setupIndirectAddress(2, 65);
+
+      await expect(device.mapIndirect('presentTemperature')).resolves.toMatchObject({ index: 0 });
+      await expect(device.mapIndirect('presentPosition')).resolves.toMatchObject({ index: 3 });
+      await expect(device.mapIndirect({ address: 126, size: 2, type: 'int16', name: 'current' })).resolves.toMatchObject({ index: 7 });
+      await expect(device.mapIndirect({ address: 70, size: 1 })).resolves.toMatchObject({ name: 'address70', index: 1 });
+
+      await device.unmapIndirect('presentPosition');
+      expect([...device.indirectMappings.keys()].sort((a, b) => a - b)).toEqual([0, 1, 2, 7, 8]);
+      await expect(device.mapIndirect('presentVelocity')).resolves.toMatchObject({ index: 3 });
+    });
+
+    test('should reject registers that do not fit or are out of range', async() => {
+      // XL330: one bank of 20 slots, targets up to 227
+      device = new DynamixelDevice(1, mockConnection, { modelNumber: 1200 });
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+      for (let index = 0; index < 18; index++) {
+        await device.setupIndirectAddress(index, 64);
+      }
+
+      await expect(device.mapIndirect('presentPosition')).rejects.toThrow('No 4 consecutive free indirect slots for presentPosition');
+      await expect(device.mapIndirect({ address: 226, size: 4 })).rejects.toThrow('Target address 228 out of valid range');
+      await expect(device.mapIndirect({ address: 100, size: 3 })).rejects.toThrow('Invalid indirect register');
+      await expect(device.readIndirectBlock(['presentPosition'])).rejects.toThrow('Indirect register presentPosition not mapped');
+    });
+
+    test('should read only the span of the requested registers', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+      await device.mapIndirect('presentPosition');
+      await device.mapIndirect('presentCurrent');
+      await device.mapIndirect('presentTemperature');
+
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x18, 0xFC, 40]));
+      await expect(device.readIndirectBlock(['presentTemperature', 'presentCurrent'])).resolves.toEqual({ presentCurrent: -1000, presentTemperature: 40 });
+
+      const packet = mockConnection.sendAndWaitForResponse.mock.calls.at(-1)[0];
+      expect(Array.from(packet.slice(8, 12))).toEqual([228, 0, 3, 0]);
+    });
+
+    test('should map a block of registers back to back and keep it when mapped again', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+      await device.setupIndirectAddress(1, 65);
+      await device.mapIndirect('presentTemperature');
+
+      const block = await device.mapIndirectBlock(['presentPosition', 'presentTemperature']);
+
+      expect(block.address).toBe(226);
+      expect(block.length).toBe(5);
+      expect(block.registers.map(register => [register.name, register.index])).toEqual([['presentPosition', 2], ['presentTemperature', 6]]);
+      const packet = mockConnection.sendAndWaitForResponse.mock.calls.at(-1)[0];
+      expect(Array.from(packet.slice(8, 20))).toEqual([172, 0, 132, 0, 133, 0, 134, 0, 135, 0, 146, 0]);
+      expect(device.indirectMappings.has(0)).toBe(false);
+
+      const writes = mockConnection.sendAndWaitForResponse.mock.calls.length;
+      await expect(device.mapIndirectBlock(['presentPosition', 'presentTemperature'])).resolves.toEqual(block);
+      expect(mockConnection.sendAndWaitForResponse).toHaveBeenCalledTimes(writes);
+      await expect(device.mapIndirectBlock([])).rejects.toThrow('Indirect block registers must be a non-empty array');
+    });
+
+    test('should leave the mappings untouched when the block does not fit', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+      await device.mapIndirect('presentTemperature');
+      // Every fourth slot taken: even with slot 0 freed, no bank has 5 free slots in a row
+      for (let index = 4; index < 56; index += 4) {
+        await device.setupIndirectAddress(index, 65);
+      }
+
+      const writes = mockConnection.sendAndWaitForResponse.mock.calls.length;
+      await expect(device.mapIndirectBlock(['presentPosition', 'presentTemperature']))
+        .rejects.toThrow('No 5 consecutive free indirect slots for presentPosition, presentTemperature');
+      expect(mockConnection.sendAndWaitForResponse).toHaveBeenCalledTimes(writes);
+      expect(device.getIndirectRegister('presentTemperature').index).toBe(0);
+    });
+
+    test('should reuse the slots of the registers it moves', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+      await device.mapIndirect('presentTemperature');
+      for (let index = 5; index < 56; index += 5) {
+        await device.setupIndirectAddress(index, 65);
+      }
+
+      const block = await device.mapIndirectBlock(['presentPosition', 'presentTemperature']);
+      expect(block.registers.map(register => register.index)).toEqual([0, 4]);
+    });
+
+    test('should keep registers within one bank and read each bank once', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+      for (let index = 0; index < 26; index++) {
+        await device.setupIndirectAddress(index, 64);
+      }
+
+      await expect(device.mapIndirect('presentTemperature')).resolves.toMatchObject({ index: 26 });
+      await expect(device.mapIndirect('presentPosition')).resolves.toMatchObject({ index: 28 });
+      const packet = mockConnection.sendAndWaitForResponse.mock.calls.at(-1)[0];
+      expect(packet.readUInt16LE(8)).toBe(578);
+
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [35]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x00, 0x08, 0x00, 0x00]));
+      await expect(device.readIndirectBlock(['presentTemperature', 'presentPosition'])).resolves.toEqual({ presentTemperature: 35, presentPosition: 2048 });
+
+      const reads = mockConnection.sendAndWaitForResponse.mock.calls.slice(-2).map(call => call[0].readUInt16LE(8));
+      expect(reads).toEqual([250, 634]);
+    });
+
+    test('should use the indirect layout of the model', async() => {
+      const ph54 = new DynamixelDevice(1, mockConnection, { modelNumber: 2010 });
+      const xl320 = new DynamixelDevice(1, mockConnection, { modelNumber: 350 });
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+
+      await expect(ph54.mapIndirect('presentPosition')).resolves.toMatchObject({ address: 580, index: 0 });
+      expect(ph54.getIndirectSlot(127)).toEqual({ bank: 0, address: 422, data: 761 });
+      await expect(ph54.setupIndirectAddress(0, 132)).rejects.toThrow('Target address 132 out of valid range [512, 1023]');
+      await expect(xl320.mapIndirect('presentPosition')).rejects.toThrow('Indirect addressing is not supported by XL-320');
+    });
+
+    test('should read mappings back from the device', async() => {
+      // Bank 1: Present Position in slots 0-3, LED in slot 5, the rest at their factory value
+      const bank1 = Buffer.alloc(56);
+      for (let slot = 0; slot < 28; slot++) {
+        bank1.writeUInt16LE(224 + slot, slot * 2);
+      }
+      [132, 133, 134, 135].forEach((address, slot) => bank1.writeUInt16LE(address, slot * 2));
+      bank1.writeUInt16LE(65, 10);
+      const bank2 = Buffer.alloc(56);
+      bank2.writeUInt16LE(146, 0);
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [...bank1]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [...bank2]));
+
+      const mappings = await device.loadIndirectMappings();
+
+      expect([...mappings]).toEqual([[0, 132], [1, 133], [2, 134], [3, 135], [5, 65], [28, 146]]);
+      expect([...device.getIndirectRegisters().values()]).toEqual([
+        { name: 'presentPosition', address: 132, size: 4, type: 'int32', index: 0 },
+        { name: 'led', address: 65, size: 1, type: 'uint8', index: 5 },
+        { name: 'presentTemperature', address: 146, size: 1, type: 'uint8', index: 28 }
+      ]);
+      const reads = mockConnection.sendAndWaitForResponse.mock.calls.map(call => [call[0].readUInt16LE(8), call[0].readUInt16LE(10)]);
+      expect(reads).toEqual([[168, 56], [578, 56]]);
+    });
+
+    test('should drop registers whose slots are remapped by index', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+      await device.mapIndirect('presentPosition');
+
+      await device.setupIndirectAddress(1, 146);
+
+      expect(device.getIndirectRegisters().has('presentPosition')).toBe(false);
     });
 
     test('should validate bulk write mappings object', async() => {
@@ -695,4 +981,792 @@ describe('DynamixelDevice', () => {
       await expect(device.bulkReadIndirect('invalid')).rejects.toThrow('Indices must be a non-empty array');
     });
   });
+
+  describe('Protocol 1.0', () => {
+    let ax12;
+
+    beforeEach(() => {
+      ax12 = new DynamixelDevice(3, mockConnection, { protocolVersion: 1 });
+    });
+
+    test('should default to Protocol 2.0', () => {
+      expect(device.protocolVersion).toBe(2);
+      expect(device.getDeviceInfo().protocolVersion).toBe(2);
+    });
+
+    test('should reject unknown protocol versions', () => {
+      expect(() => new DynamixelDevice(1, mockConnection, { protocolVersion: 3 })).toThrow('Unsupported protocol version 3');
+    });
+
+    test('should read with Protocol 1.0 packets', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createProtocol1StatusPacketBuffer(3, 0, [0x00, 0x02]));
+
+      const value = await ax12.readWord(36);
+
+      const [packet, id] = mockConnection.sendAndWaitForResponse.mock.calls[0];
+      expect(Array.from(packet.slice(0, 7))).toEqual([0xFF, 0xFF, 0x03, 0x04, 0x02, 36, 2]);
+      expect(id).toBe(3);
+      expect(value).toBe(512);
+    });
+
+    test('should write with Protocol 1.0 packets', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createProtocol1StatusPacketBuffer(3, 0, []));
+
+      await expect(ax12.writeWord(30, 512)).resolves.toBe(true);
+
+      const packet = mockConnection.sendAndWaitForResponse.mock.calls[0][0];
+      expect(Array.from(packet.slice(0, 8))).toEqual([0xFF, 0xFF, 0x03, 0x05, 0x03, 30, 0x00, 0x02]);
+    });
+
+    test('should describe Protocol 1.0 error bits', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createProtocol1StatusPacketBuffer(3, 0x20, []));
+
+      await expect(ax12.writeByte(24, 1)).rejects.toThrow('Device 3 error: Overload Error');
+    });
+
+    test('should ping and read model information', async() => {
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createProtocol1StatusPacketBuffer(3, 0, []))
+        .mockResolvedValueOnce(createProtocol1StatusPacketBuffer(3, 0, [12, 0, 24]));
+
+      const info = await ax12.ping(100);
+
+      expect(mockConnection.ping).not.toHaveBeenCalled();
+      expect(Array.from(mockConnection.sendAndWaitForResponse.mock.calls[0][0])).toEqual([0xFF, 0xFF, 0x03, 0x02, 0x01, 0xF9]);
+      expect(info).toEqual({ id: 3, modelNumber: 12, firmwareVersion: 24, error: 0 });
+      expect(ax12.modelName).toBe('AX-12A');
+    });
+
+    test('should reject reboot', async() => {
+      await expect(ax12.reboot()).rejects.toThrow('not supported by Protocol 1.0');
+    });
+  });
+
+  describe('Control Table Registry', () => {
+    test('should resolve items from the model control table', async() => {
+      const xl320 = new DynamixelDevice(4, mockConnection, { modelNumber: 350 });
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(4, 0, [31]));
+
+      await expect(xl320.getPresentTemperature()).resolves.toBe(31);
+
+      const parameters = Array.from(mockConnection.sendAndWaitForResponse.mock.calls[0][0].slice(8, -2));
+      expect(parameters).toEqual([46, 0, 1, 0]);
+    });
+
+    test('should use P series RAM addresses', async() => {
+      const pSeries = new DynamixelDevice(5, mockConnection, { modelNumber: 2020 });
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(5, 0, [0x10, 0x27, 0, 0]));
+
+      await expect(pSeries.getPresentPosition()).resolves.toBe(10000);
+      await pSeries.set('goalPosition', 0);
+
+      const read = Array.from(mockConnection.sendAndWaitForResponse.mock.calls[0][0].slice(8, -2));
+      const write = Array.from(mockConnection.sendAndWaitForResponse.mock.calls[1][0].slice(8, -2));
+      expect(read).toEqual([0x44, 0x02, 4, 0]);
+      expect(write).toEqual([0x34, 0x02, 0, 0, 0, 0]);
+    });
+
+    test('should switch control tables when ping reports the model', async() => {
+      const unknown = new DynamixelDevice(4, mockConnection);
+      expect(unknown.getControlTableItem('presentTemperature').address).toBe(146);
+
+      mockConnection.ping.mockResolvedValue({ id: 4, modelNumber: 350, firmwareVersion: 30, error: 0 });
+      await unknown.ping();
+
+      expect(unknown.modelName).toBe('XL-320');
+      expect(unknown.getControlTableItem('presentTemperature').address).toBe(46);
+    });
+
+    test('should get and set items by name with their size', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, [0x20, 0x03]));
+
+      await expect(device.get('velocityPGain')).resolves.toBe(800);
+      await device.set('profileVelocity', 100);
+
+      const write = Array.from(mockConnection.sendAndWaitForResponse.mock.calls[1][0].slice(8, -2));
+      expect(write).toEqual([112, 0, 100, 0, 0, 0]);
+    });
+
+    test('should reject writes to read-only items', async() => {
+      await expect(device.set('presentPosition', 0)).rejects.toThrow('Control table item presentPosition is read-only');
+      expect(mockConnection.sendAndWaitForResponse).not.toHaveBeenCalled();
+    });
+
+    test('should reject items the model does not have', async() => {
+      const xl430 = new DynamixelDevice(2, mockConnection, { modelNumber: 1060 });
+
+      await expect(xl430.setGoalCurrent(100)).rejects.toThrow('Control table item goalCurrent is not available on XL430-W250');
+      await expect(xl430.get('unknownItem')).rejects.toThrow('not available');
+    });
+
+    test('should use the Protocol 1.0 layout for Protocol 1.0 devices', async() => {
+      const mx64 = new DynamixelDevice(3, mockConnection, { protocolVersion: 1, modelNumber: 310 });
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createProtocol1StatusPacketBuffer(3, 0, [0x00, 0x08]));
+
+      await expect(mx64.getPresentPosition()).resolves.toBe(2048);
+
+      const packet = mockConnection.sendAndWaitForResponse.mock.calls[0][0];
+      expect(Array.from(packet.slice(5, 7))).toEqual([36, 2]);
+    });
+  });
+
+  describe('Signed and Unit Values', () => {
+    test('should sign-extend signed items', async() => {
+      const xm430 = new DynamixelDevice(1, mockConnection, { modelNumber: 1020 });
+
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0xFF, 0xFF]));
+      await expect(xm430.getGoalCurrent()).resolves.toBe(-1);
+
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x9C, 0xFF, 0xFF, 0xFF]));
+      await expect(xm430.getPresentVelocity()).resolves.toBe(-100);
+    });
+
+    test('should decode Protocol 1.0 direction bits', async() => {
+      const ax12 = new DynamixelDevice(3, mockConnection, { protocolVersion: 1, modelNumber: 12 });
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createProtocol1StatusPacketBuffer(3, 0, [0x64, 0x04]));
+
+      await expect(ax12.get('presentLoad')).resolves.toBe(-100);
+    });
+
+    test('should keep raw word helpers unsigned', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, [0xFF, 0xFF, 0xFF, 0xFF]));
+
+      await expect(device.readDWord(128)).resolves.toBe(0xFFFFFFFF);
+    });
+
+    test('should convert to physical units when enabled', async() => {
+      const xm430 = new DynamixelDevice(1, mockConnection, { modelNumber: 1020, units: true });
+
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x00, 0x04, 0x00, 0x00]));
+      await expect(xm430.getPresentPosition()).resolves.toBeCloseTo(90.112);
+
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x9C, 0xFF, 0xFF, 0xFF]));
+      await expect(xm430.getPresentVelocity()).resolves.toBeCloseTo(-100 * 0.229 * 2 * Math.PI / 60);
+
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x0A, 0x00]));
+      await expect(xm430.getGoalCurrent()).resolves.toBeCloseTo(26.9);
+
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x78, 0x00]));
+      await expect(xm430.getPresentVoltage()).resolves.toBeCloseTo(12.0);
+
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x03]));
+      await expect(xm430.get('operatingMode')).resolves.toBe(3);
+    });
+
+    test('should convert physical units back to raw values on writes', async() => {
+      const xm430 = new DynamixelDevice(1, mockConnection, { modelNumber: 1020 });
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+
+      await xm430.set('goalPosition', 90, null, { units: true });
+      await xm430.set('goalCurrent', -26.9, null, { units: true });
+
+      const position = Array.from(mockConnection.sendAndWaitForResponse.mock.calls[0][0].slice(8, -2));
+      const current = Array.from(mockConnection.sendAndWaitForResponse.mock.calls[1][0].slice(8, -2));
+      expect(position).toEqual([116, 0, 0xFF, 0x03, 0, 0]);
+      expect(current).toEqual([102, 0, 0xF6, 0xFF]);
+    });
+
+    test('should let the per-call option override the device default', async() => {
+      const xm430 = new DynamixelDevice(1, mockConnection, { modelNumber: 1020, units: true });
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, [0x00, 0x04, 0x00, 0x00]));
+
+      await expect(xm430.get('presentPosition', null, { units: false })).resolves.toBe(1024);
+    });
+
+    test('should fall back to X series conversions without current', async() => {
+      const xl430 = new DynamixelDevice(2, mockConnection, { modelNumber: 1060, units: true });
+      const xl320 = new DynamixelDevice(4, mockConnection, { modelNumber: 350, units: true });
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(2, 0, [0x00, 0x08, 0x00, 0x00]));
+
+      await expect(xl430.getPresentPosition()).resolves.toBeCloseTo(180.224);
+      expect(() => xl430.getUnitFactor('current')).toThrow('No current unit conversion available for XL430-W250');
+      await expect(xl320.getPresentPosition()).rejects.toThrow('No position unit conversion available for XL-320');
+    });
+  });
+
+  describe('Registered Writes', () => {
+    test('should stage a write with REG WRITE', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+
+      await expect(device.registerWrite(116, [0x00, 0x04, 0x00, 0x00])).resolves.toBe(true);
+
+      const packet = mockConnection.sendAndWaitForResponse.mock.calls[0][0];
+      expect(Array.from(packet.slice(7, -2))).toEqual([INSTRUCTIONS.REG_WRITE, 116, 0, 0x00, 0x04, 0x00, 0x00]);
+    });
+
+    test('should execute the registered write with ACTION', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+
+      await expect(device.action()).resolves.toBe(true);
+
+      const packet = mockConnection.sendAndWaitForResponse.mock.calls[0][0];
+      expect(Array.from(packet.slice(7, -2))).toEqual([INSTRUCTIONS.ACTION]);
+    });
+
+    test('should report status errors of REG WRITE', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, ERROR_FLAGS.ACCESS_ERROR, []));
+
+      await expect(device.registerWrite(132, [0, 0, 0, 0])).rejects.toThrow('Device 1 error');
+    });
+
+    test('should read back the registered instruction flag', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, [1]));
+
+      await expect(device.hasRegisteredInstruction()).resolves.toBe(true);
+
+      const parameters = Array.from(mockConnection.sendAndWaitForResponse.mock.calls[0][0].slice(8, -2));
+      expect(parameters).toEqual([69, 0, 1, 0]);
+    });
+
+    test('should use Protocol 1.0 packets for Protocol 1.0 devices', async() => {
+      const ax12 = new DynamixelDevice(3, mockConnection, { protocolVersion: 1 });
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createProtocol1StatusPacketBuffer(3, 0, []));
+
+      await ax12.registerWrite(30, [0x00, 0x02]);
+
+      const packet = mockConnection.sendAndWaitForResponse.mock.calls[0][0];
+      expect(Array.from(packet.slice(4, -1))).toEqual([INSTRUCTIONS.REG_WRITE, 30, 0x00, 0x02]);
+    });
+  });
+
+  describe('Operating Mode and Multi-turn', () => {
+    /**
+     * Instruction and parameters of each packet sent so far
+     * @returns {Array<Array<number>>} - [instruction, ...parameters] per packet
+     */
+    function sentInstructions() {
+      return mockConnection.sendAndWaitForResponse.mock.calls.map(call => Array.from(call[0].slice(7, -2)));
+    }
+
+    test('should switch operating mode with torque off and restore torque', async() => {
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [1]))
+        .mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+
+      await expect(device.setOperatingMode(OPERATING_MODES.EXTENDED_POSITION)).resolves.toBe(true);
+
+      expect(sentInstructions()).toEqual([
+        [INSTRUCTIONS.READ, 64, 0, 1, 0],
+        [INSTRUCTIONS.WRITE, 64, 0, 0],
+        [INSTRUCTIONS.WRITE, 11, 0, 4],
+        [INSTRUCTIONS.WRITE, 64, 0, 1]
+      ]);
+    });
+
+    test('should leave torque off if it was off', async() => {
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0]))
+        .mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+
+      await device.setOperatingMode(OPERATING_MODES.VELOCITY);
+
+      expect(sentInstructions()).toEqual([
+        [INSTRUCTIONS.READ, 64, 0, 1, 0],
+        [INSTRUCTIONS.WRITE, 11, 0, 1]
+      ]);
+    });
+
+    test('should reject unknown operating modes', async() => {
+      await expect(device.setOperatingMode(2)).rejects.toThrow('Invalid operating mode 2');
+      expect(mockConnection.sendAndWaitForResponse).not.toHaveBeenCalled();
+    });
+
+    test('should read multi-turn positions in turns, degrees and raw units', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, [0x00, 0xD8, 0xFF, 0xFF]));
+
+      await expect(device.getMultiTurnPosition()).resolves.toBe(-2.5);
+      await expect(device.getMultiTurnPosition('degrees')).resolves.toBe(-900);
+      await expect(device.getMultiTurnPosition('raw')).resolves.toBe(-10240);
+      await expect(device.getMultiTurnPosition('radians')).rejects.toThrow('Invalid position unit radians');
+    });
+
+    test('should write multi-turn goal positions within the extended range', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+
+      await device.setMultiTurnPosition(10);
+      await device.setMultiTurnPosition(-90, 'degrees');
+      await expect(device.setMultiTurnPosition(257)).rejects.toThrow('Multi-turn position 1052672 out of range [-1048575, 1048575]');
+
+      expect(sentInstructions()).toEqual([
+        [INSTRUCTIONS.WRITE, 116, 0, 0x00, 0xA0, 0x00, 0x00],
+        [INSTRUCTIONS.WRITE, 116, 0, 0x00, 0xFC, 0xFF, 0xFF]
+      ]);
+    });
+
+    test('should write the homing offset with torque off', async() => {
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, []))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0x00, 0xFC, 0xFF, 0xFF]));
+
+      await device.setHomingOffset(-1, 'turns');
+      await expect(device.getHomingOffset('degrees')).resolves.toBe(-90);
+      await expect(device.setHomingOffset(1044480)).rejects.toThrow('Homing offset 1044480 out of range');
+
+      expect(sentInstructions()[1]).toEqual([INSTRUCTIONS.WRITE, 20, 0, 0x00, 0xF0, 0xFF, 0xFF]);
+    });
+
+    test('should send CLEAR to reset the revolution count', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+
+      await expect(device.clearMultiTurn()).resolves.toBe(true);
+      expect(sentInstructions()).toEqual([[INSTRUCTIONS.CLEAR, 0x01, 0x44, 0x58, 0x4C, 0x22]]);
+    });
+
+    test('should report a refused CLEAR', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, ERROR_FLAGS.RESULT_FAIL, []));
+
+      await expect(device.clearMultiTurn()).resolves.toBe(false);
+    });
+
+    test('should reject CLEAR on Protocol 1.0 devices', async() => {
+      const ax12 = new DynamixelDevice(3, mockConnection, { protocolVersion: 1 });
+
+      await expect(ax12.clearMultiTurn()).rejects.toThrow('Clear multi-turn is not supported by Protocol 1.0 devices');
+    });
+  });
+
+  describe('Backup and Factory Reset', () => {
+    const status = (parameters = []) => createStatusPacketBuffer(1, 0, parameters);
+
+    /**
+     * Instruction and parameters of each packet sent so far
+     * @returns {Array<Array<number>>} - [instruction, ...parameters] per packet
+     */
+    function sentInstructions() {
+      return mockConnection.sendAndWaitForResponse.mock.calls.map(call => Array.from(call[0].slice(7, -2)));
+    }
+
+    /**
+     * Queue the reads reloadDeviceSettings() makes: Status Return Level, Return Delay Time
+     * and the Indirect Address banks (all at their factory values)
+     * @param {DynamixelDevice} target - Device being reset or restored
+     * @param {number} [id=1] - ID the replies come from
+     */
+    function queueSettingsReload(target, id = 1) {
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(id, 0, [2]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(id, 0, [250]));
+      for (const bank of target.indirectLayout.banks) {
+        const entries = Array.from({ length: bank.entries }, (_, offset) => [(bank.data + offset) & 0xFF, (bank.data + offset) >> 8]);
+        mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(createStatusPacketBuffer(id, 0, entries.flat()));
+      }
+    }
+
+    test('should wait for Backup Ready after the first backup', async() => {
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(status([0]))
+        .mockResolvedValueOnce(status([0]))
+        .mockResolvedValueOnce(status())
+        .mockResolvedValueOnce(status([0]))
+        .mockResolvedValueOnce(status([1]));
+
+      await expect(device.backupControlTable()).resolves.toBe(true);
+
+      expect(sentInstructions()).toEqual([
+        [INSTRUCTIONS.READ, 64, 0, 1, 0],
+        [INSTRUCTIONS.READ, 147, 0, 1, 0],
+        [INSTRUCTIONS.CONTROL_TABLE_BACKUP, 0x01, 0x43, 0x54, 0x52, 0x4C],
+        [INSTRUCTIONS.READ, 147, 0, 1, 0],
+        [INSTRUCTIONS.READ, 147, 0, 1, 0]
+      ]);
+    });
+
+    test('should finish on the status packet when a backup was already stored', async() => {
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(status([0]))
+        .mockResolvedValueOnce(status([1]))
+        .mockResolvedValueOnce(status());
+
+      await expect(device.backupControlTable()).resolves.toBe(true);
+
+      expect(sentInstructions()).toEqual([
+        [INSTRUCTIONS.READ, 64, 0, 1, 0],
+        [INSTRUCTIONS.READ, 147, 0, 1, 0],
+        [INSTRUCTIONS.CONTROL_TABLE_BACKUP, 0x01, 0x43, 0x54, 0x52, 0x4C]
+      ]);
+    });
+
+    test('should poll Backup Ready when the backup sends no status packet', async() => {
+      const quiet = new DynamixelDevice(1, mockConnection, { modelNumber: 1020, statusReturnLevel: 1 });
+      mockConnection.send = jest.fn().mockResolvedValue(undefined);
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(status([0]))
+        .mockResolvedValueOnce(status([1]))
+        .mockResolvedValueOnce(status([1]));
+
+      await expect(quiet.backupControlTable()).resolves.toBe(true);
+
+      expect(mockConnection.send).toHaveBeenCalledTimes(1);
+      expect(sentInstructions()).toEqual([
+        [INSTRUCTIONS.READ, 64, 0, 1, 0],
+        [INSTRUCTIONS.READ, 147, 0, 1, 0],
+        [INSTRUCTIONS.READ, 147, 0, 1, 0]
+      ]);
+    });
+
+    test('should time out when Backup Ready is not raised', async() => {
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(status([0]))
+        .mockResolvedValueOnce(status([0]))
+        .mockResolvedValueOnce(status())
+        .mockResolvedValue(status([0]));
+
+      await expect(device.backupControlTable(0)).rejects.toThrow('Timeout waiting for control table backup on device 1');
+    });
+
+    test('should require torque off', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(status([1]));
+
+      await expect(device.backupControlTable()).rejects.toThrow('Control table backup requires torque to be disabled on device 1');
+      await expect(device.restoreControlTable()).rejects.toThrow('requires torque to be disabled');
+      await expect(device.factoryReset()).rejects.toThrow('requires torque to be disabled');
+    });
+
+    test('should restore only when a backup is stored', async() => {
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(status([0]))
+        .mockResolvedValueOnce(status([0]));
+
+      await expect(device.restoreControlTable()).rejects.toThrow('No control table backup stored on device 1');
+
+      mockConnection.sendAndWaitForResponse.mockReset();
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(status([0]))
+        .mockResolvedValueOnce(status([1]))
+        .mockResolvedValueOnce(status());
+      queueSettingsReload(device);
+
+      await expect(device.restoreControlTable()).resolves.toBe(true);
+      expect(sentInstructions()[2]).toEqual([INSTRUCTIONS.CONTROL_TABLE_RESTORE, 0x01, 0x43, 0x54, 0x52, 0x4C]);
+    });
+
+    test('should keep ID and baud rate by default', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(status([0])).mockResolvedValueOnce(status());
+      queueSettingsReload(device);
+
+      await expect(device.factoryReset()).resolves.toBe(true);
+      expect(sentInstructions()[1]).toEqual([INSTRUCTIONS.FACTORY_RESET, 0x02]);
+    });
+
+    test('should read back the settings a restore rewrites', async() => {
+      device.indirectMappings.set(0, 132);
+      mockConnection.setReturnDelayTime = jest.fn();
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(status([0]))
+        .mockResolvedValueOnce(status([1]))
+        .mockResolvedValueOnce(status());
+      queueSettingsReload(device);
+
+      await device.restoreControlTable();
+
+      expect(device.statusReturnLevel).toBe(2);
+      expect(mockConnection.setReturnDelayTime).toHaveBeenCalledWith(1, 250);
+      expect(device.getIndirectMappings().size).toBe(0);
+    });
+
+    test('should wait for the device to restart after a reset', async() => {
+      mockConnection.ping
+        .mockRejectedValueOnce(new DynamixelTimeoutError('Timeout waiting for response from device 1', { id: 1 }))
+        .mockResolvedValueOnce({ modelNumber: 1020, firmwareVersion: 52, error: 0 });
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(status([0])).mockResolvedValueOnce(status());
+      queueSettingsReload(device);
+
+      await expect(device.factoryReset()).resolves.toBe(true);
+      expect(mockConnection.ping).toHaveBeenCalledTimes(2);
+    });
+
+    test('should refuse a confirmed baud rate reset the connection cannot follow', async() => {
+      mockConnection.getBaudRate = jest.fn().mockReturnValue(1000000);
+      mockConnection.setBaudRate = jest.fn();
+      mockConnection.canChangeBaudRate = jest.fn().mockReturnValue(false);
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(status([0]));
+
+      await expect(device.factoryReset({ keep: 'id', confirm: true })).rejects.toThrow('Connection cannot change the baud rate of an open port');
+      expect(sentInstructions().map(([instruction]) => instruction)).not.toContain(INSTRUCTIONS.FACTORY_RESET);
+    });
+
+    test('should refuse resets that change the ID or baud rate without confirmation', async() => {
+      mockConnection.getBaudRate = jest.fn().mockReturnValue(1000000);
+      const servo = new DynamixelDevice(5, mockConnection, { modelNumber: 1020 });
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(5, 0, [0]));
+
+      await expect(servo.factoryReset({ keep: 'none' })).rejects.toThrow(
+        'Factory reset would change the ID from 5 to 1 and the baud rate from 1000000 to 57600 of device 5'
+      );
+      await expect(servo.factoryReset({ keep: 'id' })).rejects.toThrow('baud rate from 1000000 to 57600');
+      await expect(servo.factoryReset({ keep: 'all' })).rejects.toThrow('Invalid factory reset keep option all');
+    });
+
+    test('should follow the device to ID 1 and 57600 bps after a confirmed full reset', async() => {
+      mockConnection.getBaudRate = jest.fn().mockReturnValue(1000000);
+      mockConnection.setBaudRate = jest.fn().mockResolvedValue(true);
+      const servo = new DynamixelDevice(5, mockConnection, { modelNumber: 1020 });
+      const idChanged = jest.fn();
+      const baudRateChanged = jest.fn();
+      servo.on('idChanged', idChanged);
+      servo.on('baudRateChanged', baudRateChanged);
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(5, 0, [0]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(5, 0, []));
+      queueSettingsReload(servo);
+
+      await expect(servo.factoryReset({ keep: 'none', confirm: true })).resolves.toBe(true);
+
+      const packet = mockConnection.sendAndWaitForResponse.mock.calls[1][0];
+      expect(packet[4]).toBe(5);
+      expect(Array.from(packet.slice(7, -2))).toEqual([INSTRUCTIONS.FACTORY_RESET, 0xFF]);
+      expect(servo.id).toBe(1);
+      expect(mockConnection.setBaudRate).toHaveBeenCalledWith(57600);
+      expect(mockConnection.ping).toHaveBeenCalledWith(1);
+      expect(idChanged).toHaveBeenCalledWith({ oldId: 5, newId: 1 });
+      expect(baudRateChanged).toHaveBeenCalledWith({ oldBaudRate: 1000000, baudRate: 57600 });
+    });
+
+    test('should report a reset baud rate the connection did not follow', async() => {
+      mockConnection.getBaudRate = jest.fn().mockReturnValue(1000000);
+      mockConnection.setBaudRate = jest.fn().mockResolvedValue(false);
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(status([0])).mockResolvedValueOnce(status());
+
+      await expect(device.factoryReset({ keep: 'id', confirm: true })).rejects.toThrow(
+        'Device 1 was reset to 57600 bps but the connection could not follow'
+      );
+    });
+
+    test('should reject backup and reset on Protocol 1.0 devices', async() => {
+      const ax12 = new DynamixelDevice(3, mockConnection, { protocolVersion: 1 });
+
+      await expect(ax12.backupControlTable()).rejects.toThrow('Control table backup is not supported by Protocol 1.0 devices');
+      await expect(ax12.factoryReset()).rejects.toThrow('Factory reset is not supported by Protocol 1.0 devices');
+    });
+  });
+
+  describe('Status Return Level', () => {
+    beforeEach(() => {
+      mockConnection.send = jest.fn().mockResolvedValue(undefined);
+    });
+
+    test('should not wait for write responses below level 2', async() => {
+      const quiet = new DynamixelDevice(2, mockConnection, { modelNumber: 1020, statusReturnLevel: 1 });
+
+      await expect(quiet.setGoalPosition(1024)).resolves.toBe(true);
+      await expect(quiet.registerWrite(116, [0, 4, 0, 0])).resolves.toBe(true);
+      await expect(quiet.reboot()).resolves.toBe(true);
+
+      expect(mockConnection.send).toHaveBeenCalledTimes(3);
+      expect(mockConnection.sendAndWaitForResponse).not.toHaveBeenCalled();
+    });
+
+    test('should still wait for read responses at level 1', async() => {
+      const quiet = new DynamixelDevice(2, mockConnection, { modelNumber: 1020, statusReturnLevel: 1 });
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(2, 0, [30]));
+
+      await expect(quiet.getPresentTemperature()).resolves.toBe(30);
+    });
+
+    test('should refuse reads that are never answered at level 0', async() => {
+      const silent = new DynamixelDevice(2, mockConnection, { modelNumber: 1020, statusReturnLevel: 0 });
+
+      await expect(silent.getPresentTemperature()).rejects.toThrow('Device 2 does not answer READ at Status Return Level 0');
+      expect(mockConnection.sendAndWaitForResponse).not.toHaveBeenCalled();
+    });
+
+    test('should never wait for responses from the broadcast ID', async() => {
+      const broadcast = new DynamixelDevice(0xFE, mockConnection);
+
+      await broadcast.setTorqueEnable(false);
+
+      expect(mockConnection.send).toHaveBeenCalledTimes(1);
+      expect(mockConnection.sendAndWaitForResponse).not.toHaveBeenCalled();
+    });
+
+    test('should track levels it writes, starting with the write itself', async() => {
+      await device.setStatusReturnLevel(1);
+      expect(device.statusReturnLevel).toBe(1);
+      expect(mockConnection.send).toHaveBeenCalledTimes(1);
+
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+      await device.write(64, [0, 0, 0, 0, 2]);
+      expect(device.statusReturnLevel).toBe(2);
+      expect(mockConnection.sendAndWaitForResponse).toHaveBeenCalledTimes(1);
+
+      await expect(device.setStatusReturnLevel(3)).rejects.toThrow('Invalid status return level 3. Must be 0, 1 or 2.');
+    });
+
+    test('should offer writes without response only when the device stays silent', async() => {
+      await expect(device.writeWithoutResponse(116, [0, 4, 0, 0])).rejects.toThrow('Device 1 answers WRITE at Status Return Level 2');
+
+      device.statusReturnLevel = 0;
+      await expect(device.writeWithoutResponse(116, [0, 4, 0, 0], { priority: 10 })).resolves.toBe(true);
+      expect(mockConnection.send).toHaveBeenCalledWith(expect.any(Buffer), { priority: 10 });
+    });
+
+    test('should read the level from the device', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [1]));
+      await expect(device.refreshStatusReturnLevel()).resolves.toBe(1);
+
+      mockConnection.sendAndWaitForResponse.mockRejectedValueOnce(new DynamixelTimeoutError('Timeout waiting for response from device 1', { id: 1 }));
+      device.on('error', () => {});
+      await expect(device.refreshStatusReturnLevel()).resolves.toBe(0);
+    });
+  });
+
+  describe('Return Delay Time', () => {
+    beforeEach(() => {
+      mockConnection.setReturnDelayTime = jest.fn();
+    });
+
+    test('should pass written Return Delay Times to the connection', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createStatusPacketBuffer(1, 0, []));
+
+      await device.set('returnDelayTime', 0);
+      await device.write(7, [1, 1, 10]);
+      await device.setGoalPosition(1024);
+
+      expect(mockConnection.setReturnDelayTime.mock.calls).toEqual([[1, 0], [1, 10]]);
+    });
+
+    test('should read the Return Delay Time from the device', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [50]));
+
+      await expect(device.refreshReturnDelayTime()).resolves.toBe(50);
+      expect(mockConnection.setReturnDelayTime).toHaveBeenCalledWith(1, 50);
+    });
+
+    test('should pass the EEPROM end of the model to the connection', async() => {
+      mockConnection.setEepromEnd = jest.fn();
+
+      new DynamixelDevice(2, mockConnection, { modelNumber: 2020 });
+      new DynamixelDevice(3, mockConnection, { modelNumber: 350 });
+      new DynamixelDevice(4, mockConnection);
+      expect(mockConnection.setEepromEnd.mock.calls).toEqual([[2, 512], [3, 24]]);
+
+      const unknown = new DynamixelDevice(5, mockConnection);
+      mockConnection.ping.mockResolvedValue({ id: 5, modelNumber: 1020, firmwareVersion: 52, error: 0 });
+      await unknown.ping();
+      expect(mockConnection.setEepromEnd).toHaveBeenLastCalledWith(5, 64);
+    });
+  });
+
+  describe('ID and Baud Rate Changes', () => {
+    const timeoutError = () => new DynamixelTimeoutError('Timeout waiting for response from device 5', { id: 5 });
+
+    beforeEach(() => {
+      mockConnection.setReturnDelayTime = jest.fn();
+      mockConnection.setBaudRate = jest.fn().mockResolvedValue(true);
+      mockConnection.getBaudRate = jest.fn().mockReturnValue(57600);
+    });
+
+    test('should move the device to a free ID', async() => {
+      const listener = jest.fn();
+      device.on('idChanged', listener);
+      mockConnection.ping
+        .mockRejectedValueOnce(timeoutError())
+        .mockResolvedValueOnce({ id: 5, modelNumber: 1020, firmwareVersion: 52, error: 0 });
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, []))
+        .mockResolvedValueOnce(createStatusPacketBuffer(5, 0, [10]));
+
+      await expect(device.changeId(5)).resolves.toBe(true);
+
+      // The write is answered from the old ID, so it accepts a reply from either
+      const [packet, expectedId] = mockConnection.sendAndWaitForResponse.mock.calls[1];
+      expect(Array.from(packet.slice(4, -2))).toEqual([1, 6, 0, INSTRUCTIONS.WRITE, 7, 0, 5]);
+      expect(expectedId).toBeNull();
+      expect(mockConnection.ping).toHaveBeenLastCalledWith(5, null);
+      expect(device.id).toBe(5);
+      expect(mockConnection.setReturnDelayTime).toHaveBeenCalledWith(5, 10);
+      expect(listener).toHaveBeenCalledWith({ oldId: 1, newId: 5 });
+    });
+
+    test('should refuse an ID that is already in use', async() => {
+      mockConnection.ping.mockResolvedValueOnce({ id: 5, modelNumber: 1060, firmwareVersion: 50, error: 0 });
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0]));
+
+      await expect(device.changeId(5)).rejects.toThrow('Cannot change the ID of device 1: ID 5 is already in use');
+      expect(mockConnection.sendAndWaitForResponse).toHaveBeenCalledTimes(1);
+      expect(device.id).toBe(1);
+    });
+
+    test('should keep the old ID when the device does not answer at the new one', async() => {
+      device.on('error', () => {});
+      mockConnection.ping.mockRejectedValue(timeoutError());
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, []));
+
+      await expect(device.changeId(5)).rejects.toThrow('Device 1 did not answer at new ID 5');
+      expect(device.id).toBe(1);
+    });
+
+    test('should accept the write reply from the new ID and reject one from another device', async() => {
+      device.on('error', () => {});
+      mockConnection.ping
+        .mockRejectedValueOnce(timeoutError())
+        .mockResolvedValueOnce({ id: 5, modelNumber: 1020, firmwareVersion: 52, error: 0 })
+        .mockRejectedValueOnce(timeoutError());
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(5, 0, []))
+        .mockResolvedValueOnce(createStatusPacketBuffer(5, 0, [10]));
+
+      await expect(device.changeId(5)).resolves.toBe(true);
+      expect(device.id).toBe(5);
+
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(5, 0, [0]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(9, 0, []));
+      await expect(device.changeId(6)).rejects.toThrow('Invalid response from device 5');
+      expect(device.id).toBe(5);
+    });
+
+    test('should validate the new ID and require torque off', async() => {
+      await expect(device.changeId(253)).rejects.toThrow('Invalid device ID 253. Must be 0-252.');
+      await expect(device.changeId(1)).resolves.toBe(true);
+
+      mockConnection.sendAndWaitForResponse.mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [1]));
+      await expect(device.changeId(5)).rejects.toThrow('Changing the ID requires torque to be disabled on device 1');
+    });
+
+    test('should write the baud rate register and follow the device to the new rate', async() => {
+      const listener = jest.fn();
+      device.on('baudRateChanged', listener);
+      mockConnection.ping.mockResolvedValueOnce({ id: 1, modelNumber: 1020, firmwareVersion: 52, error: 0 });
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, []));
+
+      await expect(device.changeBaudRate(1000000)).resolves.toBe(true);
+
+      const [packet] = mockConnection.sendAndWaitForResponse.mock.calls[1];
+      expect(Array.from(packet.slice(7, -2))).toEqual([INSTRUCTIONS.WRITE, 8, 0, 3]);
+      expect(mockConnection.setBaudRate).toHaveBeenCalledWith(1000000);
+      expect(listener).toHaveBeenCalledWith({ oldBaudRate: 57600, baudRate: 1000000 });
+    });
+
+    test('should not write the register when the connection cannot retune', async() => {
+      mockConnection.canChangeBaudRate = jest.fn().mockReturnValue(false);
+
+      await expect(device.changeBaudRate(1000000)).rejects.toThrow('Connection cannot change the baud rate of an open port');
+      expect(mockConnection.sendAndWaitForResponse).not.toHaveBeenCalled();
+    });
+
+    test('should reject when the connection fails to follow the device', async() => {
+      mockConnection.setBaudRate.mockResolvedValueOnce(false);
+      mockConnection.sendAndWaitForResponse
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, [0]))
+        .mockResolvedValueOnce(createStatusPacketBuffer(1, 0, []));
+
+      await expect(device.changeBaudRate(1000000)).rejects.toThrow('Device 1 moved to 1000000 bps but the connection could not follow');
+      expect(mockConnection.ping).not.toHaveBeenCalled();
+    });
+
+    test('should reject unsupported baud rates', async() => {
+      await expect(device.changeBaudRate(250000)).rejects.toThrow('Invalid baud rate 250000. Must be one of 9600, 57600');
+
+      const ax12 = new DynamixelDevice(1, mockConnection, { protocolVersion: 1 });
+      await expect(ax12.changeBaudRate(1000000)).rejects.toThrow('Changing the baud rate is not supported by Protocol 1.0 devices');
+    });
+  });
 });
@@ -0,0 +1,462 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { DynamixelController } from '../../src/DynamixelController.js';
+import { Protocol1 } from '../../src/dynamixel/Protocol1.js';
+import { Protocol2 } from '../../src/dynamixel/Protocol2.js';
+import { INSTRUCTIONS, BROADCAST_ID, TRANSACTION_PRIORITY } from '../../src/dynamixel/constants.js';
+import { createStatusPacketBuffer, createFastStatusPacketBuffer } from '../fixtures/packets.js';
+
+describe('Group Operations', () => {
+  let controller;
+  let mockConnection;
+
+  beforeEach(() => {
+    mockConnection = Object.assign(new EventEmitter(), {
+      send: jest.fn().mockResolvedValue(undefined),
+      sendAndWaitForResponse: jest.fn(),
+      sendAndWaitForResponses: jest.fn()
+    });
+
+    controller = new DynamixelController({ deferConnection: true });
+    controller.connection = mockConnection;
+    controller.isConnected = true;
+  });
+
+  describe('Sync Read', () => {
+    test('should send a single SYNC READ packet for all IDs', async() => {
+      mockConnection.sendAndWaitForResponses.mockResolvedValue(new Map([
+        [1, createStatusPacketBuffer(1, 0, [0x00, 0x08, 0x00, 0x00])],
+        [2, createStatusPacketBuffer(2, 0, [0x00, 0x04, 0x00, 0x00])]
+      ]));
+
+      await controller.syncRead([1, 2], 132, 4);
+
+      expect(mockConnection.sendAndWaitForResponses).toHaveBeenCalledTimes(1);
+      const [packet, ids] = mockConnection.sendAndWaitForResponses.mock.calls[0];
+      expect(packet[4]).toBe(BROADCAST_ID);
+      expect(packet[7]).toBe(INSTRUCTIONS.SYNC_READ);
+      expect(ids).toEqual([1, 2]);
+    });
+
+    test('should decode per-device values', async() => {
+      mockConnection.sendAndWaitForResponses.mockResolvedValue(new Map([
+        [1, createStatusPacketBuffer(1, 0, [0x00, 0x08, 0x00, 0x00])],
+        [2, createStatusPacketBuffer(2, 0, [0x00, 0x04, 0x00, 0x00])]
+      ]));
+
+      const results = await controller.syncRead([1, 2], 132, 4);
+
+      expect(results.get(1)).toMatchObject({ id: 1, value: 2048, error: null });
+      expect(results.get(2)).toMatchObject({ id: 2, value: 1024, error: null });
+      expect(results.get(1).data).toEqual(Buffer.from([0x00, 0x08, 0x00, 0x00]));
+    });
+
+    test('should report timeouts per device', async() => {
+      mockConnection.sendAndWaitForResponses.mockResolvedValue(new Map([
+        [1, createStatusPacketBuffer(1, 0, [0x2A])]
+      ]));
+
+      const results = await controller.syncRead([1, 3], 146, 1);
+
+      expect(results.get(1).value).toBe(0x2A);
+      expect(results.get(3).data).toBeNull();
+      expect(results.get(3).error.message).toContain('Timeout waiting for response from device 3');
+    });
+
+    test('should report status packet errors per device', async() => {
+      mockConnection.sendAndWaitForResponses.mockResolvedValue(new Map([
+        [1, createStatusPacketBuffer(1, 0x01, [])],
+        [2, createStatusPacketBuffer(2, 0, [0x01])]
+      ]));
+
+      const results = await controller.syncRead([1, 2], 65, 1);
+
+      expect(results.get(1).error.message).toContain('Device 1 error');
+      expect(results.get(2).value).toBe(1);
+    });
+
+    test('should report CRC errors per device', async() => {
+      const corrupted = createStatusPacketBuffer(1, 0, [0x10]);
+      corrupted[corrupted.length - 1] ^= 0xFF;
+      mockConnection.sendAndWaitForResponses.mockResolvedValue(new Map([[1, corrupted]]));
+
+      const results = await controller.syncRead([1], 65, 1);
+
+      expect(results.get(1).error.message).toContain('CRC mismatch');
+    });
+
+    test('should accept already parsed status packets', async() => {
+      mockConnection.sendAndWaitForResponses.mockResolvedValue(new Map([
+        [1, Protocol2.parseStatusPacket(createStatusPacketBuffer(1, 0, [0x34, 0x12]))]
+      ]));
+
+      const results = await controller.syncRead([1], 120, 2);
+
+      expect(results.get(1).value).toBe(0x1234);
+    });
+
+    test('should validate device IDs', async() => {
+      await expect(controller.syncRead([], 132, 4)).rejects.toThrow('Device IDs must be a non-empty array');
+      await expect(controller.syncRead([1, 254], 132, 4)).rejects.toThrow('Invalid device ID 254');
+      await expect(controller.syncRead([1, 1], 132, 4)).rejects.toThrow('Device IDs must be unique');
+    });
+
+    test('should require connection', async() => {
+      controller.isConnected = false;
+      await expect(controller.syncRead([1], 132, 4)).rejects.toThrow('Controller not connected');
+    });
+  });
+
+  describe('Sync Write', () => {
+    test('should send encoded values in one SYNC WRITE packet', async() => {
+      const result = await controller.syncWrite(116, 4, { 1: 150, 2: 170 });
+
+      expect(result).toBe(true);
+      expect(mockConnection.send).toHaveBeenCalledWith(
+        Protocol2.createSyncWritePacket(116, 4, [
+          { id: 1, data: [0x96, 0x00, 0x00, 0x00] },
+          { id: 2, data: [0xAA, 0x00, 0x00, 0x00] }
+        ])
+      );
+      expect(mockConnection.sendAndWaitForResponse).not.toHaveBeenCalled();
+    });
+
+    test('should accept raw byte arrays and Maps', async() => {
+      await controller.syncWrite(65, 1, new Map([[3, [1]], [4, Buffer.from([0])]]));
+
+      const packet = mockConnection.send.mock.calls[0][0];
+      expect(Array.from(packet.slice(8, 16))).toEqual([0x41, 0x00, 0x01, 0x00, 3, 1, 4, 0]);
+    });
+
+    test('should reject invalid values', async() => {
+      await expect(controller.syncWrite(116, 4, null)).rejects.toThrow('Sync write values must be an object');
+      await expect(controller.syncWrite(116, 4, {})).rejects.toThrow('Device IDs must be a non-empty array');
+      await expect(controller.syncWrite(116, 4, { 1: [0x00] })).rejects.toThrow('must be 4 bytes');
+    });
+  });
+
+  describe('Bulk Read', () => {
+    test('should read different regions from each device in one transaction', async() => {
+      mockConnection.sendAndWaitForResponses.mockResolvedValue(new Map([
+        [1, createStatusPacketBuffer(1, 0, [0x00, 0x08, 0x00, 0x00])],
+        [5, createStatusPacketBuffer(5, 0, [0x24])]
+      ]));
+
+      const results = await controller.bulkRead([
+        { id: 1, address: 132, length: 4 },
+        { id: 5, address: 146, length: 1 }
+      ]);
+
+      const [packet, ids] = mockConnection.sendAndWaitForResponses.mock.calls[0];
+      expect(packet[7]).toBe(INSTRUCTIONS.BULK_READ);
+      expect(ids).toEqual([1, 5]);
+      expect(results.get(1)).toMatchObject({ id: 1, address: 132, length: 4, value: 2048, error: null });
+      expect(results.get(5)).toMatchObject({ id: 5, address: 146, length: 1, value: 0x24, error: null });
+    });
+
+    test('should report each device error separately', async() => {
+      mockConnection.sendAndWaitForResponses.mockResolvedValue(new Map([
+        [1, createStatusPacketBuffer(1, 0x07, [])],
+        [2, createStatusPacketBuffer(2, 0, [0x78, 0x00])]
+      ]));
+
+      const results = await controller.bulkRead([
+        { id: 1, address: 132, length: 4 },
+        { id: 2, address: 144, length: 2 },
+        { id: 3, address: 146, length: 1 }
+      ]);
+
+      expect(results.get(1).error.message).toContain('Device 1 error');
+      expect(results.get(2).value).toBe(120);
+      expect(results.get(3).error.message).toContain('Timeout');
+    });
+
+    test('should flag responses with an unexpected length', async() => {
+      mockConnection.sendAndWaitForResponses.mockResolvedValue(new Map([
+        [1, createStatusPacketBuffer(1, 0, [0x01])]
+      ]));
+
+      const results = await controller.bulkRead([{ id: 1, address: 132, length: 4 }]);
+
+      expect(results.get(1).error.message).toContain('returned 1 bytes, expected 4');
+    });
+
+    test('should validate requests', async() => {
+      await expect(controller.bulkRead('invalid')).rejects.toThrow('Bulk read requests must be an array');
+      await expect(controller.bulkRead([
+        { id: 1, address: 132, length: 4 },
+        { id: 1, address: 146, length: 1 }
+      ])).rejects.toThrow('Device IDs must be unique');
+      await expect(controller.bulkRead([{ id: 1, address: 132, length: 0 }])).rejects.toThrow('Invalid bulk read length 0 for ID 1');
+    });
+  });
+
+  describe('Fast Sync Read', () => {
+    test('should wait for one combined status packet from the broadcast ID', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createFastStatusPacketBuffer([
+        { id: 1, data: [0x00, 0x08, 0x00, 0x00] },
+        { id: 2, data: [0x00, 0x04, 0x00, 0x00] }
+      ]));
+
+      const results = await controller.fastSyncRead([1, 2], 132, 4, 50);
+
+      const [packet, id, timeout] = mockConnection.sendAndWaitForResponse.mock.calls[0];
+      expect(packet[7]).toBe(INSTRUCTIONS.FAST_SYNC_READ);
+      expect(id).toBe(BROADCAST_ID);
+      expect(timeout).toBe(50);
+      expect(results.get(1)).toMatchObject({ id: 1, value: 2048, error: null });
+      expect(results.get(2)).toMatchObject({ id: 2, value: 1024, error: null });
+    });
+
+    test('should accept already parsed packets with raw bytes', async() => {
+      const raw = createFastStatusPacketBuffer([{ id: 4, data: [0x2A] }]);
+      mockConnection.sendAndWaitForResponse.mockResolvedValue({ id: BROADCAST_ID, raw });
+
+      const results = await controller.fastSyncRead([4], 146, 1);
+
+      expect(results.get(4).value).toBe(0x2A);
+    });
+
+    test('should report block errors and CRC failures per device', async() => {
+      const buffer = createFastStatusPacketBuffer([
+        { id: 1, error: 0x01, data: [0x00] },
+        { id: 2, data: [0x05] },
+        { id: 3, data: [0x06] }
+      ]);
+      buffer[20] ^= 0xFF; // Data byte of the third block
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(buffer);
+
+      const results = await controller.fastSyncRead([1, 2, 3], 65, 1);
+
+      expect(results.get(1).error.message).toContain('Device 1 error');
+      expect(results.get(2).value).toBe(5);
+      expect(results.get(3).error.message).toContain('CRC mismatch');
+    });
+
+    test('should report a transport timeout for every device', async() => {
+      mockConnection.sendAndWaitForResponse.mockRejectedValue(new Error('Timeout waiting for response from device 254'));
+
+      const results = await controller.fastSyncRead([1, 2], 132, 4);
+
+      expect(results.get(1).error.message).toContain('Timeout');
+      expect(results.get(2).error.message).toContain('Timeout');
+    });
+
+    test('should flag blocks from unexpected devices', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createFastStatusPacketBuffer([
+        { id: 2, data: [0x01] }
+      ]));
+
+      const results = await controller.fastSyncRead([1, 2], 65, 1);
+
+      expect(results.get(1).error.message).toContain('Unexpected device ID 2');
+      expect(results.get(2).error.message).toContain('Timeout');
+    });
+  });
+
+  describe('Fast Bulk Read', () => {
+    test('should read different regions in one combined response', async() => {
+      mockConnection.sendAndWaitForResponse.mockResolvedValue(createFastStatusPacketBuffer([
+        { id: 1, data: [0x00, 0x08, 0x00, 0x00] },
+        { id: 5, data: [0x24] }
+      ]));
+
+      const results = await controller.fastBulkRead([
+        { id: 1, address: 132, length: 4 },
+        { id: 5, address: 146, length: 1 }
+      ]);
+
+      expect(mockConnection.sendAndWaitForResponse.mock.calls[0][0][7]).toBe(INSTRUCTIONS.FAST_BULK_READ);
+      expect(results.get(1)).toMatchObject({ address: 132, value: 2048, error: null });
+      expect(results.get(5)).toMatchObject({ address: 146, value: 0x24, error: null });
+    });
+
+    test('should validate requests', async() => {
+      await expect(controller.fastBulkRead(null)).rejects.toThrow('Bulk read requests must be an array');
+      await expect(controller.fastBulkRead([{ id: 1, address: 132, length: -1 }])).rejects.toThrow('Invalid bulk read length');
+    });
+  });
+
+  describe('Bulk Write', () => {
+    test('should send raw and numeric data in one BULK WRITE packet', async() => {
+      const result = await controller.bulkWrite([
+        { id: 1, address: 116, data: 2048, length: 4 },
+        { id: 5, address: 65, data: [1] }
+      ]);
+
+      expect(result).toBe(true);
+      expect(mockConnection.send).toHaveBeenCalledWith(
+        Protocol2.createBulkWritePacket([
+          { id: 1, address: 116, data: [0x00, 0x08, 0x00, 0x00] },
+          { id: 5, address: 65, data: [1] }
+        ])
+      );
+    });
+
+    test('should require a length for numeric data', async() => {
+      await expect(controller.bulkWrite([{ id: 1, address: 116, data: 2048 }]))
+        .rejects.toThrow('Bulk write for ID 1 needs a byte length for numeric data');
+    });
+  });
+
+  describe('Telemetry', () => {
+    beforeEach(() => {
+      controller.addDevice(1, { modelNumber: 1200 });
+      controller.addDevice(2, { modelNumber: 1200 });
+      mockConnection.sendAndWaitForResponse.mockImplementation(async(packet) => createStatusPacketBuffer(packet[4], 0, []));
+    });
+
+    test('should decode each device block and report failures per device', async() => {
+      const plan = await controller.planTelemetry(['presentCurrent', 'presentTemperature']);
+      expect(plan.sync).toBe(true);
+      expect(plan.blocks.get(2)).toMatchObject({ id: 2, address: 208, length: 3 });
+
+      mockConnection.sendAndWaitForResponses.mockResolvedValue(new Map([
+        [1, createStatusPacketBuffer(1, 0, [0x18, 0xFC, 40])]
+      ]));
+      const telemetry = await controller.readTelemetry(plan, 20);
+
+      const [packet] = mockConnection.sendAndWaitForResponses.mock.calls[0];
+      expect(Array.from(packet.slice(8, 14))).toEqual([208, 0, 3, 0, 1, 2]);
+      expect(telemetry.get(1)).toEqual({ id: 1, values: { presentCurrent: -1000, presentTemperature: 40 }, error: null });
+      expect(telemetry.get(2).values).toBeNull();
+      expect(telemetry.get(2).error.message).toContain('Timeout');
+    });
+
+    test('should report devices removed since planning', async() => {
+      const plan = await controller.planTelemetry(['presentTemperature']);
+      controller.removeDevice(2);
+
+      mockConnection.sendAndWaitForResponses.mockResolvedValue(new Map([
+        [1, createStatusPacketBuffer(1, 0, [40])],
+        [2, createStatusPacketBuffer(2, 0, [41])]
+      ]));
+      const telemetry = await controller.readTelemetry(plan, 20);
+
+      expect(telemetry.get(1).values).toEqual({ presentTemperature: 40 });
+      expect(telemetry.get(2)).toMatchObject({ id: 2, values: null });
+      expect(telemetry.get(2).error.message).toBe('Device 2 not found. Discover or add it first.');
+    });
+
+    test('should validate the plan', async() => {
+      await expect(controller.readTelemetry()).rejects.toThrow('No telemetry planned. Call planTelemetry() first.');
+      await expect(controller.planTelemetry(['presentPosition'], [1, 7])).rejects.toThrow('Device 7 not found. Discover or add it first.');
+      controller.protocolVersion = 1;
+      await expect(controller.planTelemetry(['presentPosition'])).rejects.toThrow('Telemetry requires Protocol 2.0');
+    });
+  });
+
+  describe('Emergency Stop', () => {
+    test('should broadcast torque off ahead of queued transactions', async() => {
+      await expect(controller.emergencyStop()).resolves.toBe(true);
+
+      expect(mockConnection.send).toHaveBeenCalledWith(
+        Protocol2.createWritePacket(BROADCAST_ID, 64, [0]),
+        { priority: TRANSACTION_PRIORITY.EMERGENCY }
+      );
+    });
+
+    test('should stop Protocol 1.0 devices on a mixed bus', async() => {
+      controller.addDevice(7, { protocolVersion: 1 });
+
+      await controller.emergencyStop();
+
+      expect(mockConnection.send).toHaveBeenCalledTimes(2);
+      expect(mockConnection.send).toHaveBeenCalledWith(
+        Protocol1.createWritePacket(BROADCAST_ID, 24, [0]),
+        { priority: TRANSACTION_PRIORITY.EMERGENCY }
+      );
+    });
+  });
+
+  describe('Action', () => {
+    test('should broadcast ACTION for each protocol on the bus', async() => {
+      controller.addDevice(7, { protocolVersion: 1 });
+
+      await expect(controller.action()).resolves.toBe(true);
+
+      expect(mockConnection.send).toHaveBeenCalledWith(Protocol2.createActionPacket(BROADCAST_ID));
+      expect(mockConnection.send).toHaveBeenCalledWith(Protocol1.createActionPacket(BROADCAST_ID));
+    });
+
+    test('should reject invalid ID lists', async() => {
+      await expect(controller.action([])).rejects.toThrow('Device IDs must be a non-empty array');
+      await expect(controller.action([1, 1])).rejects.toThrow('Device IDs must be unique');
+    });
+  });
+
+  describe('Broadcast Ping', () => {
+    test('should collect every responder from one broadcast PING', async() => {
+      mockConnection.sendAndWaitForResponses.mockResolvedValue(new Map([
+        [3, createStatusPacketBuffer(3, 0, [0xFC, 0x03, 0x2D])],
+        [1, createStatusPacketBuffer(1, 0, [0x24, 0x04, 0x34])]
+      ]));
+
+      const devices = await controller.broadcastPing({ timeout: 500 });
+
+      const [packet, ids, timeout] = mockConnection.sendAndWaitForResponses.mock.calls[0];
+      expect(packet).toEqual(Protocol2.createPingPacket(BROADCAST_ID));
+      expect(ids).toHaveLength(253);
+      expect(timeout).toBe(500);
+      expect(devices).toEqual([
+        { id: 1, modelNumber: 1060, firmwareVersion: 52, error: 0 },
+        { id: 3, modelNumber: 1020, firmwareVersion: 45, error: 0 }
+      ]);
+      expect(controller.getDevice(1).modelName).toBe('XL430-W250');
+      expect(controller.getDevice(3).modelName).toBe('XM430-W350');
+    });
+
+    test('should ping the range one by one when a reply is corrupted', async() => {
+      const corrupted = Buffer.from(createStatusPacketBuffer(2, 0, [0x24, 0x04, 0x34]));
+      corrupted[corrupted.length - 1] ^= 0xFF;
+      mockConnection.sendAndWaitForResponses.mockResolvedValue(new Map([[2, corrupted]]));
+      mockConnection.ping = jest.fn(async(id) => {
+        if (id !== 2 && id !== 4) {
+          throw new Error(`Timeout waiting for response from device ${id}`);
+        }
+        return { id, modelNumber: 1060, firmwareVersion: 52, error: 0 };
+      });
+
+      const devices = await controller.broadcastPing({ startId: 1, endId: 5 });
+
+      expect(mockConnection.sendAndWaitForResponses.mock.calls[0][1]).toEqual([1, 2, 3, 4, 5]);
+      expect(mockConnection.ping).toHaveBeenCalledTimes(5);
+      expect(devices.map(device => device.id)).toEqual([2, 4]);
+    });
+
+    test('should ping the range one by one when garbage or unreadable packets arrive in the window', async() => {
+      const reply = createStatusPacketBuffer(1, 0, [0x24, 0x04, 0x34]);
+      const corrupted = Buffer.from(createStatusPacketBuffer(200, 0, [0x24, 0x04, 0x34]));
+      corrupted[corrupted.length - 1] ^= 0xFF;
+      mockConnection.ping = jest.fn(async(id) => {
+        if (id !== 1 && id !== 3) {
+          throw new Error(`Timeout waiting for response from device ${id}`);
+        }
+        return { id, modelNumber: 1060, firmwareVersion: 52, error: 0 };
+      });
+
+      for (const emit of [
+        () => mockConnection.emit('noise', Buffer.from([0xFF, 0x12])),
+        () => mockConnection.emit('packet', corrupted)
+      ]) {
+        mockConnection.ping.mockClear();
+        mockConnection.sendAndWaitForResponses.mockImplementationOnce(async() => {
+          mockConnection.emit('packet', reply);
+          emit();
+          return new Map([[1, reply]]);
+        });
+
+        const devices = await controller.broadcastPing({ startId: 1, endId: 5 });
+        expect(mockConnection.ping).toHaveBeenCalledTimes(5);
+        expect(devices.map(device => device.id)).toEqual([1, 3]);
+      }
+      expect(mockConnection.listenerCount('noise')).toBe(0);
+      expect(mockConnection.listenerCount('packet')).toBe(0);
+    });
+
+    test('should reject invalid ID ranges', async() => {
+      await expect(controller.broadcastPing({ startId: 10, endId: 5 })).rejects.toThrow('Invalid ID range 10-5. Must be within 0-252.');
+      await expect(controller.broadcastPing({ endId: 253 })).rejects.toThrow('Invalid ID range 0-253. Must be within 0-252.');
+    });
+  });
+});
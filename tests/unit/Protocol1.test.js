@@ -0,0 +1,136 @@
+import { describe, test, expect } from '@jest/globals';
+import { Protocol1 } from '../../src/dynamixel/Protocol1.js';
+import { PacketFraming } from '../../src/dynamixel/PacketFraming.js';
+import { Protocol2 } from '../../src/dynamixel/Protocol2.js';
+import { createProtocol1StatusPacketBuffer, createStatusPacketBuffer } from '../fixtures/packets.js';
+
+describe('Protocol1', () => {
+  describe('Checksum Calculation', () => {
+    test('should calculate checksum for ROBOTIS PING example', () => {
+      // PING ID 1: FF FF 01 02 01 FB
+      expect(Protocol1.calculateChecksum([0x01, 0x02, 0x01])).toBe(0xFB);
+    });
+
+    test('should keep the lowest byte of the inverted sum', () => {
+      expect(Protocol1.calculateChecksum([0xFE, 0xFF, 0x83])).toBe((~(0xFE + 0xFF + 0x83)) & 0xFF);
+    });
+  });
+
+  describe('Packet Construction', () => {
+    test('should create PING packet', () => {
+      expect(Array.from(Protocol1.createPingPacket(1))).toEqual([0xFF, 0xFF, 0x01, 0x02, 0x01, 0xFB]);
+    });
+
+    test('should create READ packet matching ROBOTIS example', () => {
+      // Read internal temperature (43, 1 byte) from ID 1: FF FF 01 04 02 2B 01 CC
+      expect(Array.from(Protocol1.createReadPacket(1, 43, 1))).toEqual([0xFF, 0xFF, 0x01, 0x04, 0x02, 0x2B, 0x01, 0xCC]);
+    });
+
+    test('should create WRITE packet matching ROBOTIS example', () => {
+      // Broadcast ID change to 1: FF FF FE 04 03 03 01 F6
+      expect(Array.from(Protocol1.createWritePacket(0xFE, 3, [1]))).toEqual([0xFF, 0xFF, 0xFE, 0x04, 0x03, 0x03, 0x01, 0xF6]);
+    });
+
+    test('should create REG WRITE and ACTION packets', () => {
+      // Register goal position (30) = 500 on ID 1, then trigger all devices
+      expect(Array.from(Protocol1.createRegWritePacket(1, 30, [0xF4, 0x01]))).toEqual([0xFF, 0xFF, 0x01, 0x05, 0x04, 0x1E, 0xF4, 0x01, 0xE2]);
+      expect(Array.from(Protocol1.createActionPacket(0xFE))).toEqual([0xFF, 0xFF, 0xFE, 0x02, 0x05, 0xFA]);
+    });
+
+    test('should create SYNC WRITE packet matching ROBOTIS example', () => {
+      const packet = Protocol1.createSyncWritePacket(0x1E, 4, [
+        { id: 0, data: [0x10, 0x00, 0x50, 0x01] },
+        { id: 1, data: [0x20, 0x02, 0x60, 0x03] },
+        { id: 2, data: [0x30, 0x00, 0x70, 0x01] },
+        { id: 3, data: [0x20, 0x02, 0x80, 0x03] }
+      ]);
+
+      expect(Array.from(packet)).toEqual([
+        0xFF, 0xFF, 0xFE, 0x18, 0x83, 0x1E, 0x04,
+        0x00, 0x10, 0x00, 0x50, 0x01,
+        0x01, 0x20, 0x02, 0x60, 0x03,
+        0x02, 0x30, 0x00, 0x70, 0x01,
+        0x03, 0x20, 0x02, 0x80, 0x03,
+        0x12
+      ]);
+    });
+
+    test('should reject sync write data with the wrong length', () => {
+      expect(() => Protocol1.createSyncWritePacket(30, 2, [{ id: 1, data: [0x00] }])).toThrow('must be 2 bytes');
+    });
+
+    test('should reject packets longer than the 1-byte LENGTH field', () => {
+      expect(() => Protocol1.createInstructionPacket(1, 0x03, new Array(254).fill(0))).toThrow('Protocol 1.0 packet too long');
+    });
+  });
+
+  describe('Packet Parsing', () => {
+    test('should parse status packet matching ROBOTIS example', () => {
+      // Internal temperature 32 from ID 1: FF FF 01 03 00 20 DB
+      const packet = Protocol1.parseStatusPacket(Buffer.from([0xFF, 0xFF, 0x01, 0x03, 0x00, 0x20, 0xDB]));
+
+      expect(packet).toMatchObject({ id: 1, error: 0, parameters: [0x20], length: 3 });
+    });
+
+    test('should throw on checksum mismatch', () => {
+      const buffer = createProtocol1StatusPacketBuffer(1, 0, [0x20]);
+      buffer[buffer.length - 1] ^= 0xFF;
+
+      expect(() => Protocol1.parseStatusPacket(buffer)).toThrow('Checksum mismatch');
+    });
+
+    test('should return null for incomplete or Protocol 2.0 packets', () => {
+      expect(Protocol1.parseStatusPacket(Buffer.from([0xFF, 0xFF, 0x01, 0x03, 0x00]))).toBeNull();
+      expect(Protocol1.parseStatusPacket(createStatusPacketBuffer(1, 0, [0x20]))).toBeNull();
+    });
+  });
+
+  describe('Packet Length Detection', () => {
+    test('should detect complete packet length', () => {
+      const buffer = createProtocol1StatusPacketBuffer(1, 0, [0x00, 0x02]);
+      expect(Protocol1.getCompletePacketLength(buffer)).toBe(8);
+      expect(Protocol1.getCompletePacketLength(buffer.slice(0, 7))).toBe(0);
+      expect(Protocol1.getCompletePacketLength(Buffer.from([0xFF, 0xFF, 0x01, 0x01, 0xFE]))).toBe(-1);
+      expect(Protocol1.getCompletePacketLength(Buffer.from([0xFF, 0xFF, 0x01, 0xFF, 0x00]))).toBe(-1);
+    });
+
+    test('should not treat Protocol 2.0 headers as Protocol 1.0 packets', () => {
+      expect(Protocol1.isProtocol1Packet(Buffer.from([0xFF, 0xFF, 0xFD, 0x00]))).toBe(false);
+      expect(Protocol1.getCompletePacketLength(Protocol2.createPingPacket(1))).toBe(0);
+    });
+
+    test('should find the next header', () => {
+      expect(Protocol1.findPacketStart(Buffer.from([0x00, 0xFF, 0xFF, 0xFF, 0x01, 0x02]))).toBe(2);
+      expect(Protocol1.findPacketStart(Buffer.from([0x00, 0xFF]))).toBe(1);
+      expect(Protocol1.findPacketStart(Buffer.from([0x00, 0x01]))).toBe(2);
+    });
+  });
+
+  describe('Error Descriptions', () => {
+    test('should describe Protocol 1.0 error bits', () => {
+      expect(Protocol1.getErrorDescription(0)).toBe('No Error');
+      expect(Protocol1.getErrorDescription(0x24)).toBe('Overheating Error, Overload Error');
+      expect(Protocol1.getErrorDescription(0x40)).toContain('Instruction Error');
+    });
+  });
+
+  describe('Mixed Bus Framing', () => {
+    test('should route packets of both protocols', () => {
+      const protocol1 = createProtocol1StatusPacketBuffer(3, 0, [0x20]);
+      const protocol2 = createStatusPacketBuffer(5, 0, [0x20]);
+
+      expect(PacketFraming.getProtocol(protocol1)).toBe(Protocol1);
+      expect(PacketFraming.getProtocol(protocol2)).toBe(Protocol2);
+      expect(PacketFraming.getPacketId(protocol1)).toBe(3);
+      expect(PacketFraming.getPacketId(protocol2)).toBe(5);
+      expect(PacketFraming.getCompletePacketLength(protocol1)).toBe(protocol1.length);
+      expect(PacketFraming.getCompletePacketLength(protocol2)).toBe(protocol2.length);
+    });
+
+    test('should resynchronize on the first header of either protocol', () => {
+      const protocol1 = createProtocol1StatusPacketBuffer(3, 0, [0x20]);
+
+      expect(PacketFraming.findPacketStart(Buffer.concat([Buffer.from([0x00, 0x12]), protocol1]))).toBe(2);
+    });
+  });
+});
@@ -1,5 +1,8 @@
 import { describe, test, expect } from '@jest/globals';
 import { Protocol2 } from '../../src/dynamixel/Protocol2.js';
+import { INSTRUCTIONS } from '../../src/dynamixel/constants.js';
+import { DynamixelCrcError } from '../../src/dynamixel/errors.js';
+import { createStatusPacketBuffer, createFastStatusPacketBuffer } from '../fixtures/packets.js';
 
 describe('Protocol2', () => {
   describe('CRC Calculation', () => {
@@ -211,6 +214,223 @@ describe('Protocol2', () => {
     });
   });
 
+  describe('Registered Writes', () => {
+    test('should create REG WRITE packet matching ROBOTIS example', () => {
+      // Register goal velocity (104) = 200 on ID 1
+      const packet = Protocol2.createRegWritePacket(1, 104, Protocol2.encodeValue(200, 4));
+
+      expect(Array.from(packet)).toEqual([
+        0xFF, 0xFF, 0xFD, 0x00, 0x01, 0x09, 0x00, 0x04,
+        0x68, 0x00, 0xC8, 0x00, 0x00, 0x00, 0xAE, 0x8E
+      ]);
+    });
+
+    test('should create ACTION packet matching ROBOTIS example', () => {
+      expect(Array.from(Protocol2.createActionPacket(1))).toEqual([0xFF, 0xFF, 0xFD, 0x00, 0x01, 0x03, 0x00, 0x05, 0x02, 0xCE]);
+    });
+  });
+
+  describe('Group Packets', () => {
+    test('should create SYNC READ packet matching ROBOTIS example', () => {
+      // Read present position (132, 4 bytes) from ID 1 and ID 2
+      const packet = Protocol2.createSyncReadPacket(132, 4, [1, 2]);
+
+      expect(Array.from(packet)).toEqual([
+        0xFF, 0xFF, 0xFD, 0x00, 0xFE, 0x09, 0x00, 0x82,
+        0x84, 0x00, 0x04, 0x00, 0x01, 0x02, 0xCE, 0xFA
+      ]);
+    });
+
+    test('should create SYNC WRITE packet matching ROBOTIS example', () => {
+      // Write goal position (116, 4 bytes): ID 1 = 150, ID 2 = 170
+      const packet = Protocol2.createSyncWritePacket(116, 4, [
+        { id: 1, data: Protocol2.encodeValue(150, 4) },
+        { id: 2, data: Protocol2.encodeValue(170, 4) }
+      ]);
+
+      expect(Array.from(packet)).toEqual([
+        0xFF, 0xFF, 0xFD, 0x00, 0xFE, 0x11, 0x00, 0x83,
+        0x74, 0x00, 0x04, 0x00,
+        0x01, 0x96, 0x00, 0x00, 0x00,
+        0x02, 0xAA, 0x00, 0x00, 0x00,
+        0x82, 0x87
+      ]);
+    });
+
+    test('should reject SYNC WRITE data with the wrong length', () => {
+      expect(() => {
+        Protocol2.createSyncWritePacket(116, 4, [{ id: 1, data: [0x00, 0x08] }]);
+      }).toThrow('Sync write data for ID 1 must be 4 bytes, got 2');
+    });
+
+    test('should create BULK READ packet with per-device address and length', () => {
+      // ID 1: present voltage (144, 2 bytes), ID 2: present position (132, 4 bytes)
+      const packet = Protocol2.createBulkReadPacket([
+        { id: 1, address: 144, length: 2 },
+        { id: 2, address: 132, length: 4 }
+      ]);
+      const parsedLength = packet[5] | (packet[6] << 8);
+
+      expect(packet[4]).toBe(0xFE);
+      expect(packet[7]).toBe(0x92);
+      expect(parsedLength).toBe(13);
+      expect(Array.from(packet.slice(8, 18))).toEqual([
+        0x01, 0x90, 0x00, 0x02, 0x00,
+        0x02, 0x84, 0x00, 0x04, 0x00
+      ]);
+      expect(Protocol2.calculateCRC(packet.slice(0, -2))).toBe(packet[18] | (packet[19] << 8));
+    });
+
+    test('should create BULK WRITE packet with per-device data', () => {
+      const packet = Protocol2.createBulkWritePacket([
+        { id: 1, address: 0x20, data: [0xA0, 0x00] },
+        { id: 2, address: 0x1F, data: Buffer.from([0x50]) }
+      ]);
+
+      expect(packet[7]).toBe(0x93);
+      expect(Array.from(packet.slice(8, -2))).toEqual([
+        0x01, 0x20, 0x00, 0x02, 0x00, 0xA0, 0x00,
+        0x02, 0x1F, 0x00, 0x01, 0x00, 0x50
+      ]);
+    });
+
+    test('should reject empty BULK WRITE data', () => {
+      expect(() => {
+        Protocol2.createBulkWritePacket([{ id: 1, address: 65, data: [] }]);
+      }).toThrow('Bulk write data for ID 1 must not be empty');
+    });
+
+    test('should encode and decode little-endian values', () => {
+      expect(Protocol2.encodeValue(2048, 4)).toEqual([0x00, 0x08, 0x00, 0x00]);
+      expect(Protocol2.encodeValue(-1, 2)).toEqual([0xFF, 0xFF]);
+      expect(Protocol2.decodeValue([0x00, 0x08, 0x00, 0x00])).toBe(2048);
+      expect(Protocol2.decodeValue([0xFF, 0xFF, 0xFF, 0xFF])).toBe(0xFFFFFFFF);
+    });
+  });
+
+  describe('Fast Group Reads', () => {
+    test('should create FAST SYNC READ packet', () => {
+      const packet = Protocol2.createFastSyncReadPacket(132, 4, [3, 7]);
+
+      expect(packet[4]).toBe(0xFE);
+      expect(packet[7]).toBe(INSTRUCTIONS.FAST_SYNC_READ);
+      expect(Array.from(packet.slice(8, 14))).toEqual([0x84, 0x00, 0x04, 0x00, 3, 7]);
+    });
+
+    test('should create FAST BULK READ packet', () => {
+      const packet = Protocol2.createFastBulkReadPacket([
+        { id: 1, address: 132, length: 4 },
+        { id: 2, address: 146, length: 1 }
+      ]);
+
+      expect(packet[7]).toBe(INSTRUCTIONS.FAST_BULK_READ);
+      expect(Array.from(packet.slice(8, 18))).toEqual([1, 0x84, 0x00, 0x04, 0x00, 2, 0x92, 0x00, 0x01, 0x00]);
+    });
+
+    test('should split a combined status packet into device blocks', () => {
+      const buffer = createFastStatusPacketBuffer([
+        { id: 3, data: [0x00, 0x08, 0x00, 0x00] },
+        { id: 7, error: 0x80, data: [0x00, 0x04, 0x00, 0x00] }
+      ]);
+
+      const blocks = Protocol2.parseFastStatusPacket(buffer, [4, 4]);
+
+      expect(blocks).toEqual([
+        { id: 3, error: 0, parameters: [0x00, 0x08, 0x00, 0x00], crcValid: true },
+        { id: 7, error: 0x80, parameters: [0x00, 0x04, 0x00, 0x00], crcValid: true }
+      ]);
+    });
+
+    test('should support different block lengths', () => {
+      const buffer = createFastStatusPacketBuffer([
+        { id: 1, data: [0x00, 0x08, 0x00, 0x00] },
+        { id: 2, data: [0x24] }
+      ]);
+
+      const blocks = Protocol2.parseFastStatusPacket(buffer, [4, 1]);
+
+      expect(blocks.map(block => block.parameters)).toEqual([[0x00, 0x08, 0x00, 0x00], [0x24]]);
+    });
+
+    test('should flag only the corrupted block', () => {
+      const buffer = createFastStatusPacketBuffer([
+        { id: 1, data: [0x10] },
+        { id: 2, data: [0x20] }
+      ]);
+      buffer[15] ^= 0xFF; // Data byte of the second block
+
+      const blocks = Protocol2.parseFastStatusPacket(buffer, [1, 1]);
+
+      expect(blocks[0].crcValid).toBe(true);
+      expect(blocks[1].crcValid).toBe(false);
+    });
+
+    test('should stop at blocks beyond the packet length', () => {
+      const buffer = createFastStatusPacketBuffer([{ id: 1, data: [0x10] }]);
+
+      const blocks = Protocol2.parseFastStatusPacket(buffer, [1, 1]);
+
+      expect(blocks).toHaveLength(1);
+    });
+
+    test('should return null for incomplete or non-status packets', () => {
+      const buffer = createFastStatusPacketBuffer([{ id: 1, data: [0x10] }]);
+
+      expect(Protocol2.parseFastStatusPacket(buffer.slice(0, 10), [1])).toBeNull();
+      expect(Protocol2.parseFastStatusPacket(Protocol2.createPingPacket(1), [1])).toBeNull();
+    });
+  });
+
+  describe('Byte Stuffing', () => {
+    test('should stuff header sequences inside parameters', () => {
+      expect(Protocol2.addStuffing([0x03, 0xFF, 0xFF, 0xFD, 0x00])).toEqual([0x03, 0xFF, 0xFF, 0xFD, 0xFD, 0x00]);
+      expect(Protocol2.addStuffing([0xFF, 0xFD, 0xFF, 0xFF, 0xFE])).toEqual([0xFF, 0xFD, 0xFF, 0xFF, 0xFE]);
+    });
+
+    test('should remove stuffing bytes', () => {
+      expect(Protocol2.removeStuffing([0x03, 0xFF, 0xFF, 0xFD, 0xFD, 0x00])).toEqual([0x03, 0xFF, 0xFF, 0xFD, 0x00]);
+      expect(Protocol2.removeStuffing([0xFF, 0xFF, 0xFD, 0xFD, 0xFD])).toEqual([0xFF, 0xFF, 0xFD, 0xFD]);
+    });
+
+    test('should count stuffed bytes in the instruction packet LENGTH', () => {
+      // Write 0xFDFFFF74 to Goal Position (116)
+      const packet = Protocol2.createInstructionPacket(1, 0x03, [0x74, 0x00, 0x74, 0xFF, 0xFF, 0xFD]);
+
+      expect(Array.from(packet.slice(7, 15))).toEqual([0x03, 0x74, 0x00, 0x74, 0xFF, 0xFF, 0xFD, 0xFD]);
+      expect(packet[5] | (packet[6] << 8)).toBe(10); // Instruction + 7 stuffed params + CRC(2)
+      expect(packet.length).toBe(17);
+
+      const crc = Protocol2.calculateCRC(packet.slice(0, 15));
+      expect(packet[15] | (packet[16] << 8)).toBe(crc);
+    });
+
+    test('should leave packets without header sequences unchanged', () => {
+      const packet = Protocol2.createInstructionPacket(1, 0x03, [0x74, 0x00, 0xFF, 0xFF, 0x00, 0x00]);
+      expect(packet[5]).toBe(9);
+    });
+
+    test('should parse stuffed status packets', () => {
+      const buffer = createStatusPacketBuffer(1, 0, [0xFF, 0xFF, 0xFD, 0x00]);
+      expect(buffer.length).toBe(16); // One stuffing byte on the wire
+
+      const packet = Protocol2.parseStatusPacket(buffer);
+
+      expect(packet.error).toBe(0);
+      expect(packet.parameters).toEqual([0xFF, 0xFF, 0xFD, 0x00]);
+      expect(Protocol2.getCompletePacketLength(buffer)).toBe(16);
+    });
+
+    test('should find the next real header', () => {
+      const stuffed = createStatusPacketBuffer(2, 0, [0xFF, 0xFF, 0xFD]);
+      const garbage = Buffer.from([0x12, 0xFF, 0xFF, 0xFD, 0xFD, 0x00]);
+
+      expect(Protocol2.findPacketStart(Buffer.concat([garbage, stuffed]))).toBe(garbage.length);
+      expect(Protocol2.findPacketStart(stuffed.slice(1))).toBe(stuffed.length - 1);
+      expect(Protocol2.findPacketStart(Buffer.from([0x00, 0xFF, 0xFF]))).toBe(1);
+      expect(Protocol2.findPacketStart(Buffer.from([0xFF, 0xFF, 0xFD, 0x00, 0x01, 0x00, 0x00, 0xFF]))).toBe(7);
+    });
+  });
+
   describe('Packet Length Detection', () => {
     test('should detect complete packet length', () => {
       const completePacket = Buffer.from([
@@ -234,6 +454,12 @@ describe('Protocol2', () => {
       const length = Protocol2.getCompletePacketLength(invalidHeader);
       expect(length).toBe(0);
     });
+
+    test('should return -1 for headers with an impossible length', () => {
+      expect(Protocol2.getCompletePacketLength(Buffer.from([0xFF, 0xFF, 0xFD, 0x00, 0x01, 0x02, 0x00]))).toBe(-1);
+      expect(Protocol2.getCompletePacketLength(Buffer.from([0xFF, 0xFF, 0xFD, 0x00, 0x01, 0xFF, 0xFF, 0x55]))).toBe(-1);
+      expect(Protocol2.getCompletePacketLength(Buffer.from([0xFF, 0xFF, 0xFD, 0x00, 0x01, 0xF9, 0x03]))).toBe(0);
+    });
   });
 
   describe('Error Descriptions', () => {
@@ -242,16 +468,26 @@ describe('Protocol2', () => {
       expect(description).toBe('No Error');
     });
 
-    test('should describe single error flags', () => {
-      expect(Protocol2.getErrorDescription(0x01)).toContain('Result Fail');
-      expect(Protocol2.getErrorDescription(0x02)).toContain('Instruction Error');
-      expect(Protocol2.getErrorDescription(0x03)).toContain('CRC Error');
+    test('should describe error codes', () => {
+      expect(Protocol2.getErrorDescription(0x01)).toBe('Result Fail');
+      expect(Protocol2.getErrorDescription(0x02)).toBe('Instruction Error');
+      expect(Protocol2.getErrorDescription(0x03)).toBe('CRC Error');
+      expect(Protocol2.getErrorDescription(0x07)).toBe('Access Error');
+      expect(Protocol2.getErrorDescription(0x10)).toBe('Unknown Error 16');
     });
 
-    test('should describe multiple error flags', () => {
-      const description = Protocol2.getErrorDescription(0x03); // Result Fail + Instruction Error
-      expect(description).toContain('Result Fail');
-      expect(description).toContain('Instruction Error');
+    test('should report the Hardware Alert bit separately from the code', () => {
+      expect(Protocol2.getErrorDescription(0x80)).toBe('Hardware Alert');
+      expect(Protocol2.getErrorDescription(0x84)).toBe('Data Range Error, Hardware Alert');
+      expect(Protocol2.decodeError(0x84)).toEqual({ code: 4, alert: true });
+      expect(Protocol2.decodeError(0x80)).toEqual({ code: 0, alert: true });
+    });
+
+    test('should throw a typed error on CRC mismatch', () => {
+      const buffer = createStatusPacketBuffer(1, 0, [0x10]);
+      buffer[buffer.length - 1] ^= 0xFF;
+
+      expect(() => Protocol2.parseStatusPacket(buffer)).toThrow(DynamixelCrcError);
     });
   });
 });
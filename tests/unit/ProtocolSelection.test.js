@@ -0,0 +1,79 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { DynamixelController } from '../../src/DynamixelController.js';
+import { Protocol1 } from '../../src/dynamixel/Protocol1.js';
+import { createProtocol1StatusPacketBuffer } from '../fixtures/packets.js';
+
+describe('Protocol Selection', () => {
+  let controller;
+  let mockConnection;
+
+  beforeEach(() => {
+    mockConnection = {
+      on: jest.fn(),
+      send: jest.fn().mockResolvedValue(undefined),
+      ping: jest.fn(),
+      discoverDevices: jest.fn(),
+      sendAndWaitForResponse: jest.fn(),
+      sendAndWaitForResponses: jest.fn()
+    };
+
+    controller = new DynamixelController({ deferConnection: true, protocolVersion: 1 });
+    controller.connection = mockConnection;
+    controller.isConnected = true;
+  });
+
+  test('should default to Protocol 2.0', () => {
+    expect(new DynamixelController({ deferConnection: true }).protocolVersion).toBe(2);
+  });
+
+  test('should reject unknown protocol versions', () => {
+    expect(() => new DynamixelController({ deferConnection: true, protocolVersion: 3 }))
+      .toThrow('Unsupported protocol version 3');
+  });
+
+  test('should create devices with the controller protocol unless overridden', () => {
+    expect(controller.addDevice(1).protocolVersion).toBe(1);
+    expect(controller.addDevice(2, { protocolVersion: 2 }).protocolVersion).toBe(2);
+  });
+
+  test('should ping with Protocol 1.0', async() => {
+    mockConnection.sendAndWaitForResponse
+      .mockResolvedValueOnce(createProtocol1StatusPacketBuffer(1, 0, []))
+      .mockResolvedValueOnce(createProtocol1StatusPacketBuffer(1, 0, [12, 0, 24]));
+
+    const info = await controller.ping(1);
+
+    expect(mockConnection.ping).not.toHaveBeenCalled();
+    expect(info).toMatchObject({ id: 1, modelNumber: 12, firmwareVersion: 24 });
+  });
+
+  test('should discover Protocol 1.0 devices', async() => {
+    mockConnection.sendAndWaitForResponse.mockImplementation(async(packet, id) => {
+      if (id !== 4) {
+        throw new Error(`Timeout waiting for response from device ${id}`);
+      }
+      return createProtocol1StatusPacketBuffer(4, 0, packet[4] === 0x01 ? [] : [12, 0, 24]);
+    });
+
+    const devices = await controller.discoverDevices({ timeout: 10 });
+
+    expect(mockConnection.discoverDevices).not.toHaveBeenCalled();
+    expect(devices).toEqual([{ id: 4, modelNumber: 12, firmwareVersion: 24, error: 0, modelName: 'AX-12A', protocolVersion: 1 }]);
+    expect(controller.getDevice(4).protocolVersion).toBe(1);
+  });
+
+  test('should send Protocol 1.0 SYNC WRITE', async() => {
+    await controller.syncWrite(30, 2, { 1: 512, 2: 256 });
+
+    expect(mockConnection.send).toHaveBeenCalledWith(Protocol1.createSyncWritePacket(30, 2, [
+      { id: 1, data: [0x00, 0x02] },
+      { id: 2, data: [0x00, 0x01] }
+    ]));
+  });
+
+  test('should reject Protocol 2.0 only group operations', async() => {
+    await expect(controller.syncRead([1], 36, 2)).rejects.toThrow('Sync Read requires Protocol 2.0');
+    await expect(controller.fastSyncRead([1], 36, 2)).rejects.toThrow('Fast Sync Read requires Protocol 2.0');
+    await expect(controller.bulkWrite([{ id: 1, address: 30, data: [0] }])).rejects.toThrow('Bulk Write requires Protocol 2.0');
+  });
+});
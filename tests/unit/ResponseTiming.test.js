@@ -0,0 +1,151 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { ResponseTiming } from '../../src/transport/ResponseTiming.js';
+import { Protocol1 } from '../../src/dynamixel/Protocol1.js';
+import { Protocol2 } from '../../src/dynamixel/Protocol2.js';
+import { BROADCAST_ID, INSTRUCTIONS, PROTOCOL1_INSTRUCTIONS, SLOW_INSTRUCTION_TIME } from '../../src/dynamixel/constants.js';
+
+describe('ResponseTiming', () => {
+  let timing;
+
+  beforeEach(() => {
+    timing = new ResponseTiming();
+  });
+
+  describe('Expected responses', () => {
+    test('should size PING and READ status packets', () => {
+      expect(ResponseTiming.getExpectedResponses(Protocol2.createPingPacket(1))).toEqual([{ id: 1, length: 14 }]);
+      expect(ResponseTiming.getExpectedResponses(Protocol2.createReadPacket(3, 132, 4))).toEqual([{ id: 3, length: 15 }]);
+      expect(ResponseTiming.getExpectedResponses(Protocol2.createWritePacket(3, 65, [1]))).toEqual([{ id: 3, length: 11 }]);
+    });
+
+    test('should expect one status packet per device of a group read', () => {
+      expect(ResponseTiming.getExpectedResponses(Protocol2.createSyncReadPacket(132, 4, [1, 2, 3]))).toEqual([
+        { id: 1, length: 15 },
+        { id: 2, length: 15 },
+        { id: 3, length: 15 }
+      ]);
+      expect(ResponseTiming.getExpectedResponses(Protocol2.createBulkReadPacket([
+        { id: 1, address: 132, length: 4 },
+        { id: 2, address: 146, length: 1 }
+      ]))).toEqual([{ id: 1, length: 15 }, { id: 2, length: 12 }]);
+    });
+
+    test('should expect a single combined packet for fast group reads', () => {
+      expect(ResponseTiming.getExpectedResponses(Protocol2.createFastSyncReadPacket(132, 4, [1, 2]))).toEqual([{ id: 1, length: 24 }]);
+      expect(ResponseTiming.getExpectedResponses(Protocol2.createFastBulkReadPacket([
+        { id: 4, address: 132, length: 4 },
+        { id: 5, address: 146, length: 1 }
+      ]))).toEqual([{ id: 4, length: 21 }]);
+    });
+
+    test('should not expect answers to broadcast writes', () => {
+      expect(ResponseTiming.getExpectedResponses(Protocol2.createWritePacket(BROADCAST_ID, 64, [0]))).toEqual([]);
+      expect(ResponseTiming.getExpectedResponses(Protocol2.createActionPacket(BROADCAST_ID))).toEqual([]);
+    });
+
+    test('should expect every ID to answer a broadcast PING', () => {
+      const responses = ResponseTiming.getExpectedResponses(Protocol2.createPingPacket(BROADCAST_ID));
+      expect(responses).toHaveLength(253);
+      expect(responses[252]).toEqual({ id: 252, length: 14 });
+    });
+
+    test('should size Protocol 1.0 status packets', () => {
+      expect(ResponseTiming.getExpectedResponses(Protocol1.createPingPacket(1))).toEqual([{ id: 1, length: 6 }]);
+      expect(ResponseTiming.getExpectedResponses(Protocol1.createReadPacket(1, 36, 2))).toEqual([{ id: 1, length: 8 }]);
+      expect(ResponseTiming.getExpectedResponses(Protocol1.createWritePacket(BROADCAST_ID, 24, [0]))).toEqual([]);
+    });
+  });
+
+  describe('Timeouts', () => {
+    test('should add wire time, return delay, latency both ways and a margin', () => {
+      // 24 bytes at 1 Mbps (0.24 ms) + 0.5 ms return delay + 2 × 16 ms latency + 2 ms
+      expect(timing.getTimeout(Protocol2.createPingPacket(1), 1000000)).toBe(35);
+      // 24 bytes at 57600 baud take 4.17 ms
+      expect(timing.getTimeout(Protocol2.createPingPacket(1), 57600)).toBe(39);
+    });
+
+    test('should scale with the baud rate and response size', () => {
+      const fast = new ResponseTiming({ latency: 1 });
+      const packet = Protocol2.createReadPacket(1, 0, 100);
+
+      expect(fast.getTimeout(packet, 57600)).toBe(27);
+      expect(fast.getTimeout(packet, 4000000)).toBe(5);
+    });
+
+    test('should use the tracked Return Delay Time of each device', () => {
+      const quick = new ResponseTiming({ latency: 0 });
+      const packet = Protocol2.createSyncReadPacket(132, 4, [1, 2, 3]);
+
+      expect(quick.getTimeout(packet, 4000000)).toBe(4);
+
+      [1, 2, 3].forEach(id => quick.setReturnDelayTime(id, 0));
+      expect(quick.getReturnDelayTime(2)).toBe(0);
+      expect(quick.getReturnDelayTime(4)).toBe(250);
+      expect(quick.getTimeout(packet, 4000000)).toBe(3);
+    });
+
+    test('should allow for instructions that save to or load from EEPROM', () => {
+      const ping = timing.getTimeout(Protocol2.createPingPacket(1), 1000000);
+
+      for (const instruction of [INSTRUCTIONS.REBOOT, INSTRUCTIONS.CLEAR, INSTRUCTIONS.FACTORY_RESET,
+        INSTRUCTIONS.CONTROL_TABLE_BACKUP, INSTRUCTIONS.CONTROL_TABLE_RESTORE]) {
+        const packet = Protocol2.createInstructionPacket(1, instruction, [0x01]);
+        expect(timing.getTimeout(packet, 1000000)).toBeGreaterThan(SLOW_INSTRUCTION_TIME);
+      }
+
+      // EEPROM ends where Torque Enable starts
+      expect(timing.getProcessingTime(Protocol2.createWritePacket(1, 7, [5]))).toBe(SLOW_INSTRUCTION_TIME);
+      expect(timing.getProcessingTime(Protocol2.createWritePacket(1, 64, [1]))).toBe(0);
+      expect(timing.getProcessingTime(Protocol2.createRegWritePacket(1, 7, [5]))).toBe(0);
+      expect(timing.getTimeout(Protocol2.createWritePacket(1, 65, [1]), 1000000)).toBe(ping);
+
+      expect(timing.getProcessingTime(Protocol1.createWritePacket(1, 3, [5]))).toBe(SLOW_INSTRUCTION_TIME);
+      expect(timing.getProcessingTime(Protocol1.createInstructionPacket(1, PROTOCOL1_INSTRUCTIONS.RESET))).toBe(SLOW_INSTRUCTION_TIME);
+      expect(timing.getProcessingTime(Protocol1.createWritePacket(1, 25, [1]))).toBe(0);
+    });
+
+    test('should use the tracked EEPROM end of each device', () => {
+      // P series: EEPROM up to Torque Enable at 512, so indirect address entries are EEPROM
+      timing.setEepromEnd(2, 512);
+      expect(timing.getEepromEnd(2)).toBe(512);
+      expect(timing.getProcessingTime(Protocol2.createWritePacket(2, 168, [0, 2]))).toBe(SLOW_INSTRUCTION_TIME);
+      expect(timing.getProcessingTime(Protocol2.createWritePacket(2, 512, [1]))).toBe(0);
+
+      // XL-320: RAM starts at 24
+      timing.setEepromEnd(3, 24);
+      expect(timing.getProcessingTime(Protocol2.createWritePacket(3, 25, [1]))).toBe(0);
+      expect(timing.getProcessingTime(Protocol2.createWritePacket(3, 3, [4]))).toBe(SLOW_INSTRUCTION_TIME);
+
+      // Untracked devices keep the default control table's boundary
+      expect(timing.getEepromEnd(4)).toBe(64);
+      expect(timing.getEepromEnd(4, true)).toBe(24);
+      expect(() => timing.setEepromEnd(1, -1)).toThrow('Invalid EEPROM end -1. Must be a non-negative integer address.');
+    });
+
+    test('should prefer an explicit, then the fixed timeout, except for scans', () => {
+      const ping = Protocol2.createPingPacket(1);
+      const fixed = new ResponseTiming({ timeout: 500 });
+
+      expect(timing.getResponseTimeout(ping, 1000000)).toBe(timing.getTimeout(ping, 1000000));
+      expect(timing.getResponseTimeout(ping, 1000000, 200)).toBe(200);
+      expect(fixed.getResponseTimeout(ping, 1000000)).toBe(500);
+      expect(fixed.getResponseTimeout(ping, 1000000, 200)).toBe(200);
+
+      // Every absent ID of a scan would cost the whole fixed timeout
+      expect(fixed.getScanTimeout(ping, 1000000)).toBe(timing.getTimeout(ping, 1000000));
+      expect(fixed.getScanTimeout(ping, 1000000, 20)).toBe(20);
+    });
+
+    test('should collect broadcast PING replies until the last ID slot', () => {
+      // Per slot: 14 bytes at 1 Mbps + 0.5 ms return delay + 3 ms
+      expect(timing.getBroadcastPingTimeout(1000000, 10)).toBe(75);
+      expect(timing.getTimeout(Protocol2.createPingPacket(BROADCAST_ID), 1000000)).toBe(timing.getBroadcastPingTimeout(1000000));
+      expect(timing.getBroadcastPingTimeout(1000000)).toBe(956);
+    });
+
+    test('should reject invalid settings', () => {
+      expect(() => timing.setReturnDelayTime(1, 255)).toThrow('Invalid return delay time 255. Must be an integer between 0 and 254.');
+      expect(() => new ResponseTiming({ latency: -1 })).toThrow('Invalid latency -1. Must be 0 or more milliseconds.');
+    });
+  });
+});
@@ -0,0 +1,315 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { SimulatedConnection } from '../../src/transport/SimulatedConnection.js';
+import { Protocol2 } from '../../src/dynamixel/Protocol2.js';
+import {
+  CLEAR_MULTI_TURN_PARAMETERS,
+  CONTROL_TABLE,
+  CONTROL_TABLE_BACKUP_PARAMETERS,
+  ERROR_FLAGS,
+  HARDWARE_ERROR_BITS,
+  INSTRUCTIONS,
+  STATUS_ALERT_BIT
+} from '../../src/dynamixel/constants.js';
+import { DynamixelCrcError, DynamixelTimeoutError } from '../../src/dynamixel/errors.js';
+
+describe('SimulatedConnection', () => {
+  let connection;
+  let now;
+
+  beforeEach(async() => {
+    now = 0;
+    connection = new SimulatedConnection({
+      servos: [{ id: 1 }, { id: 2, model: 'XM430-W350' }],
+      timeout: 50,
+      clock: () => now
+    });
+    await connection.connect();
+  });
+
+  /**
+   * Send an instruction and parse the status packet
+   * @param {Buffer} packet - Instruction packet
+   * @param {number} id - Expected device ID
+   * @returns {Promise<Object>} - Parsed status packet
+   */
+  async function exchange(packet, id) {
+    return Protocol2.parseStatusPacket(await connection.sendAndWaitForResponse(packet, id));
+  }
+
+  test('should answer PING with the profile model number', async() => {
+    await expect(connection.ping(1)).resolves.toMatchObject({ modelNumber: 1240, firmwareVersion: 52 });
+    await expect(connection.ping(2)).resolves.toMatchObject({ modelNumber: 1020 });
+  });
+
+  test('should discover the virtual servos', async() => {
+    const devices = await connection.discoverDevices({ timeout: 10 });
+    expect(devices.map(device => device.id)).toEqual([1, 2]);
+  });
+
+  test('should not answer IDs that are not on the bus', async() => {
+    const error = await connection.ping(3, 10).catch(e => e);
+    expect(error).toBeInstanceOf(DynamixelTimeoutError);
+    expect(error.id).toBe(3);
+  });
+
+  test('should only deliver packets to servos at the bus baud rate', async() => {
+    connection.addServo(9, { baudRate: 1000000 });
+    await expect(connection.ping(9, 10)).rejects.toThrow('Timeout');
+
+    connection.setBaudRate(1000000);
+    await expect(connection.ping(9, 10)).resolves.toMatchObject({ id: 9 });
+    await expect(connection.ping(1, 10)).rejects.toThrow('Timeout');
+
+    expect(() => connection.addServo(10, { baudRate: 12345 })).toThrow('Invalid baud rate 12345.');
+  });
+
+  test('should calculate response timeouts unless one is fixed or passed', async() => {
+    const ping = Protocol2.createPingPacket(3);
+    const automatic = new SimulatedConnection({ servos: [{ id: 1 }], baudRate: 1000000 });
+    await automatic.connect();
+
+    const responseTimeout = (target, timeout) => target.responseTiming.getResponseTimeout(ping, target.getBaudRate(), timeout);
+    expect(responseTimeout(automatic)).toBe(35);
+    expect(responseTimeout(automatic, 200)).toBe(200);
+    expect(responseTimeout(connection)).toBe(50);
+
+    automatic.setBaudRate(57600);
+    expect(responseTimeout(automatic)).toBe(39);
+
+    const start = Date.now();
+    await expect(automatic.ping(3)).rejects.toThrow('Timeout');
+    expect(Date.now() - start).toBeLessThan(1000);
+  });
+
+  test('should seed the control table from MotorProfiles', async() => {
+    const status = await exchange(Protocol2.createReadPacket(1, CONTROL_TABLE.PWM_LIMIT, 2), 1);
+    expect(status.error).toBe(0);
+    expect(Protocol2.decodeValue(status.parameters)).toBe(885);
+  });
+
+  test('should write and read back RAM values', async() => {
+    const write = await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.LED, [1]), 1);
+    expect(write.error).toBe(0);
+
+    const read = await exchange(Protocol2.createReadPacket(1, CONTROL_TABLE.LED, 1), 1);
+    expect(read.parameters).toEqual([1]);
+  });
+
+  test('should answer a write to the ID register from the old ID', async() => {
+    const write = await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.ID, [5]), 1);
+    expect(write).toMatchObject({ id: 1, error: 0 });
+    await expect(connection.ping(5, 10)).resolves.toMatchObject({ id: 5 });
+  });
+
+  test('should reject writes to read-only registers and to EEPROM while torque is on', async() => {
+    const readOnly = await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.PRESENT_POSITION, [0, 0, 0, 0]), 1);
+    expect(readOnly.error).toBe(ERROR_FLAGS.ACCESS_ERROR);
+
+    await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.TORQUE_ENABLE, [1]), 1);
+    const eeprom = await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.OPERATING_MODE, [1]), 1);
+    expect(eeprom.error).toBe(ERROR_FLAGS.ACCESS_ERROR);
+  });
+
+  test('should reject goal positions outside the position limits', async() => {
+    const status = await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.GOAL_POSITION, Protocol2.encodeValue(5000, 4)), 1);
+    expect(status.error).toBe(ERROR_FLAGS.DATA_LIMIT_ERROR);
+  });
+
+  test('should move towards the goal position over time', async() => {
+    const servo = connection.getServo(1);
+    await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.PROFILE_VELOCITY, Protocol2.encodeValue(100, 4)), 1);
+    await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.TORQUE_ENABLE, [1]), 1);
+    await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.GOAL_POSITION, Protocol2.encodeValue(3048, 4)), 1);
+
+    now += 100; // 100 units * 0.229 rpm * 4096 / 60000 ms = ~1.56 pulses/ms
+    const moving = await exchange(Protocol2.createReadPacket(1, CONTROL_TABLE.MOVING, 1), 1);
+    expect(moving.parameters).toEqual([1]);
+    expect(servo.readSignedValue(CONTROL_TABLE.PRESENT_POSITION, 4)).toBe(2204);
+    expect(servo.readSignedValue(CONTROL_TABLE.PRESENT_VELOCITY, 4)).toBe(100);
+
+    now += 1000;
+    const arrived = await exchange(Protocol2.createReadPacket(1, CONTROL_TABLE.PRESENT_POSITION, 4), 1);
+    expect(Protocol2.decodeValue(arrived.parameters)).toBe(3048);
+    expect(servo.readValue(CONTROL_TABLE.MOVING, 1)).toBe(0);
+  });
+
+  test('should integrate the goal velocity in velocity mode', async() => {
+    const servo = connection.getServo(1);
+    await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.OPERATING_MODE, [1]), 1);
+    await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.TORQUE_ENABLE, [1]), 1);
+    await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.GOAL_VELOCITY, Protocol2.encodeValue(-200, 4)), 1);
+
+    now += 1000;
+    await connection.ping(1);
+
+    expect(servo.readSignedValue(CONTROL_TABLE.PRESENT_VELOCITY, 4)).toBe(-200);
+    expect(servo.readSignedValue(CONTROL_TABLE.PRESENT_POSITION, 4)).toBe(2048 - 3127);
+  });
+
+  test('should not move while torque is off', async() => {
+    await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.GOAL_POSITION, Protocol2.encodeValue(1000, 4)), 1);
+    now += 1000;
+    const status = await exchange(Protocol2.createReadPacket(1, CONTROL_TABLE.PRESENT_POSITION, 4), 1);
+    expect(Protocol2.decodeValue(status.parameters)).toBe(2048);
+  });
+
+  test('should answer SYNC READ and apply SYNC WRITE', async() => {
+    await connection.send(Protocol2.createSyncWritePacket(CONTROL_TABLE.LED, 1, [
+      { id: 1, data: [1] },
+      { id: 2, data: [0] }
+    ]));
+
+    const responses = await connection.sendAndWaitForResponses(Protocol2.createSyncReadPacket(CONTROL_TABLE.LED, 1, [1, 2]), [1, 2]);
+    expect(Protocol2.parseStatusPacket(responses.get(1)).parameters).toEqual([1]);
+    expect(Protocol2.parseStatusPacket(responses.get(2)).parameters).toEqual([0]);
+  });
+
+  test('should collect every reply of servos that share an ID', async() => {
+    connection.addServo(2);
+
+    const responses = await connection.sendAndCollectResponses(Protocol2.createPingPacket(2), 10);
+    expect(responses.map(response => Protocol2.parseStatusPacket(response).id)).toEqual([2, 2]);
+    await expect(connection.sendAndCollectResponses(Protocol2.createPingPacket(3), 10)).resolves.toEqual([]);
+  });
+
+  test('should execute instructions sent to a Secondary ID without answering', async() => {
+    await exchange(Protocol2.createWritePacket(2, CONTROL_TABLE.SECONDARY_ID, [20]), 2);
+
+    await expect(connection.sendAndCollectResponses(Protocol2.createWritePacket(20, CONTROL_TABLE.LED, [1]), 10)).resolves.toEqual([]);
+    expect(connection.getServo(1).controlTable[CONTROL_TABLE.LED]).toBe(0);
+    expect(connection.getServo(2).controlTable[CONTROL_TABLE.LED]).toBe(1);
+  });
+
+  test('should answer BULK READ and apply BULK WRITE', async() => {
+    await connection.send(Protocol2.createBulkWritePacket([
+      { id: 1, address: CONTROL_TABLE.LED, data: [1] },
+      { id: 2, address: CONTROL_TABLE.PROFILE_VELOCITY, data: Protocol2.encodeValue(300, 4) }
+    ]));
+
+    const responses = await connection.sendAndWaitForResponses(Protocol2.createBulkReadPacket([
+      { id: 1, address: CONTROL_TABLE.LED, length: 1 },
+      { id: 2, address: CONTROL_TABLE.PROFILE_VELOCITY, length: 4 }
+    ]), [1, 2]);
+    expect(Protocol2.parseStatusPacket(responses.get(1)).parameters).toEqual([1]);
+    expect(Protocol2.decodeValue(Protocol2.parseStatusPacket(responses.get(2)).parameters)).toBe(300);
+  });
+
+  test('should answer FAST SYNC READ with one combined packet', async() => {
+    const response = await connection.sendAndWaitForResponse(Protocol2.createFastSyncReadPacket(CONTROL_TABLE.MODEL_NUMBER, 2, [1, 2]), 0xFE);
+    const blocks = Protocol2.parseFastStatusPacket(response, [2, 2]);
+
+    expect(blocks).toEqual([
+      { id: 1, error: 0, parameters: [0xD8, 0x04], crcValid: true },
+      { id: 2, error: 0, parameters: [0xFC, 0x03], crcValid: true }
+    ]);
+  });
+
+  test('should reset RAM on REBOOT', async() => {
+    await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.LED, [1]), 1);
+    const status = await exchange(Protocol2.createInstructionPacket(1, 0x08, []), 1);
+    expect(status.error).toBe(0);
+
+    const led = await exchange(Protocol2.createReadPacket(1, CONTROL_TABLE.LED, 1), 1);
+    expect(led.parameters).toEqual([0]);
+  });
+
+  test('should reset the revolution count on CLEAR', async() => {
+    connection.getServo(1).position = 3 * 4096 + 100;
+    const status = await exchange(Protocol2.createInstructionPacket(1, INSTRUCTIONS.CLEAR, CLEAR_MULTI_TURN_PARAMETERS), 1);
+    expect(status.error).toBe(0);
+
+    const position = await exchange(Protocol2.createReadPacket(1, CONTROL_TABLE.PRESENT_POSITION, 4), 1);
+    expect(Protocol2.decodeValue(position.parameters)).toBe(100);
+
+    const invalid = await exchange(Protocol2.createInstructionPacket(1, INSTRUCTIONS.CLEAR, [0x01]), 1);
+    expect(invalid.error).toBe(ERROR_FLAGS.DATA_RANGE_ERROR);
+  });
+
+  test('should keep the ID and baud rate on FACTORY RESET as requested', async() => {
+    await exchange(Protocol2.createWritePacket(2, CONTROL_TABLE.BAUD_RATE, [3]), 2);
+    connection.setBaudRate(1000000);
+
+    const status = await exchange(Protocol2.createInstructionPacket(2, INSTRUCTIONS.FACTORY_RESET, [0x02]), 2);
+    expect(status.error).toBe(0);
+    expect(connection.getServo(2).controlTable[CONTROL_TABLE.BAUD_RATE]).toBe(3);
+
+    await exchange(Protocol2.createInstructionPacket(2, INSTRUCTIONS.FACTORY_RESET, [0x01]), 2);
+    expect(connection.getServo(2).controlTable[CONTROL_TABLE.BAUD_RATE]).toBe(1);
+    connection.setBaudRate(57600);
+
+    const invalid = await exchange(Protocol2.createInstructionPacket(2, INSTRUCTIONS.FACTORY_RESET, [0x07]), 2);
+    expect(invalid.error).toBe(ERROR_FLAGS.DATA_RANGE_ERROR);
+  });
+
+  test('should refuse CONTROL TABLE BACKUP while torque is on', async() => {
+    await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.TORQUE_ENABLE, [1]), 1);
+
+    const status = await exchange(Protocol2.createInstructionPacket(1, INSTRUCTIONS.CONTROL_TABLE_BACKUP, CONTROL_TABLE_BACKUP_PARAMETERS), 1);
+    expect(status.error).toBe(ERROR_FLAGS.ACCESS_ERROR);
+  });
+
+  test('should answer unknown instructions with an instruction error', async() => {
+    const status = await exchange(Protocol2.createInstructionPacket(1, 0x7F, []), 1);
+    expect(status.error).toBe(ERROR_FLAGS.INSTRUCTION_ERROR);
+  });
+
+  test('should follow the Status Return Level', async() => {
+    // The new level already applies to the write that sets it
+    await connection.send(Protocol2.createWritePacket(1, CONTROL_TABLE.STATUS_RETURN_LEVEL, [1]));
+
+    await expect(connection.sendAndWaitForResponse(Protocol2.createWritePacket(1, CONTROL_TABLE.LED, [1]), 1, 10))
+      .rejects.toThrow('Timeout');
+    const read = await exchange(Protocol2.createReadPacket(1, CONTROL_TABLE.LED, 1), 1);
+    expect(read.parameters).toEqual([1]);
+  });
+
+  describe('Fault Injection', () => {
+    test('should drop responses for timeout faults', async() => {
+      connection.injectFault(1, 'timeout', { count: 1 });
+
+      await expect(connection.ping(1, 10)).rejects.toThrow('Timeout');
+      await expect(connection.ping(1)).resolves.toMatchObject({ modelNumber: 1240 });
+    });
+
+    test('should corrupt the CRC for crc faults', async() => {
+      connection.injectFault(1, 'crc');
+
+      await expect(connection.ping(1)).rejects.toThrow(DynamixelCrcError);
+      connection.clearFaults(1);
+      await expect(connection.ping(1)).resolves.toMatchObject({ modelNumber: 1240 });
+    });
+
+    test('should corrupt only the faulty block of a fast read', async() => {
+      connection.injectFault(1, 'crc', { count: 1 });
+
+      const response = await connection.sendAndWaitForResponse(Protocol2.createFastSyncReadPacket(CONTROL_TABLE.LED, 1, [1, 2]), 0xFE);
+      const blocks = Protocol2.parseFastStatusPacket(response, [1, 1]);
+      expect(blocks.map(block => block.crcValid)).toEqual([false, true]);
+    });
+
+    test('should latch hardware errors, disable torque and set the alert bit until reboot', async() => {
+      await exchange(Protocol2.createWritePacket(1, CONTROL_TABLE.TORQUE_ENABLE, [1]), 1);
+      connection.injectFault(1, 'hardwareError', { bits: HARDWARE_ERROR_BITS.OVERLOAD });
+
+      const status = await exchange(Protocol2.createReadPacket(1, CONTROL_TABLE.TORQUE_ENABLE, 1), 1);
+      expect(status.error).toBe(STATUS_ALERT_BIT);
+      expect(status.parameters).toEqual([0]);
+      expect(connection.getServo(1).readValue(CONTROL_TABLE.HARDWARE_ERROR_STATUS, 1)).toBe(HARDWARE_ERROR_BITS.OVERLOAD);
+
+      await exchange(Protocol2.createInstructionPacket(1, 0x08, []), 1);
+      const cleared = await exchange(Protocol2.createReadPacket(1, CONTROL_TABLE.HARDWARE_ERROR_STATUS, 1), 1);
+      expect(cleared.error).toBe(0);
+      expect(cleared.parameters).toEqual([0]);
+    });
+
+    test('should reject faults for unknown servos or types', () => {
+      expect(() => connection.injectFault(9, 'timeout')).toThrow('No simulated servo with ID 9');
+      expect(() => connection.injectFault(1, 'smoke')).toThrow('Unknown fault type: smoke');
+    });
+  });
+
+  test('should refuse to send while disconnected', async() => {
+    await connection.disconnect();
+    await expect(connection.ping(1)).rejects.toThrow('Simulated bus not connected');
+  });
+});
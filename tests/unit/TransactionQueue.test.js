@@ -0,0 +1,127 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { TransactionQueue } from '../../src/transport/TransactionQueue.js';
+import { TRANSACTION_PRIORITY } from '../../src/dynamixel/constants.js';
+
+/**
+ * Create a task that records when it runs and resolves when released
+ * @param {string[]} log - Execution log
+ * @param {string} name - Task name
+ * @returns {{task: Function, release: Function}} - Task and its release callback
+ */
+function createDeferredTask(log, name) {
+  let release;
+  const done = new Promise(resolve => {
+    release = resolve;
+  });
+
+  return {
+    task: async() => {
+      log.push(name);
+      await done;
+      return name;
+    },
+    release: () => release()
+  };
+}
+
+describe('TransactionQueue', () => {
+  let queue;
+  let log;
+
+  beforeEach(() => {
+    queue = new TransactionQueue();
+    log = [];
+  });
+
+  test('should run one transaction at a time', async() => {
+    const first = createDeferredTask(log, 'first');
+    const second = createDeferredTask(log, 'second');
+
+    const firstResult = queue.enqueue(first.task);
+    const secondResult = queue.enqueue(second.task);
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(log).toEqual(['first']);
+    expect(queue.size).toBe(2);
+
+    first.release();
+    await expect(firstResult).resolves.toBe('first');
+    second.release();
+    await expect(secondResult).resolves.toBe('second');
+    expect(log).toEqual(['first', 'second']);
+    expect(queue.size).toBe(0);
+  });
+
+  test('should run higher priorities first and keep submission order otherwise', async() => {
+    const blocker = createDeferredTask(log, 'blocker');
+    queue.enqueue(blocker.task);
+
+    const results = [
+      queue.enqueue(async() => log.push('normal-1')),
+      queue.enqueue(async() => log.push('low'), { priority: TRANSACTION_PRIORITY.LOW }),
+      queue.enqueue(async() => log.push('normal-2')),
+      queue.enqueue(async() => log.push('emergency'), { priority: TRANSACTION_PRIORITY.EMERGENCY })
+    ];
+
+    blocker.release();
+    await Promise.all(results);
+
+    expect(log).toEqual(['blocker', 'emergency', 'normal-1', 'normal-2', 'low']);
+  });
+
+  test('should keep running after a failed transaction', async() => {
+    const failed = queue.enqueue(async() => {
+      throw new Error('Timeout waiting for response from device 1');
+    });
+    const next = queue.enqueue(async() => 'next');
+
+    await expect(failed).rejects.toThrow('Timeout');
+    await expect(next).resolves.toBe('next');
+  });
+
+  test('should drop waiting transactions when aborted', async() => {
+    const blocker = createDeferredTask(log, 'blocker');
+    const controller = new AbortController();
+    queue.enqueue(blocker.task);
+
+    const aborted = queue.enqueue(async() => log.push('aborted'), { signal: controller.signal });
+    controller.abort();
+
+    await expect(aborted).rejects.toThrow();
+    blocker.release();
+    await queue.enqueue(async() => log.push('after'));
+
+    expect(log).toEqual(['blocker', 'after']);
+  });
+
+  test('should reject already aborted signals', async() => {
+    const controller = new AbortController();
+    controller.abort(new Error('Cancelled by user'));
+
+    await expect(queue.enqueue(async() => 'never', { signal: controller.signal })).rejects.toThrow('Cancelled by user');
+  });
+
+  test('should pass the signal to the running task', async() => {
+    const controller = new AbortController();
+    let received = null;
+
+    await queue.enqueue(async(signal) => {
+      received = signal;
+    }, { signal: controller.signal });
+
+    expect(received).toBe(controller.signal);
+  });
+
+  test('should reject waiting transactions on clear', async() => {
+    const blocker = createDeferredTask(log, 'blocker');
+    const running = queue.enqueue(blocker.task);
+    const waiting = queue.enqueue(async() => 'never');
+
+    queue.clear(new Error('Connection closed'));
+
+    await expect(waiting).rejects.toThrow('Connection closed');
+    blocker.release();
+    await expect(running).resolves.toBe('blocker');
+  });
+});
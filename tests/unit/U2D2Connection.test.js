@@ -1,5 +1,7 @@
 import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
 import { U2D2Connection } from '../../src/transport/U2D2Connection.js';
+import { DynamixelError } from '../../src/dynamixel/errors.js';
+import { createStatusPacketBuffer, createProtocol1StatusPacketBuffer } from '../fixtures/packets.js';
 
 // Mock the SerialPort module
 const mockSerialPort = {
@@ -200,7 +202,167 @@ describe('U2D2Connection', () => {
 
       const testData = Buffer.from([0xFF, 0xFF, 0xFD, 0x00, 0x01]);
 
-      await expect(connection.send(testData)).rejects.toThrow('Transfer failed');
+      const error = await connection.send(testData).catch(e => e);
+      expect(error).toBeInstanceOf(DynamixelError);
+      expect(error.message).toBe('USB send error: Transfer failed');
+    });
+
+    test('should collect responses from several devices', async() => {
+      mockInterface.endpoints[1].transfer.mockImplementation((data, callback) => {
+        callback(null);
+        connection.emit('packet', Buffer.from([0xFF, 0xFF, 0xFD, 0x00, 0x02]));
+        connection.emit('packet', Buffer.from([0xFF, 0xFF, 0xFD, 0x00, 0x09]));
+        connection.emit('packet', Buffer.from([0xFF, 0xFF, 0xFD, 0x00, 0x01]));
+      });
+
+      const responses = await connection.sendAndWaitForResponses(Buffer.from([0x00]), [1, 2], 100);
+
+      expect(Array.from(responses.keys()).sort()).toEqual([1, 2]);
+      expect(connection.listenerCount('packet')).toBe(0);
+    });
+
+    test('should resolve with partial responses on timeout', async() => {
+      mockInterface.endpoints[1].transfer.mockImplementation((data, callback) => {
+        callback(null);
+        connection.emit('packet', Buffer.from([0xFF, 0xFF, 0xFD, 0x00, 0x01]));
+      });
+
+      const responses = await connection.sendAndWaitForResponses(Buffer.from([0x00]), [1, 2], 20);
+
+      expect(responses.has(1)).toBe(true);
+      expect(responses.has(2)).toBe(false);
+      expect(connection.listenerCount('packet')).toBe(0);
+    });
+  });
+
+  describe('Receive Buffer', () => {
+    test('should reassemble a stuffed packet split across reads', () => {
+      const packet = createStatusPacketBuffer(1, 0, [0xFF, 0xFF, 0xFD, 0x00, 0x01, 0x02]);
+      const received = [];
+      connection.on('packet', data => received.push(data));
+
+      connection.receiveBuffer = packet.slice(0, 11);
+      connection.processReceiveBuffer();
+      expect(received).toHaveLength(0);
+
+      connection.receiveBuffer = Buffer.concat([connection.receiveBuffer, packet.slice(11)]);
+      connection.processReceiveBuffer();
+      expect(received).toEqual([packet]);
+    });
+
+    test('should split Protocol 1.0 and 2.0 packets on a mixed bus', () => {
+      const protocol1 = createProtocol1StatusPacketBuffer(3, 0, []);
+      const protocol2 = createStatusPacketBuffer(1, 0, [0x01]);
+      const received = [];
+      connection.on('packet', data => received.push(data));
+
+      connection.receiveBuffer = Buffer.concat([protocol1, protocol2]);
+      connection.processReceiveBuffer();
+
+      expect(received).toEqual([protocol1, protocol2]);
+    });
+
+    test('should skip noise that looks like stuffed data', () => {
+      const packet = createStatusPacketBuffer(2, 0, [0x01]);
+      const received = [];
+      connection.on('packet', data => received.push(data));
+
+      connection.receiveBuffer = Buffer.concat([Buffer.from([0x00, 0xFF, 0xFF, 0xFD, 0xFD, 0x07]), packet]);
+      connection.processReceiveBuffer();
+
+      expect(received).toEqual([packet]);
+      expect(connection.receiveBuffer.length).toBe(0);
+    });
+
+    test('should skip headers with an impossible length', () => {
+      const packet = createStatusPacketBuffer(2, 0, [0x01]);
+      const received = [];
+      const noise = [];
+      connection.on('packet', data => received.push(data));
+      connection.on('noise', data => noise.push(data));
+
+      // LENGTH 0xFFFF (corrupted), then LENGTH 2 (too short for instruction and CRC)
+      const corrupted = Buffer.from([0xFF, 0xFF, 0xFD, 0x00, 0x01, 0xFF, 0xFF]);
+      const short = Buffer.from([0xFF, 0xFF, 0xFD, 0x00, 0x01, 0x02, 0x00, 0x55, 0x00]);
+      connection.receiveBuffer = Buffer.concat([corrupted, short, packet]);
+      connection.processReceiveBuffer();
+
+      expect(received).toEqual([packet]);
+      expect(Buffer.concat(noise)).toEqual(Buffer.concat([corrupted, short]));
+      expect(connection.receiveBuffer.length).toBe(0);
+    });
+
+    test('should drop an incomplete packet when the response window closes', async() => {
+      connection.isConnected = true;
+      connection.outEndpoint = mockInterface.endpoints[1];
+      const packet = createStatusPacketBuffer(1, 0, [0x01]);
+      mockInterface.endpoints[1].transfer.mockImplementation((data, callback) => {
+        callback(null);
+        // A reply whose LENGTH says more bytes follow than ever arrive
+        connection.receiveBuffer = Buffer.from([0xFF, 0xFF, 0xFD, 0x00, 0x01, 0x20, 0x00, 0x55]);
+        connection.processReceiveBuffer();
+      });
+
+      await expect(connection.sendAndWaitForResponse(Buffer.from([0x00]), 1, 20)).rejects.toThrow('Timeout');
+      expect(connection.receiveBuffer.length).toBe(0);
+
+      mockInterface.endpoints[1].transfer.mockImplementation((data, callback) => {
+        callback(null);
+        connection.receiveBuffer = Buffer.concat([connection.receiveBuffer, packet]);
+        connection.processReceiveBuffer();
+      });
+      await expect(connection.sendAndWaitForResponse(Buffer.from([0x00]), 1, 20)).resolves.toEqual(packet);
+    });
+  });
+
+  describe('Transaction Queue', () => {
+    beforeEach(() => {
+      connection.isConnected = true;
+      connection.outEndpoint = mockInterface.endpoints[1];
+      connection.inEndpoint = mockInterface.endpoints[0];
+    });
+
+    test('should not send the next instruction before the previous response', async() => {
+      const sent = [];
+      mockInterface.endpoints[1].transfer.mockImplementation((data, callback) => {
+        sent.push(data[4]);
+        callback(null);
+      });
+
+      const first = connection.sendAndWaitForResponse(Buffer.from([0xFF, 0xFF, 0xFD, 0x00, 0x01]), 1, 100);
+      const second = connection.sendAndWaitForResponse(Buffer.from([0xFF, 0xFF, 0xFD, 0x00, 0x02]), 2, 100);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(sent).toEqual([1]);
+
+      connection.emit('packet', createStatusPacketBuffer(1, 0, []));
+      await first;
+      await new Promise(resolve => setImmediate(resolve));
+      expect(sent).toEqual([1, 2]);
+
+      connection.emit('packet', createStatusPacketBuffer(2, 0, []));
+      await expect(second).resolves.toEqual(createStatusPacketBuffer(2, 0, []));
+    });
+
+    test('should cancel a running exchange with an AbortSignal', async() => {
+      const controller = new AbortController();
+
+      const pending = connection.sendAndWaitForResponse(Buffer.from([0x00]), 1, 1000, { signal: controller.signal });
+      await new Promise(resolve => setImmediate(resolve));
+      controller.abort(new Error('Cancelled'));
+
+      await expect(pending).rejects.toThrow('Cancelled');
+      expect(connection.listenerCount('packet')).toBe(0);
+      expect(connection.transactionQueue.size).toBe(0);
+    });
+
+    test('should clean up listeners when sending fails', async() => {
+      mockInterface.endpoints[1].transfer.mockImplementation((data, callback) => {
+        callback(new Error('Transfer failed'));
+      });
+
+      await expect(connection.sendAndWaitForResponse(Buffer.from([0x00]), 1, 1000)).rejects.toThrow('Transfer failed');
+      expect(connection.listenerCount('packet')).toBe(0);
     });
   });
 
@@ -296,6 +458,12 @@ describe('U2D2Connection', () => {
       expect(typeof status).toBe('boolean');
       expect(status).toBe(false);
     });
+
+    test('should record the baud rate without claiming to retune the bus', async() => {
+      expect(connection.canChangeBaudRate()).toBe(false);
+      await expect(connection.setBaudRate(1000000)).resolves.toBe(false);
+      expect(connection.getBaudRate()).toBe(1000000);
+    });
   });
 
   describe('Static Methods', () => {
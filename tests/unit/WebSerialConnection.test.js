@@ -0,0 +1,122 @@
+import { describe, test, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+import { WebSerialConnection } from '../../src/transport/WebSerialConnection.js';
+import { Protocol2 } from '../../src/dynamixel/Protocol2.js';
+import { DynamixelCrcError, DynamixelError } from '../../src/dynamixel/errors.js';
+import { createStatusPacketBuffer } from '../fixtures/packets.js';
+
+describe('WebSerialConnection', () => {
+  let connection;
+  let writer;
+
+  beforeAll(() => {
+    // Node has no Web Serial API; the constructor only checks that it exists
+    if (typeof navigator === 'undefined') {
+      globalThis.navigator = {};
+    }
+    navigator.serial = navigator.serial || {};
+  });
+
+  beforeEach(() => {
+    writer = { write: jest.fn().mockResolvedValue(undefined) };
+    connection = new WebSerialConnection({ timeout: 20 });
+    connection.isConnected = true;
+    connection.writer = writer;
+    // Parse failures are also emitted as 'error'
+    connection.on('error', () => {});
+  });
+
+  /**
+   * Deliver bytes as if the reader had received them
+   * @param {Buffer} data - Received bytes
+   */
+  function receive(data) {
+    connection.receiveBuffer = new Uint8Array([...connection.receiveBuffer, ...data]);
+    connection.processReceiveBuffer();
+  }
+
+  /**
+   * Build a status packet whose CRC does not match
+   * @param {number} id - Device ID
+   * @returns {Buffer} - Corrupted status packet
+   */
+  function corruptedPacket(id) {
+    const packet = createStatusPacketBuffer(id, 0, [0x01]);
+    packet[packet.length - 1] ^= 0xFF;
+    return packet;
+  }
+
+  test('should reject the waiter with a CRC error when its reply is corrupted', async() => {
+    writer.write.mockImplementation(async() => receive(corruptedPacket(1)));
+
+    const error = await connection.sendAndWaitForResponse(Buffer.from([0x00]), 1).catch(e => e);
+    expect(error).toBeInstanceOf(DynamixelCrcError);
+    expect(error.id).toBe(1);
+  });
+
+  test('should ignore corrupted replies from other devices', async() => {
+    const reply = createStatusPacketBuffer(1, 0, [0x01]);
+    writer.write.mockImplementation(async() => receive(Buffer.concat([corruptedPacket(2), reply])));
+
+    await expect(connection.sendAndWaitForResponse(Buffer.from([0x00]), 1)).resolves.toMatchObject({ id: 1, parameters: [0x01] });
+  });
+
+  test('should hand corrupted group replies over raw', async() => {
+    const corrupted = corruptedPacket(2);
+    writer.write.mockImplementation(async() => receive(Buffer.concat([createStatusPacketBuffer(1, 0, [0x01]), corrupted])));
+
+    const responses = await connection.sendAndWaitForResponses(Buffer.from([0x00]), [1, 2]);
+    expect(responses.get(1)).toMatchObject({ id: 1 });
+    expect(responses.get(2)).toEqual(corrupted);
+  });
+
+  test('should calculate the timeout when a queued exchange starts', async() => {
+    const automatic = new WebSerialConnection();
+    automatic.isConnected = true;
+    automatic.writer = writer;
+    const getTimeout = jest.spyOn(automatic.responseTiming, 'getTimeout');
+
+    let answerFirst;
+    writer.write.mockImplementationOnce(() => new Promise(resolve => {
+      answerFirst = () => {
+        resolve();
+        automatic.receiveBuffer = new Uint8Array(createStatusPacketBuffer(1, 0, [0x01]));
+        automatic.processReceiveBuffer();
+      };
+    }));
+    writer.write.mockImplementationOnce(async() => {
+      automatic.receiveBuffer = new Uint8Array(createStatusPacketBuffer(2, 0, [0x02]));
+      automatic.processReceiveBuffer();
+    });
+
+    const first = automatic.sendAndWaitForResponse(Protocol2.createPingPacket(1), 1);
+    const second = automatic.sendAndWaitForResponse(Protocol2.createPingPacket(2), 2);
+    await Promise.resolve();
+    expect(getTimeout).toHaveBeenCalledTimes(1);
+
+    answerFirst();
+    await expect(first).resolves.toMatchObject({ id: 1 });
+    await expect(second).resolves.toMatchObject({ id: 2 });
+    expect(getTimeout).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep the baud rate of an open port', async() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const baudRate = connection.getBaudRate();
+
+    await expect(connection.setBaudRate(1000000)).resolves.toBe(false);
+    expect(connection.getBaudRate()).toBe(baudRate);
+
+    connection.isConnected = false;
+    await expect(connection.setBaudRate(1000000)).resolves.toBe(true);
+    expect(connection.getBaudRate()).toBe(1000000);
+    console.log.mockRestore();
+  });
+
+  test('should reject failed writes with a DynamixelError', async() => {
+    writer.write.mockRejectedValue(new Error('The device has been lost.'));
+
+    const error = await connection.send(Buffer.from([0x00])).catch(e => e);
+    expect(error).toBeInstanceOf(DynamixelError);
+    expect(error.message).toBe('Failed to send data: The device has been lost.');
+  });
+});